@@ -12,20 +12,19 @@
  *
  * Environment variables required:
  *   - WALLET_MASTER_MNEMONIC: The master HD wallet mnemonic
- *   - WALLET_ENCRYPTION_KEY: 32-byte hex key for AES-256-GCM encryption
+ *   - WALLET_ENCRYPTION_KEY or WALLET_ENCRYPTION_KEYS (+ WALLET_ENCRYPTION_KEY_ID): 32-byte hex
+ *     key(s) for AES-256-GCM encryption; private keys are encrypted under the current key
  *   - STRAPI_BASE_URL: Strapi API base URL (default: http://localhost:1337)
  *   - STRAPI_API_TOKEN: API token with admin access
  */
 
 require('dotenv').config();
 const { ethers } = require('ethers');
-const crypto = require('crypto');
+const { loadKeyring, encryptPrivateKey } = require('../src/utils/wallet-encryption');
 
 const WALLET_MASTER_MNEMONIC = process.env.WALLET_MASTER_MNEMONIC;
-const WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY;
 const STRAPI_BASE_URL = process.env.STRAPI_BASE_URL || 'http://localhost:1337';
 const STRAPI_API_TOKEN = process.env.STRAPI_API_TOKEN || process.env.LOCAL_TRANSFER_TOKEN;
-const IV_LENGTH = 16;
 
 /**
  * Generate a deterministic wallet for a user based on their ID
@@ -47,34 +46,6 @@ function generateUserWallet(userId) {
 	};
 }
 
-/**
- * Encrypt a private key using AES-256-GCM
- */
-function encryptPrivateKey(privateKey) {
-	if (!WALLET_ENCRYPTION_KEY) {
-		throw new Error('WALLET_ENCRYPTION_KEY environment variable not set');
-	}
-
-	const key = Buffer.from(WALLET_ENCRYPTION_KEY, 'hex');
-	if (key.length !== 32) {
-		throw new Error('WALLET_ENCRYPTION_KEY must be 32 bytes (64 hex characters)');
-	}
-
-	const iv = crypto.randomBytes(IV_LENGTH);
-	const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-
-	let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-	encrypted += cipher.final('hex');
-
-	const authTag = cipher.getAuthTag();
-
-	return {
-		iv: iv.toString('hex'),
-		encryptedData: encrypted,
-		authTag: authTag.toString('hex'),
-	};
-}
-
 /**
  * Fetch all users without wallets
  */
@@ -155,7 +126,8 @@ async function migrate() {
 		process.exit(1);
 	}
 
-	if (!WALLET_ENCRYPTION_KEY) {
+	const keyring = loadKeyring();
+	if (!keyring.currentKeyId) {
 		console.error('❌ WALLET_ENCRYPTION_KEY is not set');
 		console.log('\n   Generate a 32-byte key with:');
 		console.log('   node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
@@ -168,7 +140,7 @@ async function migrate() {
 	}
 
 	console.log(`📡 Strapi URL: ${STRAPI_BASE_URL}`);
-	console.log(`🔑 Encryption key: ${WALLET_ENCRYPTION_KEY.substring(0, 8)}...`);
+	console.log(`🔑 Encryption key: ${keyring.currentKeyId}`);
 	console.log(`🌱 Mnemonic: ${WALLET_MASTER_MNEMONIC.split(' ').slice(0, 3).join(' ')}...\n`);
 
 	// Fetch users without wallets
@@ -191,7 +163,7 @@ async function migrate() {
 
 			// Generate wallet
 			const wallet = generateUserWallet(user.id);
-			const encryptedPrivateKey = encryptPrivateKey(wallet.privateKey);
+			const encryptedPrivateKey = encryptPrivateKey(wallet.privateKey, keyring);
 
 			// Update user in Strapi
 			await updateUserWallet(user.id, {
@@ -0,0 +1,133 @@
+/**
+ * Rotation script to re-encrypt custodial wallet private keys under the current encryption key
+ *
+ * This script:
+ * 1. Loads every user that has an encryptedPrivateKey
+ * 2. Decrypts it with the key named by its keyId (`v1` for keys stored before key IDs)
+ * 3. Re-encrypts it under WALLET_ENCRYPTION_KEY_ID and stores it with that keyId
+ *
+ * encryptedPrivateKey is a private field, so the script loads Strapi and goes through the
+ * database instead of the REST API. Users already on the current key are skipped, so the
+ * script can be re-run after an interruption.
+ *
+ * Rotating:
+ * 1. Add the new key next to the old one and make it current, in the CMS and the backend:
+ *      WALLET_ENCRYPTION_KEY=<old key>            (or v1:<old key> in WALLET_ENCRYPTION_KEYS)
+ *      WALLET_ENCRYPTION_KEYS=v2:<new key>
+ *      WALLET_ENCRYPTION_KEY_ID=v2
+ *    New wallets are encrypted with v2; both keys still decrypt.
+ * 2. Run this script until it reports no errors.
+ * 3. Remove the old key.
+ *
+ * Usage:
+ *   cd cms
+ *   node scripts/rotate-wallet-keys.js [--dry-run]
+ *
+ * Environment variables required:
+ *   - WALLET_ENCRYPTION_KEYS / WALLET_ENCRYPTION_KEY: every key still used by a stored wallet
+ *   - WALLET_ENCRYPTION_KEY_ID: the key to rotate to
+ */
+
+require('dotenv').config();
+const { loadKeyring, encryptPrivateKey, decryptPrivateKey, LEGACY_KEY_ID } = require('../src/utils/wallet-encryption');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 100;
+
+/**
+ * Re-encrypt one user's private key under the current key
+ * @returns {string} 'rotated' or 'current'
+ */
+async function rotateUser(user, keyring) {
+	const keyId = user.encryptedPrivateKey.keyId || LEGACY_KEY_ID;
+	if (keyId === keyring.currentKeyId) {
+		return 'current';
+	}
+
+	const privateKey = decryptPrivateKey(user.encryptedPrivateKey, keyring);
+	const encryptedPrivateKey = encryptPrivateKey(privateKey, keyring);
+
+	// Never store a ciphertext that does not decrypt back to the same key
+	if (decryptPrivateKey(encryptedPrivateKey, keyring) !== privateKey) {
+		throw new Error('Re-encrypted key does not round-trip');
+	}
+
+	if (!DRY_RUN) {
+		await strapi.db.query('plugin::users-permissions.user').update({
+			where: { id: user.id },
+			data: { encryptedPrivateKey },
+		});
+	}
+
+	console.log(`   ✅ User ${user.id}: ${keyId} → ${keyring.currentKeyId}${DRY_RUN ? ' (dry run)' : ''}`);
+	return 'rotated';
+}
+
+/**
+ * Main rotation function
+ */
+async function rotate() {
+	console.log(`🔧 Starting wallet key rotation${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+	const keyring = loadKeyring();
+	if (!keyring.currentKeyId) {
+		console.error('❌ WALLET_ENCRYPTION_KEYS or WALLET_ENCRYPTION_KEY is not set');
+		console.log('\n   Generate a 32-byte key with:');
+		console.log('   node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+		process.exit(1);
+	}
+
+	console.log(`🔑 Current key: ${keyring.currentKeyId}`);
+	console.log(`🗝️  Known keys: ${[...keyring.keys.keys()].join(', ')}\n`);
+
+	const { createStrapi, compileStrapi } = require('@strapi/strapi');
+	const appContext = await compileStrapi();
+	const app = await createStrapi(appContext).load();
+	app.log.level = 'error';
+
+	const counts = { rotated: 0, current: 0, errors: 0 };
+	for (let offset = 0; ; offset += PAGE_SIZE) {
+		const users = await strapi.db.query('plugin::users-permissions.user').findMany({
+			select: ['id', 'encryptedPrivateKey'],
+			orderBy: { id: 'asc' },
+			offset,
+			limit: PAGE_SIZE,
+		});
+
+		for (const user of users.filter((user) => user.encryptedPrivateKey)) {
+			try {
+				counts[await rotateUser(user, keyring)]++;
+			} catch (error) {
+				console.log(`   ❌ User ${user.id}: ${error.message}`);
+				counts.errors++;
+			}
+		}
+
+		if (users.length < PAGE_SIZE) {
+			break;
+		}
+	}
+
+	await app.destroy();
+
+	console.log('\n📊 Rotation Summary:');
+	console.log(`   ✅ Rotated: ${counts.rotated}${DRY_RUN ? ' (dry run, nothing written)' : ''}`);
+	console.log(`   ⏭️  Already on ${keyring.currentKeyId}: ${counts.current}`);
+	console.log(`   ❌ Errors: ${counts.errors}`);
+	console.log(`   📋 Total: ${counts.rotated + counts.current + counts.errors}`);
+
+	if (counts.errors > 0) {
+		console.log('\n⚠️ Keep the old keys configured until every wallet is rotated');
+		process.exit(1);
+	}
+	if (!DRY_RUN) {
+		console.log(`\n✅ All wallets use ${keyring.currentKeyId} - keys other than ${keyring.currentKeyId} can be removed`);
+	}
+	process.exit(0);
+}
+
+// Run rotation
+rotate().catch(error => {
+	console.error('Rotation failed:', error);
+	process.exit(1);
+});
@@ -14,6 +14,8 @@
 
 const BACKEND_BASE_URL = process.env.BACKEND_BASE_URL || 'http://localhost:3000';
 const SYNC_ENABLED = process.env.BLOCKCHAIN_SYNC_ENABLED !== 'false';
+// Shared secret the backend expects on service-to-service calls (sync routes are admin-only)
+const BACKEND_SERVICE_TOKEN = process.env.BACKEND_SERVICE_TOKEN;
 
 // Debounce map to prevent duplicate sync requests
 // Key: documentId, Value: { timeout, action, hasBlockchainId }
@@ -59,6 +61,7 @@ async function syncPropertyToBlockchain(documentId, hasBlockchainId) {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
+				...(BACKEND_SERVICE_TOKEN ? { 'x-service-token': BACKEND_SERVICE_TOKEN } : {}),
 			},
 			body: JSON.stringify({
 				propertyId: documentId,
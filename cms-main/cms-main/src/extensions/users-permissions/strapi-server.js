@@ -1,10 +1,9 @@
-const { ethers } = require('ethers');
 const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { loadKeyring, encryptPrivateKey } = require('../../utils/wallet-encryption');
 
 // Wallet generation configuration
 const WALLET_MASTER_MNEMONIC = process.env.WALLET_MASTER_MNEMONIC;
-const WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY;
-const IV_LENGTH = 16;
 
 /**
  * Generate a deterministic wallet for a user based on their ID
@@ -28,31 +27,47 @@ function generateUserWallet(userId) {
 }
 
 /**
- * Encrypt a private key using AES-256-GCM
+ * Check that a personal_sign signature over `message` was made by `walletAddress`
+ * @returns {{ address: string } | { error: string }} the lowercased address, or why it was rejected
  */
-function encryptPrivateKey(privateKey) {
-	if (!WALLET_ENCRYPTION_KEY) {
-		throw new Error('WALLET_ENCRYPTION_KEY environment variable not set');
+function verifyWalletSignature(walletAddress, message, signature) {
+	if (!walletAddress || !message || !signature) {
+		return { error: 'Missing walletAddress, message or signature' };
 	}
 
-	const key = Buffer.from(WALLET_ENCRYPTION_KEY, 'hex');
-	if (key.length !== 32) {
-		throw new Error('WALLET_ENCRYPTION_KEY must be 32 bytes (64 hex characters)');
+	let recovered;
+	try {
+		recovered = ethers.verifyMessage(message, signature);
+	} catch (err) {
+		return { error: 'Invalid signature' };
+	}
+	if (recovered.toLowerCase() !== walletAddress.toLowerCase()) {
+		return { error: 'Signature does not match walletAddress' };
 	}
 
-	const iv = crypto.randomBytes(IV_LENGTH);
-	const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+	return { address: walletAddress.toLowerCase() };
+}
 
-	let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-	encrypted += cipher.final('hex');
+// Payout wallet fields only change through linkPayoutWallet (or with an API token)
+const PAYOUT_WALLET_FIELDS = ['externalWalletAddress', 'externalWalletLinkedAt'];
 
-	const authTag = cipher.getAuthTag();
+// Nonces for payout wallet link messages, one per user, usable once
+// Kept in memory - issuing and linking must hit the same CMS instance
+const PAYOUT_WALLET_NONCE_TTL_MS = 10 * 60 * 1000;
+const payoutWalletNonces = new Map();
 
-	return {
-		iv: iv.toString('hex'),
-		encryptedData: encrypted,
-		authTag: authTag.toString('hex'),
-	};
+/**
+ * The exact message a wallet signs to become a user's payout wallet
+ * Names the user, the purpose and a server nonce so a signature made for another site,
+ * for linkWallet or for another user cannot be replayed here.
+ */
+function payoutWalletMessage(userId, walletAddress, nonce) {
+	return [
+		'AtlasOra: use this wallet for host payouts',
+		`User ID: ${userId}`,
+		`Wallet: ${walletAddress.toLowerCase()}`,
+		`Nonce: ${nonce}`,
+	].join('\n');
 }
 
 module.exports = (plugin) => {
@@ -66,19 +81,11 @@ module.exports = (plugin) => {
 					return ctx.unauthorized('Authentication required');
 				}
 				const { walletAddress, message, signature } = ctx.request.body || {};
-				if (!walletAddress || !message || !signature) {
-					return ctx.badRequest('Missing walletAddress, message or signature');
-				}
 
 				// Verify signature
-				let recovered;
-				try {
-					recovered = ethers.verifyMessage(message, signature);
-				} catch (err) {
-					return ctx.badRequest('Invalid signature');
-				}
-				if (recovered.toLowerCase() !== walletAddress.toLowerCase()) {
-					return ctx.badRequest('Signature does not match walletAddress');
+				const verified = verifyWalletSignature(walletAddress, message, signature);
+				if (verified.error) {
+					return ctx.badRequest(verified.error);
 				}
 
 				// Ensure uniqueness
@@ -100,6 +107,99 @@ module.exports = (plugin) => {
 				ctx.throw(500, error);
 			}
 		},
+
+		// Issue the message to sign for linkPayoutWallet
+		async payoutWalletNonce(ctx) {
+			const authUser = ctx.state.user;
+			if (!authUser) {
+				return ctx.unauthorized('Authentication required');
+			}
+			const { walletAddress } = ctx.request.query || {};
+			if (!walletAddress || !ethers.isAddress(walletAddress)) {
+				return ctx.badRequest('Valid walletAddress is required');
+			}
+
+			const nonce = crypto.randomBytes(16).toString('hex');
+			const expiresAt = Date.now() + PAYOUT_WALLET_NONCE_TTL_MS;
+			payoutWalletNonces.set(authUser.id, { nonce, expiresAt });
+
+			ctx.body = {
+				nonce,
+				message: payoutWalletMessage(authUser.id, walletAddress, nonce),
+				expiresAt: new Date(expiresAt),
+			};
+		},
+
+		// Register an external wallet as payout destination (the backend applies a cooling-off period)
+		async linkPayoutWallet(ctx) {
+			try {
+				const authUser = ctx.state.user;
+				if (!authUser) {
+					return ctx.unauthorized('Authentication required');
+				}
+				const { walletAddress, message, signature } = ctx.request.body || {};
+
+				// The message must be the one issued by payoutWalletNonce, and is only accepted once
+				const issued = payoutWalletNonces.get(authUser.id);
+				if (!issued || issued.expiresAt < Date.now()) {
+					payoutWalletNonces.delete(authUser.id);
+					return ctx.badRequest('Request a new message from link-payout-wallet/nonce');
+				}
+				if (!walletAddress || message !== payoutWalletMessage(authUser.id, walletAddress, issued.nonce)) {
+					return ctx.badRequest('Message does not match the issued payout wallet message');
+				}
+				payoutWalletNonces.delete(authUser.id);
+
+				const verified = verifyWalletSignature(walletAddress, message, signature);
+				if (verified.error) {
+					return ctx.badRequest(verified.error);
+				}
+
+				const user = await strapi
+					.query('plugin::users-permissions.user')
+					.findOne({ where: { id: authUser.id } });
+				if (user.walletAddress && user.walletAddress.toLowerCase() === verified.address) {
+					return ctx.badRequest('This is your custodial wallet - payouts already arrive there');
+				}
+
+				// Re-linking the current address keeps its cooling-off start
+				if (user.externalWalletAddress === verified.address) {
+					ctx.body = {
+						success: true,
+						externalWalletAddress: user.externalWalletAddress,
+						externalWalletLinkedAt: user.externalWalletLinkedAt,
+					};
+					return;
+				}
+
+				const linkedAt = new Date();
+				await strapi.query('plugin::users-permissions.user').update({
+					where: { id: authUser.id },
+					data: { externalWalletAddress: verified.address, externalWalletLinkedAt: linkedAt },
+				});
+
+				console.log(`🔗 User ${authUser.id} linked payout wallet ${verified.address}${user.externalWalletAddress ? ` (was ${user.externalWalletAddress})` : ''}`);
+
+				ctx.body = {
+					success: true,
+					externalWalletAddress: verified.address,
+					externalWalletLinkedAt: linkedAt,
+				};
+			} catch (error) {
+				ctx.throw(500, error);
+			}
+		},
+	};
+
+	// Users cannot set a payout wallet through the regular profile update - it would skip the signature check
+	const originalUpdate = plugin.controllers.user.update;
+	plugin.controllers.user.update = async (ctx) => {
+		if (ctx.state.auth?.strategy?.name === 'users-permissions' && ctx.request.body) {
+			for (const field of PAYOUT_WALLET_FIELDS) {
+				delete ctx.request.body[field];
+			}
+		}
+		return originalUpdate(ctx);
 	};
 
 	plugin.routes['content-api'].routes.push({
@@ -111,6 +211,24 @@ module.exports = (plugin) => {
 		},
 	});
 
+	plugin.routes['content-api'].routes.push({
+		method: 'GET',
+		path: '/link-payout-wallet/nonce',
+		handler: 'user.payoutWalletNonce',
+		config: {
+			policies: [],
+		},
+	});
+
+	plugin.routes['content-api'].routes.push({
+		method: 'POST',
+		path: '/link-payout-wallet',
+		handler: 'user.linkPayoutWallet',
+		config: {
+			policies: [],
+		},
+	});
+
 	// Override the register controller to auto-generate wallets
 	const originalRegister = plugin.controllers.auth.register;
 
@@ -125,14 +243,15 @@ module.exports = (plugin) => {
 
 			try {
 				// Check if wallet env vars are configured
-				if (!WALLET_MASTER_MNEMONIC || !WALLET_ENCRYPTION_KEY) {
-					console.warn(`⚠️ Wallet generation skipped for user ${userId}: Missing WALLET_MASTER_MNEMONIC or WALLET_ENCRYPTION_KEY`);
+				const keyring = loadKeyring();
+				if (!WALLET_MASTER_MNEMONIC || !keyring.currentKeyId) {
+					console.warn(`⚠️ Wallet generation skipped for user ${userId}: Missing WALLET_MASTER_MNEMONIC or WALLET_ENCRYPTION_KEY(S)`);
 					return result;
 				}
 
-				// Generate wallet
+				// Generate wallet, encrypted under the current key (its keyId is stored with it)
 				const wallet = generateUserWallet(userId);
-				const encrypted = encryptPrivateKey(wallet.privateKey);
+				const encrypted = encryptPrivateKey(wallet.privateKey, keyring);
 
 				// Update user with wallet info
 				await strapi.query('plugin::users-permissions.user').update({
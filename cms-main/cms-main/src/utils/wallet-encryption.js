@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const IV_LENGTH = 16;
+
+// Key ID of WALLET_ENCRYPTION_KEY, and of encryptedPrivateKey objects stored without a keyId
+const LEGACY_KEY_ID = 'v1';
+
+/**
+ * Read the wallet encryption keyring from the environment
+ *
+ * - WALLET_ENCRYPTION_KEYS: comma-separated `keyId:hex` pairs, e.g. `v1:ab12...,v2:cd34...`
+ * - WALLET_ENCRYPTION_KEY: single key, kept working as key `v1`
+ * - WALLET_ENCRYPTION_KEY_ID: key used to encrypt; defaults to the last key in
+ *   WALLET_ENCRYPTION_KEYS, or `v1` with only WALLET_ENCRYPTION_KEY
+ *
+ * Every key must be 32 bytes (64 hex characters).
+ * @returns {{ currentKeyId: string|null, keys: Map<string, Buffer> }} Empty when no key is configured
+ */
+function loadKeyring(env = process.env) {
+	const keys = new Map();
+
+	const addKey = (keyId, hex, source) => {
+		const key = Buffer.from(hex, 'hex');
+		if (!/^[0-9a-fA-F]{64}$/.test(hex) || key.length !== 32) {
+			throw new Error(`${source} must be 32 bytes (64 hex characters)`);
+		}
+		if (keys.has(keyId) && !keys.get(keyId).equals(key)) {
+			throw new Error(`Wallet encryption key ${keyId} is configured twice with different values`);
+		}
+		keys.set(keyId, key);
+	};
+
+	let lastListedKeyId = null;
+	for (const entry of (env.WALLET_ENCRYPTION_KEYS || '').split(',').map((part) => part.trim()).filter(Boolean)) {
+		const separator = entry.indexOf(':');
+		const keyId = entry.slice(0, separator).trim();
+		if (separator <= 0 || !keyId) {
+			throw new Error('WALLET_ENCRYPTION_KEYS entries must be keyId:hex');
+		}
+		addKey(keyId, entry.slice(separator + 1).trim(), `WALLET_ENCRYPTION_KEYS key ${keyId}`);
+		lastListedKeyId = keyId;
+	}
+	if (env.WALLET_ENCRYPTION_KEY) {
+		addKey(LEGACY_KEY_ID, env.WALLET_ENCRYPTION_KEY, 'WALLET_ENCRYPTION_KEY');
+	}
+
+	const currentKeyId = env.WALLET_ENCRYPTION_KEY_ID || lastListedKeyId || (keys.size ? LEGACY_KEY_ID : null);
+	if (currentKeyId && !keys.has(currentKeyId)) {
+		throw new Error(`WALLET_ENCRYPTION_KEY_ID ${currentKeyId} is not one of the configured keys`);
+	}
+
+	return { currentKeyId, keys };
+}
+
+/**
+ * Encrypt a private key using AES-256-GCM under the keyring's current key
+ * @returns {Object} { keyId, iv, encryptedData, authTag }
+ */
+function encryptPrivateKey(privateKey, keyring) {
+	if (!keyring.currentKeyId) {
+		throw new Error('WALLET_ENCRYPTION_KEY or WALLET_ENCRYPTION_KEYS environment variable not set');
+	}
+
+	const iv = crypto.randomBytes(IV_LENGTH);
+	const cipher = crypto.createCipheriv('aes-256-gcm', keyring.keys.get(keyring.currentKeyId), iv);
+
+	let encrypted = cipher.update(privateKey, 'utf8', 'hex');
+	encrypted += cipher.final('hex');
+
+	const authTag = cipher.getAuthTag();
+
+	return {
+		keyId: keyring.currentKeyId,
+		iv: iv.toString('hex'),
+		encryptedData: encrypted,
+		authTag: authTag.toString('hex'),
+	};
+}
+
+/**
+ * Decrypt an encryptedPrivateKey object with the key named by its keyId (`v1` without one)
+ * @returns {string} The private key
+ */
+function decryptPrivateKey(encryptedObj, keyring) {
+	const keyId = encryptedObj.keyId || LEGACY_KEY_ID;
+	const key = keyring.keys.get(keyId);
+	if (!key) {
+		throw new Error(`Wallet encryption key ${keyId} not configured`);
+	}
+
+	const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encryptedObj.iv, 'hex'));
+	decipher.setAuthTag(Buffer.from(encryptedObj.authTag, 'hex'));
+
+	let decrypted = decipher.update(encryptedObj.encryptedData, 'hex', 'utf8');
+	decrypted += decipher.final('utf8');
+
+	return decrypted;
+}
+
+module.exports = {
+	LEGACY_KEY_ID,
+	loadKeyring,
+	encryptPrivateKey,
+	decryptPrivateKey,
+};
@@ -543,10 +543,31 @@ export interface ApiProeprtyBookingProeprtyBooking
       ['Upcoming', 'Active', 'Complete', 'Cancelled']
     > &
       Schema.Attribute.DefaultTo<'Upcoming'>;
+    chainId: Schema.Attribute.Integer;
+    chainStatus: Schema.Attribute.Enumeration<
+      [
+        'Active',
+        'CheckInReady',
+        'CheckedIn',
+        'Completed',
+        'Disputed',
+        'Cancelled',
+        'Refunded',
+        'EscalatedToAdmin',
+      ]
+    >;
+    checkInDeadline: Schema.Attribute.DateTime;
+    checkInMissed: Schema.Attribute.Boolean &
+      Schema.Attribute.DefaultTo<false>;
     CleaningFee: Schema.Attribute.Decimal;
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
+    disputeDeadline: Schema.Attribute.DateTime;
+    disputeReason: Schema.Attribute.Text;
+    disputeStatus: Schema.Attribute.Enumeration<
+      ['open', 'resolvedByHost', 'resolvedByGuest', 'resolved', 'escalated']
+    >;
     EndDate: Schema.Attribute.Date;
     Guests: Schema.Attribute.Integer;
     ipfsUri: Schema.Attribute.String;
@@ -562,16 +583,19 @@ export interface ApiProeprtyBookingProeprtyBooking
     >;
     paymentReference: Schema.Attribute.String;
     payoutAmount: Schema.Attribute.Decimal;
+    payoutBatchId: Schema.Attribute.String;
     payoutDate: Schema.Attribute.DateTime;
     payoutDestination: Schema.Attribute.String;
     payoutStatus: Schema.Attribute.Enumeration<
-      ['pending', 'processing', 'completed', 'failed', 'skipped']
+      ['pending', 'processing', 'completed', 'failed', 'skipped', 'scheduled']
     > &
       Schema.Attribute.DefaultTo<'pending'>;
     payoutTxHash: Schema.Attribute.String;
     PriceperNight: Schema.Attribute.Decimal;
     property: Schema.Attribute.Relation<'oneToOne', 'api::property.property'>;
     publishedAt: Schema.Attribute.DateTime;
+    refundAmount: Schema.Attribute.Decimal;
+    refundedAt: Schema.Attribute.DateTime;
     Rooms: Schema.Attribute.Integer;
     StartDate: Schema.Attribute.Date;
     TotalPaid: Schema.Attribute.Decimal;
@@ -1430,10 +1454,13 @@ export interface PluginUsersPermissionsUser
         minLength: 6;
       }>;
     encryptedPrivateKey: Schema.Attribute.JSON & Schema.Attribute.Private;
+    externalWalletAddress: Schema.Attribute.String;
+    externalWalletLinkedAt: Schema.Attribute.DateTime;
     Facebook: Schema.Attribute.String;
     FirstName: Schema.Attribute.String;
     Gender: Schema.Attribute.Enumeration<['Male', 'Female', 'Other']>;
     Instagram: Schema.Attribute.String;
+    lastPayoutAt: Schema.Attribute.DateTime;
     locale: Schema.Attribute.String & Schema.Attribute.Private;
     localizations: Schema.Attribute.Relation<
       'oneToMany',
@@ -1450,6 +1477,11 @@ export interface PluginUsersPermissionsUser
       ['cdp_wallet', 'external_wallet', 'custodial']
     > &
       Schema.Attribute.DefaultTo<'custodial'>;
+    payoutSchedule: Schema.Attribute.Enumeration<
+      ['instant', 'daily', 'weekly', 'threshold']
+    > &
+      Schema.Attribute.DefaultTo<'instant'>;
+    payoutThreshold: Schema.Attribute.Decimal;
     PhoneNumber: Schema.Attribute.String;
     picture: Schema.Attribute.Media<'images' | 'files' | 'videos' | 'audios'>;
     PreferredLanguage: Schema.Attribute.Enumeration<['English', 'French']>;
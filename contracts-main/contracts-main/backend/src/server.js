@@ -9,57 +9,67 @@ const CustodialSigner = require('./services/custodial-signer');
 const PropertySyncService = require('./services/property-sync-service');
 const CDPWalletService = require('./services/cdp-wallet-service');
 const PayoutService = require('./services/payout-service');
+const PayoutBatchService = require('./services/payout-batch-service');
+const HostStatementService = require('./services/host-statement-service');
+const AuthService = require('./services/auth-service');
+const RefundService = require('./services/refund-service');
+const AvailabilityService = require('./services/availability-service');
+const QuoteService = require('./services/quote-service');
+const NotificationService = require('./services/notification-service');
+const StatusStreamService = require('./services/status-stream-service');
+const KeeperService = require('./services/keeper-service');
+const GasStationService = require('./services/gas-station-service');
+const DeploymentRegistry = require('./services/deployment-registry');
+const RelayerTxManager = require('./services/relayer-tx-manager');
+const SponsorshipService = require('./services/sponsorship-service');
 require('dotenv').config();
 const axios = require('axios');
 
-// Load deployment info
-const fs = require('fs');
+// Load deployment info (every config/deployment-*.json; CHAINS / DEFAULT_CHAIN_ID pick the chains served)
 const path = require('path');
 
-// Try to load Base Sepolia deployment first, fall back to Viction if not found
-let deploymentInfo;
-const baseSepoliaPath = path.join(__dirname, '/config/deployment-base-sepolia.json');
-const victionPath = path.join(__dirname, '/config/deployment-all-viction-testnet.json');
-
-if (fs.existsSync(baseSepoliaPath)) {
-    deploymentInfo = JSON.parse(fs.readFileSync(baseSepoliaPath, 'utf8'));
-    console.log('📦 Loaded Base Sepolia deployment configuration');
-} else if (fs.existsSync(victionPath)) {
-    deploymentInfo = JSON.parse(fs.readFileSync(victionPath, 'utf8'));
-    console.log('📦 Loaded Viction Testnet deployment configuration (legacy)');
-} else {
+const deploymentRegistry = new DeploymentRegistry();
+if (!deploymentRegistry.load()) {
     console.error('❌ No deployment configuration found!');
     console.log('   Run deployment script first: npx hardhat run scripts/deployment/deploy-base-sepolia.js --network baseSepolia');
     process.exit(1);
 }
+for (const deployment of deploymentRegistry.list()) {
+    console.log(`📦 Loaded ${deployment.network} deployment (Chain ID: ${deployment.chainId})${deployment.isDefault ? ' - default chain' : ''}`);
+}
 
 class BlockchainService {
-    constructor() {
-        // Initialize provider - prefer Base Sepolia, fall back to Viction
-        const rpcUrl = process.env.BASE_SEPOLIA_RPC || process.env.VICTION_TESTNET_RPC || 'https://sepolia.base.org';
-        this.provider = new ethers.JsonRpcProvider(rpcUrl);
-        console.log(`🔗 Connected to RPC: ${rpcUrl}`);
+    constructor(deployment) {
+        this.deployment = deployment;
+        this.provider = new ethers.JsonRpcProvider(deployment.rpcUrl);
+        console.log(`🔗 Connected to RPC: ${deployment.rpcUrl} (Chain ID: ${deployment.chainId})`);
         
-        // Initialize relayer (your backend account)
-		const pk = process.env.RELAYER_PRIVATE_KEY || '';
-		if (!/^0x[0-9a-fA-F]{64}$/.test(pk)) {
-			console.warn('⚠️  RELAYER_PRIVATE_KEY missing or invalid format. Meta-tx execution will be disabled until a valid key is provided.');
+        // Initialize relayer (your backend accounts - nonces, fee bumps and balances handled by the manager)
+		const relayerTxManager = new RelayerTxManager();
+		relayerTxManager.initialize({ provider: this.provider, chainId: deployment.chainId });
+		if (!relayerTxManager.isReady()) {
+			console.warn('⚠️  RELAYER_PRIVATE_KEYS / RELAYER_PRIVATE_KEY missing or invalid format. Meta-tx execution will be disabled until a valid key is provided.');
 			this.relayer = null; // no signer
 		} else {
-			this.relayer = new ethers.Wallet(pk, this.provider);
+			this.relayer = relayerTxManager;
 		}
+
+		// Which user-signed meta-transactions the relayer pays for, and how many
+		this.sponsorship = new SponsorshipService();
         
         // Initialize contracts
         this.initializeContracts();
     }
     
     async initializeContracts() {
+        const deploymentInfo = this.deployment;
+
         // Load contract ABIs
 		const PropertyMarketplaceABI = require('./artifacts/contracts/PropertyMarketplace.sol/PropertyMarketplace.json').abi;
 		const BookingManagerABI = require('./artifacts/contracts/BookingManager.sol/BookingManager.json').abi;
 		const MetaTransactionForwarderABI = require('./artifacts/contracts/MetaTransactionForwarder.sol/MetaTransactionForwarder.json').abi;
 
-		// Standard ERC-20 ABI for EURC
+		// Standard ERC-20 ABI for EURC, plus EIP-2612 permit (used in batched booking meta-transactions)
 		const ERC20_ABI = [
 			'function approve(address spender, uint256 amount) returns (bool)',
 			'function allowance(address owner, address spender) view returns (uint256)',
@@ -67,6 +77,11 @@ class BlockchainService {
 			'function decimals() view returns (uint8)',
 			'function symbol() view returns (string)',
 			'function transfer(address to, uint256 amount) returns (bool)',
+			'function name() view returns (string)',
+			'function version() view returns (string)',
+			'function nonces(address owner) view returns (uint256)',
+			'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+			'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
 		];
 
 		const runner = this.relayer ?? this.provider; // read-only when no signer
@@ -90,19 +105,27 @@ class BlockchainService {
 			runner
         );
 
-        // Initialize EURC token contract if address is available
-        const eurcAddress = deploymentInfo.contracts?.EURCToken || process.env.EURC_TOKEN_ADDRESS;
+        // Initialize EURC token contract if address is available (EURC_TOKEN_ADDRESS applies to the default chain)
+        const eurcAddress = deploymentInfo.contracts?.EURCToken || (deploymentInfo.isDefault ? process.env.EURC_TOKEN_ADDRESS : null);
         if (eurcAddress) {
             this.eurcToken = new ethers.Contract(eurcAddress, ERC20_ABI, runner);
             console.log('💶 EURC Token:', eurcAddress);
         }
 
+        this.sponsorship.initialize({
+            chainId: deploymentInfo.chainId,
+            contracts: [
+                { contract: this.propertyMarketplace, functions: ['listProperty'] },
+                { contract: this.bookingManager, functions: ['createBooking'] },
+            ],
+        });
+
         console.log('✅ Blockchain service initialized');
         console.log('📊 Contract Addresses:', deploymentInfo.contracts);
     }
 	
 	getChainId() {
-		return deploymentInfo.chainId || Number(process.env.CHAIN_ID) || 89;
+		return this.deployment.chainId;
 	}
 	
 	// Build typed data (domain/types/message) from a base meta-tx
@@ -111,7 +134,7 @@ class BlockchainService {
 			name: 'PropertyRental',
 			version: '1',
 			chainId: this.getChainId(),
-			verifyingContract: deploymentInfo.contracts.MetaTransactionForwarder
+			verifyingContract: this.deployment.contracts.MetaTransactionForwarder
 		};
 		const types = {
 			MetaTransaction: [
@@ -133,9 +156,20 @@ class BlockchainService {
 		};
 		return { domain, types, message };
 	}
+
+	// Whether the meta-tx is signed by metaTx.from (checked before it counts against sponsorship limits)
+	isSignedBy(metaTx) {
+		try {
+			const { domain, types, message } = this.buildTypedData(metaTx);
+			const signer = ethers.verifyTypedData(domain, types, message, metaTx.signature);
+			return signer.toLowerCase() === String(metaTx.from).toLowerCase();
+		} catch (error) {
+			return false;
+		}
+	}
     
-    // Property listing with meta-transaction
-	async listProperty(userAddress, userSignature, propertyData, deadlineOverride) {
+    // Property listing with meta-transaction (userId: authenticated caller, for per-user sponsorship limits)
+	async listProperty(userAddress, userSignature, propertyData, deadlineOverride, { userId = null } = {}) {
         try {
 			if (!this.relayer) {
 				return { success: false, error: 'Relayer not configured' };
@@ -165,6 +199,17 @@ class BlockchainService {
 			
 			// Attach user signature (provided by frontend)
 			const metaTx = { ...metaTxBase, signature: userSignature };
+
+			// Unsigned requests must not use up the signer's sponsorship quota
+			if (!this.isSignedBy(metaTx)) {
+				return { success: false, error: 'Invalid meta-transaction signature' };
+			}
+
+			// Sponsorship policy (allowed call, rate limit, gas budget) before anything is sent
+			const sponsorship = this.sponsorship.authorize(metaTx, { userId });
+			if (!sponsorship.success) {
+				return sponsorship;
+			}
             
             // Execute meta-transaction
             const result = await eip712Utils.executeMetaTransaction(
@@ -172,6 +217,7 @@ class BlockchainService {
 				this.forwarder,
                 this.relayer
             );
+			this.sponsorship.recordGas(metaTx, { userId }, result.gasUsed);
             
             return {
                 success: true,
@@ -185,8 +231,8 @@ class BlockchainService {
         }
     }
     
-    // Property booking with meta-transaction
-	async bookProperty(userAddress, userSignature, bookingData, deadlineOverride) {
+    // Property booking with meta-transaction (userId: authenticated caller, for per-user sponsorship limits)
+	async bookProperty(userAddress, userSignature, bookingData, deadlineOverride, { userId = null } = {}) {
         try {
 			if (!this.relayer) {
 				return { success: false, error: 'Relayer not configured' };
@@ -206,6 +252,17 @@ class BlockchainService {
 			
 			// Attach user signature (provided by frontend)
 			const metaTx = { ...metaTxBase, signature: userSignature };
+
+			// Unsigned requests must not use up the signer's sponsorship quota
+			if (!this.isSignedBy(metaTx)) {
+				return { success: false, error: 'Invalid meta-transaction signature' };
+			}
+
+			// Sponsorship policy (allowed call, rate limit, gas budget) before simulating
+			const sponsorship = this.sponsorship.authorize(metaTx, { userId });
+			if (!sponsorship.success) {
+				return sponsorship;
+			}
 			
 			// Pre-flight simulate to surface revert reasons
 			const sim = await eip712Utils.simulateMetaTransaction(metaTx, this.forwarder, this.provider);
@@ -219,6 +276,7 @@ class BlockchainService {
 				this.forwarder,
                 this.relayer
             );
+			this.sponsorship.recordGas(metaTx, { userId }, result.gasUsed);
             
             return {
                 success: true,
@@ -255,16 +313,40 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-
-// Initialize blockchain service
-const blockchainService = new BlockchainService();
-
-// Initialize event listener
-const eventListener = new EventListener();
+app.use(express.json({
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
+
+// Initialize per-chain services: blockchain connection, event listener, booking service (fiat and EURC
+// bookings), refund service (fiat refunds), keeper and gas station (custodial wallet gas), one set for
+// every enabled chain
+const chains = new Map(); // chainId -> { deployment, blockchain, eventListener, bookingService, refundService, keeper, gasStation }
+for (const deployment of deploymentRegistry.list()) {
+    // The default chain keeps the original state files; other chains get their own
+    const stateFiles = deployment.isDefault ? {} : {
+        stateFilePath: path.join(process.cwd(), `event-listener-${deployment.chainId}.state`),
+        ledgerConfig: { filePath: path.join(process.cwd(), `event-ledger-${deployment.chainId}.state`) },
+    };
+    chains.set(deployment.chainId, {
+        deployment,
+        blockchain: new BlockchainService(deployment),
+        eventListener: new EventListener({ deployment, ...stateFiles }),
+        bookingService: new BookingService(),
+        refundService: new RefundService(),
+        keeper: new KeeperService(),
+        gasStation: new GasStationService(deployment.isDefault ? {} : {
+            auditLogPath: path.join(process.cwd(), `gas-station-${deployment.chainId}.log`),
+        }),
+    });
+}
 
-// Initialize booking service (for fiat bookings)
-const bookingService = new BookingService();
+// Default chain - used when a request does not name a chainId, and by the services below
+const defaultChain = chains.get(deploymentRegistry.defaultChainId);
+const blockchainService = defaultChain.blockchain;
+const bookingService = defaultChain.bookingService;
 
 // Initialize crypto payment service (EURC only)
 const cryptoPaymentService = new CryptoPaymentService({
@@ -289,16 +371,120 @@ const cdpWalletService = new CDPWalletService({
 // Initialize payout service (for custodial -> CDP transfers)
 const payoutService = new PayoutService();
 
+// Initialize payout batches (daily / weekly / threshold payout schedules)
+const payoutBatchService = new PayoutBatchService();
+
+// Initialize availability service (calendar from on-chain + CMS bookings)
+const availabilityService = new AvailabilityService();
+
+// Initialize quote service (server-side prices for every payment path)
+const quoteService = new QuoteService();
+
+// Initialize host statement service (earnings statements as CSV / PDF)
+const hostStatementService = new HostStatementService();
+
+// Initialize notification service (host/guest booking notifications from chain events)
+const notificationService = new NotificationService();
+
+// Initialize status stream (live payment and booking updates over server-sent events)
+const statusStreamService = new StatusStreamService();
+
+// Booking metadata priced from the quote (client metadata may only add descriptive fields)
+const quoteMetadata = (quote, metadata = {}) => ({
+    ...metadata,
+    quoteId: quote.id,
+    cmsPropertyId: quote.cmsPropertyId,
+    propertyTitle: quote.propertyTitle,
+    guests: quote.guests,
+    rooms: quote.rooms,
+    nights: quote.nights,
+    currency: quote.currency,
+    pricePerNight: quote.amounts.pricePerNight / 100,
+    subtotal: quote.amounts.subtotal / 100,
+    atlasFee: quote.amounts.atlasFee / 100,
+    cleaningFee: quote.amounts.cleaningFee / 100,
+    platformFee: quote.amounts.platformFee / 100,
+});
+
+// Initialize auth service (Strapi JWT / SIWE / service token)
+// SIWE messages may name any chain this backend serves unless SIWE_CHAIN_IDS narrows it
+const authService = new AuthService({
+    siweChainIds: process.env.SIWE_CHAIN_IDS ? undefined : deploymentRegistry.list().map(({ chainId }) => chainId),
+});
+const bodyUserId = (req) => req.body?.userId;
+const paramUserId = (req) => req.params.userId;
+
+// Chain a request targets (chainId in the body or query, default chain when omitted).
+// Responds 400 and returns null for a chain that is unknown or not enabled.
+const resolveChain = (req, res, fallbackChainId) => {
+    const { deployment, error } = deploymentRegistry.resolve(req.body?.chainId ?? req.query.chainId ?? fallbackChainId);
+    if (!deployment) {
+        res.status(400).json({ error, supportedChainIds: Array.from(chains.keys()) });
+        return null;
+    }
+    return chains.get(deployment.chainId);
+};
+
+// A quote is priced with one chain's platform fee, so it only books on that chain
+const quoteChainError = (quote, chain) => (
+    quote.chainId === chain.deployment.chainId
+        ? null
+        : `Quote is for chain ${quote.chainId}, not chain ${chain.deployment.chainId} - request a quote for this chain`
+);
+
+// Health of one chain: RPC reachable, how far its event listener is behind and relayer balances
+const getChainHealth = async ({ deployment, blockchain, eventListener }) => {
+    const health = {
+        chainId: deployment.chainId,
+        network: deployment.network,
+        default: deployment.isDefault,
+        contracts: deployment.contracts,
+        listener: {
+            isRunning: eventListener.isRunning,
+            lastProcessedBlock: eventListener.lastProcessedBlock,
+        },
+    };
+    try {
+        health.lastBlock = await blockchain.provider.getBlockNumber();
+        health.listener.blocksBehind = eventListener.isRunning ? Math.max(0, health.lastBlock - eventListener.lastProcessedBlock) : null;
+        health.warnings = blockchain.relayer ? await blockchain.relayer.checkBalances() : ['Relayer not configured'];
+        health.status = 'healthy';
+    } catch (error) {
+        health.status = 'unhealthy';
+        health.error = error.message;
+    }
+    health.relayer = blockchain.relayer ? blockchain.relayer.getStatus() : null;
+    return health;
+};
+
+// 429 (with usage and Retry-After) for a rate-limited meta-transaction, 403 for a call that is not sponsored
+const sendSponsorshipRejection = (res, result) => {
+    console.log('⛔ Meta-transaction not sponsored:', result.error);
+    if (result.rateLimited) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({ error: result.error, retryAfterSeconds: result.retryAfterSeconds, usage: result.usage });
+    }
+    return res.status(403).json({ error: result.error });
+};
+
 // Routes
 app.get('/health', async (req, res) => {
     try {
-        const currentBlock = await blockchainService.provider.getBlockNumber();
-        res.json({
-            status: 'healthy',
-            network: deploymentInfo.network || 'unknown',
-            chainId: deploymentInfo.chainId,
-            contracts: deploymentInfo.contracts,
-            lastBlock: currentBlock,
+        const chainHealth = await Promise.all(Array.from(chains.values(), getChainHealth));
+        const defaultHealth = chainHealth.find((chain) => chain.default);
+        const warnings = chainHealth.flatMap((chain) => (chain.warnings || []).map((warning) => `Chain ${chain.chainId}: ${warning}`));
+        const allHealthy = chainHealth.every((chain) => chain.status === 'healthy') && !warnings.length;
+
+        // Top-level fields describe the default chain; a failing non-default chain or a low relayer balance degrades the status
+        res.status(defaultHealth.status === 'healthy' ? 200 : 500).json({
+            status: defaultHealth.status === 'healthy' ? (allHealthy ? 'healthy' : 'degraded') : 'unhealthy',
+            network: defaultHealth.network,
+            chainId: defaultHealth.chainId,
+            contracts: defaultHealth.contracts,
+            lastBlock: defaultHealth.lastBlock,
+            error: defaultHealth.error,
+            warnings,
+            chains: chainHealth,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -310,11 +496,30 @@ app.get('/health', async (req, res) => {
     }
 });
 
+// List the chains this backend serves (chainId values accepted by the other routes)
+app.get('/api/chains', (req, res) => {
+    res.json({
+        defaultChainId: deploymentRegistry.defaultChainId,
+        chains: deploymentRegistry.list().map(({ chainId, network, contracts, isDefault }) => ({ chainId, network, contracts, default: isDefault })),
+    });
+});
+
+// Nonce, domain and chain IDs for a SIWE message (see Authentication in the README)
+app.get('/api/auth/siwe/nonce', (req, res) => {
+    const result = authService.issueSiweNonce();
+    if (result.error) {
+        return res.status(503).json({ error: result.error });
+    }
+    res.json(result);
+});
+
 // Get user's nonce
 app.get('/api/nonce/:address', async (req, res) => {
     try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
         const { address } = req.params;
-        const nonce = await blockchainService.getUserNonce(address);
+        const nonce = await chain.blockchain.getUserNonce(address);
         res.json({ nonce: nonce.toString() });
     } catch (error) {
         console.error('Error getting nonce:', error);
@@ -325,12 +530,14 @@ app.get('/api/nonce/:address', async (req, res) => {
 // Build typed-data for property listing (frontend signature)
 app.post('/api/properties/list/typed-data', async (req, res) => {
 	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
 		const { userAddress, propertyData, deadlineSeconds } = req.body;
 		if (!userAddress || !propertyData) {
 			return res.status(400).json({ error: 'Missing required fields' });
 		}
 		const deadline = Math.floor(Date.now() / 1000) + (Number(deadlineSeconds) || 3600);
-		const chainId = blockchainService.getChainId();
+		const chainId = chain.blockchain.getChainId();
 		const normalizedData = {
 			uri: propertyData.uri,
 			pricePerNight: typeof propertyData.pricePerNight === 'bigint'
@@ -342,12 +549,12 @@ app.post('/api/properties/list/typed-data', async (req, res) => {
 		const metaTxBase = await eip712Utils.buildListPropertyMetaTx(
 			userAddress,
 			normalizedData,
-			blockchainService.propertyMarketplace,
-			blockchainService.forwarder,
+			chain.blockchain.propertyMarketplace,
+			chain.blockchain.forwarder,
 			chainId,
 			deadline
 		);
-		const typed = blockchainService.buildTypedData(metaTxBase);
+		const typed = chain.blockchain.buildTypedData(metaTxBase);
 		// Serialize BigInt fields for JSON
 		const metaTxJson = {
 			from: metaTxBase.from,
@@ -370,7 +577,7 @@ app.post('/api/properties/list/typed-data', async (req, res) => {
 			}
 		};
 		res.json({
-			forwarder: deploymentInfo.contracts.MetaTransactionForwarder,
+			forwarder: chain.deployment.contracts.MetaTransactionForwarder,
 			chainId,
 			metaTx: metaTxJson,
 			typedData: typedJson
@@ -384,21 +591,23 @@ app.post('/api/properties/list/typed-data', async (req, res) => {
 // Build typed-data for booking (frontend signature)
 app.post('/api/bookings/create/typed-data', async (req, res) => {
 	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
 		const { userAddress, bookingData, deadlineSeconds } = req.body;
 		if (!userAddress || !bookingData) {
 			return res.status(400).json({ error: 'Missing required fields' });
 		}
 		const deadline = Math.floor(Date.now() / 1000) + (Number(deadlineSeconds) || 3600);
-		const chainId = blockchainService.getChainId();
+		const chainId = chain.blockchain.getChainId();
 		const metaTxBase = await eip712Utils.buildBookingMetaTx(
 			userAddress,
 			bookingData,
-			blockchainService.bookingManager,
-			blockchainService.forwarder,
+			chain.blockchain.bookingManager,
+			chain.blockchain.forwarder,
 			chainId,
 			deadline
 		);
-		const typed = blockchainService.buildTypedData(metaTxBase);
+		const typed = chain.blockchain.buildTypedData(metaTxBase);
 		const metaTxJson = {
 			from: metaTxBase.from,
 			to: metaTxBase.to,
@@ -420,7 +629,7 @@ app.post('/api/bookings/create/typed-data', async (req, res) => {
 			}
 		};
 		res.json({
-			forwarder: deploymentInfo.contracts.MetaTransactionForwarder,
+			forwarder: chain.deployment.contracts.MetaTransactionForwarder,
 			chainId,
 			metaTx: metaTxJson,
 			typedData: typedJson
@@ -431,16 +640,18 @@ app.post('/api/bookings/create/typed-data', async (req, res) => {
 	}
 });
 
-// List a property (gasless transaction)
-app.post('/api/properties/list', async (req, res) => {
+// List a property (gasless transaction; credentials optional, they add per-user sponsorship limits)
+app.post('/api/properties/list', authService.authenticate, async (req, res) => {
     try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
 		const { userAddress, signature, propertyData, meta } = req.body;
         
         // Validate input
         if (!userAddress || !signature || !propertyData) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
-		if (!blockchainService.relayer) {
+		if (!chain.blockchain.relayer) {
 			return res.status(503).json({ error: 'Relayer not configured' });
 		}
         
@@ -451,7 +662,7 @@ app.post('/api/properties/list', async (req, res) => {
         });
         
         // Execute blockchain transaction
-		const result = await blockchainService.listProperty(userAddress, signature, propertyData, meta?.deadline);
+		const result = await chain.blockchain.listProperty(userAddress, signature, propertyData, meta?.deadline, { userId: req.auth?.userId ?? null });
         
         if (result.success) {
             console.log('✅ Property listed successfully:', result);
@@ -460,6 +671,8 @@ app.post('/api/properties/list', async (req, res) => {
                 propertyId: result.propertyId,
                 transactionHash: result.transactionHash
             });
+        } else if (result.rateLimited || result.notAllowed) {
+            sendSponsorshipRejection(res, result);
         } else {
             console.log('❌ Property listing failed:', result.error);
             res.status(400).json({ error: result.error });
@@ -471,16 +684,18 @@ app.post('/api/properties/list', async (req, res) => {
     }
 });
 
-// Book a property (gasless transaction)
-app.post('/api/bookings/create', async (req, res) => {
+// Book a property (gasless transaction; credentials optional, they add per-user sponsorship limits)
+app.post('/api/bookings/create', authService.authenticate, async (req, res) => {
     try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
 		const { userAddress, signature, bookingData, meta } = req.body;
         
         // Validate input
         if (!userAddress || !signature || !bookingData) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
-		if (!blockchainService.relayer) {
+		if (!chain.blockchain.relayer) {
 			return res.status(503).json({ error: 'Relayer not configured' });
 		}
         
@@ -491,7 +706,7 @@ app.post('/api/bookings/create', async (req, res) => {
         });
         
         // Execute blockchain transaction
-		const result = await blockchainService.bookProperty(userAddress, signature, bookingData, meta?.deadline);
+		const result = await chain.blockchain.bookProperty(userAddress, signature, bookingData, meta?.deadline, { userId: req.auth?.userId ?? null });
         
         if (result.success) {
             console.log('✅ Property booked successfully:', result);
@@ -500,6 +715,8 @@ app.post('/api/bookings/create', async (req, res) => {
                 bookingId: result.bookingId,
                 transactionHash: result.transactionHash
             });
+        } else if (result.rateLimited || result.notAllowed) {
+            sendSponsorshipRejection(res, result);
         } else {
             console.log('❌ Property booking failed:', result.error);
             res.status(400).json({ error: result.error });
@@ -511,21 +728,55 @@ app.post('/api/bookings/create', async (req, res) => {
     }
 });
 
+// Sponsored meta-transaction usage of an address (and of the caller, when authenticated)
+app.get('/api/meta-tx/usage/:address', authService.authenticate, (req, res) => {
+    try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        res.json({
+            chainId: chain.deployment.chainId,
+            usage: chain.blockchain.sponsorship.getUsage({ address, userId: req.auth?.userId ?? null }),
+        });
+    } catch (error) {
+        console.error('Error getting meta-tx usage:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Sponsorship policy: limits, sponsored calls and counters (admin)
+app.get('/api/meta-tx/sponsorship', authService.requireAdmin, (req, res) => {
+    try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        res.json(chain.blockchain.sponsorship.getStatus());
+    } catch (error) {
+        console.error('Error getting sponsorship status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get all properties (from blockchain)
 app.get('/api/properties', async (req, res) => {
     try {
-        const propertyIds = await blockchainService.propertyMarketplace.getAllPropertyIds();
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        const propertyIds = await chain.blockchain.propertyMarketplace.getAllPropertyIds();
         const properties = [];
         
         for (const propertyId of propertyIds) {
-            const propertyData = await blockchainService.propertyMarketplace.properties(propertyId);
+            const propertyData = await chain.blockchain.propertyMarketplace.properties(propertyId);
             const [id, tokenAddress, owner, pricePerNight, isActive, propertyURI] = propertyData;
  
 			// Resolve original owner from event listener cache if available
 			let ownerResolved = owner;
 			try {
-				if (eventListener && eventListener.originalOwners && eventListener.originalOwners.has(id)) {
-					ownerResolved = eventListener.originalOwners.get(id);
+				if (chain.eventListener.originalOwners.has(id)) {
+					ownerResolved = chain.eventListener.originalOwners.get(id);
 				}
 			} catch (_) {}
  
@@ -565,15 +816,78 @@ app.get('/api/properties', async (req, res) => {
     }
 });
 
+// Listing search with date-range availability (public)
+// Takes the same filters/populate params as Strapi /api/properties plus checkIn/checkOut
+app.get('/api/properties/search', async (req, res) => {
+    try {
+        const { checkIn, checkOut } = req.query;
+
+        if (!checkIn || !checkOut) {
+            return res.status(400).json({ error: 'Missing required fields: checkIn, checkOut' });
+        }
+
+        if (!availabilityService.isReady()) {
+            return res.status(503).json({
+                error: 'Availability service not ready',
+                status: availabilityService.getStatus()
+            });
+        }
+
+        // Only the listing filters are used; the CMS query itself is built by the service
+        const { address, room, guest, price, property, amenities, page, pageSize } = req.query;
+        const result = await availabilityService.searchProperties(
+            { address, room, guest, price, property, amenities },
+            { checkIn, checkOut, page, pageSize }
+        );
+        if (result.success) {
+            res.json({ data: result.data, meta: result.meta });
+        } else {
+            res.status(400).json({ error: result.error });
+        }
+
+    } catch (error) {
+        console.error('Property search error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get blocked night ranges for a property (public - no guest details)
+app.get('/api/properties/:id/availability', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from, to } = req.query;
+
+        if (!availabilityService.isReady()) {
+            return res.status(503).json({
+                error: 'Availability service not ready',
+                status: availabilityService.getStatus()
+            });
+        }
+
+        const result = await availabilityService.getAvailability(id, { from, to });
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json({ error: result.error });
+        }
+
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get user's bookings
 app.get('/api/bookings/user/:address', async (req, res) => {
     try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
         const { address } = req.params;
-        const bookingIds = await blockchainService.bookingManager.getGuestBookings(address);
+        const bookingIds = await chain.blockchain.bookingManager.getGuestBookings(address);
         const bookings = [];
 
         for (const bookingId of bookingIds) {
-            const bookingData = await blockchainService.bookingManager.bookings(bookingId);
+            const bookingData = await chain.blockchain.bookingManager.bookings(bookingId);
             bookings.push({
                 bookingId: bookingData.bookingId.toString(),
                 propertyId: bookingData.propertyId,
@@ -581,7 +895,8 @@ app.get('/api/bookings/user/:address', async (req, res) => {
                 checkInDate: bookingData.checkInDate.toString(),
                 checkOutDate: bookingData.checkOutDate.toString(),
                 totalAmount: bookingData.totalAmount.toString(),
-                status: bookingData.status.toString()
+                status: bookingData.status.toString(),
+                chainId: chain.deployment.chainId
             });
         }
 
@@ -594,42 +909,76 @@ app.get('/api/bookings/user/:address', async (req, res) => {
 });
 
 // Create fiat booking (called by payment server after successful payment)
-app.post('/api/bookings/create-fiat', async (req, res) => {
+app.post('/api/bookings/create-fiat', authService.requireService, async (req, res) => {
     try {
-        const { userId, propertyId, checkInDate, checkOutDate, totalAmount, paymentReference, metadata } = req.body;
+        const { userId, quoteId, paidAmount, paidCurrency, paymentReference, metadata } = req.body;
 
         // Validate required fields
-        if (!userId || !propertyId || !checkInDate || !checkOutDate || !totalAmount || !paymentReference) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        if (!userId || !quoteId || !paymentReference || paidAmount === undefined || paidAmount === null || !paidCurrency) {
+            return res.status(400).json({ error: 'Missing required fields: userId, quoteId, paidAmount, paidCurrency, paymentReference' });
+        }
+
+        // The quote was checked when the checkout was created; the payment may complete shortly after it expires
+        const verification = quoteService.verifyQuote(quoteId, { userId, allowExpired: true });
+        if (!verification.valid) {
+            return res.status(400).json({ error: verification.error });
+        }
+        const { quote } = verification;
+        // Book on the quote's chain unless the request names one
+        const chain = resolveChain(req, res, quote.chainId);
+        if (!chain) return;
+        const chainError = quoteChainError(quote, chain);
+        if (chainError) {
+            return res.status(400).json({ error: chainError });
+        }
+        if (String(paidCurrency).toUpperCase() !== String(quote.currency).toUpperCase()) {
+            return res.status(400).json({ error: `Paid currency ${paidCurrency} does not match quote currency ${quote.currency}` });
+        }
+        if (!(Number(paidAmount) >= quote.amounts.total)) {
+            return res.status(400).json({ error: `Paid amount ${paidAmount} is less than quoted total ${quote.amounts.total}` });
         }
 
         // Check if booking service is ready
-        if (!bookingService.isReady()) {
+        if (!chain.bookingService.isReady()) {
             return res.status(503).json({
                 error: 'Booking service not ready',
-                status: bookingService.getStatus()
+                status: chain.bookingService.getStatus()
             });
         }
 
         console.log('💳 Fiat booking request:', {
             userId,
-            propertyId,
-            checkInDate,
-            checkOutDate,
-            totalAmount,
+            quote: quote.id,
+            propertyId: quote.propertyId,
+            totalAmount: quote.amounts.total,
             paymentReference
         });
 
-        // Create the on-chain booking
-        const result = await bookingService.createPaidBooking({
-            userId,
-            propertyId,
-            checkInDate: Number(checkInDate),
-            checkOutDate: Number(checkOutDate),
-            totalAmount,
-            paymentReference,
-            metadata: metadata || {}
-        });
+        // A quote books once, and a payment pays for one quote
+        const redemption = quoteService.redeemQuote(quote, { paymentReference });
+        if (!redemption.success) {
+            if (redemption.redemption?.result) {
+                // Retried payment notification - return the booking it already produced
+                return res.json({ ...redemption.redemption.result, duplicate: true });
+            }
+            return res.status(409).json({ error: redemption.error });
+        }
+
+        // Create the on-chain booking (amount in minor units, as quoted)
+        let result;
+        try {
+            result = await chain.bookingService.createPaidBooking({
+                userId,
+                propertyId: quote.propertyId,
+                checkInDate: quote.checkInDate,
+                checkOutDate: quote.checkOutDate,
+                totalAmount: String(quote.amounts.total),
+                paymentReference,
+                metadata: quoteMetadata(quote, metadata)
+            });
+        } finally {
+            quoteService.finishRedemption(quote, result);
+        }
 
         if (result.success) {
             console.log('✅ Fiat booking created:', result);
@@ -647,7 +996,187 @@ app.post('/api/bookings/create-fiat', async (req, res) => {
 
 // Get booking service status
 app.get('/api/bookings/service-status', (req, res) => {
-    res.json(bookingService.getStatus());
+    const chain = resolveChain(req, res);
+    if (!chain) return;
+    res.json(chain.bookingService.getStatus());
+});
+
+// Guest check-in (meta-tx signed by the user's custodial wallet)
+app.post('/api/bookings/check-in', authService.requireUser(bodyUserId), async (req, res) => {
+    try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        const { bookingId, userId } = req.body;
+
+        if (!userId || bookingId === undefined || bookingId === null) {
+            return res.status(400).json({ error: 'Missing required fields: bookingId, userId' });
+        }
+
+        if (!chain.bookingService.isReady()) {
+            return res.status(503).json({
+                error: 'Booking service not ready',
+                status: chain.bookingService.getStatus()
+            });
+        }
+
+        console.log('🏨 Check-in request:', { bookingId, userId });
+
+        const result = await chain.bookingService.checkInBooking({
+            userId: parseInt(userId),
+            bookingId: bookingId.toString(),
+        });
+
+        if (result.success) {
+            console.log('✅ Check-in completed:', result);
+            res.json(result);
+        } else {
+            console.log('❌ Check-in failed:', result.error);
+            res.status(400).json({ error: result.error });
+        }
+
+    } catch (error) {
+        console.error('Check-in error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+// Guest cancellation (meta-tx for on-chain bookings, CMS update for all bookings)
+app.post('/api/bookings/cancel', authService.requireUser(bodyUserId), async (req, res) => {
+    try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        const { bookingId, userId, documentId } = req.body;
+        const hasOnChainRecord = bookingId !== undefined && bookingId !== null && bookingId !== '';
+
+        if (!userId || (!hasOnChainRecord && !documentId)) {
+            return res.status(400).json({ error: 'Missing required fields: userId and bookingId or documentId' });
+        }
+
+        if (hasOnChainRecord && !chain.bookingService.isReady()) {
+            return res.status(503).json({
+                error: 'Booking service not ready',
+                status: chain.bookingService.getStatus()
+            });
+        }
+
+        console.log('🚫 Cancellation request:', { bookingId, documentId, userId });
+
+        const result = await chain.bookingService.cancelBooking({
+            userId: parseInt(userId),
+            bookingId: hasOnChainRecord ? bookingId.toString() : null,
+            documentId,
+        });
+
+        if (result.success) {
+            console.log('✅ Booking cancelled:', result);
+            // The CMS is updated right away; the chain event follows once confirmed
+            statusStreamService.publish('booking', {
+                event: 'BookingCancelled',
+                chainId: chain.deployment.chainId,
+                bookingId: result.bookingId || null,
+                documentId: result.documentId || null,
+                BookingStatus: 'Cancelled',
+            }, { userIds: [userId] });
+            res.json(result);
+        } else {
+            console.log('❌ Cancellation failed:', result.error);
+            res.status(400).json({ error: result.error });
+        }
+
+    } catch (error) {
+        console.error('Cancellation error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+// ===========================================
+// STATUS STREAM
+// ===========================================
+
+// Live payment and booking status for the caller (server-sent events, ?topics=payment,booking)
+app.get('/api/stream', authService.requireAuth, (req, res) => {
+    try {
+        const topics = req.query.topics ? String(req.query.topics).split(',').map(t => t.trim()).filter(Boolean) : null;
+        if (topics && topics.some(t => !['payment', 'booking'].includes(t))) {
+            return res.status(400).json({ error: 'topics must be payment and/or booking' });
+        }
+
+        const result = statusStreamService.subscribe(req, res, req.auth, { topics });
+        if (!result.success) {
+            return res.status(429).json({ error: result.error });
+        }
+
+    } catch (error) {
+        console.error('Status stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+});
+
+// ===========================================
+// QUOTE ENDPOINTS
+// ===========================================
+
+// Create a signed, expiring price quote (required by every payment path)
+app.post('/api/quotes', authService.requireUser(bodyUserId), async (req, res) => {
+    try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        const { userId, propertyId, checkInDate, checkOutDate, guests, rooms } = req.body;
+
+        // Validate required fields
+        if (!userId || !propertyId || !checkInDate || !checkOutDate) {
+            return res.status(400).json({
+                error: 'Missing required fields: userId, propertyId, checkInDate, checkOutDate'
+            });
+        }
+
+        if (!quoteService.isReady()) {
+            return res.status(503).json({
+                error: 'Quote service not ready',
+                status: quoteService.getStatus()
+            });
+        }
+
+        const result = await quoteService.createQuote({
+            userId,
+            propertyId,
+            checkInDate,
+            checkOutDate,
+            guests,
+            rooms,
+            chainId: chain.deployment.chainId,
+        });
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.conflict ? 409 : 400).json({ error: result.error });
+        }
+
+    } catch (error) {
+        console.error('Quote error:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+// Verify a quote and return its contents (owner, admin or the payment server)
+app.get('/api/quotes/:quoteId', authService.requireAuth, (req, res) => {
+    try {
+        const verification = quoteService.verifyQuote(req.params.quoteId);
+        if (!verification.valid) {
+            return res.status(verification.expired ? 410 : 400).json({ error: verification.error });
+        }
+        if (!authService.canAccessUser(req, verification.quote.userId)) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+
+        res.json({ success: true, quote: verification.quote });
+
+    } catch (error) {
+        console.error('Quote lookup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 // ===========================================
@@ -655,42 +1184,69 @@ app.get('/api/bookings/service-status', (req, res) => {
 // ===========================================
 
 // Create EURC booking (on-chain payment with escrow)
-app.post('/api/bookings/create-eurc', async (req, res) => {
+app.post('/api/bookings/create-eurc', authService.requireUser(bodyUserId), async (req, res) => {
     try {
-        const { userId, propertyId, checkInDate, checkOutDate, totalAmountEURC, metadata } = req.body;
+        const { userId, quoteId, metadata } = req.body;
 
         // Validate required fields
-        if (!userId || !propertyId || !checkInDate || !checkOutDate || !totalAmountEURC) {
+        if (!userId || !quoteId) {
             return res.status(400).json({
-                error: 'Missing required fields: userId, propertyId, checkInDate, checkOutDate, totalAmountEURC'
+                error: 'Missing required fields: userId, quoteId'
             });
         }
 
+        const verification = quoteService.verifyQuote(quoteId, { userId });
+        if (!verification.valid) {
+            return res.status(400).json({ error: verification.error });
+        }
+        const { quote } = verification;
+        // Book on the quote's chain unless the request names one
+        const chain = resolveChain(req, res, quote.chainId);
+        if (!chain) return;
+        const chainError = quoteChainError(quote, chain);
+        if (chainError) {
+            return res.status(400).json({ error: chainError });
+        }
+        // totalEURC is the total at 1 EURC = 1 EUR, so only EUR quotes can be paid in EURC
+        if (String(quote.currency).toUpperCase() !== 'EUR') {
+            return res.status(400).json({ error: `Quote is in ${quote.currency} - EURC payments need a EUR quote` });
+        }
+
         // Check if EURC booking is ready
-        if (!bookingService.isEURCReady()) {
+        if (!chain.bookingService.isEURCReady()) {
             return res.status(503).json({
                 error: 'EURC booking service not ready',
-                status: bookingService.getStatus()
+                status: chain.bookingService.getStatus()
             });
         }
 
         console.log('💶 EURC booking request:', {
             userId,
-            propertyId,
-            checkInDate,
-            checkOutDate,
-            totalAmountEURC: ethers.formatUnits(totalAmountEURC, 6) + ' EURC'
+            quote: quote.id,
+            propertyId: quote.propertyId,
+            totalAmountEURC: ethers.formatUnits(quote.totalEURC, 6) + ' EURC'
         });
 
+        // A quote books once
+        const redemption = quoteService.redeemQuote(quote);
+        if (!redemption.success) {
+            return res.status(409).json({ error: redemption.error });
+        }
+
         // Create the EURC booking
-        const result = await bookingService.createEURCBooking({
-            userId,
-            propertyId,
-            checkInDate: Number(checkInDate),
-            checkOutDate: Number(checkOutDate),
-            totalAmountEURC,
-            metadata: metadata || {}
-        });
+        let result;
+        try {
+            result = await chain.bookingService.createEURCBooking({
+                userId,
+                propertyId: quote.propertyId,
+                checkInDate: quote.checkInDate,
+                checkOutDate: quote.checkOutDate,
+                totalAmountEURC: quote.totalEURC,
+                metadata: quoteMetadata(quote, metadata)
+            });
+        } finally {
+            quoteService.finishRedemption(quote, result);
+        }
 
         if (result.success) {
             console.log('✅ EURC booking created:', result);
@@ -707,17 +1263,19 @@ app.post('/api/bookings/create-eurc', async (req, res) => {
 });
 
 // Get user's EURC balance
-app.get('/api/eurc/balance/:userId', async (req, res) => {
+app.get('/api/eurc/balance/:userId', authService.requireUser(paramUserId), async (req, res) => {
     try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
         const { userId } = req.params;
 
-        if (!bookingService.isEURCReady()) {
+        if (!chain.bookingService.isEURCReady()) {
             return res.status(503).json({
                 error: 'EURC service not ready'
             });
         }
 
-        const balanceInfo = await bookingService.getUserEURCBalance(parseInt(userId));
+        const balanceInfo = await chain.bookingService.getUserEURCBalance(parseInt(userId));
         res.json(balanceInfo);
 
     } catch (error) {
@@ -729,21 +1287,23 @@ app.get('/api/eurc/balance/:userId', async (req, res) => {
 // Get EURC token info
 app.get('/api/eurc/info', async (req, res) => {
     try {
-        if (!blockchainService.eurcToken) {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
+        if (!chain.blockchain.eurcToken) {
             return res.status(503).json({ error: 'EURC token not configured' });
         }
 
         const [symbol, decimals] = await Promise.all([
-            blockchainService.eurcToken.symbol(),
-            blockchainService.eurcToken.decimals()
+            chain.blockchain.eurcToken.symbol(),
+            chain.blockchain.eurcToken.decimals()
         ]);
 
         res.json({
-            address: await blockchainService.eurcToken.getAddress(),
+            address: await chain.blockchain.eurcToken.getAddress(),
             symbol,
             decimals: Number(decimals),
-            bookingManagerAddress: deploymentInfo.contracts.BookingManager,
-            treasuryAddress: deploymentInfo.treasury || deploymentInfo.deployer
+            bookingManagerAddress: chain.deployment.contracts.BookingManager,
+            treasuryAddress: chain.deployment.treasury || chain.deployment.deployer
         });
 
     } catch (error) {
@@ -757,13 +1317,31 @@ app.get('/api/eurc/info', async (req, res) => {
 // ===========================================
 
 // Initialize an EURC payment (user sends to their custodial wallet, then we trigger meta-tx)
-app.post('/api/payments/eurc/init', async (req, res) => {
+app.post('/api/payments/eurc/init', authService.requireUser(bodyUserId), async (req, res) => {
     try {
-        const { userId, propertyId, checkInDate, checkOutDate, totalAmountEURC, metadata } = req.body;
+        const { userId, quoteId, metadata } = req.body;
 
         // Validate required fields
-        if (!userId || !propertyId || !checkInDate || !checkOutDate || !totalAmountEURC) {
-            return res.status(400).json({ error: 'Missing required fields: userId, propertyId, checkInDate, checkOutDate, totalAmountEURC' });
+        if (!userId || !quoteId) {
+            return res.status(400).json({ error: 'Missing required fields: userId, quoteId' });
+        }
+
+        const verification = quoteService.verifyQuote(quoteId, { userId });
+        if (!verification.valid) {
+            return res.status(400).json({ error: verification.error });
+        }
+        const { quote } = verification;
+        // totalEURC is the total at 1 EURC = 1 EUR, so only EUR quotes can be paid in EURC
+        if (String(quote.currency).toUpperCase() !== 'EUR') {
+            return res.status(400).json({ error: `Quote is in ${quote.currency} - EURC payments need a EUR quote` });
+        }
+        // Custodial EURC payments book on the default chain
+        const chainError = quoteChainError(quote, defaultChain);
+        if (chainError) {
+            return res.status(400).json({ error: chainError });
+        }
+        if (quoteService.isRedeemed(quote)) {
+            return res.status(409).json({ error: 'Quote already redeemed' });
         }
 
         // Check if crypto payment service is ready
@@ -791,22 +1369,21 @@ app.post('/api/payments/eurc/init', async (req, res) => {
 
         console.log('💶 EURC payment init request:', {
             userId,
-            propertyId,
-            checkInDate,
-            checkOutDate,
-            totalAmountEURC,
+            quote: quote.id,
+            propertyId: quote.propertyId,
+            totalAmountEURC: quote.totalEURC,
             custodialWalletAddress,
         });
 
         // Initialize EURC payment session with custodial wallet
         const payment = await cryptoPaymentService.initializeEURCPayment({
             userId,
-            propertyId,
-            checkInDate: Number(checkInDate),
-            checkOutDate: Number(checkOutDate),
-            totalAmountEURC,
+            propertyId: quote.propertyId,
+            checkInDate: quote.checkInDate,
+            checkOutDate: quote.checkOutDate,
+            totalAmountEURC: quote.totalEURC,
             custodialWalletAddress,
-            metadata: metadata || {},
+            metadata: quoteMetadata(quote, metadata),
         });
 
         res.json({
@@ -821,10 +1398,13 @@ app.post('/api/payments/eurc/init', async (req, res) => {
 });
 
 // Get crypto payment status
-app.get('/api/payments/crypto/status/:paymentId', (req, res) => {
+app.get('/api/payments/crypto/status/:paymentId', authService.requireAuth, (req, res) => {
     try {
         const { paymentId } = req.params;
-        const status = cryptoPaymentService.getPaymentStatus(parseInt(paymentId));
+        const payment = cryptoPaymentService.pendingPayments.get(paymentId);
+        const status = payment && authService.canAccessUser(req, payment.userId)
+            ? cryptoPaymentService.getPaymentStatus(paymentId)
+            : null;
 
         if (!status) {
             return res.status(404).json({ error: 'Payment not found' });
@@ -839,12 +1419,17 @@ app.get('/api/payments/crypto/status/:paymentId', (req, res) => {
 });
 
 // Cancel a crypto payment (with optional refund)
-app.post('/api/payments/crypto/cancel/:paymentId', async (req, res) => {
+app.post('/api/payments/crypto/cancel/:paymentId', authService.requireAuth, async (req, res) => {
     try {
         const { paymentId } = req.params;
         const { refundAddress } = req.body;
 
-        const result = await cryptoPaymentService.cancelPayment(parseInt(paymentId), refundAddress);
+        const payment = cryptoPaymentService.pendingPayments.get(paymentId);
+        if (payment && !authService.canAccessUser(req, payment.userId)) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const result = await cryptoPaymentService.cancelPayment(paymentId, refundAddress);
 
         if (result.success) {
             res.json({ success: true, message: 'Payment cancelled' });
@@ -859,7 +1444,7 @@ app.post('/api/payments/crypto/cancel/:paymentId', async (req, res) => {
 });
 
 // Get all pending crypto payments (admin/debug)
-app.get('/api/payments/crypto/pending', (req, res) => {
+app.get('/api/payments/crypto/pending', authService.requireAdmin, (req, res) => {
     try {
         const payments = cryptoPaymentService.getAllPendingPayments();
         res.json({ payments });
@@ -884,7 +1469,7 @@ app.get('/api/payments/crypto/service-status', (req, res) => {
 // ===========================================
 
 // Create CDP wallet for a host
-app.post('/api/host/wallet/create', async (req, res) => {
+app.post('/api/host/wallet/create', authService.requireUser(bodyUserId), async (req, res) => {
     try {
         const { userId } = req.body;
 
@@ -920,7 +1505,7 @@ app.post('/api/host/wallet/create', async (req, res) => {
 });
 
 // Get host wallet details and balance
-app.get('/api/host/wallet/:userId', async (req, res) => {
+app.get('/api/host/wallet/:userId', authService.requireUser(paramUserId), async (req, res) => {
     try {
         const { userId } = req.params;
 
@@ -959,7 +1544,7 @@ app.get('/api/host/wallet/:userId', async (req, res) => {
 });
 
 // Transfer EURC from host wallet (gasless)
-app.post('/api/host/wallet/transfer', async (req, res) => {
+app.post('/api/host/wallet/transfer', authService.requireUser(bodyUserId), async (req, res) => {
     try {
         const { userId, toAddress, amount } = req.body;
 
@@ -995,7 +1580,7 @@ app.get('/api/host/wallet/service-status', (req, res) => {
 });
 
 // Set up webhook for a host's CDP wallet
-app.post('/api/host/wallet/webhook', async (req, res) => {
+app.post('/api/host/wallet/webhook', authService.requireUser(bodyUserId), async (req, res) => {
     try {
         const { userId, callbackUrl } = req.body;
 
@@ -1038,13 +1623,17 @@ app.post('/api/host/wallet/webhook', async (req, res) => {
 
 // CDP Webhook callback endpoint
 app.post('/api/webhooks/cdp/transfer', async (req, res) => {
+    let verification;
     try {
         const payload = req.body;
         const signature = req.headers['x-cdp-signature'];
 
-        // Verify webhook signature (TODO: implement proper verification)
-        if (!cdpWalletService.verifyWebhookSignature(payload, signature)) {
-            return res.status(401).json({ error: 'Invalid signature' });
+        // Verify HMAC signature over the raw body, timestamp window and replay cache
+        verification = cdpWalletService.verifyWebhookSignature(req.rawBody, signature);
+        if (!verification.valid) {
+            console.warn(`⚠️ Rejected CDP webhook: ${verification.error}`);
+            const status = verification.replay ? 409 : 401;
+            return res.status(status).json({ error: verification.error });
         }
 
         console.log('📥 CDP webhook received:', JSON.stringify(payload, null, 2));
@@ -1055,6 +1644,10 @@ app.post('/api/webhooks/cdp/transfer', async (req, res) => {
         res.json({ received: true, handled: result.handled });
     } catch (error) {
         console.error('CDP webhook error:', error);
+        // Let the provider's retry through since this event was never handled
+        if (verification?.valid) {
+            cdpWalletService.forgetWebhookEvent(verification.eventId);
+        }
         res.status(500).json({ error: error.message });
     }
 });
@@ -1064,7 +1657,7 @@ app.post('/api/webhooks/cdp/transfer', async (req, res) => {
 // ===========================================
 
 // Get payout status for a user
-app.get('/api/payouts/status/:userId', async (req, res) => {
+app.get('/api/payouts/status/:userId', authService.requireUser(paramUserId), async (req, res) => {
     try {
         const { userId } = req.params;
 
@@ -1089,7 +1682,7 @@ app.get('/api/payouts/status/:userId', async (req, res) => {
 });
 
 // Manually trigger payout for a user (transfer all EURC from custodial to CDP)
-app.post('/api/payouts/manual', async (req, res) => {
+app.post('/api/payouts/manual', authService.requireUser(bodyUserId), async (req, res) => {
     try {
         const { userId, amount } = req.body;
 
@@ -1125,7 +1718,7 @@ app.get('/api/payouts/service-status', (req, res) => {
 });
 
 // Get escrow balance for a host (funds in active bookings not yet released)
-app.get('/api/payouts/escrow/:userId', async (req, res) => {
+app.get('/api/payouts/escrow/:userId', authService.requireUser(paramUserId), async (req, res) => {
     try {
         const { userId } = req.params;
 
@@ -1167,6 +1760,9 @@ app.get('/api/payouts/escrow/:userId', async (req, res) => {
         const bookingsResult = await bookingsResponse.json();
         const bookings = bookingsResult.data || [];
 
+        // Platform fee as BookingManager deducts it (per mille)
+        const platformFeePercentage = Number(await blockchainService.propertyMarketplace.platformFeePercentage());
+
         // Calculate total escrow and format bookings
         let totalEscrow = 0;
         const escrowBookings = [];
@@ -1176,9 +1772,8 @@ app.get('/api/payouts/escrow/:userId', async (req, res) => {
             const property = attrs.property?.data?.attributes || attrs.property || {};
 
             // Calculate host amount (total - platform fee)
-            // Platform fee is 0.5% (5/1000)
             const totalPaid = parseFloat(attrs.TotalPaid || 0);
-            const platformFee = totalPaid * 0.005;
+            const platformFee = (totalPaid * platformFeePercentage) / 1000;
             const hostAmount = totalPaid - platformFee;
 
             totalEscrow += hostAmount;
@@ -1208,7 +1803,7 @@ app.get('/api/payouts/escrow/:userId', async (req, res) => {
 });
 
 // Get payout history for a host
-app.get('/api/payouts/history/:userId', async (req, res) => {
+app.get('/api/payouts/history/:userId', authService.requireUser(paramUserId), async (req, res) => {
     try {
         const { userId } = req.params;
         const { limit = 20, offset = 0 } = req.query;
@@ -1286,8 +1881,40 @@ app.get('/api/payouts/history/:userId', async (req, res) => {
     }
 });
 
+// Host earnings statement for accounting (?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|pdf)
+app.get('/api/payouts/statement/:userId', authService.requireUser(paramUserId), async (req, res) => {
+	try {
+		const { userId } = req.params;
+		const format = String(req.query.format || 'csv').toLowerCase();
+		if (!['csv', 'pdf'].includes(format)) {
+			return res.status(400).json({ error: 'format must be csv or pdf' });
+		}
+
+		const period = HostStatementService.parsePeriod(req.query);
+		if (period.error) {
+			return res.status(400).json({ error: period.error });
+		}
+
+		const result = await hostStatementService.getStatement(parseInt(userId), period);
+		if (!result.success) {
+			return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+		}
+
+		const filename = `atlasora-statement-${userId}-${period.from}-${period.to}.${format}`;
+		res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+		if (format === 'pdf') {
+			res.type('application/pdf').send(HostStatementService.toPDF(result.statement));
+		} else {
+			res.type('text/csv; charset=utf-8').send(HostStatementService.toCSV(result.statement));
+		}
+	} catch (error) {
+		console.error('Payout statement error:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
 // Update user's payout preference
-app.put('/api/payouts/preference/:userId', async (req, res) => {
+app.put('/api/payouts/preference/:userId', authService.requireUser(paramUserId), async (req, res) => {
     try {
         const { userId } = req.params;
         const { payoutPreference } = req.body;
@@ -1306,6 +1933,19 @@ app.put('/api/payouts/preference/:userId', async (req, res) => {
         const strapiUrl = process.env.STRAPI_BASE_URL || 'http://localhost:1337';
         const strapiToken = process.env.STRAPI_API_TOKEN;
 
+        // External wallets must be linked (with a signed message) on the CMS first
+        if (payoutPreference === 'external_wallet') {
+            const host = await payoutService.getUserFromCMS(parseInt(userId));
+            if (!host) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (!host.externalWalletAddress) {
+                return res.status(400).json({
+                    error: 'No external wallet linked. Link one with a signed message via POST /api/users-permissions/link-payout-wallet on the CMS first',
+                });
+            }
+        }
+
         // Update user's payout preference in CMS
         const response = await fetch(`${strapiUrl}/api/users/${userId}`, {
             method: 'PUT',
@@ -1340,6 +1980,7 @@ app.put('/api/payouts/preference/:userId', async (req, res) => {
             userId: parseInt(userId),
             payoutPreference,
             cdpWalletAddress: updatedUser.cdpWalletAddress || null,
+            externalWallet: payoutService.getExternalWallet(updatedUser),
         });
     } catch (error) {
         console.error('Update payout preference error:', error);
@@ -1347,12 +1988,95 @@ app.put('/api/payouts/preference/:userId', async (req, res) => {
     }
 });
 
+// Update a host's payout schedule (instant, daily, weekly or threshold)
+app.put('/api/payouts/schedule/:userId', authService.requireUser(paramUserId), async (req, res) => {
+	try {
+		const { userId } = req.params;
+		const { payoutSchedule, payoutThreshold } = req.body || {};
+
+		if (!PayoutBatchService.SCHEDULES.includes(payoutSchedule)) {
+			return res.status(400).json({
+				error: `Invalid payoutSchedule. Must be one of: ${PayoutBatchService.SCHEDULES.join(', ')}`,
+			});
+		}
+		if (payoutThreshold !== undefined && payoutThreshold !== null && !(Number(payoutThreshold) > 0)) {
+			return res.status(400).json({ error: 'payoutThreshold must be a positive EURC amount' });
+		}
+
+		const strapiUrl = process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		const strapiToken = process.env.STRAPI_API_TOKEN;
+		const update = { payoutSchedule };
+		if (payoutThreshold !== undefined) {
+			update.payoutThreshold = payoutThreshold === null ? null : Number(payoutThreshold);
+		}
+
+		const response = await fetch(`${strapiUrl}/api/users/${userId}`, {
+			method: 'PUT',
+			headers: {
+				'Content-Type': 'application/json',
+				...(strapiToken ? { Authorization: `Bearer ${strapiToken}` } : {}),
+			},
+			body: JSON.stringify(update),
+		});
+
+		if (!response.ok) {
+			const errorText = await response.text();
+			return res.status(response.status).json({ error: errorText });
+		}
+
+		const updatedUser = await response.json();
+		res.json({
+			success: true,
+			userId: parseInt(userId),
+			payoutSchedule: updatedUser.payoutSchedule || payoutSchedule,
+			payoutThreshold: updatedUser.payoutThreshold ?? null,
+			defaultThreshold: payoutBatchService.defaultThreshold,
+			lastPayoutAt: updatedUser.lastPayoutAt || null,
+		});
+	} catch (error) {
+		console.error('Update payout schedule error:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
+// Payout batch status (last run, recent batch transfers, counters)
+app.get('/api/payouts/batch/status', authService.requireAdmin, (req, res) => {
+	try {
+		res.json({ success: true, batches: payoutBatchService.getStatus() });
+	} catch (error) {
+		console.error('Error getting payout batch status:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
+// Run scheduled payouts now ({ hostUserId } to only consider one host)
+app.post('/api/payouts/batch/run', authService.requireAdmin, async (req, res) => {
+	try {
+		const { hostUserId } = req.body || {};
+		if (hostUserId !== undefined && !Number.isInteger(Number(hostUserId))) {
+			return res.status(400).json({ error: 'hostUserId must be a user ID' });
+		}
+		if (!payoutBatchService.isReady()) {
+			return res.status(503).json({ error: 'Payout service not initialized' });
+		}
+
+		const result = await payoutBatchService.runOnce(hostUserId === undefined ? {} : { hostUserId });
+		if (!result.success) {
+			return res.status(result.conflict ? 409 : 400).json(result);
+		}
+		res.json(result);
+	} catch (error) {
+		console.error('Error running payout batches:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
 // ===========================================
 // PROPERTY SYNC ENDPOINTS (CMS → Blockchain)
 // ===========================================
 
 // Sync a new property from CMS to blockchain
-app.post('/api/properties/sync/new', async (req, res) => {
+app.post('/api/properties/sync/new', authService.requireAdmin, async (req, res) => {
     try {
         const { propertyId } = req.body;
 
@@ -1452,7 +2176,7 @@ app.post('/api/properties/sync/new', async (req, res) => {
 });
 
 // Sync a property update from CMS to blockchain
-app.post('/api/properties/sync/update', async (req, res) => {
+app.post('/api/properties/sync/update', authService.requireAdmin, async (req, res) => {
     try {
         const { propertyId } = req.body;
 
@@ -1526,7 +2250,7 @@ app.get('/api/properties/sync/status', (req, res) => {
 });
 
 // Bulk sync all properties from CMS to blockchain
-app.post('/api/properties/sync/bulk', async (req, res) => {
+app.post('/api/properties/sync/bulk', authService.requireAdmin, async (req, res) => {
     try {
         const { forceResync } = req.body || {};
 
@@ -1547,8 +2271,10 @@ app.post('/api/properties/sync/bulk', async (req, res) => {
 });
 
 // Manual event processing endpoint (for testing)
-app.post('/api/events/process', async (req, res) => {
+app.post('/api/events/process', authService.requireAdmin, async (req, res) => {
     try {
+        const chain = resolveChain(req, res);
+        if (!chain) return;
         const { fromBlock, toBlock } = req.body;
         
         if (!fromBlock || !toBlock) {
@@ -1557,16 +2283,19 @@ app.post('/api/events/process', async (req, res) => {
         
         console.log(`🔄 Manually processing events from block ${fromBlock} to ${toBlock}`);
         
-        const events = await eventListener.getAllEvents(parseInt(fromBlock), parseInt(toBlock));
+        const events = await chain.eventListener.getAllEvents(parseInt(fromBlock), parseInt(toBlock));
         console.log(`📊 Found ${events.length} events to process`);
         
+        let eventsFailed = 0;
         for (const event of events) {
-            await eventListener.processEvent(event);
+            const entry = await chain.eventListener.processEvent(event);
+            if (['failed', 'dead'].includes(entry?.status)) eventsFailed++;
         }
         
         res.json({ 
             success: true, 
             eventsProcessed: events.length,
+            eventsFailed,
             message: `Processed ${events.length} events from block ${fromBlock} to ${toBlock}`
         });
         
@@ -1576,11 +2305,34 @@ app.post('/api/events/process', async (req, res) => {
     }
 });
 
+// Start a chunked backfill of past blocks, or resume the last unfinished one (no fromBlock)
+app.post('/api/events/backfill', authService.requireAdmin, (req, res) => {
+	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		const { fromBlock, toBlock } = req.body || {};
+		if (!chain.eventListener.isRunning) {
+			return res.status(503).json({ error: 'Event listener is not running' });
+		}
+
+		const result = chain.eventListener.startBackfill({ fromBlock, toBlock });
+		if (!result.success) {
+			return res.status(result.conflict ? 409 : 400).json(result);
+		}
+		res.status(202).json(result);
+	} catch (error) {
+		console.error('Error starting backfill:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
 // Manual reconciliation endpoint
-app.post('/api/reconcile', async (req, res) => {
+app.post('/api/reconcile', authService.requireAdmin, async (req, res) => {
 	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
 		const { userAddress } = req.body || {};
-		const result = await eventListener.reconcileChainToStrapi(userAddress);
+		const result = await chain.eventListener.reconcileChainToStrapi(userAddress);
 		res.json({ success: true, ...result });
 	} catch (error) {
 		res.status(500).json({ success: false, error: error?.message || String(error) });
@@ -1589,20 +2341,27 @@ app.post('/api/reconcile', async (req, res) => {
 
 // Get event listener status
 app.get('/api/events/status', (req, res) => {
+    const chain = resolveChain(req, res);
+    if (!chain) return;
     res.json({
-        isRunning: eventListener.isRunning,
-        lastProcessedBlock: eventListener.lastProcessedBlock,
+        chainId: chain.deployment.chainId,
+        isRunning: chain.eventListener.isRunning,
+        lastProcessedBlock: chain.eventListener.lastProcessedBlock,
+        reorg: chain.eventListener.getReorgStats(),
+        backfill: chain.eventListener.getBackfillStatus(),
         strapiConfig: {
-            baseURL: eventListener.strapiConfig.baseURL,
-            hasApiToken: !!eventListener.strapiConfig.apiToken
+            baseURL: chain.eventListener.strapiConfig.baseURL,
+            hasApiToken: !!chain.eventListener.strapiConfig.apiToken
         }
     });
 });
 
 // Get idempotency statistics
-app.get('/api/events/idempotency', (req, res) => {
+app.get('/api/events/idempotency', authService.requireAdmin, (req, res) => {
 	try {
-		const stats = eventListener.getIdempotencyStats();
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		const stats = chain.eventListener.getIdempotencyStats();
 		res.json({
 			success: true,
 			stats: {
@@ -1618,12 +2377,14 @@ app.get('/api/events/idempotency', (req, res) => {
 });
 
 // Reset idempotency tracking (for testing)
-app.post('/api/events/reset-idempotency', (req, res) => {
+app.post('/api/events/reset-idempotency', authService.requireAdmin, (req, res) => {
 	try {
-		eventListener.resetIdempotencyTracking();
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		chain.eventListener.resetIdempotencyTracking();
 		res.json({ 
 			success: true, 
-			message: 'Idempotency tracking reset successfully' 
+			message: 'In-flight event tracking reset successfully (event ledger kept)' 
 		});
 	} catch (error) {
 		console.error('Error resetting idempotency tracking:', error);
@@ -1631,8 +2392,93 @@ app.post('/api/events/reset-idempotency', (req, res) => {
 	}
 });
 
+// List dead-lettered events (?status=failed for events still being retried, ?status=all for both)
+app.get('/api/events/dead-letter', authService.requireAdmin, (req, res) => {
+	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		const { status = 'dead' } = req.query;
+		if (!['dead', 'failed', 'all'].includes(status)) {
+			return res.status(400).json({ error: 'status must be dead, failed or all' });
+		}
+		const events = chain.eventListener.ledger.list({ status: status === 'all' ? ['failed', 'dead'] : status });
+		res.json({ success: true, count: events.length, events });
+	} catch (error) {
+		console.error('Error listing dead-letter events:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
+// Retry a failed or dead-lettered event now
+app.post('/api/events/dead-letter/:eventId/retry', authService.requireAdmin, async (req, res) => {
+	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		const { eventId } = req.params;
+		if (!chain.eventListener.ledger.get(eventId)) {
+			return res.status(404).json({ error: 'Event not found in ledger' });
+		}
+		const result = await chain.eventListener.retryEvent(eventId);
+		if (!result.success) {
+			return res.status(400).json(result);
+		}
+		res.json(result);
+	} catch (error) {
+		console.error('Error retrying event:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
+// Booking keeper status (last run, recent transactions, counters)
+app.get('/api/keeper/status', authService.requireAdmin, (req, res) => {
+	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		res.json({ success: true, keeper: chain.keeper.getStatus() });
+	} catch (error) {
+		console.error('Error getting keeper status:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
+// Run the booking keeper now ({ dryRun: true } to only list due actions)
+app.post('/api/keeper/run', authService.requireAdmin, async (req, res) => {
+	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		const { dryRun } = req.body || {};
+		if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+			return res.status(400).json({ error: 'dryRun must be a boolean' });
+		}
+		if (!chain.keeper.isReady() && !dryRun) {
+			return res.status(503).json({ error: 'Keeper not configured' });
+		}
+
+		const result = await chain.keeper.runOnce(dryRun === undefined ? {} : { dryRun });
+		if (!result.success) {
+			return res.status(result.conflict ? 409 : 400).json(result);
+		}
+		res.json(result);
+	} catch (error) {
+		console.error('Error running keeper:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
+// Gas station status (treasury, caps, ETH spent in the last 24 hours, recent audit log entries)
+app.get('/api/gas-station/status', authService.requireAdmin, (req, res) => {
+	try {
+		const chain = resolveChain(req, res);
+		if (!chain) return;
+		res.json({ success: true, gasStation: chain.gasStation.getStatus() });
+	} catch (error) {
+		console.error('Error getting gas station status:', error);
+		res.status(500).json({ error: 'Internal server error' });
+	}
+});
+
 // Pin property metadata to IPFS (Pinata)
-app.post('/api/ipfs/pin-property', async (req, res) => {
+app.post('/api/ipfs/pin-property', authService.requireAuth, async (req, res) => {
 	try {
 		const payload = req.body || {};
 		const metadata = payload.metadata || payload;
@@ -1677,25 +2523,43 @@ app.post('/api/ipfs/pin-property', async (req, res) => {
 // Start server
 app.listen(PORT, async () => {
     console.log(`🚀 Backend server running on port ${PORT}`);
-    console.log(`📊 Network: ${deploymentInfo.network} (Chain ID: ${deploymentInfo.chainId})`);
+    for (const { deployment } of chains.values()) {
+        console.log(`📊 Network: ${deployment.network} (Chain ID: ${deployment.chainId})${deployment.isDefault ? ' [default]' : ''}`);
+    }
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
     console.log(`📝 API endpoints:`);
     console.log(`   GET  /health`);
+    console.log(`   GET  /api/chains`);
     console.log(`   GET  /api/nonce/:address`);
     console.log(`   POST /api/properties/list/typed-data`);
     console.log(`   POST /api/bookings/create/typed-data`);
     console.log(`   POST /api/properties/list`);
     console.log(`   POST /api/bookings/create`);
+    console.log(`   GET  /api/meta-tx/usage/:address`);
+    console.log(`   GET  /api/meta-tx/sponsorship`);
     console.log(`   POST /api/bookings/create-fiat`);
     console.log(`   POST /api/bookings/create-eurc`);
+    console.log(`   GET  /api/stream`);
+    console.log(`   POST /api/quotes`);
+    console.log(`   GET  /api/quotes/:quoteId`);
     console.log(`   GET  /api/bookings/service-status`);
+    console.log(`   POST /api/bookings/check-in`);
+    console.log(`   POST /api/bookings/cancel`);
     console.log(`   GET  /api/eurc/balance/:userId`);
     console.log(`   GET  /api/eurc/info`);
     console.log(`   GET  /api/properties`);
+    console.log(`   GET  /api/properties/search`);
+    console.log(`   GET  /api/properties/:id/availability`);
     console.log(`   GET  /api/bookings/user/:address`);
     console.log(`   GET  /api/events/status`);
+    console.log(`   POST /api/events/backfill`);
     console.log(`   GET  /api/events/idempotency`);
     console.log(`   POST /api/events/reset-idempotency`);
+    console.log(`   GET  /api/events/dead-letter`);
+    console.log(`   POST /api/events/dead-letter/:eventId/retry`);
+    console.log(`   GET  /api/keeper/status`);
+    console.log(`   POST /api/keeper/run`);
+    console.log(`   GET  /api/gas-station/status`);
     console.log(`   POST /api/ipfs/pin-property`);
     console.log(`   POST /api/payments/eurc/init`);
     console.log(`   GET  /api/payments/crypto/status/:paymentId`);
@@ -1706,26 +2570,39 @@ app.listen(PORT, async () => {
     console.log(`   POST /api/payouts/manual`);
     console.log(`   GET  /api/payouts/service-status`);
     console.log(`   GET  /api/payouts/history/:userId`);
+    console.log(`   GET  /api/payouts/statement/:userId`);
     console.log(`   PUT  /api/payouts/preference/:userId`);
+    console.log(`   PUT  /api/payouts/schedule/:userId`);
+    console.log(`   GET  /api/payouts/batch/status`);
+    console.log(`   POST /api/payouts/batch/run`);
     console.log(`   POST /api/host/wallet/webhook`);
     console.log(`   POST /api/properties/sync/new`);
     console.log(`   POST /api/properties/sync/update`);
     console.log(`   POST /api/properties/sync/bulk`);
     console.log(`   GET  /api/properties/sync/status`);
 
-    // Initialize booking service with blockchain connections (including EURC)
-    try {
-        bookingService.initialize({
-            provider: blockchainService.provider,
-            relayer: blockchainService.relayer,
-            forwarder: blockchainService.forwarder,
-            bookingManager: blockchainService.bookingManager,
-            eurcToken: blockchainService.eurcToken,
-            chainId: blockchainService.getChainId(),
-        });
-        console.log('✅ Booking service initialized:', bookingService.getStatus());
-    } catch (error) {
-        console.error('❌ Failed to initialize booking service:', error);
+    // Initialize the booking service of every chain with its blockchain connections (including EURC)
+    for (const chain of chains.values()) {
+        try {
+            chain.gasStation.initialize({
+                provider: chain.blockchain.provider,
+                relayer: chain.blockchain.relayer,
+                chainId: chain.blockchain.getChainId(),
+            });
+            chain.bookingService.initialize({
+                deployment: chain.deployment,
+                provider: chain.blockchain.provider,
+                relayer: chain.blockchain.relayer,
+                forwarder: chain.blockchain.forwarder,
+                bookingManager: chain.blockchain.bookingManager,
+                eurcToken: chain.blockchain.eurcToken,
+                chainId: chain.blockchain.getChainId(),
+                gasStation: chain.gasStation,
+            });
+            console.log(`✅ Booking service initialized (chain ${chain.deployment.chainId}):`, chain.bookingService.getStatus());
+        } catch (error) {
+            console.error(`❌ Failed to initialize booking service (chain ${chain.deployment.chainId}):`, error);
+        }
     }
 
     // Set EURC token on crypto payment service
@@ -1733,6 +2610,11 @@ app.listen(PORT, async () => {
         cryptoPaymentService.setEURCToken(blockchainService.eurcToken);
     }
 
+    // Push every payment session change to the paying user's status stream
+    cryptoPaymentService.onPaymentStatusChanged = (payment, status) => {
+        statusStreamService.publish('payment', status, { userIds: [payment.userId] });
+    };
+
     // Set up EURC payment callback - when EURC payment is confirmed in custodial wallet, create booking via meta-tx
     cryptoPaymentService.onEURCPaymentConfirmed = async (payment) => {
         console.log(`💶 EURC received in custodial wallet for payment #${payment.paymentId}`);
@@ -1744,22 +2626,34 @@ app.listen(PORT, async () => {
                 return { success: false, error: 'EURC booking service not ready' };
             }
 
+            // The session's quote books once, even if the user paid several sessions for it
+            const quote = { id: payment.metadata?.quoteId };
+            const redemption = quote.id ? quoteService.redeemQuote(quote, { paymentReference: `eurc:${payment.paymentId}` }) : { success: true };
+            if (!redemption.success) {
+                return redemption.redemption?.result || { success: false, error: redemption.error };
+            }
+
             // Create the on-chain booking with EURC via meta-transaction
             // This will: 1) Sign approval, 2) Execute approval, 3) Sign booking, 4) Execute booking
             // EURC goes from custodial wallet → escrow in BookingManager
-            const result = await bookingService.createEURCBooking({
-                userId: payment.userId,
-                propertyId: payment.propertyId,
-                checkInDate: payment.checkInDate,
-                checkOutDate: payment.checkOutDate,
-                totalAmountEURC: payment.receivedAmountBase, // EURC amount in base units (6 decimals)
-                metadata: {
-                    ...payment.metadata,
-                    paymentMethod: 'eurc_custodial',
-                    custodialWallet: payment.paymentAddress,
-                    receivedAmountEURC: ethers.formatUnits(payment.receivedAmountBase, 6),
-                },
-            });
+            let result;
+            try {
+                result = await bookingService.createEURCBooking({
+                    userId: payment.userId,
+                    propertyId: payment.propertyId,
+                    checkInDate: payment.checkInDate,
+                    checkOutDate: payment.checkOutDate,
+                    totalAmountEURC: payment.receivedAmountBase, // EURC amount in base units (6 decimals)
+                    metadata: {
+                        ...payment.metadata,
+                        paymentMethod: 'eurc_custodial',
+                        custodialWallet: payment.paymentAddress,
+                        receivedAmountEURC: ethers.formatUnits(payment.receivedAmountBase, 6),
+                    },
+                });
+            } finally {
+                if (quote.id) quoteService.finishRedemption(quote, result);
+            }
 
             // If on-chain booking succeeded, also create CMS booking record
             if (result.success) {
@@ -1833,6 +2727,7 @@ app.listen(PORT, async () => {
     // Start crypto payment monitoring
     if (cryptoPaymentService.isReady()) {
         console.log('✅ Crypto payment service ready');
+        cryptoPaymentService.resumePendingPayments();
     } else {
         console.warn('⚠️ Crypto payment service not ready - check WALLET_MASTER_MNEMONIC');
     }
@@ -1872,66 +2767,61 @@ app.listen(PORT, async () => {
             provider: blockchainService.provider,
             relayer: blockchainService.relayer,
             chainId: blockchainService.getChainId(),
+            gasStation: defaultChain.gasStation,
         });
         console.log('✅ Payout service initialized:', payoutService.getStatus());
+        payoutBatchService.initialize({ payoutService });
+        payoutBatchService.start();
     } catch (error) {
         console.error('❌ Failed to initialize payout service:', error);
     }
 
-    // Start event listener
-    try {
-        await eventListener.initialize();
-        await eventListener.start();
-        console.log('✅ Event listener started successfully');
-
-        // Set up callback for booking completion to trigger host payouts
-        eventListener.onBookingCompleted = async (bookingId) => {
-            if (!payoutService.isReady()) {
-                console.log('⚠️ Payout service not ready - skipping auto-payout');
-                return;
-            }
+    // Initialize refund services (need BookingManager to read paidOffChain / paymentReference)
+    for (const chain of chains.values()) {
+        chain.refundService.initialize({
+            bookingManager: chain.blockchain.bookingManager,
+        });
+    }
 
-            try {
-                // Get booking data from chain to find the host
-                const bookingData = await blockchainService.bookingManager.bookings(bookingId);
-                const hostAddress = bookingData.host;
-                const hostAmount = bookingData.hostAmount;
-
-                console.log(`💸 Booking ${bookingId} completed - processing payout to ${hostAddress}`);
-
-                // Trigger payout from host's custodial wallet to CDP wallet (if configured)
-                const result = await payoutService.processPayoutByAddress(
-                    hostAddress,
-                    bookingId.toString(),
-                    hostAmount.toString()
-                );
-
-                if (result.success) {
-                    if (result.skipped) {
-                        console.log(`   ℹ️ Payout skipped: ${result.reason}`);
-                    } else {
-                        console.log(`   ✅ Payout transferred to CDP wallet: ${result.txHash}`);
-                    }
-                } else {
-                    console.log(`   ⚠️ Payout failed: ${result.error}`);
-                }
-            } catch (error) {
-                console.error(`   ❌ Error processing booking payout:`, error.message);
-            }
-        };
-        console.log('✅ Booking completion callback configured for auto-payouts');
+    // Initialize availability service (reads BookingManager.getPropertyBookings)
+    availabilityService.initialize({
+        bookingManager: blockchainService.bookingManager,
+    });
 
-        // Set up periodic cleanup of processed events (every hour)
-        setInterval(() => {
-            eventListener.cleanupProcessedEvents();
-        }, 60 * 60 * 1000); // 1 hour
+    // Initialize quote service (platform fee from each chain's marketplace, dates checked against availability)
+    quoteService.initialize({
+        chainId: defaultChain.deployment.chainId,
+        propertyMarketplace: blockchainService.propertyMarketplace,
+        marketplaces: Array.from(chains, ([chainId, chain]) => [chainId, chain.blockchain.propertyMarketplace]),
+        availabilityService,
+    });
 
-        console.log('🧹 Periodic event cleanup scheduled (every hour)');
+    // Initialize host statements (platform fee from the quote service for bookings without a payoutAmount)
+    hostStatementService.initialize({ quoteService });
 
-    } catch (error) {
-        console.error('❌ Failed to start event listener:', error);
+    // Start a booking keeper per chain (sends time-based BookingManager transitions from the relayer)
+    for (const chain of chains.values()) {
+        chain.keeper.initialize({
+            provider: chain.blockchain.provider,
+            relayer: chain.blockchain.relayer,
+            bookingManager: chain.blockchain.bookingManager,
+        });
+        chain.keeper.start();
+    }
+
+    // Start an event listener per chain
+    for (const chain of chains.values()) {
+        await startEventListener(chain);
     }
 
+    // Set up periodic compaction of the event ledgers (every hour)
+    setInterval(() => {
+        for (const chain of chains.values()) {
+            chain.eventListener.cleanupProcessedEvents();
+        }
+    }, 60 * 60 * 1000); // 1 hour
+    console.log('🧹 Periodic event cleanup scheduled (every hour)');
+
     // Set up periodic bulk sync from CMS to blockchain (every 30 minutes)
     const BULK_SYNC_INTERVAL = 30 * 60 * 1000; // 30 minutes
 
@@ -1960,10 +2850,100 @@ app.listen(PORT, async () => {
     console.log('🔄 Periodic CMS→Blockchain sync scheduled (every 30 minutes)');
 });
 
+/**
+ * Start a chain's event listener and wire its callbacks
+ */
+async function startEventListener(chain) {
+    const { chainId } = chain.deployment;
+    try {
+        await chain.eventListener.initialize();
+        await chain.eventListener.start();
+        console.log(`✅ Event listener started successfully (chain ${chainId})`);
+
+        // Host payouts (custodial wallets, CDP) run on the default chain only
+        if (chain === defaultChain) {
+            chain.eventListener.onBookingCompleted = async (bookingId) => {
+                if (!payoutService.isReady()) {
+                    console.log('⚠️ Payout service not ready - skipping auto-payout');
+                    return;
+                }
+
+                try {
+                    // Get booking data from chain to find the host
+                    const bookingData = await blockchainService.bookingManager.bookings(bookingId);
+                    const hostAddress = bookingData.host;
+                    const hostAmount = bookingData.hostAmount;
+
+                    console.log(`💸 Booking ${bookingId} completed - processing payout to ${hostAddress}`);
+
+                    // Trigger payout from host's custodial wallet to CDP wallet (if configured)
+                    const result = await payoutService.processPayoutByAddress(
+                        hostAddress,
+                        bookingId.toString(),
+                        hostAmount.toString()
+                    );
+
+                    if (result.success) {
+                        if (result.skipped) {
+                            console.log(`   ℹ️ Payout skipped: ${result.reason}`);
+                        } else if (result.scheduled) {
+                            console.log(`   🗓️ Payout queued for the host's ${result.schedule} batch`);
+                        } else {
+                            console.log(`   ✅ Payout transferred to CDP wallet: ${result.txHash}`);
+                        }
+                    } else {
+                        console.log(`   ⚠️ Payout failed: ${result.error}`);
+                    }
+                } catch (error) {
+                    console.error(`   ❌ Error processing booking payout:`, error.message);
+                }
+            };
+            console.log('✅ Booking completion callback configured for auto-payouts');
+        }
+
+        // Refund fiat bookings through the payment server when they are cancelled/refunded on-chain
+        chain.eventListener.onBookingRefundable = async (bookingId, { event, amount }) => {
+            const result = await chain.refundService.refundBooking(bookingId, { event, amount });
+            if (result.success) {
+                if (result.skipped) {
+                    console.log(`   ℹ️ Refund skipped for booking ${bookingId}: ${result.reason}`);
+                } else {
+                    console.log(`   ✅ Refund requested for booking ${bookingId}:`, result.refund?.status);
+                }
+            } else {
+                // Fails the event so the event ledger retries the refund
+                throw new Error(`Refund failed for booking ${bookingId}: ${result.error}`);
+            }
+        };
+        console.log('✅ Booking refund callback configured for fiat refunds');
+
+        // Tell hosts and guests about check-in windows, disputes and refunds
+        chain.eventListener.onBookingNotification = async (notification) => {
+            const result = await notificationService.notify(notification);
+            if (!result.success) {
+                console.log(`   ⚠️ Notification failed for booking ${notification.bookingId}: ${result.error}`);
+            }
+        };
+        console.log(`✅ Booking notification callback configured (${notificationService.isReady() ? 'webhook' : 'log only'})`);
+
+        // Push booking transitions to the host's and guest's status streams
+        chain.eventListener.onBookingStatusChanged = async ({ userIds, addresses, ...update }) => {
+            statusStreamService.publish('booking', update, { userIds, addresses });
+        };
+        console.log('✅ Booking status stream callback configured');
+    } catch (error) {
+        console.error(`❌ Failed to start event listener (chain ${chainId}):`, error);
+    }
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down backend server...');
-    eventListener.stop();
+    for (const chain of chains.values()) {
+        chain.eventListener.stop();
+        chain.keeper.stop();
+    }
+    payoutBatchService.stop();
     cryptoPaymentService.stopMonitoring();
     process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Pending SIWE nonces kept at most, and how far Issued At may be ahead of our clock
+const MAX_SIWE_NONCES = 10000;
+const SIWE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * AuthService - Authenticates API callers and enforces access rules
+ *
+ * Supported credentials (Authorization header):
+ * - `Bearer <jwt>`            Strapi users-permissions JWT, validated against /api/users/me
+ * - `SIWE <base64 json>`      Sign-In with Ethereum: base64 of `{ "message": "...", "signature": "0x..." }`,
+ *                             resolved to the Strapi user whose walletAddress matches the signer.
+ *                             The message must carry a nonce from issueSiweNonce(); each nonce
+ *                             is bound to the first message signed with it.
+ * - `x-service-token` header  Shared secret for trusted services (CMS lifecycles, payment server)
+ *
+ * Exposes Express middleware: authenticate, requireAuth, requireUser(getUserId), requireAdmin, requireService.
+ * The resolved caller is available as `req.auth = { userId, role, isAdmin, isService, method, walletAddress }`.
+ */
+class AuthService {
+	constructor(config = {}) {
+		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
+		this.serviceToken = config.serviceToken || process.env.BACKEND_SERVICE_TOKEN;
+
+		// Strapi role types/names treated as admin
+		this.adminRoles = (config.adminRoles || process.env.ADMIN_ROLES || 'admin')
+			.split(',')
+			.map(role => role.trim().toLowerCase())
+			.filter(Boolean);
+
+		// SIWE: expected domain and chain IDs (SIWE is refused without them) and maximum message lifetime
+		this.siweDomain = config.siweDomain || process.env.SIWE_DOMAIN || null;
+		this.siweChainIds = (config.siweChainIds || (process.env.SIWE_CHAIN_IDS || '').split(','))
+			.map(chainId => String(chainId).trim())
+			.filter(Boolean);
+		this.siweMaxAgeSeconds = config.siweMaxAgeSeconds || parseInt(process.env.SIWE_MAX_AGE_SECONDS || '86400');
+
+		// Issued SIWE nonces (nonce -> { expiresAt, messageHash }); unused ones expire after siweNonceTtlSeconds
+		this.siweNonceTtlSeconds = config.siweNonceTtlSeconds || 10 * 60;
+		this.siweNonces = new Map();
+
+		// Resolved sessions cache (credential hash -> { auth, expiresAt })
+		this.sessionCacheTtl = config.sessionCacheTtl || 60 * 1000;
+		this.sessionCache = new Map();
+
+		this.authenticate = this.authenticate.bind(this);
+		this.requireAuth = this.requireAuth.bind(this);
+		this.requireAdmin = this.requireAdmin.bind(this);
+		this.requireService = this.requireService.bind(this);
+	}
+
+	/**
+	 * Middleware: resolve the caller if credentials are present
+	 * Invalid credentials are rejected; missing credentials leave req.auth null.
+	 */
+	async authenticate(req, res, next) {
+		try {
+			const result = await this.resolveCaller(req);
+			if (result.error) {
+				return res.status(401).json({ error: result.error });
+			}
+			req.auth = result.auth;
+			next();
+		} catch (error) {
+			console.error('Authentication error:', error);
+			res.status(500).json({ error: 'Authentication failed' });
+		}
+	}
+
+	/**
+	 * Middleware: require any authenticated caller
+	 */
+	requireAuth(req, res, next) {
+		this.authenticate(req, res, () => {
+			if (!req.auth) {
+				return res.status(401).json({ error: 'Authentication required' });
+			}
+			next();
+		});
+	}
+
+	/**
+	 * Middleware: require the caller to be the user the request is about (or an admin/service)
+	 * @param {Function} getUserId - (req) => userId the route acts on
+	 */
+	requireUser(getUserId) {
+		return (req, res, next) => {
+			this.requireAuth(req, res, () => {
+				const userId = getUserId(req);
+				if (userId !== undefined && userId !== null && userId !== '' && !this.canAccessUser(req, userId)) {
+					return res.status(403).json({ error: 'Not allowed to act on behalf of this user' });
+				}
+				next();
+			});
+		};
+	}
+
+	/**
+	 * Middleware: require an admin user or a trusted service
+	 */
+	requireAdmin(req, res, next) {
+		this.requireAuth(req, res, () => {
+			if (!req.auth.isAdmin) {
+				return res.status(403).json({ error: 'Admin role required' });
+			}
+			next();
+		});
+	}
+
+	/**
+	 * Middleware: require a trusted service (x-service-token); users and admins are refused
+	 */
+	requireService(req, res, next) {
+		this.requireAuth(req, res, () => {
+			if (!req.auth.isService) {
+				return res.status(403).json({ error: 'Service token required' });
+			}
+			next();
+		});
+	}
+
+	/**
+	 * Whether the authenticated caller may access data of userId
+	 */
+	canAccessUser(req, userId) {
+		if (!req.auth) return false;
+		if (req.auth.isAdmin) return true;
+		return req.auth.userId !== null && String(req.auth.userId) === String(userId);
+	}
+
+	/**
+	 * Resolve credentials from the request
+	 * @returns {Object} { auth } or { error }
+	 */
+	async resolveCaller(req) {
+		const serviceToken = req.headers['x-service-token'];
+		if (serviceToken) {
+			if (!this.serviceToken || !this.safeEqual(serviceToken, this.serviceToken)) {
+				return { error: 'Invalid service token' };
+			}
+			return {
+				auth: { userId: null, role: 'service', isAdmin: true, isService: true, method: 'service', walletAddress: null },
+			};
+		}
+
+		const header = req.headers.authorization;
+		if (!header) {
+			return { auth: null };
+		}
+
+		const spaceIndex = header.indexOf(' ');
+		const scheme = spaceIndex === -1 ? header : header.slice(0, spaceIndex);
+		const credential = spaceIndex === -1 ? '' : header.slice(spaceIndex + 1).trim();
+		if (!credential) {
+			return { error: 'Malformed Authorization header' };
+		}
+
+		const cacheKey = crypto.createHash('sha256').update(header).digest('hex');
+		const cached = this.sessionCache.get(cacheKey);
+		if (cached && cached.expiresAt > Date.now()) {
+			return { auth: cached.auth };
+		}
+
+		let result;
+		switch (scheme.toLowerCase()) {
+			case 'bearer':
+				result = await this.verifyStrapiJwt(credential);
+				break;
+			case 'siwe':
+				result = await this.verifySiwe(credential);
+				break;
+			default:
+				return { error: `Unsupported authorization scheme: ${scheme}` };
+		}
+
+		if (result.auth) {
+			this.pruneSessionCache();
+			// SIWE sessions must not outlive the signed message
+			const expiresAt = Math.min(Date.now() + this.sessionCacheTtl, result.expiresAt || Infinity);
+			this.sessionCache.set(cacheKey, { auth: result.auth, expiresAt });
+		}
+		return result;
+	}
+
+	/**
+	 * Validate a Strapi users-permissions JWT by asking Strapi who it belongs to
+	 * @param {string} jwt - Token issued by /api/auth/local
+	 */
+	async verifyStrapiJwt(jwt) {
+		const response = await fetch(`${this.strapiBaseUrl}/api/users/me?populate=role`, {
+			headers: { Authorization: `Bearer ${jwt}` },
+		});
+
+		if (response.status === 401 || response.status === 403) {
+			return { error: 'Invalid or expired token' };
+		}
+		if (!response.ok) {
+			throw new Error(`Strapi /users/me failed: ${response.status}`);
+		}
+
+		const user = await response.json();
+		if (!user?.id) {
+			return { error: 'Invalid or expired token' };
+		}
+
+		return { auth: this.buildUserAuth(user, 'jwt') };
+	}
+
+	/**
+	 * Issue a nonce for a SIWE message
+	 * @returns {Object} { nonce, domain, chainIds, expiresAt } or { error } when SIWE is not configured
+	 */
+	issueSiweNonce() {
+		if (!this.siweDomain || this.siweChainIds.length === 0) {
+			return { error: 'SIWE is not configured' };
+		}
+
+		this.pruneSiweNonces();
+		if (this.siweNonces.size >= MAX_SIWE_NONCES) {
+			return { error: 'Too many pending SIWE nonces' };
+		}
+
+		const nonce = crypto.randomBytes(16).toString('hex');
+		const expiresAt = Date.now() + this.siweNonceTtlSeconds * 1000;
+		this.siweNonces.set(nonce, { expiresAt, messageHash: null });
+		return {
+			nonce,
+			domain: this.siweDomain,
+			chainIds: this.siweChainIds,
+			expiresAt: new Date(expiresAt).toISOString(),
+		};
+	}
+
+	/**
+	 * Validate a SIWE (EIP-4361) message + signature and map the signer to a Strapi user
+	 * The message must use an issued nonce, and stays valid for at most siweMaxAgeSeconds.
+	 * @param {string} credential - base64 encoded JSON { message, signature }
+	 */
+	async verifySiwe(credential) {
+		let message;
+		let signature;
+		try {
+			({ message, signature } = JSON.parse(Buffer.from(credential, 'base64').toString('utf8')));
+		} catch (_) {
+			return { error: 'Malformed SIWE credential' };
+		}
+		if (typeof message !== 'string' || typeof signature !== 'string') {
+			return { error: 'Malformed SIWE credential' };
+		}
+
+		const fields = this.parseSiweMessage(message);
+		if (!fields) {
+			return { error: 'Malformed SIWE message' };
+		}
+
+		if (!this.siweDomain || this.siweChainIds.length === 0) {
+			return { error: 'SIWE is not configured' };
+		}
+		if (fields.domain !== this.siweDomain) {
+			return { error: 'SIWE domain mismatch' };
+		}
+		if (!this.siweChainIds.includes(fields.chainId)) {
+			return { error: 'SIWE chain ID not supported' };
+		}
+
+		const now = Date.now();
+		const issuedAt = new Date(fields.issuedAt).getTime();
+		if (!Number.isFinite(issuedAt) || issuedAt > now + SIWE_CLOCK_SKEW_MS) {
+			return { error: 'SIWE message has an invalid Issued At' };
+		}
+		if (fields.notBefore && new Date(fields.notBefore).getTime() > now) {
+			return { error: 'SIWE message not yet valid' };
+		}
+
+		// An Expiration Time can shorten the lifetime, never extend it past siweMaxAgeSeconds
+		let expiresAt = issuedAt + this.siweMaxAgeSeconds * 1000;
+		if (fields.expirationTime) {
+			expiresAt = Math.min(expiresAt, new Date(fields.expirationTime).getTime());
+		}
+		if (!Number.isFinite(expiresAt) || expiresAt <= now) {
+			return { error: 'SIWE message expired' };
+		}
+
+		let recovered;
+		try {
+			recovered = ethers.verifyMessage(message, signature);
+		} catch (_) {
+			return { error: 'Invalid SIWE signature' };
+		}
+		if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+			return { error: 'SIWE signature does not match address' };
+		}
+
+		const nonceError = this.redeemSiweNonce(fields.nonce, message, expiresAt, now);
+		if (nonceError) {
+			return { error: nonceError };
+		}
+
+		const user = await this.findUserByWallet(recovered);
+		if (!user) {
+			return { error: 'No account linked to this wallet' };
+		}
+
+		return {
+			auth: { ...this.buildUserAuth(user, 'siwe'), walletAddress: recovered.toLowerCase() },
+			expiresAt,
+		};
+	}
+
+	/**
+	 * Parse the fields of an EIP-4361 message that are needed for verification
+	 * @returns {Object|null} { domain, address, issuedAt, expirationTime, notBefore, chainId, nonce }
+	 */
+	parseSiweMessage(message) {
+		const lines = message.split('\n');
+		const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+		const address = (lines[1] || '').trim();
+		if (!header || !ethers.isAddress(address)) {
+			return null;
+		}
+
+		const field = (name) => {
+			const line = lines.find(l => l.startsWith(`${name}: `));
+			return line ? line.slice(name.length + 2).trim() : null;
+		};
+
+		const fields = {
+			domain: header[1],
+			address,
+			issuedAt: field('Issued At'),
+			expirationTime: field('Expiration Time'),
+			notBefore: field('Not Before'),
+			chainId: field('Chain ID'),
+			nonce: field('Nonce'),
+		};
+
+		if (!fields.issuedAt || !fields.nonce || !fields.chainId) {
+			return null;
+		}
+		return fields;
+	}
+
+	/**
+	 * Bind an issued nonce to the first signed message that uses it
+	 * The same message keeps working until it expires; any other message with the nonce is refused.
+	 * @returns {string|null} Error, or null when the nonce may be used
+	 */
+	redeemSiweNonce(nonce, message, expiresAt, now) {
+		const entry = this.siweNonces.get(nonce);
+		if (!entry || entry.expiresAt <= now) {
+			return 'Unknown or expired SIWE nonce';
+		}
+
+		const messageHash = crypto.createHash('sha256').update(message).digest('hex');
+		if (entry.messageHash === null) {
+			this.siweNonces.set(nonce, { expiresAt, messageHash });
+			return null;
+		}
+		return entry.messageHash === messageHash ? null : 'SIWE nonce already used';
+	}
+
+	pruneSiweNonces() {
+		const now = Date.now();
+		for (const [nonce, entry] of this.siweNonces) {
+			if (entry.expiresAt <= now) {
+				this.siweNonces.delete(nonce);
+			}
+		}
+	}
+
+	/**
+	 * Find the Strapi user linked to a wallet address
+	 */
+	async findUserByWallet(address) {
+		const url = `${this.strapiBaseUrl}/api/users?filters[walletAddress][$eqi]=${address.toLowerCase()}&populate=role`;
+		const response = await fetch(url, {
+			headers: { Authorization: `Bearer ${this.strapiToken}` },
+		});
+		if (!response.ok) {
+			throw new Error(`Strapi user lookup failed: ${response.status}`);
+		}
+		const users = await response.json();
+		return Array.isArray(users) && users.length > 0 ? users[0] : null;
+	}
+
+	buildUserAuth(user, method) {
+		const role = user.role?.type || user.role?.name || 'authenticated';
+		const isAdmin = this.adminRoles.includes(String(user.role?.type || '').toLowerCase())
+			|| this.adminRoles.includes(String(user.role?.name || '').toLowerCase());
+
+		return {
+			userId: user.id,
+			role,
+			isAdmin,
+			isService: false,
+			method,
+			walletAddress: user.walletAddress || null,
+		};
+	}
+
+	pruneSessionCache() {
+		const now = Date.now();
+		for (const [key, entry] of this.sessionCache) {
+			if (entry.expiresAt <= now) {
+				this.sessionCache.delete(key);
+			}
+		}
+	}
+
+	safeEqual(a, b) {
+		const bufA = Buffer.from(String(a));
+		const bufB = Buffer.from(String(b));
+		return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+	}
+}
+
+module.exports = AuthService;
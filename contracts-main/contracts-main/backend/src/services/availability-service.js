@@ -0,0 +1,380 @@
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const MAX_RANGE_DAYS = 2 * 365;
+
+// BookingManager.BookingStatus values that free the dates again (same as hasBookingConflict)
+const RELEASED_STATUSES = new Set([5, 6]); // Cancelled, Refunded
+
+// Listing search: relations returned with each property (never user or booking relations)
+const SEARCH_POPULATE = ['currency', 'Images', 'property_amenities', 'property_type'];
+const SEARCH_PAGE_SIZE = 25;
+const SEARCH_MAX_PAGE_SIZE = 100;
+// Properties checked for availability per search; matches beyond this are not returned
+const SEARCH_MAX_CANDIDATES = 500;
+
+/**
+ * AvailabilityService - Blocked night ranges for a property
+ *
+ * Merges on-chain bookings (BookingManager.getPropertyBookings) with CMS proeprty-booking
+ * records, so bookings that only exist in the CMS (imported, manual, not yet mirrored)
+ * still block the calendar. Ranges use hasBookingConflict semantics: a booking blocks
+ * the nights [checkIn, checkOut), so the checkout day itself is free for a new check-in.
+ *
+ * Dates are returned as `YYYY-MM-DD` with an exclusive `end`.
+ *
+ * Also backs listing search: Strapi filters cannot express "no overlapping booking", so
+ * searchProperties() builds the Strapi query from the listing filters, drops properties
+ * booked for the dates and then pages the remaining ones.
+ */
+class AvailabilityService {
+	constructor(config = {}) {
+		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
+
+		// Set by initialize()
+		this.bookingManager = null;
+	}
+
+	/**
+	 * Initialize with blockchain configuration
+	 * @param {Object} blockchainConfig - { bookingManager }
+	 */
+	initialize(blockchainConfig) {
+		this.bookingManager = blockchainConfig.bookingManager;
+		console.log('✅ AvailabilityService initialized');
+	}
+
+	isReady() {
+		return !!this.bookingManager;
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			cmsConfigured: !!this.strapiToken,
+		};
+	}
+
+	/**
+	 * Blocked night ranges for a property between `from` and `to`
+	 * @param {string} propertyId - Blockchain property ID or CMS documentId
+	 * @param {Object} range - { from, to } as YYYY-MM-DD (defaults: today, +1 year)
+	 */
+	async getAvailability(propertyId, { from, to } = {}) {
+		try {
+			const fromDay = from ? parseDay(from) : Math.floor(Date.now() / 1000 / SECONDS_PER_DAY);
+			const toDay = to ? parseDay(to) : fromDay + 365;
+			if (fromDay === null || toDay === null) {
+				return { success: false, error: 'from and to must be dates (YYYY-MM-DD)' };
+			}
+			if (toDay <= fromDay) {
+				return { success: false, error: 'to must be after from' };
+			}
+			if (toDay - fromDay > MAX_RANGE_DAYS) {
+				return { success: false, error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+			}
+
+			const cmsProperty = await this.findCmsProperty(propertyId);
+			const blockchainPropertyId = cmsProperty?.BlockchainPropertyId || propertyId;
+			const { chainRanges, cmsRanges } = await this.getBookedRanges({
+				blockchainPropertyId,
+				cmsDocumentId: cmsProperty?.documentId,
+				fromDay,
+				toDay,
+			});
+
+			const blocked = mergeRanges(
+				[...chainRanges, ...cmsRanges]
+					.map((r) => ({ start: Math.max(r.start, fromDay), end: Math.min(r.end, toDay) }))
+					.filter((r) => r.end > r.start)
+			);
+
+			return {
+				success: true,
+				propertyId: blockchainPropertyId,
+				cmsPropertyId: cmsProperty?.documentId || null,
+				from: formatDay(fromDay),
+				to: formatDay(toDay),
+				blocked: blocked.map((r) => ({ start: formatDay(r.start), end: formatDay(r.end) })),
+				sources: { chain: chainRanges.length, cms: cmsRanges.length },
+			};
+		} catch (error) {
+			console.error(`❌ Availability lookup failed for ${propertyId}:`, error.message);
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * Strapi /api/properties query for the listing filters (same filters as the frontend's
+	 * useStrapiPropertySearchUrl). Only these filters and a fixed populate list are sent.
+	 * @param {Object} search - { address, room, guest, price: 'min,max', property: 'Type,...', amenities: 'slug,...' }
+	 * @returns {URLSearchParams}
+	 */
+	static buildSearchQuery({ address, room, guest, price, property, amenities } = {}) {
+		const params = new URLSearchParams();
+		const text = (value) => (typeof value === 'string' ? value.trim() : '');
+		const number = (value) => (/^\d+(\.\d+)?$/.test(text(value)) ? text(value) : null);
+
+		// Title and address, or just the title if too short for an address
+		const query = text(address);
+		if (query.length >= 4) {
+			params.append('filters[$or][0][Title][$containsi]', query);
+			['FormattedAddress', 'Address1', 'Address2', 'Address3', 'Address4', 'Address5'].forEach((field, i) => {
+				params.append(`filters[$or][${i + 1}][${field}][$eq]`, query);
+			});
+		} else if (query) {
+			params.append('filters[$or][0][Title][$containsi]', query);
+		}
+
+		if (number(room)) params.append('filters[Rooms][$gte]', number(room));
+		if (number(guest)) params.append('filters[MaxGuests][$gte]', number(guest));
+
+		const [min, max] = text(price).split(',');
+		if (number(min)) params.append('filters[PricePerNight][$gte]', number(min));
+		if (number(max)) params.append('filters[PricePerNight][$lte]', number(max));
+
+		text(property).split(',').filter(Boolean).forEach((type, i) => {
+			params.append(`filters[property_type][Name][$in][${i}]`, type);
+		});
+		text(amenities).split(',').filter(Boolean).forEach((slug, i) => {
+			params.append(`filters[property_amenities][Name][$in][${i}]`, slugToName(slug));
+		});
+
+		params.append('filters[CurrentlyRented][$eq]', 'false');
+		SEARCH_POPULATE.forEach((relation) => params.append(`populate[${relation}]`, 'true'));
+		return params;
+	}
+
+	/**
+	 * Search properties and drop those with a booking overlapping the stay
+	 *
+	 * Strapi is queried without the API token, so only published listings and public fields
+	 * are returned. Availability is checked before paging, so pages are full and
+	 * meta.pagination counts available properties only.
+	 * @param {Object} search - Listing filters, see buildSearchQuery()
+	 * @param {Object} stay - { checkIn, checkOut } as YYYY-MM-DD, plus optional { page, pageSize }
+	 * @returns {Object} Strapi-shaped { success, data, meta }
+	 */
+	async searchProperties(search, { checkIn, checkOut, page = 1, pageSize = SEARCH_PAGE_SIZE }) {
+		try {
+			const checkInDay = parseDay(checkIn);
+			const checkOutDay = parseDay(checkOut);
+			if (checkInDay === null || checkOutDay === null) {
+				return { success: false, error: 'checkIn and checkOut must be dates (YYYY-MM-DD)' };
+			}
+			if (checkOutDay <= checkInDay) {
+				return { success: false, error: 'checkOut must be after checkIn' };
+			}
+			page = Number(page);
+			pageSize = Number(pageSize);
+			if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > SEARCH_MAX_PAGE_SIZE) {
+				return { success: false, error: `page must be a positive integer and pageSize between 1 and ${SEARCH_MAX_PAGE_SIZE}` };
+			}
+
+			const query = AvailabilityService.buildSearchQuery(search);
+			const properties = [];
+			let matched = 0;
+			for (let strapiPage = 1; properties.length < SEARCH_MAX_CANDIDATES; strapiPage++) {
+				query.set('pagination[page]', String(strapiPage));
+				query.set('pagination[pageSize]', String(SEARCH_MAX_PAGE_SIZE));
+				const result = await this.fetchStrapi(`/api/properties?${query}`, { publicOnly: true });
+				if (!result) {
+					return { success: false, error: 'Property search failed' };
+				}
+				properties.push(...(result.data || []).slice(0, SEARCH_MAX_CANDIDATES - properties.length));
+				matched = result.meta?.pagination?.total ?? properties.length;
+				if (strapiPage >= (result.meta?.pagination?.pageCount || 1)) {
+					break;
+				}
+			}
+
+			const booked = await Promise.all(properties.map(async (property) => {
+				const { chainRanges, cmsRanges } = await this.getBookedRanges({
+					blockchainPropertyId: property.BlockchainPropertyId,
+					cmsDocumentId: property.documentId,
+					fromDay: checkInDay,
+					toDay: checkOutDay,
+				});
+				// Same overlap test as BookingManager.hasBookingConflict
+				return [...chainRanges, ...cmsRanges].some((r) => checkInDay < r.end && checkOutDay > r.start);
+			}));
+			const available = properties.filter((_, i) => !booked[i]);
+
+			return {
+				success: true,
+				data: available.slice((page - 1) * pageSize, page * pageSize),
+				meta: {
+					pagination: {
+						page,
+						pageSize,
+						pageCount: Math.ceil(available.length / pageSize),
+						total: available.length,
+					},
+					availability: {
+						checkIn: formatDay(checkInDay),
+						checkOut: formatDay(checkOutDay),
+						excluded: properties.length - available.length,
+						truncated: matched > properties.length,
+					},
+				},
+			};
+		} catch (error) {
+			console.error('❌ Availability search failed:', error.message);
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * On-chain and CMS bookings of a property as day ranges (CMS mirrors of on-chain bookings removed)
+	 * CMS bookings are only fetched for the nights [fromDay, toDay).
+	 */
+	async getBookedRanges({ blockchainPropertyId, cmsDocumentId, fromDay, toDay }) {
+		const chainRanges = blockchainPropertyId ? await this.getOnChainRanges(blockchainPropertyId) : [];
+		const onChainIds = new Set(chainRanges.map((r) => r.bookingId));
+		const cmsRanges = cmsDocumentId
+			? (await this.getCmsRanges(cmsDocumentId, { fromDay, toDay }))
+				// Mirrored bookings are already covered (and more current) on-chain
+				.filter((r) => !r.bookingId || !onChainIds.has(r.bookingId))
+			: [];
+		return { chainRanges, cmsRanges };
+	}
+
+	/**
+	 * Active on-chain bookings as day ranges
+	 */
+	async getOnChainRanges(blockchainPropertyId) {
+		const bookingIds = await this.bookingManager.getPropertyBookings(blockchainPropertyId);
+		const bookings = await Promise.all(bookingIds.map((id) => this.bookingManager.bookings(id)));
+
+		return bookings
+			.filter((booking) => !RELEASED_STATUSES.has(Number(booking.status)))
+			.map((booking) => ({
+				bookingId: booking.bookingId.toString(),
+				start: timestampToDay(booking.checkInDate),
+				end: timestampToDay(booking.checkOutDate),
+			}));
+	}
+
+	/**
+	 * Non-cancelled CMS bookings overlapping [fromDay, toDay) as day ranges (every page)
+	 */
+	async getCmsRanges(cmsDocumentId, { fromDay, toDay } = {}) {
+		const params = new URLSearchParams({
+			'filters[property][documentId][$eq]': cmsDocumentId,
+			'filters[BookingStatus][$ne]': 'Cancelled',
+			'fields[0]': 'StartDate',
+			'fields[1]': 'EndDate',
+			'fields[2]': 'blockchainBookingId',
+			'pagination[pageSize]': '100',
+		});
+		if (fromDay != null) params.append('filters[EndDate][$gte]', formatDay(fromDay));
+		if (toDay != null) params.append('filters[StartDate][$lt]', formatDay(toDay));
+
+		const bookings = [];
+		for (let page = 1; ; page++) {
+			params.set('pagination[page]', String(page));
+			const data = await this.fetchStrapi(`/api/proeprty-bookings?${params}`);
+			bookings.push(...(data?.data || []));
+			if (!data || page >= (data.meta?.pagination?.pageCount || 1)) {
+				break;
+			}
+		}
+
+		return bookings
+			.filter((booking) => booking.StartDate && booking.EndDate)
+			.map((booking) => ({
+				bookingId: booking.blockchainBookingId != null ? String(booking.blockchainBookingId) : null,
+				start: parseDay(booking.StartDate),
+				end: parseDay(booking.EndDate),
+			}))
+			.filter((r) => r.start !== null && r.end !== null);
+	}
+
+	/**
+	 * Look up the CMS property by documentId or BlockchainPropertyId
+	 */
+	async findCmsProperty(propertyId) {
+		const params = new URLSearchParams({
+			'filters[$or][0][documentId][$eq]': propertyId,
+			'filters[$or][1][BlockchainPropertyId][$eq]': propertyId,
+			'fields[0]': 'BlockchainPropertyId',
+			'pagination[pageSize]': '1',
+		});
+		const data = await this.fetchStrapi(`/api/properties?${params}`);
+		return data?.data?.[0] || null;
+	}
+
+	/**
+	 * GET a CMS path
+	 * @param {Object} options - { publicOnly: send without the API token (public permissions only) }
+	 */
+	async fetchStrapi(pathname, { publicOnly = false } = {}) {
+		try {
+			const headers = {};
+			if (this.strapiToken && !publicOnly) {
+				headers['Authorization'] = `Bearer ${this.strapiToken}`;
+			}
+			const response = await fetch(`${this.strapiBaseUrl}${pathname}`, { headers });
+			if (!response.ok) {
+				console.warn(`⚠️ CMS request failed (${response.status}): ${pathname}`);
+				return null;
+			}
+			return await response.json();
+		} catch (error) {
+			// The calendar still works from on-chain data when the CMS is down
+			console.warn('⚠️ CMS unreachable for availability:', error.message);
+			return null;
+		}
+	}
+}
+
+/**
+ * Unix seconds -> day number. Rounds to the nearest UTC midnight because the frontend
+ * sends local midnight, which is up to ±12h away from it.
+ */
+function timestampToDay(timestamp) {
+	return Math.round(Number(timestamp) / SECONDS_PER_DAY);
+}
+
+/**
+ * `YYYY-MM-DD` -> day number (null if invalid)
+ */
+function parseDay(value) {
+	if (!/^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+		return null;
+	}
+	const ms = Date.parse(`${String(value).slice(0, 10)}T00:00:00Z`);
+	return Number.isNaN(ms) ? null : ms / 1000 / SECONDS_PER_DAY;
+}
+
+/**
+ * `free-wifi` -> `Free Wifi` (amenity slugs in the listing URL -> CMS names)
+ */
+function slugToName(slug) {
+	return slug
+		.split('-')
+		.map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+		.join(' ');
+}
+
+function formatDay(day) {
+	return new Date(day * SECONDS_PER_DAY * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Merge overlapping or touching ranges
+ */
+function mergeRanges(ranges) {
+	const sorted = [...ranges].sort((a, b) => a.start - b.start);
+	const merged = [];
+	for (const range of sorted) {
+		const last = merged[merged.length - 1];
+		if (last && range.start <= last.end) {
+			last.end = Math.max(last.end, range.end);
+		} else {
+			merged.push({ ...range });
+		}
+	}
+	return merged;
+}
+
+module.exports = AvailabilityService;
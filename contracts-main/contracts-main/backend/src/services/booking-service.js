@@ -2,6 +2,7 @@ const { ethers } = require('ethers');
 const CustodialSigner = require('./custodial-signer');
 const IPFSService = require('./ipfs-service');
 const eip712Utils = require('../utils/eip712-utils');
+const DeploymentRegistry = require('./deployment-registry');
 
 // Standard ERC-20 ABI for EURC
 const ERC20_ABI = [
@@ -12,6 +13,18 @@ const ERC20_ABI = [
 	'function symbol() view returns (string)',
 ];
 
+// BookingManager.BookingStatus enum values
+const BOOKING_STATUS = {
+	Active: 0,
+	CheckInReady: 1,
+	CheckedIn: 2,
+	Completed: 3,
+	Disputed: 4,
+	Cancelled: 5,
+	Refunded: 6,
+	EscalatedToAdmin: 7,
+};
+
 /**
  * BookingService - Unified service for creating on-chain bookings
  *
@@ -30,6 +43,13 @@ class BookingService {
 		this.custodialSigner = new CustodialSigner(config);
 		this.ipfsService = new IPFSService(config);
 
+		// Strapi configuration (for mirroring guest actions into CMS bookings)
+		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
+
+		// paymentReference -> Promise<result> so a retried payment webhook never books twice
+		this.paidBookingsByReference = new Map();
+
 		// These will be set by initialize()
 		this.provider = null;
 		this.relayer = null;
@@ -37,11 +57,12 @@ class BookingService {
 		this.bookingManager = null;
 		this.eurcToken = null;
 		this.chainId = null;
+		this.deployment = null;
 	}
 
 	/**
 	 * Initialize the service with blockchain connections
-	 * @param {Object} blockchainConfig - { provider, relayer, forwarder, bookingManager, eurcToken, chainId }
+	 * @param {Object} blockchainConfig - { provider, relayer, forwarder, bookingManager, eurcToken, chainId, deployment? }
 	 */
 	initialize(blockchainConfig) {
 		this.provider = blockchainConfig.provider;
@@ -50,8 +71,12 @@ class BookingService {
 		this.bookingManager = blockchainConfig.bookingManager;
 		this.eurcToken = blockchainConfig.eurcToken;
 		this.chainId = blockchainConfig.chainId;
+		// Tops custodial wallets up with gas for the direct-approve fallback
+		this.gasStation = blockchainConfig.gasStation || null;
+		// DeploymentRegistry entry - scopes CMS booking lookups to this chain
+		this.deployment = blockchainConfig.deployment || null;
 
-		console.log('✅ BookingService initialized');
+		console.log(`✅ BookingService initialized (chain ${this.chainId})`);
 		if (this.eurcToken) {
 			console.log('   💶 EURC token configured');
 		}
@@ -92,9 +117,40 @@ class BookingService {
 	 * @param {string|number} params.totalAmount - Total amount paid
 	 * @param {string} params.paymentReference - Payment reference (Revolut order ID, crypto payment ID, etc.)
 	 * @param {Object} params.metadata - Additional booking metadata for IPFS
-	 * @returns {Object} { success, transactionHash, bookingId, ipfsUri }
+	 * @returns {Object} { success, transactionHash, bookingId, ipfsUri, duplicate? }
 	 */
 	async createPaidBooking(params) {
+		const { paymentReference } = params;
+
+		// Idempotent per payment reference: reuse an in-flight or successful result
+		const existing = this.paidBookingsByReference.get(paymentReference);
+		if (existing) {
+			const result = await existing;
+			if (result.success) {
+				console.log(`♻️ Paid booking for ${paymentReference} already created (booking ${result.bookingId})`);
+				return { ...result, duplicate: true };
+			}
+		}
+
+		const pending = this.submitPaidBooking(params);
+		this.paidBookingsByReference.set(paymentReference, pending.catch(error => ({ success: false, error: error.message })));
+
+		const result = await pending.catch(error => {
+			this.paidBookingsByReference.delete(paymentReference);
+			throw error;
+		});
+		if (!result.success) {
+			// Allow the payment provider to retry
+			this.paidBookingsByReference.delete(paymentReference);
+		}
+		return result;
+	}
+
+	/**
+	 * Pin metadata, sign and submit the createBookingPaid meta-transaction
+	 * @see createPaidBooking
+	 */
+	async submitPaidBooking(params) {
 		const {
 			userId,
 			propertyId,
@@ -207,6 +263,7 @@ class BookingService {
 			return {
 				success: true,
 				transactionHash: receipt.hash,
+				chainId: this.chainId,
 				bookingId,
 				ipfsUri: ipfsResult.uri,
 				userAddress,
@@ -225,12 +282,13 @@ class BookingService {
 	 * Create an on-chain booking with EURC payment (full escrow flow)
 	 *
 	 * This method:
-	 * 1. Checks user's EURC balance
-	 * 2. Signs and submits EURC approval transaction
-	 * 3. Waits for approval confirmation
-	 * 4. Pins booking metadata to IPFS
-	 * 5. Signs and submits booking transaction
-	 * 6. Returns booking ID and transaction hash
+	 * 1. Checks user's EURC balance and allowance
+	 * 2. Pins booking metadata to IPFS
+	 * 3. Signs one meta-transaction batch: an EURC permit (if the allowance is too low) and the booking
+	 * 4. Submits the batch via the relayer - approval and booking succeed or fail together
+	 * 5. Returns booking ID and transaction hash
+	 *
+	 * Tokens without EIP-2612 permit are approved from the custodial wallet in a separate transaction.
 	 *
 	 * @param {Object} params
 	 * @param {number} params.userId - Strapi user ID
@@ -283,40 +341,16 @@ class BookingService {
 			console.log(`  📝 Current allowance: ${ethers.formatUnits(currentAllowance, 6)} EURC`);
 
 			// Step 3: Approve EURC if needed
-			// Note: EURC is a standard ERC20, not ERC2771-compatible, so we must call approve directly
-			// from the custodial wallet (not via meta-transaction forwarder)
+			// EURC is not ERC2771-compatible, so the approval goes into the booking batch as an
+			// EIP-2612 permit. Tokens without permit are approved directly from the custodial wallet.
+			let approveInBatch = false;
 			if (currentAllowance < totalAmount) {
-				console.log(`  ✍️ Approving EURC for ${ethers.formatUnits(totalAmount, 6)} EURC...`);
-
-				// Check if custodial wallet has ETH for gas
-				// Actual approve tx costs ~0.0000007 ETH on Base, add buffer for gas price spikes
-				const walletBalance = await this.provider.getBalance(userAddress);
-				const minGasBalance = ethers.parseEther('0.000005'); // 5x buffer over typical cost
-
-				if (walletBalance < minGasBalance) {
-					// Fund the custodial wallet with just enough ETH for gas
-					const fundAmount = ethers.parseEther('0.00001'); // ~10x typical cost
-					console.log(`  💰 Funding custodial wallet with ${ethers.formatEther(fundAmount)} ETH for gas...`);
-					const fundTx = await this.relayer.sendTransaction({
-						to: userAddress,
-						value: fundAmount,
-					});
-					await fundTx.wait();
-					console.log(`  ✅ Funded custodial wallet: ${fundTx.hash}`);
+				if (await this.supportsPermit(userAddress)) {
+					console.log(`  ✍️ EURC permit for ${ethers.formatUnits(totalAmount, 6)} EURC will be batched with the booking`);
+					approveInBatch = true;
+				} else {
+					await this.approveEURCDirectly(userWallet, bookingManagerAddress, totalAmount, userId);
 				}
-
-				// Connect user wallet to provider and call approve directly
-				const userWalletConnected = userWallet.connect(this.provider);
-				const eurcWithSigner = this.eurcToken.connect(userWalletConnected);
-
-				const approveTx = await eurcWithSigner.approve(bookingManagerAddress, totalAmount);
-				console.log(`  📤 Approval transaction submitted: ${approveTx.hash}`);
-				await approveTx.wait();
-				console.log(`  ✅ EURC approval confirmed`);
-
-				// Verify allowance after approval
-				const newAllowance = await this.eurcToken.allowance(userAddress, bookingManagerAddress);
-				console.log(`  📝 New allowance after approval: ${ethers.formatUnits(newAllowance, 6)} EURC`);
 			}
 
 			// Step 4: Pin booking metadata to IPFS
@@ -342,7 +376,7 @@ class BookingService {
 			const ipfsResult = await this.ipfsService.pinBookingMetadata(ipfsData);
 			console.log(`  📌 Pinned to IPFS: ${ipfsResult.uri}`);
 
-			// Step 5: Sign the booking transaction
+			// Step 5: Sign the booking batch (permit + createBooking when approving)
 			const bookingData = {
 				propertyId,
 				checkInDate,
@@ -359,43 +393,30 @@ class BookingService {
 				{
 					forwarder: this.forwarder,
 					bookingManager: this.bookingManager,
+					eurcToken: this.eurcToken,
 				},
-				this.chainId
+				this.chainId,
+				{ approve: approveInBatch }
 			);
-			console.log(`  ✍️ Booking transaction signed`);
-			console.log(`  📋 MetaTx data length: ${signedTx.metaTx.data?.length || 0}`);
+			console.log(`  ✍️ Booking batch signed (${signedTx.metaTx.calls.length} call(s))`);
 
-			// Step 6: Execute via relayer
+			// Step 6: Execute via relayer - one transaction, all calls or none
 			const metaTx = {
 				from: signedTx.metaTx.from,
-				to: signedTx.metaTx.to,
-				value: BigInt(signedTx.metaTx.value),
-				data: signedTx.metaTx.data,
+				calls: signedTx.metaTx.calls.map((call) => ({ ...call, value: BigInt(call.value) })),
 				nonce: BigInt(signedTx.metaTx.nonce),
 				deadline: signedTx.metaTx.deadline,
 				signature: signedTx.signature,
 			};
 
-			// Verify allowance before simulation (helps debug timing issues)
-			const preSimAllowance = await this.eurcToken.allowance(userAddress, bookingManagerAddress);
-			console.log(`  📝 Pre-simulation allowance: ${ethers.formatUnits(preSimAllowance, 6)} EURC`);
-
-			if (preSimAllowance < totalAmount) {
-				// Allowance not yet reflected - wait a moment and retry
-				console.log(`  ⏳ Allowance not reflected yet, waiting 2 seconds...`);
-				await new Promise(resolve => setTimeout(resolve, 2000));
-				const retryAllowance = await this.eurcToken.allowance(userAddress, bookingManagerAddress);
-				console.log(`  📝 Retry allowance: ${ethers.formatUnits(retryAllowance, 6)} EURC`);
-			}
-
 			// Simulate first to get better error messages
-			const sim = await eip712Utils.simulateMetaTransaction(metaTx, this.forwarder, this.provider);
+			const sim = await eip712Utils.simulateMetaTransactionBatch(metaTx, this.forwarder, this.provider);
 			if (!sim.ok) {
 				console.error(`  ❌ Simulation failed: ${sim.error}`);
 				throw new Error(`Booking simulation failed: ${sim.error}`);
 			}
 
-			const result = await eip712Utils.executeMetaTransaction(metaTx, this.forwarder, this.relayer);
+			const result = await eip712Utils.executeMetaTransactionBatch(metaTx, this.forwarder, this.relayer);
 			console.log(`  📤 Booking transaction submitted: ${result.transactionHash}`);
 			console.log(`  ✅ Booking confirmed in block ${result.receipt.blockNumber}`);
 			const receipt = result.receipt;
@@ -423,6 +444,7 @@ class BookingService {
 			return {
 				success: true,
 				transactionHash: receipt.hash,
+				chainId: this.chainId,
 				bookingId,
 				ipfsUri: ipfsResult.uri,
 				userAddress,
@@ -438,6 +460,329 @@ class BookingService {
 		}
 	}
 
+	/**
+	 * Check whether the EURC token supports EIP-2612 permits
+	 * @param {string} owner - Address to read the permit nonce of
+	 * @returns {Promise<boolean>}
+	 */
+	async supportsPermit(owner) {
+		try {
+			await this.eurcToken.nonces(owner);
+			return true;
+		} catch (error) {
+			console.warn(`  ⚠️ EURC token has no permit support, approving directly: ${error.shortMessage || error.message}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Approve EURC from the custodial wallet itself, topping it up with gas first if needed
+	 * Fallback for tokens without EIP-2612 permit.
+	 * @param {ethers.Wallet} userWallet - The user's custodial wallet
+	 * @param {string} spender - The address to approve (BookingManager)
+	 * @param {BigInt} amount - The amount to approve
+	 * @param {number} userId - The user's Strapi ID (gas station audit log)
+	 */
+	async approveEURCDirectly(userWallet, spender, amount, userId = null) {
+		const userAddress = userWallet.address;
+		console.log(`  ✍️ Approving EURC for ${ethers.formatUnits(amount, 6)} EURC...`);
+
+		// The gas station tops the custodial wallet up (within its caps) if it is low on ETH
+		if (this.gasStation) {
+			const gas = await this.gasStation.ensureGas(userAddress, { userId, reason: 'eurc_approve' });
+			if (!gas.success) {
+				throw new Error(`Gas top-up failed: ${gas.error}`);
+			}
+		}
+
+		// Connect user wallet to provider and call approve directly
+		const userWalletConnected = userWallet.connect(this.provider);
+		const eurcWithSigner = this.eurcToken.connect(userWalletConnected);
+
+		const approveTx = await eurcWithSigner.approve(spender, amount);
+		console.log(`  📤 Approval transaction submitted: ${approveTx.hash}`);
+		await approveTx.wait();
+		console.log(`  ✅ EURC approval confirmed`);
+	}
+
+	/**
+	 * Check a guest in to their booking via meta-transaction
+	 *
+	 * If the check-in date has been reached but nobody has opened the check-in window yet,
+	 * the relayer calls triggerCheckInWindow first (it can be called by anyone).
+	 *
+	 * @param {Object} params
+	 * @param {number} params.userId - Strapi user ID of the guest
+	 * @param {string|number} params.bookingId - On-chain booking ID
+	 * @returns {Object} { success, transactionHash, bookingId, cmsUpdated }
+	 */
+	async checkInBooking(params) {
+		const { userId, bookingId } = params;
+
+		console.log(`🏨 Check-in for user ${userId}, booking ${bookingId}`);
+
+		if (!userId || bookingId === undefined || bookingId === null) {
+			throw new Error('Missing required check-in parameters');
+		}
+
+		if (!this.isReady()) {
+			throw new Error('BookingService not properly initialized');
+		}
+
+		try {
+			const booking = await this.getGuestBooking(userId, bookingId);
+
+			// Open the check-in window if the date has arrived and it has not been triggered yet
+			const now = Math.floor(Date.now() / 1000);
+			if (Number(booking.status) === BOOKING_STATUS.Active && now >= Number(booking.checkInDate)) {
+				console.log(`  🔔 Opening check-in window for booking ${bookingId}...`);
+				const triggerTx = await this.relayer.sendTransaction(await this.bookingManager.triggerCheckInWindow.populateTransaction(bookingId));
+				await triggerTx.wait();
+				console.log(`  ✅ Check-in window opened: ${triggerTx.hash}`);
+			}
+
+			const signedTx = await this.custodialSigner.signCheckInTransaction(
+				userId,
+				bookingId,
+				{
+					forwarder: this.forwarder,
+					bookingManager: this.bookingManager,
+				},
+				this.chainId
+			);
+			console.log(`  ✍️ Check-in transaction signed`);
+
+			const receipt = await this.executeSignedTransaction(signedTx, 'Check-in');
+
+			const cmsUpdated = await this.updateCMSBooking(
+				{ blockchainBookingId: bookingId.toString() },
+				{ BookingStatus: 'Active' }
+			);
+
+			return {
+				success: true,
+				transactionHash: receipt.hash,
+				chainId: this.chainId,
+				bookingId: bookingId.toString(),
+				blockNumber: receipt.blockNumber,
+				cmsUpdated,
+			};
+		} catch (error) {
+			console.error(`  ❌ Check-in failed:`, error.message);
+			return {
+				success: false,
+				error: error.message,
+			};
+		}
+	}
+
+	/**
+	 * Cancel a guest's booking via meta-transaction and mirror the cancellation into the CMS
+	 *
+	 * Bookings without an on-chain record (bookingId omitted) are only cancelled in the CMS,
+	 * after checking that the CMS record belongs to the user. On-chain cancellations update the
+	 * CMS record with that blockchainBookingId; documentId is ignored so a caller cannot point
+	 * the update at someone else's record.
+	 *
+	 * @param {Object} params
+	 * @param {number} params.userId - Strapi user ID of the guest
+	 * @param {string|number} [params.bookingId] - On-chain booking ID
+	 * @param {string} [params.documentId] - CMS booking document ID (bookings without an on-chain record)
+	 * @returns {Object} { success, transactionHash, bookingId, cmsUpdated }
+	 */
+	async cancelBooking(params) {
+		const { userId, bookingId, documentId } = params;
+		const hasOnChainRecord = bookingId !== undefined && bookingId !== null && bookingId !== '';
+
+		console.log(`🚫 Cancellation for user ${userId}, booking ${hasOnChainRecord ? bookingId : documentId}`);
+
+		if (!userId || (!hasOnChainRecord && !documentId)) {
+			throw new Error('Missing required cancellation parameters');
+		}
+
+		try {
+			// CMS-only booking (no blockchain record)
+			if (!hasOnChainRecord) {
+				const cmsBooking = await this.getCMSBooking({ documentId });
+				const ownerId = cmsBooking?.users_permissions_user?.id;
+				if (!cmsBooking || String(ownerId) !== String(userId)) {
+					throw new Error('Booking not found for this user');
+				}
+
+				const cmsUpdated = await this.updateCMSBooking({ documentId }, { BookingStatus: 'Cancelled' });
+				if (!cmsUpdated) {
+					throw new Error('Failed to update booking in CMS');
+				}
+
+				return { success: true, bookingId: null, documentId, cmsUpdated };
+			}
+
+			if (!this.isReady()) {
+				throw new Error('BookingService not properly initialized');
+			}
+
+			await this.getGuestBooking(userId, bookingId);
+
+			const signedTx = await this.custodialSigner.signCancelBookingTransaction(
+				userId,
+				bookingId,
+				{
+					forwarder: this.forwarder,
+					bookingManager: this.bookingManager,
+				},
+				this.chainId
+			);
+			console.log(`  ✍️ Cancellation transaction signed`);
+
+			const receipt = await this.executeSignedTransaction(signedTx, 'Cancellation');
+
+			const cmsUpdated = await this.updateCMSBooking(
+				{ blockchainBookingId: bookingId.toString() },
+				{ BookingStatus: 'Cancelled' }
+			);
+
+			return {
+				success: true,
+				transactionHash: receipt.hash,
+				chainId: this.chainId,
+				bookingId: bookingId.toString(),
+				blockNumber: receipt.blockNumber,
+				cmsUpdated,
+			};
+		} catch (error) {
+			console.error(`  ❌ Cancellation failed:`, error.message);
+			return {
+				success: false,
+				error: error.message,
+			};
+		}
+	}
+
+	/**
+	 * Load an on-chain booking and check that it belongs to the user's custodial wallet
+	 * @param {number} userId - Strapi user ID
+	 * @param {string|number} bookingId - On-chain booking ID
+	 * @returns {Object} Booking struct from BookingManager
+	 */
+	async getGuestBooking(userId, bookingId) {
+		const userWallet = await this.custodialSigner.getUserWallet(userId);
+		const booking = await this.bookingManager.bookings(bookingId);
+
+		if (booking.bookingId.toString() !== bookingId.toString()) {
+			throw new Error(`Booking ${bookingId} does not exist`);
+		}
+		if (booking.guest.toLowerCase() !== userWallet.address.toLowerCase()) {
+			throw new Error(`Booking ${bookingId} does not belong to user ${userId}`);
+		}
+
+		return booking;
+	}
+
+	/**
+	 * Simulate and execute a meta-transaction signed by the custodial signer
+	 * @param {Object} signedTx - Result of a CustodialSigner sign* method
+	 * @param {string} label - Label used in logs and errors
+	 * @returns {Object} Transaction receipt
+	 */
+	async executeSignedTransaction(signedTx, label) {
+		const metaTx = {
+			from: signedTx.metaTx.from,
+			to: signedTx.metaTx.to,
+			value: BigInt(signedTx.metaTx.value),
+			data: signedTx.metaTx.data,
+			nonce: BigInt(signedTx.metaTx.nonce),
+			deadline: signedTx.metaTx.deadline,
+			signature: signedTx.signature,
+		};
+
+		const sim = await eip712Utils.simulateMetaTransaction(metaTx, this.forwarder, this.provider);
+		if (!sim.ok) {
+			throw new Error(`${label} simulation failed: ${sim.error}`);
+		}
+
+		const result = await eip712Utils.executeMetaTransaction(metaTx, this.forwarder, this.relayer);
+		console.log(`  📤 ${label} transaction submitted: ${result.transactionHash}`);
+		console.log(`  ✅ ${label} confirmed in block ${result.receipt.blockNumber}`);
+
+		return result.receipt;
+	}
+
+	/**
+	 * Find a booking in the CMS by blockchain booking ID or document ID
+	 * @param {Object} ref - { blockchainBookingId } or { documentId }
+	 * @returns {Object|null} CMS booking (with users_permissions_user populated)
+	 */
+	async getCMSBooking(ref) {
+		const headers = this.strapiToken ? { Authorization: `Bearer ${this.strapiToken}` } : {};
+
+		try {
+			if (ref.documentId) {
+				const response = await fetch(
+					`${this.strapiBaseUrl}/api/proeprty-bookings/${ref.documentId}?populate=users_permissions_user`,
+					{ headers }
+				);
+				if (!response.ok) {
+					return null;
+				}
+				const result = await response.json();
+				return result.data || null;
+			}
+
+			const query = new URLSearchParams({
+				'filters[blockchainBookingId][$eq]': ref.blockchainBookingId,
+				...DeploymentRegistry.cmsChainFilter(this.deployment),
+				populate: 'users_permissions_user',
+			});
+			const response = await fetch(`${this.strapiBaseUrl}/api/proeprty-bookings?${query}`, { headers });
+			if (!response.ok) {
+				return null;
+			}
+			const result = await response.json();
+			return (result.data || [])[0] || null;
+		} catch (error) {
+			console.error(`  ⚠️ Failed to fetch CMS booking:`, error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Update a booking record in the CMS
+	 * @param {Object} ref - { blockchainBookingId } or { documentId }
+	 * @param {Object} data - Fields to update
+	 * @returns {boolean} Whether the CMS record was updated
+	 */
+	async updateCMSBooking(ref, data) {
+		try {
+			const booking = await this.getCMSBooking(ref);
+			if (!booking) {
+				console.log(`  ⚠️ Booking ${ref.documentId || ref.blockchainBookingId} not found in CMS`);
+				return false;
+			}
+
+			const bookingDocId = booking.documentId || booking.id;
+			const response = await fetch(`${this.strapiBaseUrl}/api/proeprty-bookings/${bookingDocId}`, {
+				method: 'PUT',
+				headers: {
+					'Content-Type': 'application/json',
+					...(this.strapiToken ? { Authorization: `Bearer ${this.strapiToken}` } : {}),
+				},
+				body: JSON.stringify({ data }),
+			});
+
+			if (!response.ok) {
+				const errorText = await response.text();
+				console.log(`  ⚠️ Failed to update CMS booking ${bookingDocId}: ${errorText}`);
+				return false;
+			}
+
+			console.log(`  📝 Updated CMS booking ${bookingDocId}:`, data);
+			return true;
+		} catch (error) {
+			console.error(`  ⚠️ Error updating CMS booking:`, error.message);
+			return false;
+		}
+	}
+
 	/**
 	 * Get user's EURC balance
 	 * @param {number} userId - Strapi user ID
@@ -1,4 +1,5 @@
 const { Coinbase, Wallet, Webhook } = require('@coinbase/coinbase-sdk');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,6 +23,11 @@ class CDPWalletService {
 		this.network = config.network || process.env.CDP_NETWORK || 'base-sepolia';
 		this.webhookUrl = config.webhookUrl || process.env.CDP_WEBHOOK_URL;
 
+		// Webhook verification: shared HMAC secret, allowed clock skew and seen-event cache for replays
+		this.webhookSecret = config.webhookSecret || process.env.CDP_WEBHOOK_SECRET;
+		this.webhookToleranceSeconds = config.webhookToleranceSeconds || parseInt(process.env.CDP_WEBHOOK_TOLERANCE_SECONDS || '300');
+		this.seenWebhookEvents = new Map(); // eventId -> expiry (ms)
+
 		this.isConfigured = false;
 		this.walletCache = new Map(); // userId -> wallet (in production, use Redis)
 
@@ -435,14 +441,125 @@ class CDPWalletService {
 
 	/**
 	 * Verify webhook signature (for incoming webhook requests)
-	 * @param {Object} payload - Webhook payload
-	 * @param {string} signature - Signature header
-	 * @returns {boolean} Whether signature is valid
+	 *
+	 * The `x-cdp-signature` header has the form `t=<unix seconds>,v1=<hex hmac>` where the
+	 * HMAC-SHA256 (keyed with CDP_WEBHOOK_SECRET) is computed over `${t}.${rawBody}`.
+	 * Requests outside the timestamp tolerance window or with an already seen event ID are rejected.
+	 *
+	 * @param {Buffer|string} rawBody - Raw request body exactly as received
+	 * @param {string} signatureHeader - Value of the x-cdp-signature header
+	 * @param {Object} [options]
+	 * @param {number} [options.now] - Current time in ms (for tests)
+	 * @returns {Object} { valid, replay?, eventId?, error? }
+	 */
+	verifyWebhookSignature(rawBody, signatureHeader, options = {}) {
+		if (!this.webhookSecret) {
+			return { valid: false, error: 'Webhook secret not configured' };
+		}
+		if (rawBody === undefined || rawBody === null) {
+			return { valid: false, error: 'Missing raw body' };
+		}
+
+		const parsed = this.parseSignatureHeader(signatureHeader);
+		if (!parsed) {
+			return { valid: false, error: 'Missing or malformed signature header' };
+		}
+
+		const now = options.now || Date.now();
+		const nowSeconds = Math.floor(now / 1000);
+		if (Math.abs(nowSeconds - parsed.timestamp) > this.webhookToleranceSeconds) {
+			return { valid: false, error: 'Signature timestamp outside tolerance window' };
+		}
+
+		const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+		const expected = this.computeWebhookSignature(body, parsed.timestamp);
+		const matches = parsed.signatures.some(candidate => this.safeCompareHex(candidate, expected));
+		if (!matches) {
+			return { valid: false, error: 'Invalid signature' };
+		}
+
+		// Replay protection - the event ID from the payload, or the signature itself as fallback
+		let eventId;
+		try {
+			const payload = JSON.parse(body);
+			eventId = payload.eventId || payload.id || payload.data?.eventId;
+		} catch (_) {
+			// Body is authenticated but not JSON - fall back to the signature
+		}
+		eventId = String(eventId || `sig:${expected}`);
+
+		this.pruneSeenWebhookEvents(now);
+		if (this.seenWebhookEvents.has(eventId)) {
+			return { valid: false, replay: true, eventId, error: 'Duplicate webhook event (replay)' };
+		}
+		// Keep IDs for twice the tolerance window so any still-acceptable replay is caught
+		this.seenWebhookEvents.set(eventId, now + this.webhookToleranceSeconds * 2 * 1000);
+
+		return { valid: true, eventId };
+	}
+
+	/**
+	 * Compute the hex HMAC for a body and timestamp
+	 * @param {string} body - Raw request body
+	 * @param {number} timestamp - Unix timestamp (seconds)
+	 * @returns {string} Hex signature
+	 */
+	computeWebhookSignature(body, timestamp) {
+		return crypto
+			.createHmac('sha256', this.webhookSecret)
+			.update(`${timestamp}.${body}`)
+			.digest('hex');
+	}
+
+	/**
+	 * Parse a `t=...,v1=...` signature header (multiple v1 entries allowed during secret rotation)
+	 * @returns {Object|null} { timestamp, signatures }
+	 */
+	parseSignatureHeader(header) {
+		if (!header || typeof header !== 'string') return null;
+
+		let timestamp = null;
+		const signatures = [];
+		for (const part of header.split(',')) {
+			const [key, value] = part.trim().split('=');
+			if (key === 't' && /^\d+$/.test(value || '')) {
+				timestamp = parseInt(value);
+			} else if (key === 'v1' && value) {
+				signatures.push(value);
+			}
+		}
+
+		if (timestamp === null || signatures.length === 0) return null;
+		return { timestamp, signatures };
+	}
+
+	/**
+	 * Constant-time comparison of two hex strings
 	 */
-	verifyWebhookSignature(payload, signature) {
-		// TODO: Implement signature verification
-		// For now, return true (should implement proper verification in production)
-		return true;
+	safeCompareHex(a, b) {
+		const bufA = Buffer.from(a, 'hex');
+		const bufB = Buffer.from(b, 'hex');
+		if (bufA.length === 0 || bufA.length !== bufB.length) return false;
+		return crypto.timingSafeEqual(bufA, bufB);
+	}
+
+	/**
+	 * Remove an event from the seen-event cache so a provider retry is accepted
+	 * (used when processing a verified event failed)
+	 */
+	forgetWebhookEvent(eventId) {
+		this.seenWebhookEvents.delete(eventId);
+	}
+
+	/**
+	 * Drop expired entries from the seen-event cache
+	 */
+	pruneSeenWebhookEvents(now = Date.now()) {
+		for (const [eventId, expiresAt] of this.seenWebhookEvents) {
+			if (expiresAt <= now) {
+				this.seenWebhookEvents.delete(eventId);
+			}
+		}
 	}
 
 	/**
@@ -1,4 +1,6 @@
 const { ethers } = require('ethers');
+const crypto = require('crypto');
+const PaymentSessionStore = require('./payment-session-store');
 
 /**
  * CryptoPaymentService - Handles EURC payment flow via custodial wallets
@@ -8,6 +10,8 @@ const { ethers } = require('ethers');
  * 2. User sends EURC to their custodial wallet (via QR scan or manual transfer from ANY wallet)
  * 3. Service monitors for incoming EURC
  * 4. Once confirmed, trigger meta-transaction to create on-chain booking with escrow
+ *
+ * Payment sessions are persisted via PaymentSessionStore so in-flight payments survive restarts.
  */
 class CryptoPaymentService {
 	constructor(config = {}) {
@@ -17,15 +21,13 @@ class CryptoPaymentService {
 		this.eurcToken = config.eurcToken || null;
 		this.eurcTokenAddress = config.eurcTokenAddress || process.env.EURC_TOKEN_ADDRESS;
 
-		// Pending payments storage (in production, use Redis or database)
-		this.pendingPayments = new Map();
+		// Durable payment session storage (journal on disk, cached in pendingPayments)
+		this.sessionStore = config.sessionStore || new PaymentSessionStore(config.sessionStoreConfig);
+		this.pendingPayments = this.restorePayments();
 
 		// Track payments currently being processed to prevent duplicate processing
 		this.processingPayments = new Set();
 
-		// Payment ID counter (in production, use database sequence)
-		this.paymentIdCounter = Math.floor(Math.random() * 1000000);
-
 		// Polling interval for payment monitoring (ms)
 		this.pollInterval = config.pollInterval || 5000;
 
@@ -38,11 +40,70 @@ class CryptoPaymentService {
 		// Callback when EURC payment is confirmed
 		this.onEURCPaymentConfirmed = config.onEURCPaymentConfirmed || null;
 
+		// Callback on every persisted change of a session (live status stream)
+		this.onPaymentStatusChanged = config.onPaymentStatusChanged || null;
+
 		// Monitoring state
 		this.isMonitoring = false;
 		this.monitorInterval = null;
 	}
 
+	/**
+	 * Reload persisted payment sessions
+	 * Sessions that were mid-processing when the process stopped are put back to 'confirming'
+	 * so they are retried; createEURCBooking re-checks the custodial balance before booking.
+	 * @returns {Map} paymentId -> payment
+	 */
+	restorePayments() {
+		const payments = this.sessionStore.load();
+
+		let resumable = 0;
+		for (const payment of payments.values()) {
+			if (payment.status === 'processing') {
+				payment.status = 'confirming';
+				this.sessionStore.save(payment);
+			}
+			if (['pending', 'confirming'].includes(payment.status)) {
+				resumable++;
+			}
+		}
+
+		if (payments.size > 0) {
+			console.log(`📦 Restored ${payments.size} crypto payment sessions (${resumable} pending/confirming)`);
+		}
+
+		return payments;
+	}
+
+	/**
+	 * Resume monitoring if restored sessions are still pending or confirming
+	 * Call once the EURC token and confirmation callback are configured.
+	 */
+	resumePendingPayments() {
+		const hasActive = Array.from(this.pendingPayments.values())
+			.some(payment => ['pending', 'confirming'].includes(payment.status));
+
+		if (hasActive) {
+			console.log('🔁 Resuming crypto payment monitoring for restored sessions');
+			this.startMonitoring();
+		}
+	}
+
+	/**
+	 * Persist the current state of a payment session
+	 */
+	persistPayment(payment) {
+		this.sessionStore.save(payment);
+
+		if (this.onPaymentStatusChanged) {
+			try {
+				this.onPaymentStatusChanged(payment, this.formatPaymentStatus(payment));
+			} catch (error) {
+				console.error(`⚠️ Payment status callback error for #${payment.paymentId}:`, error.message);
+			}
+		}
+	}
+
 	/**
 	 * Set the EURC token contract
 	 */
@@ -84,11 +145,12 @@ class CryptoPaymentService {
 			) {
 				console.log(`🔄 Cancelling old payment #${existingId} - user started new payment for same property`);
 				existingPayment.status = 'cancelled';
+				this.persistPayment(existingPayment);
 			}
 		}
 
-		// Generate unique payment ID
-		const paymentId = ++this.paymentIdCounter;
+		// Generate unique payment ID (random UUID, no counter to collide after restarts)
+		const paymentId = crypto.randomUUID();
 
 		// Calculate expected amount with tolerance (allow 0.1% slippage)
 		const expectedAmount = BigInt(totalAmountEURC);
@@ -116,6 +178,7 @@ class CryptoPaymentService {
 
 		// Store pending payment
 		this.pendingPayments.set(paymentId, pendingPayment);
+		this.persistPayment(pendingPayment);
 
 		// Generate QR code data for ERC-20 transfer to custodial wallet
 		// Format: ethereum:{tokenAddress}/transfer?address={recipient}&uint256={amount}
@@ -155,6 +218,13 @@ class CryptoPaymentService {
 			return null;
 		}
 
+		return this.formatPaymentStatus(payment);
+	}
+
+	/**
+	 * Public view of a payment session (status endpoint and status stream)
+	 */
+	formatPaymentStatus(payment) {
 		return {
 			paymentId: payment.paymentId,
 			status: payment.status,
@@ -168,6 +238,7 @@ class CryptoPaymentService {
 			bookingTxHash: payment.bookingTxHash,
 			expiresAt: payment.expiresAt,
 			isExpired: Date.now() > payment.expiresAt && payment.status === 'pending',
+			error: payment.error || null,
 		};
 	}
 
@@ -229,6 +300,7 @@ class CryptoPaymentService {
 			// Check for expiry
 			if (now > payment.expiresAt) {
 				payment.status = 'expired';
+				this.persistPayment(payment);
 				console.log(`⏰ Payment #${paymentId} expired`);
 				continue;
 			}
@@ -248,6 +320,7 @@ class CryptoPaymentService {
 				payment.createdAt < cleanupThreshold
 			) {
 				this.pendingPayments.delete(paymentId);
+				this.sessionStore.delete(paymentId);
 			}
 		}
 	}
@@ -277,6 +350,7 @@ class CryptoPaymentService {
 			payment.status = 'confirming';
 			payment.receivedAmountBase = balance.toString();
 			payment.blockNumber = await this.provider.getBlockNumber();
+			this.persistPayment(payment);
 
 			// Process with await to ensure sequential processing
 			await this.processConfirmedPayment(paymentId);
@@ -315,6 +389,7 @@ class CryptoPaymentService {
 
 			console.log(`✅ Payment #${paymentId} confirmed, processing...`);
 			payment.status = 'processing';
+			this.persistPayment(payment);
 
 			if (this.onEURCPaymentConfirmed) {
 				const result = await this.onEURCPaymentConfirmed(payment);
@@ -329,10 +404,12 @@ class CryptoPaymentService {
 					payment.error = result.error;
 					console.error(`❌ Payment #${paymentId} processing failed:`, result.error);
 				}
+				this.persistPayment(payment);
 			}
 		} catch (error) {
 			payment.status = 'failed';
 			payment.error = error.message;
+			this.persistPayment(payment);
 			console.error(`❌ Error processing payment #${paymentId}:`, error);
 		} finally {
 			// Always remove from processing set when done
@@ -354,6 +431,7 @@ class CryptoPaymentService {
 		}
 
 		payment.status = 'cancelled';
+		this.persistPayment(payment);
 		return { success: true };
 	}
 
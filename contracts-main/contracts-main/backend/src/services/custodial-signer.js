@@ -1,6 +1,9 @@
 const { ethers } = require('ethers');
 const crypto = require('crypto');
 
+// Key ID of WALLET_ENCRYPTION_KEY, and of encrypted private keys stored without a keyId
+const LEGACY_KEY_ID = 'v1';
+
 /**
  * CustodialSigner - Service for signing transactions on behalf of users with custodial wallets
  *
@@ -15,7 +18,10 @@ class CustodialSigner {
 		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
 		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
 		this.masterMnemonic = config.masterMnemonic || process.env.WALLET_MASTER_MNEMONIC;
-		this.encryptionKey = config.encryptionKey || process.env.WALLET_ENCRYPTION_KEY;
+		this.encryptionKeys = CustodialSigner.parseEncryptionKeys(
+			config.encryptionKeys ?? process.env.WALLET_ENCRYPTION_KEYS,
+			config.encryptionKey || process.env.WALLET_ENCRYPTION_KEY
+		);
 
 		if (!this.masterMnemonic) {
 			console.warn('⚠️ CustodialSigner: WALLET_MASTER_MNEMONIC not set. Custodial signing will be unavailable.');
@@ -38,24 +44,58 @@ class CustodialSigner {
 		return new ethers.Wallet(wallet.privateKey);
 	}
 
+	/**
+	 * Build the wallet encryption keyring (same format and checks as the CMS loadKeyring)
+	 * Throws on a malformed entry, a key that is not 64 hex characters, or a key ID
+	 * configured twice with different values, so a bad keyring fails at startup.
+	 * @param {string} keyList - WALLET_ENCRYPTION_KEYS: comma-separated `keyId:hex` pairs
+	 * @param {string} legacyKey - WALLET_ENCRYPTION_KEY, used as key `v1`
+	 * @returns {Map<string, string>} Hex keys by key ID
+	 */
+	static parseEncryptionKeys(keyList, legacyKey) {
+		const keys = new Map();
+
+		const addKey = (keyId, hex, source) => {
+			if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+				throw new Error(`${source} must be 32 bytes (64 hex characters)`);
+			}
+			if (keys.has(keyId) && keys.get(keyId).toLowerCase() !== hex.toLowerCase()) {
+				throw new Error(`Wallet encryption key ${keyId} is configured twice with different values`);
+			}
+			keys.set(keyId, hex);
+		};
+
+		for (const entry of (keyList || '').split(',').map((part) => part.trim()).filter(Boolean)) {
+			const separator = entry.indexOf(':');
+			const keyId = entry.slice(0, separator).trim();
+			if (separator <= 0 || !keyId) {
+				throw new Error('WALLET_ENCRYPTION_KEYS entries must be keyId:hex');
+			}
+			addKey(keyId, entry.slice(separator + 1).trim(), `WALLET_ENCRYPTION_KEYS key ${keyId}`);
+		}
+		if (legacyKey) {
+			addKey(LEGACY_KEY_ID, legacyKey, 'WALLET_ENCRYPTION_KEY');
+		}
+		return keys;
+	}
+
 	/**
 	 * Decrypt a private key that was encrypted with AES-256-GCM (legacy method)
-	 * @param {Object} encryptedObj - The encrypted private key object { iv, encryptedData, authTag }
+	 * Uses the key named by the object's keyId, so keys encrypted before and after a rotation
+	 * both decrypt while the old and new keys are configured.
+	 * @param {Object} encryptedObj - The encrypted private key object { keyId, iv, encryptedData, authTag }
 	 * @returns {string} The decrypted private key
 	 */
 	decryptPrivateKey(encryptedObj) {
-		if (!this.encryptionKey) {
-			throw new Error('WALLET_ENCRYPTION_KEY not configured');
-		}
-
-		const key = Buffer.from(this.encryptionKey, 'hex');
-		if (key.length !== 32) {
-			throw new Error('WALLET_ENCRYPTION_KEY must be 32 bytes (64 hex characters)');
+		const keyId = encryptedObj.keyId || LEGACY_KEY_ID;
+		const hexKey = this.encryptionKeys.get(keyId);
+		if (!hexKey) {
+			throw new Error(this.encryptionKeys.size ? `Wallet encryption key ${keyId} not configured` : 'WALLET_ENCRYPTION_KEY not configured');
 		}
 
 		const decipher = crypto.createDecipheriv(
 			'aes-256-gcm',
-			key,
+			Buffer.from(hexKey, 'hex'),
 			Buffer.from(encryptedObj.iv, 'hex')
 		);
 
@@ -238,39 +278,94 @@ class CustodialSigner {
 	}
 
 	/**
-	 * Sign a meta-transaction for EURC token approval
+	 * Sign an EURC approval for the spender, as a call for a meta-transaction batch
+	 *
+	 * EURC is not ERC-2771 aware, so approve() sent through the forwarder would approve from
+	 * the forwarder's address. Instead the user signs an EIP-2612 permit, which checks the
+	 * owner's signature rather than msg.sender and can be executed by the forwarder in the
+	 * same batch as the call that spends the allowance.
 	 * @param {number} userId - The Strapi user ID
 	 * @param {string} spender - The address to approve (BookingManager)
 	 * @param {BigInt} amount - The amount to approve
-	 * @param {Object} contracts - Contract instances { forwarder, eurcToken }
+	 * @param {Object} contracts - Contract instances { eurcToken }
 	 * @param {number} chainId - The chain ID
-	 * @returns {Object} The signed meta-transaction
+	 * @param {Object} options - { deadline } of the permit (defaults to 1 hour from now)
+	 * @returns {Object} { call: { to, value, data }, deadline, userAddress }
 	 */
-	async signEURCApprovalTransaction(userId, spender, amount, contracts, chainId) {
-		const { forwarder, eurcToken } = contracts;
+	async signEURCApprovalTransaction(userId, spender, amount, contracts, chainId, options = {}) {
+		const wallet = await this.getUserWallet(userId);
+		const deadline = options.deadline ?? Math.floor(Date.now() / 1000) + 3600;
+
+		const call = await this.signPermitCall(wallet, spender, amount, contracts.eurcToken, chainId, deadline);
+
+		return {
+			call: {
+				to: call.to,
+				value: call.value.toString(),
+				data: call.data,
+			},
+			deadline,
+			userAddress: wallet.address,
+		};
+	}
+
+	/**
+	 * Sign a meta-transaction batch for an EURC booking (with on-chain payment)
+	 *
+	 * With `approve`, the batch starts with an EURC permit for the BookingManager so the
+	 * approval and the booking are executed atomically and no allowance is left behind.
+	 * @param {number} userId - The Strapi user ID
+	 * @param {Object} bookingData - Booking data { propertyId, checkInDate, checkOutDate, totalAmount, bookingURI }
+	 * @param {Object} contracts - Contract instances { forwarder, bookingManager, eurcToken }
+	 * @param {number} chainId - The chain ID
+	 * @param {Object} options - { approve } to include the EURC permit
+	 * @returns {Object} The signed batch { metaTx: { from, calls, nonce, deadline, signature }, signature, userAddress }
+	 */
+	async signEURCBookingTransaction(userId, bookingData, contracts, chainId, options = {}) {
+		const { forwarder, bookingManager, eurcToken } = contracts;
 
 		// Get user's wallet
 		const wallet = await this.getUserWallet(userId);
-		const userAddress = wallet.address;
-
-		// Get nonce
-		const nonce = await forwarder.getNonce(userAddress);
 
-		// Build deadline (1 hour from now)
+		// Build deadline (1 hour from now) - shared by the permit and the batch
 		const deadline = Math.floor(Date.now() / 1000) + 3600;
+		const bookingManagerAddress = await bookingManager.getAddress();
 
-		// Encode the approve function call
-		const data = eurcToken.interface.encodeFunctionData('approve', [spender, amount]);
+		const calls = [];
+		if (options.approve) {
+			calls.push(await this.signPermitCall(wallet, bookingManagerAddress, bookingData.totalAmount, eurcToken, chainId, deadline));
+		}
 
-		// Build the meta-transaction
-		const metaTx = {
-			from: userAddress,
-			to: await eurcToken.getAddress(),
-			value: 0n,
-			data,
-			nonce,
-			deadline,
-		};
+		// Encode the createBooking function call (EURC version)
+		calls.push({
+			to: bookingManagerAddress,
+			value: 0n, // EURC is transferred via the contract, not msg.value
+			data: bookingManager.interface.encodeFunctionData('createBooking', [
+				bookingData.propertyId,
+				bookingData.checkInDate,
+				bookingData.checkOutDate,
+				bookingData.totalAmount,
+				bookingData.bookingURI,
+			]),
+		});
+
+		return this.signMetaTransactionBatch(wallet, calls, forwarder, chainId, deadline);
+	}
+
+	/**
+	 * Sign several calls as one MetaTransactionBatch, executed atomically by the forwarder
+	 * @param {ethers.Wallet} wallet - The user's wallet
+	 * @param {Array} calls - [{ to, value, data }]
+	 * @param {ethers.Contract} forwarder - MetaTransactionForwarder contract instance
+	 * @param {number} chainId - The chain ID
+	 * @param {number} deadline - Deadline timestamp (unix seconds)
+	 * @returns {Object} The signed batch { metaTx: { from, calls, nonce, deadline, signature }, signature, userAddress }
+	 */
+	async signMetaTransactionBatch(wallet, calls, forwarder, chainId, deadline) {
+		const userAddress = wallet.address;
+
+		// Get nonce (shared with single meta-transactions)
+		const nonce = await forwarder.getNonce(userAddress);
 
 		// Build EIP-712 typed data
 		const domain = {
@@ -281,23 +376,24 @@ class CustodialSigner {
 		};
 
 		const types = {
-			MetaTransaction: [
+			MetaTransactionBatch: [
 				{ name: 'from', type: 'address' },
+				{ name: 'calls', type: 'Call[]' },
+				{ name: 'nonce', type: 'uint256' },
+				{ name: 'deadline', type: 'uint256' },
+			],
+			Call: [
 				{ name: 'to', type: 'address' },
 				{ name: 'value', type: 'uint256' },
 				{ name: 'data', type: 'bytes' },
-				{ name: 'nonce', type: 'uint256' },
-				{ name: 'deadline', type: 'uint256' },
 			],
 		};
 
 		const message = {
-			from: metaTx.from,
-			to: metaTx.to,
-			value: metaTx.value,
-			data: metaTx.data,
-			nonce: metaTx.nonce,
-			deadline: metaTx.deadline,
+			from: userAddress,
+			calls: calls.map((call) => ({ to: call.to, value: BigInt(call.value || 0), data: call.data })),
+			nonce,
+			deadline,
 		};
 
 		// Sign the typed data
@@ -305,12 +401,10 @@ class CustodialSigner {
 
 		return {
 			metaTx: {
-				from: metaTx.from,
-				to: metaTx.to,
-				value: metaTx.value.toString(),
-				data: metaTx.data,
-				nonce: metaTx.nonce.toString(),
-				deadline: metaTx.deadline,
+				from: userAddress,
+				calls: message.calls.map((call) => ({ to: call.to, value: call.value.toString(), data: call.data })),
+				nonce: nonce.toString(),
+				deadline,
 				signature,
 			},
 			signature,
@@ -319,14 +413,100 @@ class CustodialSigner {
 	}
 
 	/**
-	 * Sign a meta-transaction for EURC booking (with on-chain payment)
+	 * Sign an EIP-2612 permit and encode it as a forwarder call to the token
+	 * @param {ethers.Wallet} wallet - The token owner's wallet
+	 * @param {string} spender - The address to approve
+	 * @param {BigInt} amount - The amount to approve
+	 * @param {ethers.Contract} token - Token contract instance with permit, nonces and name/version or eip712Domain
+	 * @param {number} chainId - The chain ID
+	 * @param {number} deadline - Permit deadline (unix seconds)
+	 * @returns {Object} { to, value, data }
+	 */
+	async signPermitCall(wallet, spender, amount, token, chainId, deadline) {
+		if (!token) {
+			throw new Error('EURC token not configured');
+		}
+
+		const domain = await this.getPermitDomain(token, chainId);
+		const types = {
+			Permit: [
+				{ name: 'owner', type: 'address' },
+				{ name: 'spender', type: 'address' },
+				{ name: 'value', type: 'uint256' },
+				{ name: 'nonce', type: 'uint256' },
+				{ name: 'deadline', type: 'uint256' },
+			],
+		};
+		const message = {
+			owner: wallet.address,
+			spender,
+			value: amount,
+			nonce: await token.nonces(wallet.address),
+			deadline,
+		};
+
+		const { v, r, s } = ethers.Signature.from(await wallet.signTypedData(domain, types, message));
+
+		return {
+			to: domain.verifyingContract,
+			value: 0n,
+			data: token.interface.encodeFunctionData('permit', [wallet.address, spender, amount, deadline, v, r, s]),
+		};
+	}
+
+	/**
+	 * Get the EIP-712 domain a token verifies permits against
+	 * Prefers ERC-5267 eip712Domain(); Circle's FiatToken (EURC) only exposes name() and version().
+	 * @param {ethers.Contract} token - Token contract instance
+	 * @param {number} chainId - The chain ID
+	 * @returns {Object} { name, version, chainId, verifyingContract }
+	 */
+	async getPermitDomain(token, chainId) {
+		const verifyingContract = await token.getAddress();
+		try {
+			const domain = await token.eip712Domain();
+			return { name: domain.name, version: domain.version, chainId, verifyingContract };
+		} catch (err) {
+			const name = await token.name();
+			const version = await token.version().catch(() => '1');
+			return { name, version, chainId, verifyingContract };
+		}
+	}
+
+	/**
+	 * Sign a meta-transaction for a guest check-in
 	 * @param {number} userId - The Strapi user ID
-	 * @param {Object} bookingData - Booking data { propertyId, checkInDate, checkOutDate, totalAmount, bookingURI }
+	 * @param {string|number|BigInt} bookingId - On-chain booking ID
+	 * @param {Object} contracts - Contract instances { forwarder, bookingManager }
+	 * @param {number} chainId - The chain ID
+	 * @returns {Object} The signed meta-transaction
+	 */
+	async signCheckInTransaction(userId, bookingId, contracts, chainId) {
+		return this.signBookingManagerCall(userId, 'checkIn', [bookingId], contracts, chainId);
+	}
+
+	/**
+	 * Sign a meta-transaction for a guest cancellation
+	 * @param {number} userId - The Strapi user ID
+	 * @param {string|number|BigInt} bookingId - On-chain booking ID
+	 * @param {Object} contracts - Contract instances { forwarder, bookingManager }
+	 * @param {number} chainId - The chain ID
+	 * @returns {Object} The signed meta-transaction
+	 */
+	async signCancelBookingTransaction(userId, bookingId, contracts, chainId) {
+		return this.signBookingManagerCall(userId, 'cancelBooking', [bookingId], contracts, chainId);
+	}
+
+	/**
+	 * Sign a meta-transaction for an arbitrary BookingManager function
+	 * @param {number} userId - The Strapi user ID
+	 * @param {string} functionName - BookingManager function to call
+	 * @param {Array} args - Function arguments
 	 * @param {Object} contracts - Contract instances { forwarder, bookingManager }
 	 * @param {number} chainId - The chain ID
 	 * @returns {Object} The signed meta-transaction
 	 */
-	async signEURCBookingTransaction(userId, bookingData, contracts, chainId) {
+	async signBookingManagerCall(userId, functionName, args, contracts, chainId) {
 		const { forwarder, bookingManager } = contracts;
 
 		// Get user's wallet
@@ -339,20 +519,14 @@ class CustodialSigner {
 		// Build deadline (1 hour from now)
 		const deadline = Math.floor(Date.now() / 1000) + 3600;
 
-		// Encode the createBooking function call (EURC version)
-		const data = bookingManager.interface.encodeFunctionData('createBooking', [
-			bookingData.propertyId,
-			bookingData.checkInDate,
-			bookingData.checkOutDate,
-			bookingData.totalAmount,
-			bookingData.bookingURI,
-		]);
+		// Encode the function call
+		const data = bookingManager.interface.encodeFunctionData(functionName, args);
 
 		// Build the meta-transaction
 		const metaTx = {
 			from: userAddress,
 			to: await bookingManager.getAddress(),
-			value: 0n, // EURC is transferred via the contract, not msg.value
+			value: 0n,
 			data,
 			nonce,
 			deadline,
@@ -409,7 +583,7 @@ class CustodialSigner {
 	 * @returns {boolean}
 	 */
 	isAvailable() {
-		return !!this.encryptionKey && !!this.strapiToken;
+		return this.encryptionKeys.size > 0 && !!this.strapiToken;
 	}
 }
 
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// RPC variables already used by hardhat.config.js, checked after RPC_URL_<chainId>
+const LEGACY_RPC_ENV = {
+	84532: 'BASE_SEPOLIA_RPC',
+	8453: 'BASE_MAINNET_RPC',
+	421614: 'ARBITRUM_SEPOLIA_RPC',
+	42161: 'ARBITRUM_MAINNET_RPC',
+	89: 'VICTION_TESTNET_RPC',
+};
+const DEFAULT_RPC_URLS = {
+	84532: 'https://sepolia.base.org',
+};
+// Used as the default chain when DEFAULT_CHAIN_ID is not set and it is deployed
+const PREFERRED_DEFAULT_CHAIN_ID = 84532;
+
+/**
+ * DeploymentRegistry - Every contract deployment the backend can talk to
+ *
+ * Loads each `deployment-*.json` from the config directory (written by the Hardhat deploy
+ * scripts), keyed by chainId. A deployment needs a chainId and BookingManager, PropertyMarketplace
+ * and MetaTransactionForwarder addresses; files for a chain already loaded are skipped, so
+ * `deployment-all-*.json` wins over single-contract files (alphabetical order).
+ *
+ * A chain is enabled when it is listed in CHAINS (comma-separated chain IDs). Without CHAINS only
+ * the default chain is enabled, which is DEFAULT_CHAIN_ID, else Base Sepolia, else the first
+ * deployment. Its RPC URL comes from RPC_URL_<chainId>, then the network variable used by
+ * hardhat.config.js (e.g. BASE_SEPOLIA_RPC), then the `rpcUrl` field of the deployment file.
+ */
+class DeploymentRegistry {
+	constructor(config = {}) {
+		this.configDir = config.configDir || process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', 'config');
+		this.env = config.env || process.env;
+		this.enabledChainIds = DeploymentRegistry.parseChainIds(config.chains ?? this.env.CHAINS);
+		this.requestedDefaultChainId = Number(config.defaultChainId || this.env.DEFAULT_CHAIN_ID) || null;
+		this.deployments = new Map(); // chainId -> deployment
+		this.defaultChainId = null;
+	}
+
+	static parseChainIds(value) {
+		if (!value) return null;
+		const ids = String(value).split(',').map((id) => Number(id.trim())).filter((id) => Number.isInteger(id) && id > 0);
+		return ids.length ? new Set(ids) : null;
+	}
+
+	/**
+	 * Read the deployment files and pick the default chain
+	 * @returns {number} Number of enabled chains
+	 */
+	load() {
+		this.deployments.clear();
+		const files = fs.existsSync(this.configDir)
+			? fs.readdirSync(this.configDir).filter((file) => /^deployment-.+\.json$/.test(file)).sort()
+			: [];
+
+		for (const file of files) {
+			let info;
+			try {
+				info = JSON.parse(fs.readFileSync(path.join(this.configDir, file), 'utf8'));
+			} catch (error) {
+				console.warn(`⚠️  Skipping ${file}: ${error.message}`);
+				continue;
+			}
+
+			const chainId = Number(info.chainId);
+			const contracts = info.contracts || {};
+			if (!chainId || !contracts.BookingManager || !contracts.PropertyMarketplace || !contracts.MetaTransactionForwarder) {
+				console.warn(`⚠️  Skipping ${file}: chainId or core contract addresses missing`);
+				continue;
+			}
+			if (this.deployments.has(chainId)) {
+				console.log(`ℹ️  Skipping ${file}: chain ${chainId} already loaded from ${this.deployments.get(chainId).file}`);
+				continue;
+			}
+
+			this.deployments.set(chainId, {
+				chainId,
+				network: info.network || `chain-${chainId}`,
+				file,
+				contracts,
+				treasury: info.treasury || info.deployer || null,
+				deployer: info.deployer || null,
+				rpcUrl: this.env[`RPC_URL_${chainId}`] || this.env[LEGACY_RPC_ENV[chainId]] || info.rpcUrl || DEFAULT_RPC_URLS[chainId] || null,
+				isDefault: false,
+				enabled: false,
+			});
+		}
+
+		if (this.requestedDefaultChainId && this.deployments.has(this.requestedDefaultChainId)) {
+			this.defaultChainId = this.requestedDefaultChainId;
+		} else {
+			if (this.requestedDefaultChainId) {
+				console.warn(`⚠️  DEFAULT_CHAIN_ID ${this.requestedDefaultChainId} has no deployment file`);
+			}
+			const enabled = Array.from(this.deployments.keys()).filter((id) => !this.enabledChainIds || this.enabledChainIds.has(id));
+			this.defaultChainId = enabled.includes(PREFERRED_DEFAULT_CHAIN_ID) ? PREFERRED_DEFAULT_CHAIN_ID : (enabled[0] ?? null);
+		}
+
+		for (const deployment of this.deployments.values()) {
+			deployment.isDefault = deployment.chainId === this.defaultChainId;
+			deployment.enabled = deployment.isDefault || !!this.enabledChainIds?.has(deployment.chainId);
+			if (deployment.enabled && !deployment.rpcUrl) {
+				console.warn(`⚠️  Chain ${deployment.chainId} (${deployment.network}) has no RPC URL - set RPC_URL_${deployment.chainId}`);
+				deployment.enabled = false;
+			}
+		}
+		// A default chain without an RPC URL is disabled - fall back to the first enabled chain
+		if (!this.getDefault()) {
+			const previous = this.deployments.get(this.defaultChainId);
+			if (previous) previous.isDefault = false;
+			const fallback = this.list()[0] || null;
+			if (fallback) fallback.isDefault = true;
+			this.defaultChainId = fallback?.chainId ?? null;
+		}
+		if (this.enabledChainIds) {
+			for (const chainId of this.enabledChainIds) {
+				if (!this.deployments.has(chainId)) {
+					console.warn(`⚠️  CHAINS lists ${chainId} but there is no deployment file for it`);
+				}
+			}
+		}
+
+		return this.list().length;
+	}
+
+	/**
+	 * Deployments, enabled only unless { all: true }
+	 */
+	list({ all = false } = {}) {
+		return Array.from(this.deployments.values()).filter((deployment) => all || deployment.enabled);
+	}
+
+	get(chainId) {
+		const deployment = this.deployments.get(Number(chainId));
+		return deployment?.enabled ? deployment : null;
+	}
+
+	getDefault() {
+		return this.get(this.defaultChainId);
+	}
+
+	/**
+	 * Deployment a request or booking targets; the default chain when chainId is not given
+	 * @param {number|string|null|undefined} chainId
+	 * @returns {Object} { deployment } or { error }
+	 */
+	resolve(chainId) {
+		if (chainId === undefined || chainId === null || chainId === '') {
+			const deployment = this.getDefault();
+			return deployment ? { deployment } : { error: 'No chain is configured' };
+		}
+
+		const deployment = this.get(chainId);
+		if (!deployment) {
+			const known = this.deployments.has(Number(chainId));
+			return { error: known ? `Chain ${chainId} is not enabled` : `Unsupported chainId ${chainId}` };
+		}
+		return { deployment };
+	}
+
+	/**
+	 * Strapi query filter for records of a chain. Records written before the chainId field
+	 * existed (chainId null) belong to the default chain.
+	 * @param {Object|null} deployment
+	 * @returns {Object} Query params, e.g. { 'filters[chainId][$eq]': 89 }
+	 */
+	static cmsChainFilter(deployment) {
+		if (!deployment) {
+			return {};
+		}
+		if (deployment.isDefault) {
+			return {
+				'filters[$or][0][chainId][$eq]': deployment.chainId,
+				'filters[$or][1][chainId][$null]': true,
+			};
+		}
+		return { 'filters[chainId][$eq]': deployment.chainId };
+	}
+}
+
+module.exports = DeploymentRegistry;
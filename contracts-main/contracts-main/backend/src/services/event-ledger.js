@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * EventLedger - Durable record of every chain event the event listener handled
+ *
+ * One entry per log, keyed by `txHash:logIndex`:
+ *   processing -> processed
+ *              -> failed (retried with backoff) -> dead (dead-letter queue, retried by an admin)
+ *
+ * Entries keep the event itself (name, args, block) so failed events can be replayed
+ * without re-querying the chain. Storage is a JSON-lines journal like PaymentSessionStore:
+ * every change is appended, the journal is replayed on load and compacted.
+ */
+class EventLedger {
+	constructor(config = {}) {
+		this.filePath = config.filePath || process.env.EVENT_LEDGER_PATH || path.join(process.cwd(), 'event-ledger.state');
+		this.maxAttempts = Number(config.maxAttempts || process.env.EVENT_MAX_ATTEMPTS || 5);
+		this.retryBaseMs = Number(config.retryBaseMs ?? process.env.EVENT_RETRY_BASE_MS ?? 30000);
+		// Processed entries beyond this are dropped on compaction (oldest block first); failed and dead entries are kept
+		this.maxProcessed = Number(config.maxProcessed || process.env.EVENT_LEDGER_MAX_PROCESSED || 100000);
+		this.entries = new Map();
+	}
+
+	/**
+	 * Replay the journal from disk and compact it. Entries left in `processing` by a
+	 * crash are marked failed so they are retried.
+	 * @returns {number} Number of entries loaded
+	 */
+	load() {
+		this.entries.clear();
+
+		try {
+			if (fs.existsSync(this.filePath)) {
+				const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+				for (const line of lines) {
+					if (!line.trim()) continue;
+					try {
+						const record = JSON.parse(line);
+						if (record.op === 'put' && record.entry?.key) {
+							this.entries.set(record.entry.key, record.entry);
+						} else if (record.op === 'del' && record.key) {
+							this.entries.delete(record.key);
+						}
+					} catch (_) {
+						// Torn write from a crash - skip the partial line
+					}
+				}
+			}
+		} catch (err) {
+			console.warn('⚠️  Failed to load event ledger:', err.message);
+		}
+
+		for (const entry of this.entries.values()) {
+			if (entry.status === 'processing') {
+				Object.assign(entry, { status: 'failed', lastError: 'Interrupted by a restart', nextAttemptAt: null });
+			}
+		}
+
+		this.compact();
+		return this.entries.size;
+	}
+
+	get(key) {
+		return this.entries.get(key) || null;
+	}
+
+	/**
+	 * Record the start of a processing attempt
+	 * @param {string} key - txHash:logIndex
+	 * @param {Object} event - { eventName, args, transactionHash, logIndex, blockNumber, blockHash }
+	 */
+	begin(key, event) {
+		const now = new Date().toISOString();
+		const existing = this.entries.get(key);
+		return this.put({
+			key,
+			...event,
+			firstSeenAt: existing?.firstSeenAt || now,
+			attempts: (existing?.attempts || 0) + 1,
+			lastError: existing?.lastError || null,
+			status: 'processing',
+			nextAttemptAt: null,
+			updatedAt: now,
+		});
+	}
+
+	markProcessed(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return null;
+		const now = new Date().toISOString();
+		return this.put({ ...entry, status: 'processed', processedAt: now, nextAttemptAt: null, updatedAt: now });
+	}
+
+	/**
+	 * Record a failed attempt; after maxAttempts the entry moves to the dead-letter queue
+	 */
+	markFailed(key, error) {
+		const entry = this.entries.get(key);
+		if (!entry) return null;
+		const dead = entry.attempts >= this.maxAttempts;
+		const nextAttemptAt = dead ? null : Date.now() + this.retryBaseMs * 2 ** (entry.attempts - 1);
+		return this.put({
+			...entry,
+			status: dead ? 'dead' : 'failed',
+			lastError: error?.message || String(error),
+			nextAttemptAt,
+			updatedAt: new Date().toISOString(),
+		});
+	}
+
+	/**
+	 * Failed entries whose backoff has elapsed, oldest block first
+	 */
+	dueForRetry(now = Date.now()) {
+		return this.list({ status: 'failed' }).filter((e) => !e.nextAttemptAt || e.nextAttemptAt <= now);
+	}
+
+	/**
+	 * @param {Object} filter - { status?: string | string[] }
+	 * @returns {Array} Entries ordered by block and log index
+	 */
+	list({ status } = {}) {
+		const statuses = status ? [].concat(status) : null;
+		return Array.from(this.entries.values())
+			.filter((e) => !statuses || statuses.includes(e.status))
+			.sort((a, b) => ((a.blockNumber ?? 0) - (b.blockNumber ?? 0)) || ((a.logIndex ?? 0) - (b.logIndex ?? 0)));
+	}
+
+	/**
+	 * Forget every entry above a block (reorged away) so the events are replayed
+	 * @returns {number} Entries removed
+	 */
+	removeAfterBlock(blockNumber) {
+		let removed = 0;
+		for (const entry of Array.from(this.entries.values())) {
+			if (typeof entry.blockNumber === 'number' && entry.blockNumber > blockNumber) {
+				this.delete(entry.key);
+				removed++;
+			}
+		}
+		return removed;
+	}
+
+	delete(key) {
+		if (!this.entries.delete(key)) return;
+		this.append({ op: 'del', key });
+	}
+
+	getStats() {
+		const stats = { total: this.entries.size, processing: 0, processed: 0, failed: 0, dead: 0 };
+		for (const entry of this.entries.values()) {
+			stats[entry.status] = (stats[entry.status] || 0) + 1;
+		}
+		return stats;
+	}
+
+	put(entry) {
+		this.entries.set(entry.key, entry);
+		this.append({ op: 'put', entry });
+		return entry;
+	}
+
+	/** Append a record to the journal */
+	append(record) {
+		try {
+			this.ensureDir();
+			fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+		} catch (err) {
+			console.warn('⚠️  Failed to persist event ledger entry:', err.message);
+		}
+	}
+
+	/** Drop the oldest processed entries over maxProcessed and rewrite the journal */
+	compact() {
+		const processed = this.list({ status: 'processed' });
+		for (const entry of processed.slice(0, Math.max(0, processed.length - this.maxProcessed))) {
+			this.entries.delete(entry.key);
+		}
+
+		try {
+			this.ensureDir();
+			const tmpPath = `${this.filePath}.tmp`;
+			const lines = Array.from(this.entries.values()).map(entry => JSON.stringify({ op: 'put', entry }));
+			fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+			fs.renameSync(tmpPath, this.filePath);
+		} catch (err) {
+			console.warn('⚠️  Failed to compact event ledger:', err.message);
+		}
+	}
+
+	ensureDir() {
+		const dir = path.dirname(this.filePath);
+		if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+	}
+}
+
+module.exports = EventLedger;
@@ -3,14 +3,52 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const IPFSUtils = require('../utils/ipfs-utils');
+const EventLedger = require('./event-ledger');
+const DeploymentRegistry = require('./deployment-registry');
+
+// BookingManager.BookingStatus names, mirrored into the CMS `chainStatus` field
+const CHAIN_STATUSES = ['Active', 'CheckInReady', 'CheckedIn', 'Completed', 'Disputed', 'Cancelled', 'Refunded', 'EscalatedToAdmin'];
+// EURC amounts on-chain use 6 decimals; bookings paid off-chain (fiat) store cents
+const EURC_DECIMALS = 6;
+const FIAT_DECIMALS = 2;
+// RPC errors meaning "split the block range" - wording differs per provider
+const RANGE_TOO_LARGE = /block range|range (is )?too (large|wide|big)|exceeds? .*range|more than \d+ (results|logs)|too many (results|logs)|response size/i;
+// BookingManager events - their first argument is the booking ID
+const BOOKING_EVENTS = new Set([
+	'BookingCreated', 'BookingCreatedPaid', 'CheckInWindowOpened', 'CheckedIn', 'CheckInMissed',
+	'DisputeRaised', 'DisputeResolved', 'DisputeEscalated', 'BookingCompleted', 'BookingCancelled', 'BookingRefunded',
+]);
 
 class EventListener {
-	constructor() {
+	constructor(config = {}) {
 		this.provider = null;
 		this.contracts = {};
+		// Chain this listener follows (DeploymentRegistry entry); the default chain when not given
+		this.deployment = config.deployment || null;
+		this.chainId = this.deployment?.chainId ?? null;
 		this.isRunning = false;
 		this.lastProcessedBlock = 0;
-		this.stateFilePath = path.join(process.cwd(), 'event-listener.state');
+		this.stateFilePath = config.stateFilePath || path.join(process.cwd(), 'event-listener.state');
+
+		// Reorg protection: only blocks this deep are processed, and the hashes of recently
+		// processed blocks are kept so a reorg below that depth can be rolled back and replayed
+		this.confirmations = Number(config.confirmations ?? process.env.EVENT_CONFIRMATIONS ?? 5);
+		this.reorgWindow = Number(config.reorgWindow ?? process.env.EVENT_REORG_WINDOW ?? 64);
+		this.blockHashes = new Map(); // blockNumber -> hash of processed blocks (last reorgWindow blocks)
+		this.blockEvents = new Map(); // blockNumber -> [{ eventId, name, bookingId }] processed in that block
+		this.reorgStats = { detected: 0, lastReorgAt: null, lastCommonAncestor: null, eventsRolledBack: 0 };
+
+		// Log queries are split into chunks of at most `chunkSize` blocks (halved whenever the RPC
+		// rejects a range as too large), at most `concurrency` in flight, retried with exponential backoff
+		this.logQuery = {
+			chunkSize: Number(config.chunkSize || process.env.EVENT_CHUNK_SIZE || 2000),
+			concurrency: Number(config.rpcConcurrency || process.env.EVENT_RPC_CONCURRENCY || 2),
+			maxRetries: Number(config.rpcMaxRetries ?? process.env.EVENT_RPC_MAX_RETRIES ?? 5),
+			retryBaseMs: Number(config.rpcRetryBaseMs ?? process.env.EVENT_RPC_RETRY_BASE_MS ?? 1000),
+		};
+		this.logQueryStats = { chunksQueried: 0, rangeShrinks: 0, retries: 0, lastError: null };
+		this.catchUp = null; // { fromBlock, toBlock, startedAt } while processHistoricalEvents runs
+		this.backfillJob = null; // Admin backfill (POST /api/events/backfill), persisted for resuming
 		this.strapiConfig = {
 			baseURL: process.env.STRAPI_BASE_URL || 'http://localhost:1337',
 			apiToken: process.env.STRAPI_API_TOKEN,
@@ -20,8 +58,9 @@ class EventListener {
 		this.ipfsUtils = new IPFSUtils();
 		this.originalOwners = new Map(); // propertyId -> original owner address
 		
-		// Idempotency tracking
-		this.processedEvents = new Set(); // Track processed event transaction hashes
+		// Idempotency tracking: every event gets a durable ledger entry keyed by txHash:logIndex,
+		// failed events are retried with backoff and then dead-lettered
+		this.ledger = config.ledger || new EventLedger(config.ledgerConfig);
 		this.processingEvents = new Set(); // Track events currently being processed
 	}
 
@@ -34,7 +73,7 @@ class EventListener {
 		return [];
 	}
 
-	/** Load persisted state (lastProcessedBlock) if present */
+	/** Load persisted state (lastProcessedBlock, recent block hashes and events) if present */
 	loadState() {
 		try {
 			if (fs.existsSync(this.stateFilePath)) {
@@ -48,12 +87,23 @@ class EventListener {
 		return { lastProcessedBlock: 0 };
 	}
 
-	/** Persist lastProcessedBlock to disk */
+	/** Restore reorg tracking from a loaded state */
+	restoreReorgState(state) {
+		this.blockHashes = new Map(Object.entries(state.blockHashes || {}).map(([n, hash]) => [Number(n), hash]));
+		this.blockEvents = new Map(Object.entries(state.blockEvents || {}).map(([n, events]) => [Number(n), events]));
+	}
+
+	/** Persist lastProcessedBlock and reorg tracking to disk */
 	saveState() {
 		try {
 			const dir = path.dirname(this.stateFilePath);
 			if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-			fs.writeFileSync(this.stateFilePath, JSON.stringify({ lastProcessedBlock: this.lastProcessedBlock }, null, 2));
+			fs.writeFileSync(this.stateFilePath, JSON.stringify({
+				lastProcessedBlock: this.lastProcessedBlock,
+				blockHashes: Object.fromEntries(this.blockHashes),
+				blockEvents: Object.fromEntries(this.blockEvents),
+				backfill: this.backfillJob,
+			}, null, 2));
 		} catch (err) {
 			console.warn('⚠️  Failed to persist event listener state:', err.message);
 		}
@@ -65,25 +115,20 @@ class EventListener {
 	async initialize() {
 		console.log('🔧 Initializing Event Listener...');
 
-		// Initialize provider - prefer Base Sepolia, fall back to Viction
-		const rpcUrl = process.env.BASE_SEPOLIA_RPC || process.env.VICTION_TESTNET_RPC || 'https://sepolia.base.org';
-		this.provider = new ethers.JsonRpcProvider(rpcUrl);
-		console.log(`🔗 Event listener connected to RPC: ${rpcUrl}`);
-
-		// Load deployment info - prefer Base Sepolia, fall back to Viction
-		const baseSepoliaPath = path.join(__dirname, '/../config/deployment-base-sepolia.json');
-		const victionPath = path.join(__dirname, '/../config/deployment-all-viction-testnet.json');
-
-		let deploymentInfo;
-		if (fs.existsSync(baseSepoliaPath)) {
-			deploymentInfo = JSON.parse(fs.readFileSync(baseSepoliaPath, 'utf8'));
-			console.log(`📦 Event listener using Base Sepolia deployment (Chain ID: ${deploymentInfo.chainId})`);
-		} else if (fs.existsSync(victionPath)) {
-			deploymentInfo = JSON.parse(fs.readFileSync(victionPath, 'utf8'));
-			console.log(`📦 Event listener using Viction Testnet deployment (legacy)`);
-		} else {
-			throw new Error('No deployment configuration found for event listener');
+		if (!this.deployment) {
+			const registry = new DeploymentRegistry();
+			registry.load();
+			this.deployment = registry.getDefault();
+			if (!this.deployment) {
+				throw new Error('No deployment configuration found for event listener');
+			}
+			this.chainId = this.deployment.chainId;
 		}
+		const deploymentInfo = this.deployment;
+
+		this.provider = new ethers.JsonRpcProvider(deploymentInfo.rpcUrl);
+		console.log(`🔗 Event listener connected to RPC: ${deploymentInfo.rpcUrl}`);
+		console.log(`📦 Event listener using ${deploymentInfo.network} deployment (Chain ID: ${deploymentInfo.chainId})`);
 		
 		// Initialize contract instances
 		const PropertyMarketplaceABI = require('../artifacts/contracts/PropertyMarketplace.sol/PropertyMarketplace.json').abi;
@@ -108,19 +153,24 @@ class EventListener {
 			this.provider
 		);
 		
-		// Determine starting block: use persisted state if present, otherwise current block
+		const ledgerSize = this.ledger.load();
+		console.log(`📒 Event ledger loaded: ${ledgerSize} entries (${this.ledger.getStats().dead} dead-lettered)`);
+
+		// Determine starting block: use persisted state if present, otherwise the last confirmed block
 		const currentBlock = await this.provider.getBlockNumber();
 		const state = this.loadState();
+		this.backfillJob = state.backfill || null;
 		if (state.lastProcessedBlock && state.lastProcessedBlock > 0 && state.lastProcessedBlock <= currentBlock) {
 			this.lastProcessedBlock = state.lastProcessedBlock;
+			this.restoreReorgState(state);
 			console.log(`📦 Resuming from last processed block: ${this.lastProcessedBlock}`);
 		} else {
-			this.lastProcessedBlock = currentBlock;
+			this.lastProcessedBlock = Math.max(0, currentBlock - this.confirmations);
 		console.log(`📦 Starting from block: ${this.lastProcessedBlock}`);
 			this.saveState();
 		}
 		
-		console.log('✅ Event listener initialized');
+		console.log(`✅ Event listener initialized (${this.confirmations} confirmations, reorg window ${this.reorgWindow} blocks)`);
 	}
 
 	/**
@@ -140,6 +190,13 @@ class EventListener {
 
 		// Start polling for new blocks
 		this.startPolling();
+
+		// Pick up a backfill that was cut short by a restart
+		if (['running', 'interrupted'].includes(this.backfillJob?.status)) {
+			console.log(`📚 Resuming backfill from block ${this.backfillJob.nextBlock}`);
+			this.backfillJob.status = 'running';
+			this.runBackfill();
+		}
 	}
 
 	/**
@@ -177,87 +234,409 @@ class EventListener {
 	async processHistoricalEvents() {
 		console.log('📚 Processing historical events...');
 		
-		const currentBlock = await this.provider.getBlockNumber();
-		// If resuming from persisted state, continue from the next block; otherwise scan a safety window
-		const fromBlock = this.lastProcessedBlock > 0 ? this.lastProcessedBlock + 1 : Math.max(0, currentBlock - 1000);
-		
 		try {
-			// Get all events from all contracts
-			const events = await this.getAllEvents(fromBlock, currentBlock);
-			
-			console.log(`📊 Found ${events.length} historical events`);
-			
-			// Process events in order
-			for (const event of events) {
-				await this.processEvent(event);
-			}
+			// A reorg may have happened while the listener was down
+			await this.handleReorg();
+
+			const safeBlock = Math.max(0, (await this.provider.getBlockNumber()) - this.confirmations);
+			// If resuming from persisted state, continue from the next block; otherwise scan a safety window
+			const fromBlock = this.lastProcessedBlock > 0 ? this.lastProcessedBlock + 1 : Math.max(0, safeBlock - 1000);
+			this.catchUp = { fromBlock, toBlock: safeBlock, startedAt: new Date().toISOString() };
+
+			// Window by window, so a crash or RPC failure resumes from the last completed window
+			let eventsFound = 0;
+			await this.processRange(fromBlock, safeBlock, async (windowEnd, counts) => {
+				eventsFound += counts.found;
+				await this.markBlockProcessed(windowEnd);
+				this.saveState();
+			});
 			
-			this.lastProcessedBlock = currentBlock;
-			this.saveState();
-			console.log('✅ Historical events processed');
+			console.log(`✅ Historical events processed (${eventsFound} events)`);
 			
 		} catch (error) {
 			console.error('❌ Error processing historical events:', error);
+		} finally {
+			this.catchUp = null;
 		}
 	}
 
 	/**
-	 * Process new blocks
+	 * Fetch and process a block range in windows of `chunkSize * concurrency` blocks
+	 * @param {Function} onWindow - async (windowEnd, { found, processed, failed }) after each window
+	 */
+	async processRange(fromBlock, toBlock, onWindow) {
+		let nextBlock = fromBlock;
+		while (nextBlock <= toBlock) {
+			const windowEnd = Math.min(toBlock, nextBlock + this.logQuery.chunkSize * this.logQuery.concurrency - 1);
+			const events = await this.getAllEvents(nextBlock, windowEnd);
+			const counts = { found: events.length, processed: 0, failed: 0 };
+
+			for (const event of events) {
+				const entry = await this.processEvent(event);
+				if (entry?.status === 'processed') counts.processed++;
+				if (['failed', 'dead'].includes(entry?.status)) counts.failed++;
+			}
+
+			await onWindow(windowEnd, counts);
+			nextBlock = windowEnd + 1;
+		}
+	}
+
+	/**
+	 * Process new blocks once they have `confirmations` blocks on top
 	 */
 	async processNewBlocks() {
+		// The startup catch-up owns lastProcessedBlock until it is done
+		if (this.catchUp) return;
+
 		try {
+			await this.handleReorg();
+
 			const currentBlock = await this.provider.getBlockNumber();
+			const safeBlock = currentBlock - this.confirmations;
 			
-			if (currentBlock > this.lastProcessedBlock) {
-				console.log(`📦 Processing blocks ${this.lastProcessedBlock + 1} to ${currentBlock}`);
+			if (safeBlock > this.lastProcessedBlock) {
+				console.log(`📦 Processing blocks ${this.lastProcessedBlock + 1} to ${safeBlock} (head ${currentBlock})`);
 				
-				const events = await this.getAllEvents(this.lastProcessedBlock + 1, currentBlock);
+				const events = await this.getAllEvents(this.lastProcessedBlock + 1, safeBlock);
 				
 				for (const event of events) {
 					await this.processEvent(event);
 				}
 				
-				this.lastProcessedBlock = currentBlock;
+				await this.markBlockProcessed(safeBlock);
 				this.saveState();
 			}
+
+			await this.retryFailedEvents();
 		} catch (error) {
 			console.error('❌ Error processing new blocks:', error);
 		}
 	}
 
+	// ===== REORG HANDLING =====
+
+	/**
+	 * Record the hash of the last processed block and drop tracking older than the reorg window
+	 */
+	async markBlockProcessed(blockNumber) {
+		const block = await this.provider.getBlock(blockNumber);
+		if (block) {
+			this.blockHashes.set(blockNumber, block.hash);
+		}
+		this.lastProcessedBlock = blockNumber;
+
+		const oldest = blockNumber - this.reorgWindow;
+		for (const n of this.blockHashes.keys()) {
+			if (n < oldest) this.blockHashes.delete(n);
+		}
+		for (const n of this.blockEvents.keys()) {
+			if (n < oldest) this.blockEvents.delete(n);
+		}
+	}
+
+	/**
+	 * Remember a processed event by block so it can be rolled back
+	 */
+	trackProcessedEvent(event, eventId, eventName, args) {
+		if (typeof event.blockNumber !== 'number') return;
+		if (event.blockHash) {
+			this.blockHashes.set(event.blockNumber, event.blockHash);
+		}
+		const events = this.blockEvents.get(event.blockNumber) || [];
+		events.push({
+			eventId,
+			name: eventName,
+			bookingId: BOOKING_EVENTS.has(eventName) && args?.[0] != null ? String(args[0]) : null,
+		});
+		this.blockEvents.set(event.blockNumber, events);
+	}
+
+	/**
+	 * Compare tracked block hashes with the chain, newest first
+	 * @returns {number|null} Last block that is still canonical, or null if nothing was reorged
+	 */
+	async findCommonAncestor() {
+		const tracked = [...this.blockHashes.keys()].sort((a, b) => b - a);
+		if (tracked.length === 0) return null;
+
+		for (let i = 0; i < tracked.length; i++) {
+			const block = await this.provider.getBlock(tracked[i]);
+			if (block && block.hash === this.blockHashes.get(tracked[i])) {
+				return i === 0 ? null : tracked[i];
+			}
+		}
+		// Deeper than the window - everything tracked is suspect
+		console.warn(`⚠️  Reorg deeper than the ${this.reorgWindow}-block window`);
+		return tracked[tracked.length - 1] - 1;
+	}
+
+	/**
+	 * Detect a reorg and roll back to the common ancestor; the next poll replays from there
+	 * @returns {Object|null} { commonAncestor, eventsRolledBack, bookingsResynced } when a reorg was handled
+	 */
+	async handleReorg() {
+		const commonAncestor = await this.findCommonAncestor();
+		if (commonAncestor === null) return null;
+
+		console.warn(`🔀 Chain reorg detected - rolling back to block ${commonAncestor}`);
+
+		const rolledBack = [];
+		for (const [n, events] of this.blockEvents) {
+			if (n > commonAncestor) {
+				rolledBack.push(...events);
+				this.blockEvents.delete(n);
+			}
+		}
+		for (const n of this.blockHashes.keys()) {
+			if (n > commonAncestor) this.blockHashes.delete(n);
+		}
+
+		// Forget the events so they are replayed if they are still on the canonical chain
+		this.ledger.removeAfterBlock(commonAncestor);
+		this.lastProcessedBlock = Math.min(this.lastProcessedBlock, commonAncestor);
+
+		// Undo what the orphaned events wrote to the CMS
+		const bookingIds = [...new Set(rolledBack.map((e) => e.bookingId).filter(Boolean))];
+		for (const bookingId of bookingIds) {
+			try {
+				await this.resyncBookingFromChain(bookingId);
+			} catch (error) {
+				console.error(`❌ Error resyncing booking ${bookingId} after reorg:`, error.message);
+			}
+		}
+
+		this.reorgStats = {
+			detected: this.reorgStats.detected + 1,
+			lastReorgAt: new Date().toISOString(),
+			lastCommonAncestor: commonAncestor,
+			eventsRolledBack: this.reorgStats.eventsRolledBack + rolledBack.length,
+		};
+		this.saveState();
+		console.log(`   ↩️  Rolled back ${rolledBack.length} events, resynced ${bookingIds.length} bookings`);
+
+		return { commonAncestor, eventsRolledBack: rolledBack.length, bookingsResynced: bookingIds.length };
+	}
+
+	/**
+	 * Bring a CMS booking back in line with the chain: delete it if the booking no longer
+	 * exists on-chain (phantom from an orphaned block), otherwise reset its status
+	 */
+	async resyncBookingFromChain(bookingId) {
+		const bookingData = await this.contracts.bookingManager.bookings(bookingId);
+		if (bookingData.bookingId.toString() !== String(bookingId)) {
+			console.log(`   🗑️  Booking ${bookingId} no longer exists on-chain`);
+			return this.deleteBookingInStrapi(bookingId);
+		}
+		return this.updateBookingInStrapi(bookingId, {
+			BookingStatus: this.getBookingStatusString(Number(bookingData.status)),
+			chainStatus: CHAIN_STATUSES[Number(bookingData.status)],
+		});
+	}
+
 	/**
 	 * Get all events from all contracts
+	 * The range is queried in chunks (see `logQuery`) and the events are returned in chain order.
+	 * Throws once a chunk still fails after its retries, so callers never skip blocks.
 	 */
 	async getAllEvents(fromBlock, toBlock) {
+		const chunks = [];
+		for (let from = fromBlock; from <= toBlock; from += this.logQuery.chunkSize) {
+			chunks.push([from, Math.min(toBlock, from + this.logQuery.chunkSize - 1)]);
+		}
+
 		const events = [];
+		let next = 0;
+		const worker = async () => {
+			while (next < chunks.length) {
+				const [from, to] = chunks[next++];
+				events.push(...await this.queryEventsAdaptive(from, to));
+			}
+		};
+		await Promise.all(Array.from({ length: Math.min(this.logQuery.concurrency, chunks.length) }, worker));
 		
-		try {
-			// Get events from PropertyMarketplace
-			const propertyEvents = await this.contracts.propertyMarketplace.queryFilter('*', fromBlock, toBlock);
-			events.push(...propertyEvents);
-			
-			// Get events from BookingManager
-			const bookingEvents = await this.contracts.bookingManager.queryFilter('*', fromBlock, toBlock);
-			events.push(...bookingEvents);
-			
-			// Sort events by block number and transaction index
-			events.sort((a, b) => {
-				if (a.blockNumber !== b.blockNumber) {
-					return a.blockNumber - b.blockNumber;
-				}
+		// Sort events by block number, transaction index and log index
+		events.sort((a, b) => {
+			if (a.blockNumber !== b.blockNumber) {
+				return a.blockNumber - b.blockNumber;
+			}
+			if (a.transactionIndex !== b.transactionIndex) {
 				return a.transactionIndex - b.transactionIndex;
+			}
+			return a.index - b.index;
+		});
+		
+		return events;
+	}
+
+	/**
+	 * Query one chunk, halving it (and the chunk size for later queries) while the RPC says it is too large
+	 */
+	async queryEventsAdaptive(fromBlock, toBlock) {
+		// Planned before the chunk size shrank - split without asking the RPC again
+		if (toBlock - fromBlock + 1 > this.logQuery.chunkSize) {
+			const splitAt = fromBlock + this.logQuery.chunkSize;
+			const first = await this.queryEventsAdaptive(fromBlock, splitAt - 1);
+			const second = await this.queryEventsAdaptive(splitAt, toBlock);
+			return [...first, ...second];
+		}
+
+		try {
+			return await this.withRpcRetry(() => this.queryEvents(fromBlock, toBlock), `blocks ${fromBlock}-${toBlock}`);
+		} catch (error) {
+			if (!EventListener.isRangeTooLarge(error) || fromBlock === toBlock) throw error;
+
+			const half = Math.floor((toBlock - fromBlock + 1) / 2);
+			this.logQuery.chunkSize = Math.max(1, Math.min(this.logQuery.chunkSize, half));
+			this.logQueryStats.rangeShrinks++;
+			console.warn(`✂️  RPC rejected blocks ${fromBlock}-${toBlock} as too large - chunk size now ${this.logQuery.chunkSize}`);
+
+			const first = await this.queryEventsAdaptive(fromBlock, fromBlock + half - 1);
+			const second = await this.queryEventsAdaptive(fromBlock + half, toBlock);
+			return [...first, ...second];
+		}
+	}
+
+	/**
+	 * Events of both contracts in one block range (two sequential getLogs calls)
+	 */
+	async queryEvents(fromBlock, toBlock) {
+		const propertyEvents = await this.contracts.propertyMarketplace.queryFilter('*', fromBlock, toBlock);
+		const bookingEvents = await this.contracts.bookingManager.queryFilter('*', fromBlock, toBlock);
+		this.logQueryStats.chunksQueried++;
+		return [...propertyEvents, ...bookingEvents];
+	}
+
+	/**
+	 * Run an RPC call, retrying with exponential backoff. "Range too large" errors are
+	 * rethrown straight away - retrying the same range cannot succeed.
+	 */
+	async withRpcRetry(fn, label) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await fn();
+			} catch (error) {
+				this.logQueryStats.lastError = { message: error.shortMessage || error.message, label, at: new Date().toISOString() };
+				if (EventListener.isRangeTooLarge(error) || attempt >= this.logQuery.maxRetries) throw error;
+
+				const delay = this.logQuery.retryBaseMs * 2 ** attempt;
+				this.logQueryStats.retries++;
+				console.warn(`⚠️  RPC error for ${label} (${error.shortMessage || error.message}) - retry ${attempt + 1}/${this.logQuery.maxRetries} in ${delay}ms`);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+			}
+		}
+	}
+
+	/**
+	 * ethers wraps the provider's JSON-RPC error - check every message it carries
+	 */
+	static isRangeTooLarge(error) {
+		const messages = [error?.message, error?.shortMessage, error?.error?.message, error?.info?.error?.message];
+		return messages.some((message) => message && RANGE_TOO_LARGE.test(message));
+	}
+
+	// ===== BACKFILL =====
+
+	/**
+	 * Start a backfill job, or resume the last unfinished one when no fromBlock is given.
+	 * Runs in the background; progress is persisted after every window.
+	 * @param {Object} params - { fromBlock?, toBlock? (defaults to the last processed block) }
+	 * @returns {Object} { success, job } or { success: false, error, conflict? }
+	 */
+	startBackfill({ fromBlock, toBlock } = {}) {
+		if (!this.isRunning) {
+			return { success: false, error: 'Event listener is not running' };
+		}
+		if (this.backfillJob?.status === 'running') {
+			return { success: false, conflict: true, error: 'A backfill is already running', job: this.backfillJob };
+		}
+
+		if (fromBlock === undefined || fromBlock === null || fromBlock === '') {
+			if (!['failed', 'interrupted'].includes(this.backfillJob?.status)) {
+				return { success: false, error: 'fromBlock is required (no unfinished backfill to resume)' };
+			}
+			Object.assign(this.backfillJob, { status: 'running', lastError: null, resumedAt: new Date().toISOString() });
+		} else {
+			const from = Number(fromBlock);
+			const to = toBlock === undefined || toBlock === null || toBlock === '' ? this.lastProcessedBlock : Number(toBlock);
+			if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to) {
+				return { success: false, error: 'fromBlock and toBlock must be block numbers with fromBlock <= toBlock' };
+			}
+			if (to > this.lastProcessedBlock) {
+				return { success: false, error: `toBlock must not be above the last processed block (${this.lastProcessedBlock})` };
+			}
+			this.backfillJob = {
+				fromBlock: from,
+				toBlock: to,
+				nextBlock: from,
+				status: 'running',
+				eventsFound: 0,
+				eventsProcessed: 0,
+				eventsFailed: 0,
+				startedAt: new Date().toISOString(),
+				updatedAt: null,
+				finishedAt: null,
+				lastError: null,
+			};
+		}
+
+		this.saveState();
+		this.runBackfill();
+		return { success: true, job: this.backfillJob };
+	}
+
+	/**
+	 * Work through the backfill job until it is done, fails or the listener stops
+	 */
+	async runBackfill() {
+		const job = this.backfillJob;
+		console.log(`📚 Backfilling blocks ${job.nextBlock} to ${job.toBlock}...`);
+
+		try {
+			await this.processRange(job.nextBlock, job.toBlock, async (windowEnd, counts) => {
+				Object.assign(job, {
+					nextBlock: windowEnd + 1,
+					eventsFound: job.eventsFound + counts.found,
+					eventsProcessed: job.eventsProcessed + counts.processed,
+					eventsFailed: job.eventsFailed + counts.failed,
+					updatedAt: new Date().toISOString(),
+				});
+				this.saveState();
+				if (!this.isRunning) throw new Error('Event listener stopped');
 			});
+			Object.assign(job, { status: 'completed', finishedAt: new Date().toISOString() });
+			console.log(`✅ Backfill completed: ${job.eventsFound} events (${job.eventsFailed} failed)`);
 		} catch (error) {
-			console.log(`⚠️  Error querying events from blocks ${fromBlock} to ${toBlock}:`, error.message);
+			Object.assign(job, { status: this.isRunning ? 'failed' : 'interrupted', lastError: error.shortMessage || error.message });
+			console.error(`❌ Backfill stopped at block ${job.nextBlock}:`, job.lastError);
 		}
-		
-		return events;
+		this.saveState();
+	}
+
+	/**
+	 * Backfill job, startup catch-up and log query settings for /api/events/status
+	 */
+	getBackfillStatus() {
+		const job = this.backfillJob;
+		const percent = (from, next, to) => (to < from ? 100 : Math.min(100, Math.round(((next - from) / (to - from + 1)) * 1000) / 10));
+		return {
+			job: job ? { ...job, percent: percent(job.fromBlock, job.nextBlock, job.toBlock) } : null,
+			catchUp: this.catchUp ? {
+				...this.catchUp,
+				lastProcessedBlock: this.lastProcessedBlock,
+				percent: percent(this.catchUp.fromBlock, this.lastProcessedBlock + 1, this.catchUp.toBlock),
+			} : null,
+			logQuery: { ...this.logQuery, ...this.logQueryStats },
+		};
 	}
 
 	/**
 	 * Process a single event with idempotency checks
+	 * @param {Object} event - ethers EventLog or { name, args, timestamp, transactionHash }
+	 * @param {Object} options - { retry: also process a dead-lettered event }
+	 * @returns {Object|null} Ledger entry after this call, or null if the event has no handler
 	 */
-	async processEvent(event) {
+	async processEvent(event, { retry = false } = {}) {
 		// Handle both custom event objects and ethers event objects
 		let eventName, eventArgs, eventTimestamp, transactionHash;
 		
@@ -275,53 +654,128 @@ class EventListener {
 			transactionHash = event.transactionHash || 'unknown';
 		} else {
 			console.log(`⚠️  Unknown event format:`, event);
-			return;
+			return null;
 		}
 		
-		// Create unique event identifier for idempotency (BigInt-safe)
-		const safeArgs = JSON.parse(JSON.stringify(eventArgs, (key, val) => (typeof val === 'bigint' ? val.toString() : val)));
-		const eventId = `${transactionHash}-${eventName}-${JSON.stringify(safeArgs)}`;
+		// Ledger key is the log's position on-chain; events without one fall back to their content (BigInt-safe)
+		const safeArgs = JSON.parse(JSON.stringify(Array.from(eventArgs || []), (key, val) => (typeof val === 'bigint' ? val.toString() : val)));
+		const logIndex = event.index ?? event.logIndex ?? null;
+		const eventId = logIndex !== null && transactionHash !== 'unknown'
+			? `${transactionHash}:${logIndex}`
+			: `${transactionHash}-${eventName}-${JSON.stringify(safeArgs)}`;
 		
 		// Check if event is already being processed
 		if (this.processingEvents.has(eventId)) {
 			console.log(`⏳ Event already being processed: ${eventName} (${transactionHash})`);
-			return;
+			return this.ledger.get(eventId);
 		}
 		
-		// Check if event has already been processed
-		if (this.processedEvents.has(eventId)) {
+		// Check if event has already been processed, or was given up on
+		const entry = this.ledger.get(eventId);
+		if (entry?.status === 'processed') {
 			console.log(`✅ Event already processed: ${eventName} (${transactionHash})`);
-			return;
+			return entry;
+		}
+		if (entry?.status === 'dead' && !retry) {
+			console.log(`🪦 Event is in the dead-letter queue: ${eventName} (${eventId})`);
+			return entry;
+		}
+
+		const handler = this.getEventHandler(eventName);
+		if (!handler) {
+			console.log(`⚠️  No handler for event: ${eventName}`);
+			return null;
 		}
 		
 		// Mark event as being processed
 		this.processingEvents.add(eventId);
+		this.ledger.begin(eventId, {
+			eventName,
+			args: safeArgs,
+			transactionHash,
+			logIndex,
+			blockNumber: event.blockNumber ?? null,
+			blockHash: event.blockHash ?? null,
+		});
 		
 		try {
-			const handler = this.getEventHandler(eventName);
+			await handler({
+				name: eventName,
+				args: eventArgs,
+				timestamp: eventTimestamp,
+				transactionHash: transactionHash
+			});
 			
-			if (handler) {
-				await handler({
-					name: eventName,
-					args: eventArgs,
-					timestamp: eventTimestamp,
-					transactionHash: transactionHash
-				});
-				
-				// Mark event as processed
-				this.processedEvents.add(eventId);
-				console.log(`✅ Event processed successfully: ${eventName} (${transactionHash})`);
-			} else {
-				console.log(`⚠️  No handler for event: ${eventName}`);
+			// Mark event as processed
+			this.trackProcessedEvent(event, eventId, eventName, eventArgs);
+			console.log(`✅ Event processed successfully: ${eventName} (${transactionHash})`);
+			const processed = this.ledger.markProcessed(eventId);
+
+			if (BOOKING_EVENTS.has(eventName)) {
+				await this.publishBookingStatus(eventName, eventArgs[0]);
 			}
+			return processed;
 		} catch (error) {
-			console.error(`❌ Error processing event ${eventName} (${transactionHash}):`, error);
+			const failed = this.ledger.markFailed(eventId, error);
+			console.error(`❌ Error processing event ${eventName} (${eventId}), attempt ${failed.attempts}/${this.ledger.maxAttempts}:`, error.message);
+			if (failed.status === 'dead') {
+				console.error(`   🪦 Moved to the dead-letter queue`);
+			}
+			return failed;
 		} finally {
 			// Remove from processing set
 			this.processingEvents.delete(eventId);
 		}
 	}
 
+	/**
+	 * Replay failed events whose retry backoff has elapsed
+	 */
+	async retryFailedEvents() {
+		for (const entry of this.ledger.dueForRetry()) {
+			console.log(`🔁 Retrying ${entry.eventName} (${entry.key}), attempt ${entry.attempts + 1}/${this.ledger.maxAttempts}`);
+			await this.processEvent(EventListener.eventFromLedger(entry));
+		}
+	}
+
+	/**
+	 * Retry one failed or dead-lettered event now
+	 * @param {string} eventId - Ledger key (txHash:logIndex)
+	 * @returns {Object} { success, entry?, error? }
+	 */
+	async retryEvent(eventId) {
+		const entry = this.ledger.get(eventId);
+		if (!entry) {
+			return { success: false, error: 'Event not found in ledger' };
+		}
+		if (entry.status === 'processed') {
+			return { success: false, error: 'Event was already processed', entry };
+		}
+		if (entry.status === 'processing') {
+			return { success: false, error: 'Event is being processed', entry };
+		}
+
+		const result = await this.processEvent(EventListener.eventFromLedger(entry), { retry: true });
+		if (result?.status !== 'processed') {
+			return { success: false, error: result?.lastError || 'Retry failed', entry: result };
+		}
+		return { success: true, entry: result };
+	}
+
+	/**
+	 * Rebuild an event object from its ledger entry
+	 */
+	static eventFromLedger(entry) {
+		return {
+			eventName: entry.eventName,
+			args: entry.args,
+			transactionHash: entry.transactionHash,
+			index: entry.logIndex,
+			blockNumber: entry.blockNumber ?? undefined,
+			blockHash: entry.blockHash ?? undefined,
+		};
+	}
+
 	/**
 	 * Get event handler by name
 	 */
@@ -333,9 +787,15 @@ class EventListener {
 			'PropertyMetadataUpdated': this.handlePropertyMetadataUpdated.bind(this),
 			'BookingCreated': this.handleBookingCreated.bind(this),
 			'BookingCreatedPaid': this.handleBookingCreatedPaid.bind(this),
+			'CheckInWindowOpened': this.handleCheckInWindowOpened.bind(this),
 			'CheckedIn': this.handleCheckedIn.bind(this),
+			'CheckInMissed': this.handleCheckInMissed.bind(this),
+			'DisputeRaised': this.handleDisputeRaised.bind(this),
+			'DisputeResolved': this.handleDisputeResolved.bind(this),
+			'DisputeEscalated': this.handleDisputeEscalated.bind(this),
 			'BookingCompleted': this.handleBookingCompleted.bind(this),
 			'BookingCancelled': this.handleBookingCancelled.bind(this),
+			'BookingRefunded': this.handleBookingRefunded.bind(this),
 			// OpenZeppelin standard events - ignore silently
 			'OwnershipTransferred': () => {},
 			'Approval': () => {},
@@ -427,6 +887,7 @@ class EventListener {
 
 		} catch (error) {
 			console.error(`❌ Error handling BookingCreated for ${bookingId}:`, error);
+			throw error;
 		}
 	}
 
@@ -461,6 +922,27 @@ class EventListener {
 
 		} catch (error) {
 			console.error(`❌ Error handling BookingCreatedPaid for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	async handleCheckInWindowOpened(evtOrArgs) {
+		const [bookingId, deadline] = EventListener.normalizeArgs(evtOrArgs);
+		console.log(`🚪 Check-in Window Opened: ${bookingId} (deadline: ${deadline})`);
+
+		try {
+			await this.updateBookingInStrapi(bookingId, {
+				chainStatus: 'CheckInReady',
+				checkInDeadline: EventListener.toISODate(deadline),
+			});
+
+			await this.notifyBookingParties(bookingId, 'CheckInWindowOpened', {
+				checkInDeadline: EventListener.toISODate(deadline),
+			});
+
+		} catch (error) {
+			console.error(`❌ Error handling CheckInWindowOpened for ${bookingId}:`, error);
+			throw error;
 		}
 	}
 
@@ -471,11 +953,96 @@ class EventListener {
 		try {
 			// Update booking status in Strapi
 			await this.updateBookingInStrapi(bookingId, {
-				BookingStatus: 'Active'
+				BookingStatus: 'Active',
+				chainStatus: 'CheckedIn',
 			});
 			
 		} catch (error) {
 			console.error(`❌ Error handling CheckedIn for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	async handleCheckInMissed(evtOrArgs) {
+		const [bookingId] = EventListener.normalizeArgs(evtOrArgs);
+		console.log(`⏰ Check-in Missed: ${bookingId}`);
+
+		try {
+			// processMissedCheckIn opens a dispute in the same transaction (DisputeRaised follows)
+			await this.updateBookingInStrapi(bookingId, {
+				chainStatus: 'Disputed',
+				checkInMissed: true,
+			});
+
+			await this.notifyBookingParties(bookingId, 'CheckInMissed');
+
+		} catch (error) {
+			console.error(`❌ Error handling CheckInMissed for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	async handleDisputeRaised(evtOrArgs) {
+		const [bookingId, reason] = EventListener.normalizeArgs(evtOrArgs);
+		console.log(`⚖️  Dispute Raised: ${bookingId} (${reason})`);
+
+		try {
+			const bookingData = await this.contracts.bookingManager.bookings(bookingId);
+			const disputeDeadline = EventListener.toISODate(bookingData.disputeDeadline);
+
+			await this.updateBookingInStrapi(bookingId, {
+				chainStatus: 'Disputed',
+				disputeStatus: 'open',
+				disputeReason: reason,
+				disputeDeadline,
+			});
+
+			await this.notifyBookingParties(bookingId, 'DisputeRaised', { reason, disputeDeadline });
+
+		} catch (error) {
+			console.error(`❌ Error handling DisputeRaised for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	async handleDisputeResolved(evtOrArgs) {
+		const [bookingId, byHost, byGuest] = EventListener.normalizeArgs(evtOrArgs);
+		console.log(`🤝 Dispute Resolved: ${bookingId} (host: ${byHost}, guest: ${byGuest})`);
+
+		try {
+			// Once both sides resolve, BookingManager completes the booking (BookingCompleted)
+			const disputeStatus = byHost && byGuest
+				? 'resolved'
+				: (byHost ? 'resolvedByHost' : 'resolvedByGuest');
+
+			await this.updateBookingInStrapi(bookingId, { disputeStatus });
+
+			await this.notifyBookingParties(bookingId, 'DisputeResolved', {
+				resolvedByHost: Boolean(byHost),
+				resolvedByGuest: Boolean(byGuest),
+			});
+
+		} catch (error) {
+			console.error(`❌ Error handling DisputeResolved for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	async handleDisputeEscalated(evtOrArgs) {
+		const [bookingId] = EventListener.normalizeArgs(evtOrArgs);
+		console.log(`🚨 Dispute Escalated to admin: ${bookingId}`);
+
+		try {
+			await this.updateBookingInStrapi(bookingId, {
+				chainStatus: 'EscalatedToAdmin',
+				disputeStatus: 'escalated',
+			});
+
+			await this.notifyBookingParties(bookingId, 'DisputeEscalated');
+
+		} catch (error) {
+			console.error(`❌ Error handling DisputeEscalated for ${bookingId}:`, error);
+			throw error;
 		}
 	}
 
@@ -484,9 +1051,30 @@ class EventListener {
 		console.log(`🎉 Booking Completed: ${bookingId}`);
 
 		try {
+			// adminResolveDispute emits BookingCompleted for full refunds too - the status tells them apart
+			const bookingData = await this.contracts.bookingManager.bookings(bookingId);
+			const chainStatus = CHAIN_STATUSES[Number(bookingData.status)];
+			const disputed = !!bookingData.disputeReason;
+
+			if (chainStatus === 'Refunded') {
+				await this.updateBookingInStrapi(bookingId, {
+					BookingStatus: 'Cancelled',
+					chainStatus,
+					...(disputed ? { disputeStatus: 'resolved' } : {}),
+				});
+				// Fiat bookings get no BookingRefunded event - refund through the payment server and notify here
+				if (bookingData.paidOffChain) {
+					await this.triggerRefundCallback(bookingId, { event: 'BookingCompleted' });
+					await this.notifyBookingParties(bookingId, 'BookingRefunded', { disputeResolved: disputed });
+				}
+				return;
+			}
+
 			// Update booking status in Strapi
 			await this.updateBookingInStrapi(bookingId, {
-				BookingStatus: 'Complete'
+				BookingStatus: 'Complete',
+				chainStatus: 'Completed',
+				...(disputed ? { disputeStatus: 'resolved' } : {}),
 			});
 
 			// Trigger payout callback if configured
@@ -500,6 +1088,7 @@ class EventListener {
 
 		} catch (error) {
 			console.error(`❌ Error handling BookingCompleted for ${bookingId}:`, error);
+			throw error;
 		}
 	}
 
@@ -510,11 +1099,124 @@ class EventListener {
 		try {
 			// Update booking status in Strapi
 			await this.updateBookingInStrapi(bookingId, {
-				BookingStatus: 'Cancelled'
+				BookingStatus: 'Cancelled',
+				chainStatus: 'Cancelled',
 			});
+
+			// Refund off-chain (fiat) payments if configured
+			await this.triggerRefundCallback(bookingId, { event: 'BookingCancelled' });
 			
 		} catch (error) {
 			console.error(`❌ Error handling BookingCancelled for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	async handleBookingRefunded(evtOrArgs) {
+		const [bookingId, amount] = EventListener.normalizeArgs(evtOrArgs);
+		console.log(`💷 Booking Refunded: ${bookingId} (amount: ${amount})`);
+
+		try {
+			// Also emitted after a cancellation (status Cancelled) - only adminResolveDispute sets Refunded
+			const bookingData = await this.contracts.bookingManager.bookings(bookingId);
+			const refundAmount = ethers.formatUnits(amount, bookingData.paidOffChain ? FIAT_DECIMALS : EURC_DECIMALS);
+
+			await this.updateBookingInStrapi(bookingId, {
+				BookingStatus: 'Cancelled',
+				chainStatus: CHAIN_STATUSES[Number(bookingData.status)],
+				refundAmount,
+				refundedAt: new Date().toISOString(),
+			});
+
+			// Before notifying, so a failed refund does not notify again when the event is retried
+			await this.triggerRefundCallback(bookingId, { event: 'BookingRefunded', amount });
+
+			await this.notifyBookingParties(bookingId, 'BookingRefunded', { refundAmount });
+
+		} catch (error) {
+			console.error(`❌ Error handling BookingRefunded for ${bookingId}:`, error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Invoke the onBookingRefundable callback (refunds fiat bookings via the payment server)
+	 *
+	 * A failed refund fails the event, so the event ledger retries it and dead-letters it after
+	 * EVENT_MAX_ATTEMPTS. Refunds are idempotent per booking, so retries do not refund twice.
+	 */
+	async triggerRefundCallback(bookingId, details) {
+		if (!this.onBookingRefundable) return;
+		try {
+			await this.onBookingRefundable(bookingId, details);
+		} catch (callbackError) {
+			console.error(`   ⚠️ Refund callback error:`, callbackError.message);
+			throw callbackError;
+		}
+	}
+
+	/**
+	 * Host and guest of an on-chain booking, with their CMS users
+	 * @returns {Object} { bookingData, parties: [{ role, address, user }] }
+	 */
+	async findBookingParties(bookingId) {
+		const bookingData = await this.contracts.bookingManager.bookings(bookingId);
+		const parties = [];
+		for (const [role, address] of Object.entries({ host: bookingData.host, guest: bookingData.guest })) {
+			parties.push({ role, address, user: await this.findUserByWalletAddress(address) });
+		}
+		return { bookingData, parties };
+	}
+
+	/**
+	 * Invoke the onBookingStatusChanged callback (live status stream) once a booking event
+	 * has been written to the CMS
+	 */
+	async publishBookingStatus(event, bookingId) {
+		if (!this.onBookingStatusChanged) return;
+		try {
+			const { bookingData, parties } = await this.findBookingParties(bookingId);
+			await this.onBookingStatusChanged({
+				event,
+				chainId: this.chainId,
+				bookingId: bookingId.toString(),
+				propertyId: bookingData.propertyId,
+				chainStatus: CHAIN_STATUSES[Number(bookingData.status)],
+				userIds: parties.map((party) => party.user?.id).filter(Boolean),
+				addresses: parties.map((party) => party.address).filter(Boolean),
+			});
+		} catch (error) {
+			console.error(`   ⚠️ Booking status callback error for ${bookingId}:`, error.message);
+		}
+	}
+
+	/**
+	 * Invoke the onBookingNotification callback once for the host and once for the guest
+	 */
+	async notifyBookingParties(bookingId, event, details = {}) {
+		if (!this.onBookingNotification) return;
+		try {
+			const { bookingData, parties } = await this.findBookingParties(bookingId);
+
+			for (const { role, address, user } of parties) {
+				try {
+					await this.onBookingNotification({
+						event,
+						chainId: this.chainId,
+						bookingId: bookingId.toString(),
+						propertyId: bookingData.propertyId,
+						role,
+						address,
+						userId: user?.id || null,
+						email: user?.email || null,
+						details,
+					});
+				} catch (callbackError) {
+					console.error(`   ⚠️ Notification callback error (${role}):`, callbackError.message);
+				}
+			}
+		} catch (error) {
+			console.error(`   ⚠️ Could not notify parties of booking ${bookingId}:`, error.message);
 		}
 	}
 
@@ -808,6 +1510,7 @@ class EventListener {
 						PaidBy: paymentMethod,
 						BookingStatus: bookingData.status,
 						blockchainBookingId: bookingData.bookingId,
+						chainId: this.chainId,
 						transactionHash: bookingData.transactionHash || null,
 						ipfsUri: bookingData.ipfsUri || null,
 						paymentReference: bookingData.paymentReference || null,
@@ -846,7 +1549,8 @@ class EventListener {
 				return;
 			}
 			
-			const strapiBookingId = bookings[0].id;
+			// Strapi v5 uses documentId for API access
+			const strapiBookingId = bookings[0].documentId || bookings[0].id;
 			
 			const response = await axios.put(
 				`${this.strapiConfig.baseURL}/api/proeprty-bookings/${strapiBookingId}`,
@@ -871,6 +1575,30 @@ class EventListener {
 		}
 	}
 
+	/**
+	 * Delete a booking from Strapi (reorged away)
+	 */
+	async deleteBookingInStrapi(bookingId) {
+		try {
+			const bookings = await this.findBookingByBlockchainId(bookingId);
+			for (const booking of bookings) {
+				await axios.delete(
+					`${this.strapiConfig.baseURL}/api/proeprty-bookings/${booking.documentId || booking.id}`,
+					{
+						headers: {
+							'Authorization': `Bearer ${this.strapiConfig.apiToken}`
+						},
+						timeout: this.strapiConfig.timeout
+					}
+				);
+				console.log(`✅ Booking deleted from Strapi: ${booking.documentId || booking.id} (Blockchain ID: ${bookingId})`);
+			}
+		} catch (error) {
+			console.error('❌ Error deleting booking in Strapi:', error.response?.data || error.message);
+			throw error;
+		}
+	}
+
 	/**
 	 * Find property by title (for duplicate checking)
 	 */
@@ -950,18 +1678,16 @@ class EventListener {
 	}
 
 	/**
-	 * Enhanced find booking by blockchain bookingId
-	 * Since we can't store blockchain data directly, we'll use a combination of checks
+	 * Find booking by blockchain bookingId (proeprty-booking.blockchainBookingId)
 	 */
 	async findBookingByBlockchainId(blockchainBookingId) {
 		try {
-			// For now, we'll search by booking details that should be unique
-			// In production, you might want to add a custom field to Strapi for blockchain booking ID
 			const response = await axios.get(
 				`${this.strapiConfig.baseURL}/api/proeprty-bookings`,
 				{
 					params: {
-						'populate': '*'
+						'filters[blockchainBookingId][$eq]': blockchainBookingId.toString(),
+						...DeploymentRegistry.cmsChainFilter(this.deployment),
 					},
 					headers: {
 						'Authorization': `Bearer ${this.strapiConfig.apiToken}`
@@ -970,14 +1696,7 @@ class EventListener {
 				}
 			);
 			
-			// Filter by booking details that should match
-			const bookings = response.data.data || [];
-			// Note: This is a simplified check. In production, you'd want to store blockchain booking ID
-			return bookings.filter(booking => {
-				// Add your custom logic here to identify the booking
-				// For now, return empty array
-				return false;
-			});
+			return response.data.data || [];
 			
 		} catch (error) {
 			console.error('❌ Error finding booking in Strapi:', error.response?.data || error.message);
@@ -1056,6 +1775,13 @@ class EventListener {
 		);
 	}
 
+	/**
+	 * Unix seconds (BigInt or number) -> ISO date-time string
+	 */
+	static toISODate(timestamp) {
+		return new Date(Number(timestamp) * 1000).toISOString();
+	}
+
 	/**
 	 * Convert booking status enum to string
 	 */
@@ -1082,20 +1808,15 @@ class EventListener {
 	}
 
 	/**
-	 * Clean up old processed events to prevent memory bloat
+	 * Compact the event ledger (drops the oldest processed entries over EVENT_LEDGER_MAX_PROCESSED)
 	 * Call this periodically (e.g., every hour)
 	 */
 	cleanupProcessedEvents() {
-		const maxProcessedEvents = 10000; // Keep last 10k events
-		
-		if (this.processedEvents.size > maxProcessedEvents) {
-			const eventsArray = Array.from(this.processedEvents);
-			const eventsToKeep = eventsArray.slice(-maxProcessedEvents);
-			
-			this.processedEvents.clear();
-			eventsToKeep.forEach(event => this.processedEvents.add(event));
-			
-			console.log(`🧹 Cleaned up processed events. Kept ${eventsToKeep.length} recent events.`);
+		const before = this.ledger.entries.size;
+		this.ledger.compact();
+		const dropped = before - this.ledger.entries.size;
+		if (dropped > 0) {
+			console.log(`🧹 Compacted event ledger. Dropped ${dropped} old processed events.`);
 		}
 	}
 
@@ -1103,21 +1824,41 @@ class EventListener {
 	 * Get idempotency statistics for monitoring
 	 */
 	getIdempotencyStats() {
+		const ledger = this.ledger.getStats();
 		return {
-			processedEventsCount: this.processedEvents.size,
+			processedEventsCount: ledger.processed,
 			processingEventsCount: this.processingEvents.size,
+			failedEventsCount: ledger.failed,
+			deadLetterCount: ledger.dead,
+			ledger: {
+				filePath: this.ledger.filePath,
+				maxAttempts: this.ledger.maxAttempts,
+				...ledger,
+			},
 			lastProcessedBlock: this.lastProcessedBlock,
 			isRunning: this.isRunning
 		};
 	}
 
 	/**
-	 * Reset idempotency tracking (useful for testing)
+	 * Confirmation depth and reorg history for monitoring
+	 */
+	getReorgStats() {
+		return {
+			confirmations: this.confirmations,
+			reorgWindow: this.reorgWindow,
+			trackedBlocks: this.blockHashes.size,
+			...this.reorgStats,
+		};
+	}
+
+	/**
+	 * Reset in-flight tracking (useful for testing). The ledger is kept - forgetting processed
+	 * events would let them be processed again and duplicate CMS bookings.
 	 */
 	resetIdempotencyTracking() {
-		this.processedEvents.clear();
 		this.processingEvents.clear();
-		console.log('🔄 Idempotency tracking reset');
+		console.log('🔄 In-flight event tracking reset (event ledger kept)');
 	}
 
 	async findUserByWalletAddress(walletAddress) {
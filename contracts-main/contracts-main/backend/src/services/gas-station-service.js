@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECENT_ENTRIES = 50;
+
+/**
+ * GasStationService - Pays the gas of custodial wallets from a treasury key
+ *
+ * Custodial wallets only hold EURC. When one has to send a transaction itself (EURC
+ * transfers for host payouts, the direct-approve fallback for tokens without permits)
+ * the gas station either:
+ * - sponsors the transfer: the custodial wallet signs an EIP-2612 permit for the treasury,
+ *   which submits the permit and transferFrom itself, so the custodial wallet needs no ETH; or
+ * - tops the wallet up with GAS_STATION_TOP_UP_ETH when its balance is below
+ *   GAS_STATION_MIN_BALANCE_ETH.
+ *
+ * Sponsored transfers do not go through MetaTransactionForwarder: EURC is not ERC-2771 aware,
+ * so the permit would have to name the forwarder as spender, and any signer could then spend
+ * that allowance through the forwarder if the permit were front-run. Contract calls that
+ * are ERC-2771 aware (bookings, check-ins, cancellations) already go through the forwarder.
+ *
+ * ETH spent per custodial wallet (top-ups and sponsored gas) is capped per rolling 24 hours,
+ * as is the total. Every top-up, sponsored transfer, rejection and failure is appended to a
+ * JSON-lines audit log, which is replayed on start so the caps survive restarts.
+ *
+ * Uses GAS_STATION_PRIVATE_KEY as the treasury; without it top-ups are sent by the relayer
+ * and transfers are not sponsored.
+ */
+class GasStationService {
+	constructor(config = {}) {
+		this.treasuryKey = config.privateKey ?? process.env.GAS_STATION_PRIVATE_KEY ?? null;
+		this.minBalance = ethers.parseEther(String(config.minBalanceEth ?? process.env.GAS_STATION_MIN_BALANCE_ETH ?? '0.000005'));
+		this.topUpAmount = ethers.parseEther(String(config.topUpEth ?? process.env.GAS_STATION_TOP_UP_ETH ?? '0.00001'));
+		this.walletDailyCap = ethers.parseEther(String(config.walletDailyCapEth ?? process.env.GAS_STATION_WALLET_DAILY_CAP_ETH ?? '0.0001'));
+		this.dailyCap = ethers.parseEther(String(config.dailyCapEth ?? process.env.GAS_STATION_DAILY_CAP_ETH ?? '0.01'));
+		this.sponsorTransfers = config.sponsorTransfers ?? process.env.GAS_STATION_SPONSOR_TRANSFERS !== 'false';
+		this.auditLogPath = config.auditLogPath || process.env.GAS_STATION_AUDIT_LOG_PATH || path.join(process.cwd(), 'gas-station.log');
+
+		// Set by initialize()
+		this.provider = null;
+		this.relayer = null;
+		this.treasury = null;
+		this.chainId = null;
+
+		this.spends = []; // [{ at, wallet, wei }] within the last 24 hours
+		this.pendingTopUps = new Map(); // wallet -> Promise, so concurrent callers share one top-up
+		this.queue = Promise.resolve(); // serializes treasury transactions (one nonce at a time)
+		this.recentEntries = [];
+		this.stats = {
+			topUps: 0,
+			sponsoredTransfers: 0,
+			rejected: 0,
+			failed: 0,
+		};
+	}
+
+	/**
+	 * Initialize with the chain connection and replay the audit log
+	 * @param {Object} config - { provider, relayer, chainId }
+	 */
+	initialize({ provider, relayer, chainId }) {
+		this.provider = provider;
+		this.relayer = relayer;
+		this.chainId = chainId;
+		if (this.treasuryKey) {
+			this.treasury = new ethers.Wallet(this.treasuryKey, provider);
+		}
+		this.load();
+
+		console.log(`✅ GasStationService initialized (chain ${chainId}, ${this.treasury ? `treasury ${this.treasury.address}` : 'funded by the relayer'})`);
+	}
+
+	isReady() {
+		return !!(this.provider && (this.treasury || this.relayer));
+	}
+
+	/**
+	 * Whether EURC transfers from `owner` can be sponsored (treasury key set, token has permits)
+	 * @param {ethers.Contract} token - Token contract with nonces()
+	 * @param {string} owner - Custodial wallet address
+	 * @returns {Promise<boolean>}
+	 */
+	async canSponsorTransfer(token, owner) {
+		if (!this.sponsorTransfers || !this.treasury) {
+			return false;
+		}
+		try {
+			await token.nonces(owner);
+			return true;
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Make sure a custodial wallet can pay for a transaction, topping it up if needed
+	 * @param {string} wallet - Custodial wallet address
+	 * @param {Object} context - { userId, reason } for the audit log
+	 * @returns {Object} { success, funded, txHash? } or { success: false, capped?, error }
+	 */
+	async ensureGas(wallet, context = {}) {
+		if (!this.isReady()) {
+			return { success: false, error: 'Gas station not initialized' };
+		}
+
+		const balance = await this.provider.getBalance(wallet);
+		if (balance >= this.minBalance) {
+			return { success: true, funded: false };
+		}
+
+		const key = wallet.toLowerCase();
+		if (!this.pendingTopUps.has(key)) {
+			this.pendingTopUps.set(key, this.topUp(wallet, context).finally(() => this.pendingTopUps.delete(key)));
+		}
+		return this.pendingTopUps.get(key);
+	}
+
+	async topUp(wallet, { userId = null, reason = null } = {}) {
+		const blocked = this.checkCaps(wallet, this.topUpAmount);
+		if (blocked) {
+			return this.reject(wallet, { userId, reason, error: blocked });
+		}
+
+		// Count the top-up before sending so concurrent requests cannot overrun the caps
+		const spend = this.addSpend(wallet, this.topUpAmount);
+		console.log(`  ⛽ Topping up ${wallet} with ${ethers.formatEther(this.topUpAmount)} ETH for gas...`);
+		try {
+			const tx = await this.send({ to: wallet, value: this.topUpAmount });
+			const receipt = await tx.wait();
+			console.log(`  ✅ Topped up: ${receipt.hash}`);
+
+			this.stats.topUps++;
+			this.audit({ action: 'top_up', wallet, userId, reason, wei: this.topUpAmount, txHash: receipt.hash });
+			return { success: true, funded: true, txHash: receipt.hash };
+		} catch (error) {
+			this.removeSpend(spend);
+			return this.fail(wallet, { userId, reason, error: error.shortMessage || error.message });
+		}
+	}
+
+	/**
+	 * Transfer tokens out of a custodial wallet with the treasury paying the gas
+	 *
+	 * The treasury submits the owner's permit (unless it already has the allowance) and then
+	 * transferFrom. The gas of both counts against the owner's daily cap.
+	 * @param {Object} params
+	 * @param {ethers.Contract} params.token - Token contract (allowance, transferFrom)
+	 * @param {string} params.owner - Custodial wallet address
+	 * @param {string} params.to - Recipient
+	 * @param {BigInt} params.amount - Amount in token base units
+	 * @param {Function} params.signPermit - async (spender, deadline) => { to, data } permit call signed by the owner
+	 * @param {number} params.userId - Owner's Strapi user ID (audit log)
+	 * @param {string} params.reason - What the transfer is for (audit log)
+	 * @returns {Object} { success, receipt, txHash, gasCost } or { success: false, capped?, error }
+	 */
+	async sponsorTransfer({ token, owner, to, amount, signPermit, userId = null, reason = null }) {
+		if (!this.treasury) {
+			return { success: false, error: 'Sponsored transfers need GAS_STATION_PRIVATE_KEY' };
+		}
+
+		const blocked = this.checkCaps(owner, 1n);
+		if (blocked) {
+			return this.reject(owner, { userId, reason, error: blocked });
+		}
+
+		const spender = this.treasury.address;
+		let gasCost = 0n;
+		try {
+			if ((await token.allowance(owner, spender)) < amount) {
+				const deadline = Math.floor(Date.now() / 1000) + 3600;
+				const permit = await signPermit(spender, deadline);
+				const permitTx = await this.send({ to: permit.to, data: permit.data });
+				gasCost += GasStationService.fee(await permitTx.wait());
+			}
+
+			console.log(`  ⛽ Sponsored transfer of ${ethers.formatUnits(amount, 6)} EURC from ${owner}`);
+			const tx = await this.send(await token.connect(this.treasury).transferFrom.populateTransaction(owner, to, amount));
+			const receipt = await tx.wait();
+			gasCost += GasStationService.fee(receipt);
+
+			this.addSpend(owner, gasCost);
+			this.stats.sponsoredTransfers++;
+			this.audit({ action: 'sponsored_transfer', wallet: owner, userId, reason, wei: gasCost, txHash: receipt.hash, to });
+			return { success: true, receipt, txHash: receipt.hash, gasCost: ethers.formatEther(gasCost) };
+		} catch (error) {
+			if (gasCost > 0n) {
+				this.addSpend(owner, gasCost);
+			}
+			return this.fail(owner, { userId, reason, wei: gasCost, error: error.shortMessage || error.message });
+		}
+	}
+
+	/**
+	 * Send a transaction from the treasury (one at a time, so nonces stay in order) or the relayer
+	 */
+	async send(request) {
+		if (!this.treasury) {
+			return this.relayer.sendTransaction(request);
+		}
+		const sent = this.queue.then(() => this.treasury.sendTransaction(request));
+		this.queue = sent.catch(() => {});
+		return sent;
+	}
+
+	static fee(receipt) {
+		return receipt.fee ?? (BigInt(receipt.gasUsed || 0) * BigInt(receipt.gasPrice || 0));
+	}
+
+	/**
+	 * @returns {string|null} Why spending `wei` more for `wallet` would exceed a cap
+	 */
+	checkCaps(wallet, wei, now = Date.now()) {
+		this.prune(now);
+		const key = wallet.toLowerCase();
+		const total = this.spends.reduce((sum, spend) => sum + spend.wei, 0n);
+		const walletTotal = this.spends.filter((spend) => spend.wallet === key).reduce((sum, spend) => sum + spend.wei, 0n);
+
+		if (this.walletDailyCap > 0n && walletTotal + wei > this.walletDailyCap) {
+			return `Daily gas cap reached for ${wallet} (${ethers.formatEther(this.walletDailyCap)} ETH per 24 hours)`;
+		}
+		if (this.dailyCap > 0n && total + wei > this.dailyCap) {
+			return `Gas station daily cap reached (${ethers.formatEther(this.dailyCap)} ETH per 24 hours)`;
+		}
+		return null;
+	}
+
+	addSpend(wallet, wei, at = Date.now()) {
+		const spend = { at, wallet: wallet.toLowerCase(), wei: BigInt(wei) };
+		this.spends.push(spend);
+		return spend;
+	}
+
+	removeSpend(spend) {
+		this.spends = this.spends.filter((item) => item !== spend);
+	}
+
+	prune(now = Date.now()) {
+		this.spends = this.spends.filter((spend) => spend.at > now - DAY_MS);
+	}
+
+	reject(wallet, { userId, reason, error }) {
+		console.warn(`  ⛽ Gas station refused ${wallet}: ${error}`);
+		this.stats.rejected++;
+		this.audit({ action: 'rejected', wallet, userId, reason, error });
+		return { success: false, capped: true, error };
+	}
+
+	fail(wallet, { userId, reason, wei = 0n, error }) {
+		console.error(`  ❌ Gas station transaction for ${wallet} failed: ${error}`);
+		this.stats.failed++;
+		this.audit({ action: 'failed', wallet, userId, reason, wei, error });
+		return { success: false, error };
+	}
+
+	/**
+	 * Append an entry to the audit log
+	 */
+	audit({ action, wallet, userId = null, reason = null, wei = 0n, txHash = null, to = null, error = null }) {
+		const entry = {
+			at: new Date().toISOString(),
+			chainId: this.chainId,
+			action,
+			wallet: wallet.toLowerCase(),
+			userId,
+			reason,
+			wei: BigInt(wei).toString(),
+			txHash,
+			to,
+			error,
+		};
+
+		this.recentEntries.unshift(entry);
+		this.recentEntries.length = Math.min(this.recentEntries.length, MAX_RECENT_ENTRIES);
+		try {
+			const dir = path.dirname(this.auditLogPath);
+			if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+			fs.appendFileSync(this.auditLogPath, JSON.stringify(entry) + '\n');
+		} catch (err) {
+			console.warn('⚠️  Failed to write gas station audit log:', err.message);
+		}
+		return entry;
+	}
+
+	/**
+	 * Replay the last 24 hours of the audit log into the cap counters
+	 */
+	load(now = Date.now()) {
+		this.spends = [];
+		this.recentEntries = [];
+		try {
+			if (!fs.existsSync(this.auditLogPath)) return;
+			const lines = fs.readFileSync(this.auditLogPath, 'utf8').split('\n');
+			for (const line of lines) {
+				if (!line.trim()) continue;
+				try {
+					const entry = JSON.parse(line);
+					const at = Date.parse(entry.at);
+					if (entry.wei && entry.wei !== '0' && at > now - DAY_MS) {
+						this.spends.push({ at, wallet: entry.wallet, wei: BigInt(entry.wei) });
+					}
+					this.recentEntries.unshift(entry);
+				} catch (_) {
+					// Torn write from a crash - skip the partial line
+				}
+			}
+			this.recentEntries.length = Math.min(this.recentEntries.length, MAX_RECENT_ENTRIES);
+		} catch (err) {
+			console.warn('⚠️  Failed to load gas station audit log:', err.message);
+		}
+	}
+
+	getStatus() {
+		this.prune();
+		return {
+			ready: this.isReady(),
+			chainId: this.chainId,
+			treasury: this.treasury?.address || null,
+			sponsorTransfers: !!(this.sponsorTransfers && this.treasury),
+			limits: {
+				minBalance: ethers.formatEther(this.minBalance),
+				topUp: ethers.formatEther(this.topUpAmount),
+				walletDailyCap: ethers.formatEther(this.walletDailyCap),
+				dailyCap: ethers.formatEther(this.dailyCap),
+			},
+			spentLast24h: ethers.formatEther(this.spends.reduce((sum, spend) => sum + spend.wei, 0n)),
+			stats: { ...this.stats },
+			recentEntries: this.recentEntries,
+		};
+	}
+}
+
+module.exports = GasStationService;
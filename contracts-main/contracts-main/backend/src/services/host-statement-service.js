@@ -0,0 +1,249 @@
+const { renderTextPdf } = require('../utils/pdf-utils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COLUMNS = [
+	{ key: 'bookingId', title: 'Booking ID', width: 10 },
+	{ key: 'propertyTitle', title: 'Property', width: 22 },
+	{ key: 'checkIn', title: 'Check-in', width: 10 },
+	{ key: 'checkOut', title: 'Check-out', width: 10 },
+	{ key: 'payoutStatus', title: 'Payout status', width: 13 },
+	{ key: 'gross', title: 'Gross (EURC)', width: 12, amount: true },
+	{ key: 'platformFee', title: 'Platform fee (EURC)', width: 12, amount: true },
+	{ key: 'cleaningFee', title: 'Cleaning fee (EURC)', width: 12, amount: true },
+	{ key: 'net', title: 'Net (EURC)', width: 12, amount: true },
+	{ key: 'eurValue', title: 'EUR value', width: 12, amount: true },
+	{ key: 'payoutDate', title: 'Payout date', width: 11 },
+	{ key: 'payoutTxHash', title: 'Payout tx hash', width: 66 },
+];
+
+/**
+ * HostStatementService - Earnings statements for hosts (accounting / tax export)
+ *
+ * Lists the host's bookings whose stay ended in a date range - every booking that reached
+ * payout (payoutStatus other than pending), whether it was paid out, scheduled or kept in the
+ * custodial wallet - with:
+ * - gross: what the guest paid (TotalPaid)
+ * - platform fee: gross minus net, i.e. what BookingManager kept
+ * - cleaning fee: the cleaning fee included in gross
+ * - net: the host's share (payoutAmount; for bookings without one, gross minus the
+ *   current on-chain platform fee)
+ * - EUR value: net in EUR - EURC is redeemable 1:1 for EUR
+ *
+ * Amounts are handled in cents. Rendered as CSV or as a text PDF.
+ */
+class HostStatementService {
+	constructor(config = {}) {
+		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
+
+		// Set by initialize() - reads the platform fee for bookings without a payoutAmount
+		this.quoteService = null;
+	}
+
+	/**
+	 * @param {Object} config - { quoteService }
+	 */
+	initialize({ quoteService = null } = {}) {
+		this.quoteService = quoteService;
+		console.log('✅ HostStatementService initialized');
+	}
+
+	/**
+	 * Validate the statement period (YYYY-MM-DD, inclusive); defaults to the current year so far
+	 * @param {Object} query - { from, to }
+	 * @param {Date} now
+	 * @returns {Object} { from, to } or { error }
+	 */
+	static parsePeriod({ from, to } = {}, now = new Date()) {
+		const today = now.toISOString().slice(0, 10);
+		const period = {
+			from: from || `${today.slice(0, 4)}-01-01`,
+			to: to || today,
+		};
+
+		for (const [name, value] of Object.entries(period)) {
+			if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)) || new Date(value).toISOString().slice(0, 10) !== value) {
+				return { error: `${name} must be a date (YYYY-MM-DD)` };
+			}
+		}
+		if (period.from > period.to) {
+			return { error: 'from must not be after to' };
+		}
+		return period;
+	}
+
+	/**
+	 * Build a host's statement for a period
+	 * @param {number} userId - Host's Strapi user ID
+	 * @param {Object} period - { from, to } from parsePeriod()
+	 * @returns {Object} { success, statement } or { success: false, notFound?, error }
+	 */
+	async getStatement(userId, { from, to }) {
+		const user = await this.fetchJson(`/api/users/${userId}?populate=properties`);
+		if (!user) {
+			return { success: false, notFound: true, error: 'User not found' };
+		}
+
+		const propertyIds = (user.properties || []).map((property) => property.id);
+		const bookings = propertyIds.length ? await this.fetchBookings(propertyIds, from, to) : [];
+
+		let platformFeePercentage = null;
+		if (this.quoteService?.isReady()) {
+			try {
+				platformFeePercentage = await this.quoteService.getPlatformFeePercentage();
+			} catch (error) {
+				console.warn('⚠️ Could not read the platform fee for the statement:', error.message);
+			}
+		}
+
+		const rows = bookings.map((booking) => HostStatementService.toRow(booking, platformFeePercentage));
+		const totals = {};
+		for (const column of COLUMNS.filter((column) => column.amount)) {
+			totals[column.key] = rows.reduce((sum, row) => sum + (row[column.key] ?? 0), 0);
+		}
+
+		return {
+			success: true,
+			statement: {
+				userId,
+				hostName: user.username || user.email || `User ${userId}`,
+				from,
+				to,
+				generatedAt: new Date().toISOString(),
+				currency: 'EURC',
+				rows,
+				totals,
+			},
+		};
+	}
+
+	/**
+	 * Statement row for a CMS booking (amounts in cents, null when unknown)
+	 * @param {Object} booking - CMS booking with property populated
+	 * @param {number|null} platformFeePercentage - Per mille, for bookings without a payoutAmount
+	 */
+	static toRow(booking, platformFeePercentage = null) {
+		const attrs = booking.attributes || booking;
+		const property = attrs.property?.data?.attributes || attrs.property || {};
+
+		const gross = toCents(attrs.TotalPaid);
+		let net = toCents(attrs.payoutAmount);
+		if (net === null && gross !== null && platformFeePercentage !== null) {
+			// Same integer math as BookingManager: platformFee = total * pct / 1000
+			net = gross - Math.floor((gross * platformFeePercentage) / 1000);
+		}
+
+		return {
+			bookingId: attrs.blockchainBookingId ? String(attrs.blockchainBookingId) : null,
+			propertyTitle: property.Title || 'Unknown Property',
+			checkIn: attrs.StartDate || null,
+			checkOut: attrs.EndDate || null,
+			payoutStatus: attrs.payoutStatus || null,
+			gross,
+			platformFee: gross !== null && net !== null ? gross - net : null,
+			cleaningFee: toCents(attrs.CleaningFee),
+			net,
+			eurValue: net,
+			payoutDate: attrs.payoutDate ? String(attrs.payoutDate).slice(0, 10) : null,
+			payoutTxHash: attrs.payoutTxHash || null,
+		};
+	}
+
+	/**
+	 * @returns {string} CSV with a header row, one row per booking and a totals row
+	 */
+	static toCSV(statement) {
+		const lines = [COLUMNS.map((column) => csvCell(column.title)).join(',')];
+		for (const row of statement.rows) {
+			lines.push(COLUMNS.map((column) => csvCell(formatCell(column, row[column.key]))).join(','));
+		}
+		lines.push(COLUMNS.map((column, i) => csvCell(i === 0 ? 'Total' : formatCell(column, statement.totals[column.key]))).join(','));
+		return lines.join('\r\n') + '\r\n';
+	}
+
+	/**
+	 * @returns {Buffer} Text PDF with the same rows as the CSV
+	 */
+	static toPDF(statement) {
+		const table = (values) => COLUMNS.map((column, i) => {
+			const text = String(values[i] ?? '');
+			const cell = text.length > column.width ? `${text.slice(0, column.width - 1)}~` : text;
+			return column.amount ? cell.padStart(column.width) : cell.padEnd(column.width);
+		}).join(' ');
+
+		const lines = [
+			'AtlasOra - Host earnings statement',
+			'',
+			`Host:      ${statement.hostName} (user ${statement.userId})`,
+			`Period:    ${statement.from} to ${statement.to} (by check-out date)`,
+			`Generated: ${statement.generatedAt}`,
+			'Amounts in EURC; EUR value at 1 EURC = 1 EUR.',
+			'',
+			table(COLUMNS.map((column) => column.title.replace(' (EURC)', ''))),
+			table(COLUMNS.map((column) => '-'.repeat(column.width))),
+			...statement.rows.map((row) => table(COLUMNS.map((column) => formatCell(column, row[column.key])))),
+			table(COLUMNS.map((column) => '-'.repeat(column.width))),
+			table(COLUMNS.map((column, i) => (i === 0 ? 'Total' : formatCell(column, statement.totals[column.key])))),
+		];
+		if (!statement.rows.length) {
+			lines.push('', 'No completed bookings in this period.');
+		}
+
+		return renderTextPdf(lines, { fontSize: 6, title: `Host earnings statement ${statement.from} - ${statement.to}` });
+	}
+
+	/**
+	 * CMS bookings of the given properties that reached payout, by check-out date
+	 */
+	async fetchBookings(propertyIds, from, to) {
+		const propertyFilter = propertyIds.map((id) => `filters[property][id][$in]=${id}`).join('&');
+		const bookings = [];
+		for (let page = 1; ; page++) {
+			const result = await this.fetchJson(`/api/proeprty-bookings?${propertyFilter}` +
+				'&filters[payoutStatus][$ne]=pending&filters[payoutStatus][$notNull]=true' +
+				`&filters[EndDate][$gte]=${from}&filters[EndDate][$lte]=${to}` +
+				`&populate=property&sort=EndDate:asc&pagination[page]=${page}&pagination[pageSize]=100`);
+			if (!result) {
+				throw new Error('Failed to fetch bookings');
+			}
+			bookings.push(...(result.data || []));
+			if (page >= (result.meta?.pagination?.pageCount || 1)) {
+				return bookings;
+			}
+		}
+	}
+
+	/**
+	 * GET a CMS path
+	 * @returns {Promise<Object|null>} The JSON body, or null when the request failed
+	 */
+	async fetchJson(pathAndQuery) {
+		const response = await fetch(`${this.strapiBaseUrl}${pathAndQuery}`, {
+			headers: this.strapiToken ? { Authorization: `Bearer ${this.strapiToken}` } : {},
+		});
+		return response.ok ? response.json() : null;
+	}
+}
+
+function toCents(value) {
+	if (value === null || value === undefined || value === '') return null;
+	const number = Number(value);
+	return Number.isFinite(number) ? Math.round(number * 100) : null;
+}
+
+function formatCell(column, value) {
+	if (value === null || value === undefined) return '';
+	return column.amount ? (value / 100).toFixed(2) : String(value);
+}
+
+function csvCell(value) {
+	let text = String(value ?? '');
+	// Keep spreadsheet apps from evaluating host-controlled text (property titles) as formulas
+	if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = HostStatementService;
@@ -0,0 +1,276 @@
+// Mirrors BookingManager.BookingStatus
+const BOOKING_STATUS = {
+	Active: 0,
+	CheckInReady: 1,
+	CheckedIn: 2,
+	Completed: 3,
+	Disputed: 4,
+	Cancelled: 5,
+	Refunded: 6,
+	EscalatedToAdmin: 7,
+};
+
+// Nothing left for the keeper to do once a booking reaches one of these
+const FINAL_STATUSES = new Set([BOOKING_STATUS.Completed, BOOKING_STATUS.Cancelled, BOOKING_STATUS.Refunded]);
+
+const MAX_RECENT_ACTIONS = 50;
+
+/**
+ * KeeperService - Moves bookings through their time-based transitions
+ *
+ * BookingManager only changes state when somebody calls it. The keeper scans open
+ * bookings on a schedule and sends, from the relayer account:
+ * - triggerCheckInWindow once the check-in date is reached (Active)
+ * - processMissedCheckIn once CHECK_IN_WINDOW has passed without a check-in (CheckInReady)
+ * - completeBooking once the check-out date is reached (CheckedIn)
+ *
+ * All three can be called by anyone, so no meta-transaction is needed. Times are compared
+ * against the latest block timestamp, which is what the contract checks.
+ *
+ * Bookings are discovered by reading bookings(id) upwards from 1 until an empty slot;
+ * finished bookings (Completed, Cancelled, Refunded) are dropped from the scan. In dry-run
+ * mode due actions are logged and reported but no transaction is sent.
+ */
+class KeeperService {
+	constructor(config = {}) {
+		this.intervalMs = Number(config.intervalMs || process.env.KEEPER_INTERVAL_MS || 5 * 60 * 1000);
+		this.dryRun = config.dryRun ?? process.env.KEEPER_DRY_RUN === 'true';
+		this.enabled = config.enabled ?? process.env.KEEPER_ENABLED !== 'false';
+		this.maxActionsPerRun = Number(config.maxActionsPerRun || process.env.KEEPER_MAX_ACTIONS_PER_RUN || 20);
+
+		// Set by initialize()
+		this.provider = null;
+		this.relayer = null;
+		this.bookingManager = null;
+
+		this.timer = null;
+		this.running = false;
+		this.nextBookingId = 1;
+		this.openBookings = new Set();
+		this.lastRun = null;
+		this.recentActions = [];
+		this.stats = {
+			runs: 0,
+			checkInWindowsOpened: 0,
+			missedCheckInsProcessed: 0,
+			bookingsCompleted: 0,
+			failures: 0,
+		};
+	}
+
+	/**
+	 * Initialize with blockchain configuration
+	 * @param {Object} blockchainConfig - { provider, relayer, bookingManager }
+	 */
+	initialize(blockchainConfig) {
+		this.provider = blockchainConfig.provider;
+		this.relayer = blockchainConfig.relayer;
+		this.bookingManager = blockchainConfig.bookingManager;
+		console.log(`✅ KeeperService initialized${this.dryRun ? ' (dry run)' : ''}`);
+	}
+
+	/**
+	 * A dry run only reads the chain, so it does not need the relayer
+	 */
+	isReady() {
+		return !!(this.provider && this.bookingManager && (this.dryRun || this.relayer));
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			enabled: this.enabled,
+			scheduled: !!this.timer,
+			running: this.running,
+			dryRun: this.dryRun,
+			intervalMs: this.intervalMs,
+			maxActionsPerRun: this.maxActionsPerRun,
+			relayer: this.relayer?.address || null,
+			nextBookingId: this.nextBookingId,
+			openBookings: this.openBookings.size,
+			stats: { ...this.stats },
+			lastRun: this.lastRun,
+			recentActions: this.recentActions,
+		};
+	}
+
+	/**
+	 * Start the periodic scan (runs once immediately)
+	 */
+	start() {
+		if (this.timer) {
+			return;
+		}
+		if (!this.enabled) {
+			console.log('ℹ️ Booking keeper disabled (KEEPER_ENABLED=false)');
+			return;
+		}
+		if (!this.isReady()) {
+			console.warn('⚠️ Booking keeper not started - relayer or BookingManager missing');
+			return;
+		}
+
+		console.log(`⏰ Booking keeper scheduled every ${Math.round(this.intervalMs / 1000)}s${this.dryRun ? ' (dry run)' : ''}`);
+		this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+		this.runOnce();
+	}
+
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Scan open bookings and send every transition that is due
+	 * @param {Object} options - { dryRun?: boolean } overrides the configured mode for this run
+	 * @returns {Object} { success, run?, conflict?, error? }
+	 */
+	async runOnce({ dryRun = this.dryRun } = {}) {
+		if (!this.provider || !this.bookingManager) {
+			return { success: false, error: 'KeeperService not initialized' };
+		}
+		if (!dryRun && !this.relayer) {
+			return { success: false, error: 'Relayer not configured' };
+		}
+		if (this.running) {
+			return { success: false, conflict: true, error: 'A keeper run is already in progress' };
+		}
+
+		this.running = true;
+		const run = {
+			startedAt: new Date().toISOString(),
+			dryRun,
+			scanned: 0,
+			discovered: 0,
+			actions: [],
+			error: null,
+		};
+
+		try {
+			const now = await this.getChainTime();
+			const bookings = await this.discoverBookings();
+			run.discovered = bookings.size;
+
+			for (const bookingId of this.openBookings) {
+				const booking = bookings.get(bookingId) || await this.bookingManager.bookings(bookingId);
+				if (FINAL_STATUSES.has(Number(booking.status))) {
+					this.openBookings.delete(bookingId);
+					continue;
+				}
+				run.scanned++;
+
+				const method = KeeperService.dueAction(booking, now);
+				if (!method) continue;
+				if (run.actions.length >= this.maxActionsPerRun) {
+					console.log(`  ⏸️ Keeper action limit (${this.maxActionsPerRun}) reached - continuing next run`);
+					break;
+				}
+
+				run.actions.push(await this.execute(method, bookingId, dryRun));
+			}
+		} catch (error) {
+			console.error('❌ Keeper run failed:', error.message);
+			run.error = error.message;
+		} finally {
+			this.running = false;
+		}
+
+		run.finishedAt = new Date().toISOString();
+		this.stats.runs++;
+		this.lastRun = run;
+		if (run.actions.length) {
+			console.log(`⏰ Keeper run: ${run.actions.length} action(s) on ${run.scanned} open booking(s)${dryRun ? ' (dry run)' : ''}`);
+		}
+
+		return run.error ? { success: false, error: run.error, run } : { success: true, run };
+	}
+
+	/**
+	 * Which keeper call a booking needs right now, if any
+	 * @param {Object} booking - BookingManager.bookings(id)
+	 * @param {number} now - Chain time (seconds)
+	 * @returns {string|null} Contract method name
+	 */
+	static dueAction(booking, now) {
+		switch (Number(booking.status)) {
+			case BOOKING_STATUS.Active:
+				return now >= Number(booking.checkInDate) ? 'triggerCheckInWindow' : null;
+			case BOOKING_STATUS.CheckInReady:
+				return now > Number(booking.checkInDeadline) ? 'processMissedCheckIn' : null;
+			case BOOKING_STATUS.CheckedIn:
+				return now >= Number(booking.checkOutDate) ? 'completeBooking' : null;
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * Read bookings created since the last scan and add the unfinished ones to the open set
+	 * @returns {Map<number, Object>} Newly read bookings by ID
+	 */
+	async discoverBookings() {
+		const found = new Map();
+		for (;;) {
+			const booking = await this.bookingManager.bookings(this.nextBookingId);
+			if (Number(booking.bookingId) !== this.nextBookingId) {
+				break; // empty slot - no booking with this ID yet
+			}
+			if (!FINAL_STATUSES.has(Number(booking.status))) {
+				this.openBookings.add(this.nextBookingId);
+				found.set(this.nextBookingId, booking);
+			}
+			this.nextBookingId++;
+		}
+		return found;
+	}
+
+	async getChainTime() {
+		const block = await this.provider.getBlock('latest');
+		return Number(block.timestamp);
+	}
+
+	/**
+	 * Send (or in a dry run, only record) one keeper call
+	 * @returns {Object} Action record { bookingId, method, dryRun, success, transactionHash?, error? }
+	 */
+	async execute(method, bookingId, dryRun) {
+		const action = { bookingId: String(bookingId), method, dryRun, at: new Date().toISOString() };
+
+		if (dryRun) {
+			console.log(`  🧪 [dry run] Would call ${method}(${bookingId})`);
+			action.success = true;
+			return this.recordAction(action);
+		}
+
+		try {
+			console.log(`  ⏰ Calling ${method}(${bookingId}) via relayer...`);
+			const tx = await this.relayer.sendTransaction(await this.bookingManager[method].populateTransaction(bookingId));
+			const receipt = await tx.wait();
+			action.success = true;
+			action.transactionHash = receipt?.hash || tx.hash;
+			console.log(`  ✅ ${method}(${bookingId}): ${action.transactionHash}`);
+
+			if (method === 'triggerCheckInWindow') this.stats.checkInWindowsOpened++;
+			else if (method === 'processMissedCheckIn') this.stats.missedCheckInsProcessed++;
+			else this.stats.bookingsCompleted++;
+		} catch (error) {
+			// Left open - the next run reads the booking again and retries if still due
+			console.error(`  ❌ ${method}(${bookingId}) failed:`, error.shortMessage || error.message);
+			action.success = false;
+			action.error = error.shortMessage || error.message;
+			this.stats.failures++;
+		}
+
+		return this.recordAction(action);
+	}
+
+	recordAction(action) {
+		this.recentActions.unshift(action);
+		this.recentActions.length = Math.min(this.recentActions.length, MAX_RECENT_ACTIONS);
+		return action;
+	}
+}
+
+module.exports = KeeperService;
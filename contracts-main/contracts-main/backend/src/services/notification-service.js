@@ -0,0 +1,61 @@
+/**
+ * NotificationService - Delivers booking notifications for hosts and guests
+ *
+ * The event listener raises a notification per party when a booking changes on-chain
+ * (check-in window, missed check-in, disputes, refunds). Notifications are POSTed to
+ * NOTIFICATION_WEBHOOK_URL (email/push sender, CMS hook, ...) with the service token;
+ * without a webhook they are only logged.
+ */
+class NotificationService {
+	constructor(config = {}) {
+		this.webhookUrl = config.webhookUrl || process.env.NOTIFICATION_WEBHOOK_URL;
+		this.serviceToken = config.serviceToken || process.env.BACKEND_SERVICE_TOKEN;
+		this.timeoutMs = Number(config.timeoutMs || process.env.NOTIFICATION_TIMEOUT_MS || 10000);
+	}
+
+	isReady() {
+		return !!this.webhookUrl;
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			webhookUrl: this.webhookUrl || null,
+		};
+	}
+
+	/**
+	 * Deliver one notification
+	 * @param {Object} notification - { event, chainId, bookingId, role: 'host'|'guest', address, userId, email, details }
+	 * @returns {Object} { success, skipped?, error? }
+	 */
+	async notify(notification) {
+		const recipient = notification.email || notification.address;
+		if (!this.isReady()) {
+			console.log(`🔔 [${notification.event}] booking ${notification.bookingId} -> ${notification.role} ${recipient}`);
+			return { success: true, skipped: true };
+		}
+
+		try {
+			const headers = { 'Content-Type': 'application/json' };
+			if (this.serviceToken) {
+				headers['x-service-token'] = this.serviceToken;
+			}
+			const response = await fetch(this.webhookUrl, {
+				method: 'POST',
+				headers,
+				body: JSON.stringify(notification),
+				signal: AbortSignal.timeout(this.timeoutMs),
+			});
+			if (!response.ok) {
+				return { success: false, error: `Notification webhook responded ${response.status}` };
+			}
+			console.log(`🔔 Notified ${notification.role} of booking ${notification.bookingId}: ${notification.event}`);
+			return { success: true };
+		} catch (error) {
+			return { success: false, error: error.message };
+		}
+	}
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * PaymentSessionStore - Durable storage for crypto payment sessions
+ *
+ * Sessions are kept in memory and every change is appended to a JSON-lines journal
+ * (one `{ op, ... }` record per line). On load the journal is replayed (last write wins)
+ * and compacted so it only holds the current sessions.
+ *
+ * This survives backend restarts without needing an external database.
+ */
+class PaymentSessionStore {
+	constructor(config = {}) {
+		this.filePath = config.filePath || process.env.CRYPTO_PAYMENTS_STATE_PATH || path.join(process.cwd(), 'crypto-payments.state');
+		this.sessions = new Map();
+	}
+
+	/**
+	 * Replay the journal from disk and compact it
+	 * @returns {Map} paymentId -> session
+	 */
+	load() {
+		this.sessions.clear();
+
+		try {
+			if (fs.existsSync(this.filePath)) {
+				const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+				for (const line of lines) {
+					if (!line.trim()) continue;
+					try {
+						const record = JSON.parse(line);
+						if (record.op === 'put' && record.session?.paymentId) {
+							this.sessions.set(record.session.paymentId, record.session);
+						} else if (record.op === 'del' && record.paymentId) {
+							this.sessions.delete(record.paymentId);
+						}
+					} catch (_) {
+						// Torn write from a crash - skip the partial line
+					}
+				}
+			}
+		} catch (err) {
+			console.warn('⚠️  Failed to load payment sessions:', err.message);
+		}
+
+		this.compact();
+		return new Map(this.sessions);
+	}
+
+	/**
+	 * Insert or update a session
+	 * @param {Object} session - Payment session (must have paymentId)
+	 */
+	save(session) {
+		const snapshot = JSON.parse(JSON.stringify(session, (key, val) => (typeof val === 'bigint' ? val.toString() : val)));
+		this.sessions.set(snapshot.paymentId, snapshot);
+		this.append({ op: 'put', session: snapshot });
+	}
+
+	/**
+	 * Remove a session
+	 * @param {string} paymentId
+	 */
+	delete(paymentId) {
+		if (!this.sessions.delete(paymentId)) return;
+		this.append({ op: 'del', paymentId });
+	}
+
+	/** Append a record to the journal */
+	append(record) {
+		try {
+			this.ensureDir();
+			fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+		} catch (err) {
+			console.warn('⚠️  Failed to persist payment session:', err.message);
+		}
+	}
+
+	/** Rewrite the journal with only the current sessions */
+	compact() {
+		try {
+			this.ensureDir();
+			const tmpPath = `${this.filePath}.tmp`;
+			const lines = Array.from(this.sessions.values()).map(session => JSON.stringify({ op: 'put', session }));
+			fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+			fs.renameSync(tmpPath, this.filePath);
+		} catch (err) {
+			console.warn('⚠️  Failed to compact payment sessions:', err.message);
+		}
+	}
+
+	ensureDir() {
+		const dir = path.dirname(this.filePath);
+		if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+	}
+}
+
+module.exports = PaymentSessionStore;
@@ -0,0 +1,354 @@
+const { ethers } = require('ethers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Host payout schedules (users.payoutSchedule)
+const PAYOUT_SCHEDULES = ['instant', 'daily', 'weekly', 'threshold'];
+const SCHEDULE_PERIOD_MS = {
+	daily: DAY_MS,
+	weekly: 7 * DAY_MS,
+};
+
+const MAX_RECENT_BATCHES = 50;
+
+/**
+ * PayoutBatchService - Pays hosts on a schedule instead of per booking
+ *
+ * PayoutService marks completed bookings of hosts with a daily, weekly or threshold
+ * payoutSchedule, and payouts held while an external wallet is in its cooling-off period,
+ * as payoutStatus "scheduled" (with their payoutAmount). Each run this
+ * service groups the scheduled bookings by host and, for every host whose schedule is due,
+ * sends one EURC transfer from the custodial wallet covering all of them:
+ * - daily / weekly: a day / week after the host's lastPayoutAt (or straight away if never paid)
+ * - threshold: once the scheduled total reaches payoutThreshold (EURC, default PAYOUT_DEFAULT_THRESHOLD_EURC)
+ * - instant: leftovers of hosts who switched back to instant are paid on the next run
+ * Whatever the schedule, payouts to an external wallet are held until its cooling-off period ends.
+ *
+ * Bookings are marked "processing" with a shared payoutBatchId before the transfer, then
+ * "completed" with the transfer's payoutTxHash, so the CMS links the transfer to the bookings
+ * it covers. A failed transfer puts them back to "scheduled" for the next run. Bookings still
+ * "processing" after a crash need a manual check before they are re-queued.
+ */
+class PayoutBatchService {
+	constructor(config = {}) {
+		this.intervalMs = Number(config.intervalMs || process.env.PAYOUT_BATCH_INTERVAL_MS || 60 * 60 * 1000);
+		this.enabled = config.enabled ?? process.env.PAYOUT_BATCH_ENABLED !== 'false';
+		this.defaultThreshold = String(config.defaultThreshold ?? process.env.PAYOUT_DEFAULT_THRESHOLD_EURC ?? '100');
+
+		// Strapi configuration
+		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
+
+		// Set by initialize()
+		this.payoutService = null;
+
+		this.timer = null;
+		this.running = false;
+		this.lastRun = null;
+		this.recentBatches = [];
+		this.stats = {
+			runs: 0,
+			transfers: 0,
+			bookingsPaid: 0,
+			failures: 0,
+		};
+	}
+
+	static get SCHEDULES() {
+		return PAYOUT_SCHEDULES;
+	}
+
+	/**
+	 * Initialize with the payout service that owns the custodial wallets and EURC token
+	 * @param {Object} config - { payoutService }
+	 */
+	initialize({ payoutService }) {
+		this.payoutService = payoutService;
+		console.log('✅ PayoutBatchService initialized');
+	}
+
+	isReady() {
+		return !!this.payoutService?.isReady();
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			enabled: this.enabled,
+			scheduled: !!this.timer,
+			running: this.running,
+			intervalMs: this.intervalMs,
+			defaultThreshold: this.defaultThreshold,
+			stats: { ...this.stats },
+			lastRun: this.lastRun,
+			recentBatches: this.recentBatches,
+		};
+	}
+
+	/**
+	 * Start the periodic batch run (runs once immediately)
+	 */
+	start() {
+		if (this.timer) {
+			return;
+		}
+		if (!this.enabled) {
+			console.log('ℹ️ Payout batches disabled (PAYOUT_BATCH_ENABLED=false)');
+			return;
+		}
+		if (!this.isReady()) {
+			console.warn('⚠️ Payout batches not started - payout service not ready');
+			return;
+		}
+
+		console.log(`🗓️ Payout batches scheduled every ${Math.round(this.intervalMs / 1000)}s`);
+		this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+		this.runOnce();
+	}
+
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Pay every host whose schedule is due, one transfer per host
+	 * @param {Object} options - { hostUserId } to only consider one host, { now } for the schedule checks
+	 * @returns {Object} { success, run?, conflict?, error? }
+	 */
+	async runOnce({ hostUserId = null, now = Date.now() } = {}) {
+		if (!this.isReady()) {
+			return { success: false, error: 'Payout service not ready' };
+		}
+		if (this.running) {
+			return { success: false, conflict: true, error: 'A payout batch run is already in progress' };
+		}
+
+		this.running = true;
+		const run = {
+			startedAt: new Date(now).toISOString(),
+			scheduledBookings: 0,
+			hosts: [],
+			error: null,
+		};
+
+		try {
+			const bookings = await this.fetchScheduledBookings();
+			run.scheduledBookings = bookings.length;
+
+			for (const [hostId, hostBookings] of PayoutBatchService.groupByHost(bookings)) {
+				if (hostUserId !== null && Number(hostUserId) !== hostId) continue;
+				run.hosts.push(await this.payHost(hostId, hostBookings, now));
+			}
+		} catch (error) {
+			console.error('❌ Payout batch run failed:', error.message);
+			run.error = error.message;
+		} finally {
+			this.running = false;
+		}
+
+		run.finishedAt = new Date().toISOString();
+		this.stats.runs++;
+		this.lastRun = run;
+		const paid = run.hosts.filter((host) => host.txHash);
+		if (paid.length) {
+			console.log(`🗓️ Payout batch run: ${paid.length} transfer(s) for ${run.scheduledBookings} scheduled booking(s)`);
+		}
+
+		return run.error ? { success: false, error: run.error, run } : { success: true, run };
+	}
+
+	/**
+	 * Group scheduled CMS bookings by the host (property owner) user ID
+	 * @param {Array} bookings - CMS bookings with property.users_permissions_user populated
+	 * @returns {Map<number, Array>} hostUserId -> [{ documentId, bookingId, amount }]
+	 */
+	static groupByHost(bookings) {
+		const hosts = new Map();
+		for (const booking of bookings) {
+			const attrs = booking.attributes || booking;
+			const property = attrs.property?.data?.attributes || attrs.property;
+			const owner = property?.users_permissions_user?.data || property?.users_permissions_user;
+			if (!owner?.id) {
+				console.warn(`  ⚠️ Scheduled booking ${attrs.blockchainBookingId} has no property owner - skipped`);
+				continue;
+			}
+			if (!hosts.has(owner.id)) {
+				hosts.set(owner.id, []);
+			}
+			hosts.get(owner.id).push({
+				documentId: booking.documentId || booking.id,
+				bookingId: attrs.blockchainBookingId,
+				amount: ethers.parseUnits(Number(attrs.payoutAmount || 0).toFixed(6), 6),
+			});
+		}
+		return hosts;
+	}
+
+	/**
+	 * Whether a host's schedule lets the batch pay out now
+	 * @param {Object} host - CMS user with payoutSchedule, payoutThreshold, lastPayoutAt
+	 * @param {BigInt} amount - Scheduled total (EURC base units)
+	 * @param {number} now - Current time (ms)
+	 * @param {string} defaultThreshold - Threshold (EURC) when the host has none
+	 * @returns {Object} { due, reason?, nextPayoutAt? }
+	 */
+	static isDue(host, amount, now, defaultThreshold = '100') {
+		const schedule = host.payoutSchedule || 'instant';
+
+		if (schedule === 'threshold') {
+			const threshold = ethers.parseUnits(Number(host.payoutThreshold ?? defaultThreshold).toFixed(6), 6);
+			return amount >= threshold
+				? { due: true }
+				: { due: false, reason: `Below threshold (${ethers.formatUnits(amount, 6)} of ${ethers.formatUnits(threshold, 6)} EURC)` };
+		}
+
+		const period = SCHEDULE_PERIOD_MS[schedule];
+		if (period && host.lastPayoutAt) {
+			const nextPayoutAt = new Date(host.lastPayoutAt).getTime() + period;
+			if (nextPayoutAt > now) {
+				return { due: false, reason: `Next ${schedule} payout at ${new Date(nextPayoutAt).toISOString()}`, nextPayoutAt: new Date(nextPayoutAt).toISOString() };
+			}
+		}
+		return { due: true };
+	}
+
+	/**
+	 * Pay one host's scheduled bookings in a single transfer, if due
+	 * @returns {Object} Batch record { hostUserId, bookings, amount, due, batchId?, txHash?, reason?, error? }
+	 */
+	async payHost(hostUserId, bookings, now) {
+		const total = bookings.reduce((sum, booking) => sum + booking.amount, 0n);
+		const batch = {
+			hostUserId,
+			bookings: bookings.map((booking) => booking.bookingId),
+			amount: ethers.formatUnits(total, 6),
+			at: new Date(now).toISOString(),
+		};
+
+		const host = await this.payoutService.getUserFromCMS(hostUserId);
+		if (!host) {
+			return { ...batch, due: false, reason: 'Host not found' };
+		}
+
+		const due = PayoutBatchService.isDue(host, total, now, this.defaultThreshold);
+		if (!due.due) {
+			return { ...batch, ...due };
+		}
+
+		const { preference, destination, reason } = this.payoutService.resolvePayoutDestination(host, now);
+		if (!destination) {
+			return { ...batch, due: true, reason: `Held: ${reason}` };
+		}
+
+		console.log(`🗓️ Batch payout for host ${hostUserId}: ${bookings.length} booking(s), ${batch.amount} EURC`);
+		batch.batchId = `payout-${hostUserId}-${now}`;
+		batch.due = true;
+		batch.destination = destination;
+
+		// Claim the bookings first - only claimed ones are paid, so nothing is paid twice
+		const claimed = [];
+		for (const booking of bookings) {
+			if (await this.updateBooking(booking, { payoutStatus: 'processing', payoutBatchId: batch.batchId })) {
+				claimed.push(booking);
+			}
+		}
+		if (!claimed.length) {
+			return this.recordBatch({ ...batch, error: 'Could not claim any booking in the CMS' });
+		}
+		const amount = claimed.reduce((sum, booking) => sum + booking.amount, 0n);
+		batch.bookings = claimed.map((booking) => booking.bookingId);
+		batch.amount = ethers.formatUnits(amount, 6);
+
+		let transfer;
+		try {
+			transfer = await this.payoutService.transferToDestination(hostUserId, destination, amount, preference);
+		} catch (error) {
+			transfer = { success: false, error: error.shortMessage || error.message };
+		}
+
+		if (!transfer.success) {
+			console.error(`  ❌ Batch payout for host ${hostUserId} failed: ${transfer.error}`);
+			for (const booking of claimed) {
+				await this.updateBooking(booking, { payoutStatus: 'scheduled', payoutBatchId: null });
+			}
+			this.stats.failures++;
+			return this.recordBatch({ ...batch, error: transfer.error });
+		}
+
+		const payoutDate = new Date(now).toISOString();
+		for (const booking of claimed) {
+			await this.updateBooking(booking, {
+				payoutStatus: 'completed',
+				payoutTxHash: transfer.txHash,
+				payoutDate,
+				payoutDestination: destination,
+				payoutBatchId: batch.batchId,
+			});
+		}
+		await this.updateHost(hostUserId, { lastPayoutAt: payoutDate });
+
+		this.stats.transfers++;
+		this.stats.bookingsPaid += claimed.length;
+		return this.recordBatch({ ...batch, txHash: transfer.txHash });
+	}
+
+	/**
+	 * All CMS bookings waiting for a scheduled payout, with their property owner
+	 * @returns {Promise<Array>}
+	 */
+	async fetchScheduledBookings() {
+		const bookings = [];
+		for (let page = 1; ; page++) {
+			const url = `${this.strapiBaseUrl}/api/proeprty-bookings?filters[payoutStatus][$eq]=scheduled` +
+				`&populate[property][populate][0]=users_permissions_user&pagination[page]=${page}&pagination[pageSize]=100`;
+			const response = await fetch(url, { headers: this.cmsHeaders() });
+			if (!response.ok) {
+				throw new Error(`Failed to fetch scheduled bookings (HTTP ${response.status})`);
+			}
+			const result = await response.json();
+			bookings.push(...(result.data || []));
+			if (page >= (result.meta?.pagination?.pageCount || 1)) {
+				return bookings;
+			}
+		}
+	}
+
+	async updateBooking(booking, data) {
+		try {
+			return await this.payoutService.updateBookingByDocumentId(booking.documentId, data, booking.bookingId);
+		} catch (error) {
+			console.error(`  ⚠️ Failed to update booking ${booking.bookingId}:`, error.message);
+			return false;
+		}
+	}
+
+	async updateHost(userId, data) {
+		try {
+			const response = await fetch(`${this.strapiBaseUrl}/api/users/${userId}`, {
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json', ...this.cmsHeaders() },
+				body: JSON.stringify(data),
+			});
+			if (!response.ok) {
+				console.log(`  ⚠️ Failed to update host ${userId}: HTTP ${response.status}`);
+			}
+		} catch (error) {
+			console.error(`  ⚠️ Failed to update host ${userId}:`, error.message);
+		}
+	}
+
+	cmsHeaders() {
+		return this.strapiToken ? { Authorization: `Bearer ${this.strapiToken}` } : {};
+	}
+
+	recordBatch(batch) {
+		this.recentBatches.unshift(batch);
+		this.recentBatches.length = Math.min(this.recentBatches.length, MAX_RECENT_BATCHES);
+		return batch;
+	}
+}
+
+module.exports = PayoutBatchService;
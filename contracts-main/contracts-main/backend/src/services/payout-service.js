@@ -1,27 +1,48 @@
 const { ethers } = require('ethers');
 const CustodialSigner = require('./custodial-signer');
 
-// Standard ERC-20 ABI for EURC transfers
+// Standard ERC-20 ABI for EURC transfers, plus EIP-2612 for transfers sponsored by the gas station
 const ERC20_ABI = [
 	'function transfer(address to, uint256 amount) returns (bool)',
+	'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+	'function allowance(address owner, address spender) view returns (uint256)',
 	'function balanceOf(address account) view returns (uint256)',
 	'function decimals() view returns (uint8)',
+	'function name() view returns (string)',
+	'function version() view returns (string)',
+	'function nonces(address owner) view returns (uint256)',
+	'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+	'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
 ];
 
 /**
- * PayoutService - Handles host payouts from custodial wallets to CDP wallets
+ * PayoutService - Handles host payouts from custodial wallets to CDP or external wallets
  *
  * When a booking is completed, the BookingManager contract sends EURC to the host's
  * custodial wallet (the property owner address). This service monitors for those
- * payouts and automatically transfers the EURC to the host's CDP wallet if configured.
+ * payouts and automatically transfers the EURC to the host's payout destination.
  *
  * Flow:
  * 1. BookingCompleted event triggers -> EURC sent to host's custodial wallet
  * 2. This service detects the payout
  * 3. If host has CDP wallet and payoutPreference = "cdp_wallet":
  *    - Transfer EURC from custodial wallet to CDP wallet
- * 4. If payoutPreference = "custodial" or no CDP wallet:
+ * 4. If payoutPreference = "external_wallet" and the host linked an external wallet
+ *    (signed message, POST /api/users-permissions/link-payout-wallet on the CMS):
+ *    - Transfer EURC to that wallet once its cooling-off period has passed
+ *    - A newly linked or changed address only receives payouts after PAYOUT_ADDRESS_COOLING_OFF_HOURS,
+ *      so a hijacked account cannot redirect payouts straight away; until then EURC stays put
+ * 5. If payoutPreference = "custodial" or no destination is available:
  *    - Leave EURC in custodial wallet (host can withdraw later)
+ *
+ * Hosts with a payoutSchedule other than "instant" (daily, weekly, threshold) are not paid
+ * per booking: the booking is marked payoutStatus "scheduled" and PayoutBatchService pays
+ * all of a host's scheduled bookings in one transfer when the schedule is due.
+ *
+ * The address paid out to is recorded on the CMS booking as payoutDestination.
+ *
+ * Gas for the EURC transfer is paid by the GasStationService: it sponsors the transfer with a
+ * permit when the token supports one, otherwise it tops the custodial wallet up with ETH.
  */
 class PayoutService {
 	constructor(config = {}) {
@@ -36,6 +57,10 @@ class PayoutService {
 		this.relayer = null;
 		this.eurcToken = null;
 		this.chainId = null;
+		this.gasStation = null;
+
+		// Hours a newly linked external wallet waits before it receives payouts
+		this.coolingOffHours = Number(config.coolingOffHours ?? process.env.PAYOUT_ADDRESS_COOLING_OFF_HOURS ?? 48);
 
 		// Track pending payouts to prevent duplicates
 		this.pendingPayouts = new Set();
@@ -48,6 +73,7 @@ class PayoutService {
 		this.provider = blockchainConfig.provider;
 		this.relayer = blockchainConfig.relayer;
 		this.chainId = blockchainConfig.chainId;
+		this.gasStation = blockchainConfig.gasStation || null;
 
 		// Create EURC token contract instance
 		const eurcAddress = process.env.EURC_TOKEN_ADDRESS;
@@ -121,27 +147,42 @@ class PayoutService {
 			}
 
 			const booking = bookings[0];
-			const bookingDocId = booking.documentId || booking.id;
-
-			// Update booking with payout data
-			const updateUrl = `${this.strapiBaseUrl}/api/proeprty-bookings/${bookingDocId}`;
-			const updateResponse = await fetch(updateUrl, {
-				method: 'PUT',
-				headers,
-				body: JSON.stringify({ data: payoutData }),
-			});
-
-			if (updateResponse.ok) {
-				console.log(`  📝 Updated booking ${bookingId} payout status: ${payoutData.payoutStatus}`);
-			} else {
-				const errorText = await updateResponse.text();
-				console.log(`  ⚠️ Failed to update booking payout status: ${errorText}`);
-			}
+			await this.updateBookingByDocumentId(booking.documentId || booking.id, payoutData, bookingId);
 		} catch (error) {
 			console.error(`  ⚠️ Error updating booking payout status:`, error.message);
 		}
 	}
 
+	/**
+	 * Update a CMS booking's payout fields by its document ID
+	 * @param {string} documentId - CMS booking document ID
+	 * @param {Object} payoutData - Payout data to update
+	 * @param {string} label - Booking ID for logging
+	 * @returns {boolean} Whether the CMS accepted the update
+	 */
+	async updateBookingByDocumentId(documentId, payoutData, label = documentId) {
+		const headers = {
+			'Content-Type': 'application/json',
+		};
+		if (this.strapiToken) {
+			headers['Authorization'] = `Bearer ${this.strapiToken}`;
+		}
+
+		const updateResponse = await fetch(`${this.strapiBaseUrl}/api/proeprty-bookings/${documentId}`, {
+			method: 'PUT',
+			headers,
+			body: JSON.stringify({ data: payoutData }),
+		});
+
+		if (updateResponse.ok) {
+			console.log(`  📝 Updated booking ${label} payout status: ${payoutData.payoutStatus}`);
+			return true;
+		}
+		const errorText = await updateResponse.text();
+		console.log(`  ⚠️ Failed to update booking payout status: ${errorText}`);
+		return false;
+	}
+
 	/**
 	 * Get user by wallet address from CMS
 	 * @param {string} walletAddress - Host's custodial wallet address
@@ -169,7 +210,50 @@ class PayoutService {
 	}
 
 	/**
-	 * Process a host payout - transfer EURC from custodial wallet to CDP wallet
+	 * Work out where a host's payouts go
+	 * @param {Object} host - CMS user with payoutPreference, cdpWalletAddress, externalWalletAddress, externalWalletLinkedAt
+	 * @param {number} now - Current time (ms)
+	 * @returns {Object} { preference, destination, type? } or { preference, destination: null, reason, activeFrom? }
+	 */
+	resolvePayoutDestination(host, now = Date.now()) {
+		const preference = host.payoutPreference || 'custodial';
+
+		if (preference === 'cdp_wallet') {
+			return host.cdpWalletAddress
+				? { preference, destination: host.cdpWalletAddress, type: 'cdp_wallet' }
+				: { preference, destination: null, reason: 'No CDP wallet configured' };
+		}
+
+		if (preference === 'external_wallet') {
+			if (!host.externalWalletAddress) {
+				return { preference, destination: null, reason: 'No external wallet linked' };
+			}
+			const activeFrom = this.getExternalWalletActiveFrom(host);
+			if (activeFrom && activeFrom.getTime() > now) {
+				return {
+					preference,
+					destination: null,
+					reason: `External wallet ${host.externalWalletAddress} is in its cooling-off period until ${activeFrom.toISOString()}`,
+					activeFrom: activeFrom.toISOString(),
+				};
+			}
+			return { preference, destination: host.externalWalletAddress, type: 'external_wallet' };
+		}
+
+		return { preference, destination: null, reason: `Payout preference is ${preference}` };
+	}
+
+	/**
+	 * When a linked external wallet starts receiving payouts
+	 * @returns {Date|null}
+	 */
+	getExternalWalletActiveFrom(host) {
+		if (!host.externalWalletLinkedAt) return null;
+		return new Date(new Date(host.externalWalletLinkedAt).getTime() + this.coolingOffHours * 60 * 60 * 1000);
+	}
+
+	/**
+	 * Process a host payout - transfer EURC from custodial wallet to the host's payout destination
 	 *
 	 * @param {Object} params
 	 * @param {number} params.hostUserId - Host's Strapi user ID
@@ -203,15 +287,25 @@ class PayoutService {
 			}
 
 			// Check payout preference
-			const payoutPreference = host.payoutPreference || 'custodial';
-			const cdpWalletAddress = host.cdpWalletAddress;
+			const { preference: payoutPreference, destination, reason, activeFrom } = this.resolvePayoutDestination(host);
 
 			console.log(`  📋 Payout preference: ${payoutPreference}`);
-			console.log(`  📋 CDP wallet: ${cdpWalletAddress || 'not configured'}`);
+			console.log(`  📋 Destination: ${destination || 'custodial wallet'}`);
 
-			// If payout preference is custodial or no CDP wallet, do nothing
-			if (payoutPreference !== 'cdp_wallet' || !cdpWalletAddress) {
-				console.log(`  ✅ Payout stays in custodial wallet (preference: ${payoutPreference})`);
+			// External wallet still in its cooling-off period - queue it for the batch runner,
+			// which pays it once the wallet is active
+			if (activeFrom) {
+				console.log(`  🗓️ Payout held until ${activeFrom} - queued for the next batch`);
+				await this.updateBookingPayoutStatus(bookingId, {
+					payoutStatus: 'scheduled',
+					payoutAmount: parseFloat(ethers.formatUnits(BigInt(amount), 6)),
+				});
+				return { success: true, scheduled: true, reason, activeFrom };
+			}
+
+			// If payout preference is custodial or the destination is not available, do nothing
+			if (!destination) {
+				console.log(`  ✅ Payout stays in custodial wallet (${reason})`);
 
 				// Update CMS booking with skipped status
 				await this.updateBookingPayoutStatus(bookingId, {
@@ -223,57 +317,27 @@ class PayoutService {
 				return {
 					success: true,
 					skipped: true,
-					reason: payoutPreference !== 'cdp_wallet'
-						? 'Payout preference is not CDP wallet'
-						: 'No CDP wallet configured',
-				};
-			}
-
-			// Get host's custodial wallet
-			const custodialWallet = await this.custodialSigner.getUserWallet(hostUserId);
-			const custodialAddress = custodialWallet.address;
-			console.log(`  🔑 Custodial wallet: ${custodialAddress}`);
-
-			// Check EURC balance
-			const balance = await this.eurcToken.balanceOf(custodialAddress);
-			const amountBigInt = BigInt(amount);
-
-			console.log(`  💰 Custodial balance: ${ethers.formatUnits(balance, 6)} EURC`);
-			console.log(`  💶 Amount to transfer: ${ethers.formatUnits(amountBigInt, 6)} EURC`);
-
-			if (balance < amountBigInt) {
-				console.warn(`  ⚠️ Insufficient balance for payout`);
-				return {
-					success: false,
-					error: `Insufficient balance: has ${ethers.formatUnits(balance, 6)}, needs ${ethers.formatUnits(amountBigInt, 6)}`,
+					reason,
 				};
 			}
 
-			// Fund custodial wallet with ETH for gas if needed
-			const ethBalance = await this.provider.getBalance(custodialAddress);
-			const minGasBalance = ethers.parseEther('0.000005');
-
-			if (ethBalance < minGasBalance) {
-				const fundAmount = ethers.parseEther('0.00001');
-				console.log(`  💰 Funding custodial wallet with ${ethers.formatEther(fundAmount)} ETH for gas...`);
-				const fundTx = await this.relayer.sendTransaction({
-					to: custodialAddress,
-					value: fundAmount,
+			// Hosts on a daily, weekly or threshold schedule are paid by the batch runner
+			const schedule = host.payoutSchedule || 'instant';
+			if (schedule !== 'instant') {
+				console.log(`  🗓️ Payout scheduled (${schedule}) - queued for the next batch`);
+				await this.updateBookingPayoutStatus(bookingId, {
+					payoutStatus: 'scheduled',
+					payoutAmount: parseFloat(ethers.formatUnits(BigInt(amount), 6)),
 				});
-				await fundTx.wait();
-				console.log(`  ✅ Funded: ${fundTx.hash}`);
+				return { success: true, scheduled: true, schedule };
 			}
 
-			// Transfer EURC from custodial wallet to CDP wallet
-			const walletConnected = custodialWallet.connect(this.provider);
-			const eurcWithSigner = this.eurcToken.connect(walletConnected);
-
-			console.log(`  📤 Transferring ${ethers.formatUnits(amountBigInt, 6)} EURC to CDP wallet...`);
-			const tx = await eurcWithSigner.transfer(cdpWalletAddress, amountBigInt);
-			console.log(`  📤 Transaction submitted: ${tx.hash}`);
-
-			const receipt = await tx.wait();
-			console.log(`  ✅ Transfer confirmed in block ${receipt.blockNumber}`);
+			const transfer = await this.transferToDestination(hostUserId, destination, amount, payoutPreference);
+			if (!transfer.success) {
+				return transfer;
+			}
+			const { receipt } = transfer;
+			const amountBigInt = BigInt(amount);
 
 			// Update CMS booking with completed status
 			await this.updateBookingPayoutStatus(bookingId, {
@@ -281,14 +345,14 @@ class PayoutService {
 				payoutTxHash: receipt.hash,
 				payoutAmount: parseFloat(ethers.formatUnits(amountBigInt, 6)),
 				payoutDate: new Date().toISOString(),
-				payoutDestination: cdpWalletAddress,
+				payoutDestination: destination,
 			});
 
 			return {
 				success: true,
 				txHash: receipt.hash,
-				from: custodialAddress,
-				to: cdpWalletAddress,
+				from: transfer.from,
+				to: destination,
 				amount: ethers.formatUnits(amountBigInt, 6),
 			};
 		} catch (error) {
@@ -305,6 +369,94 @@ class PayoutService {
 		}
 	}
 
+	/**
+	 * Transfer EURC from a host's custodial wallet, with the gas paid by the gas station
+	 * Used for instant payouts and by the payout batch runner.
+	 * @param {number} hostUserId - Host's Strapi user ID
+	 * @param {string} destination - Address to pay out to
+	 * @param {string|BigInt} amount - Amount in EURC (6 decimals)
+	 * @param {string} preference - Payout preference (for logging)
+	 * @returns {Object} { success, receipt, txHash, from } or { success: false, error }
+	 */
+	async transferToDestination(hostUserId, destination, amount, preference = 'cdp_wallet') {
+		// Get host's custodial wallet
+		const custodialWallet = await this.custodialSigner.getUserWallet(hostUserId);
+		const custodialAddress = custodialWallet.address;
+		console.log(`  🔑 Custodial wallet: ${custodialAddress}`);
+
+		// Check EURC balance
+		const balance = await this.eurcToken.balanceOf(custodialAddress);
+		const amountBigInt = BigInt(amount);
+
+		console.log(`  💰 Custodial balance: ${ethers.formatUnits(balance, 6)} EURC`);
+		console.log(`  💶 Amount to transfer: ${ethers.formatUnits(amountBigInt, 6)} EURC`);
+
+		if (balance < amountBigInt) {
+			console.warn(`  ⚠️ Insufficient balance for payout`);
+			return {
+				success: false,
+				error: `Insufficient balance: has ${ethers.formatUnits(balance, 6)}, needs ${ethers.formatUnits(amountBigInt, 6)}`,
+			};
+		}
+
+		console.log(`  📤 Transferring ${ethers.formatUnits(amountBigInt, 6)} EURC to ${preference === 'cdp_wallet' ? 'CDP' : 'external'} wallet...`);
+		const sent = await this.sendFromCustodialWallet(hostUserId, custodialWallet, destination, amountBigInt);
+		if (!sent.success) {
+			return sent;
+		}
+
+		return { success: true, receipt: sent.receipt, txHash: sent.receipt.hash, from: custodialAddress };
+	}
+
+	/**
+	 * Send EURC from a custodial wallet: sponsored by the gas station (permit) when possible,
+	 * otherwise signed by the wallet after topping it up with gas
+	 * @param {number} userId - Owner's Strapi user ID
+	 * @param {ethers.Wallet} custodialWallet - The owner's custodial wallet
+	 * @param {string} destination - Recipient
+	 * @param {BigInt} amount - Amount in EURC (6 decimals)
+	 * @returns {Object} { success, receipt } or { success: false, error }
+	 */
+	async sendFromCustodialWallet(userId, custodialWallet, destination, amount) {
+		const custodialAddress = custodialWallet.address;
+
+		if (this.gasStation && await this.gasStation.canSponsorTransfer(this.eurcToken, custodialAddress)) {
+			const sponsored = await this.gasStation.sponsorTransfer({
+				token: this.eurcToken,
+				owner: custodialAddress,
+				to: destination,
+				amount,
+				signPermit: (spender, deadline) => this.custodialSigner.signPermitCall(custodialWallet, spender, amount, this.eurcToken, this.chainId, deadline),
+				userId,
+				reason: 'payout',
+			});
+			if (!sponsored.success) {
+				return { success: false, error: sponsored.error };
+			}
+			console.log(`  ✅ Sponsored transfer confirmed in block ${sponsored.receipt.blockNumber}`);
+			return { success: true, receipt: sponsored.receipt };
+		}
+
+		// Fund custodial wallet with ETH for gas if needed
+		if (this.gasStation) {
+			const gas = await this.gasStation.ensureGas(custodialAddress, { userId, reason: 'payout' });
+			if (!gas.success) {
+				return { success: false, error: `Gas top-up failed: ${gas.error}` };
+			}
+		}
+
+		// Transfer EURC from custodial wallet to the destination
+		const walletConnected = custodialWallet.connect(this.provider);
+		const eurcWithSigner = this.eurcToken.connect(walletConnected);
+
+		const tx = await eurcWithSigner.transfer(destination, amount);
+		console.log(`  📤 Transaction submitted: ${tx.hash}`);
+
+		const receipt = await tx.wait();
+		console.log(`  ✅ Transfer confirmed in block ${receipt.blockNumber}`);
+		return { success: true, receipt };
+	}
+
 	/**
 	 * Process a payout by host wallet address (for event-driven processing)
 	 *
@@ -349,9 +501,10 @@ class PayoutService {
 				return { success: false, error: 'User not found' };
 			}
 
-			const cdpWalletAddress = host.cdpWalletAddress;
-			if (!cdpWalletAddress) {
-				return { success: false, error: 'No CDP wallet configured for user' };
+			// Same destination rules as automatic payouts (including the external wallet cooling-off)
+			const { destination, reason } = this.resolvePayoutDestination(host);
+			if (!destination) {
+				return { success: false, error: `No payout destination available: ${reason}` };
 			}
 
 			// Get custodial wallet
@@ -381,38 +534,21 @@ class PayoutService {
 			}
 
 			console.log(`  📋 From: ${custodialAddress}`);
-			console.log(`  📋 To: ${cdpWalletAddress}`);
+			console.log(`  📋 To: ${destination}`);
 			console.log(`  📋 Amount: ${ethers.formatUnits(transferAmount, 6)} EURC`);
 
-			// Fund with ETH if needed
-			const ethBalance = await this.provider.getBalance(custodialAddress);
-			const minGasBalance = ethers.parseEther('0.000005');
-
-			if (ethBalance < minGasBalance) {
-				const fundAmount = ethers.parseEther('0.00001');
-				console.log(`  💰 Funding with ${ethers.formatEther(fundAmount)} ETH for gas...`);
-				const fundTx = await this.relayer.sendTransaction({
-					to: custodialAddress,
-					value: fundAmount,
-				});
-				await fundTx.wait();
-			}
-
 			// Execute transfer
-			const walletConnected = custodialWallet.connect(this.provider);
-			const eurcWithSigner = this.eurcToken.connect(walletConnected);
-
-			const tx = await eurcWithSigner.transfer(cdpWalletAddress, transferAmount);
-			console.log(`  📤 Transaction: ${tx.hash}`);
-
-			const receipt = await tx.wait();
-			console.log(`  ✅ Confirmed in block ${receipt.blockNumber}`);
+			const sent = await this.sendFromCustodialWallet(userId, custodialWallet, destination, transferAmount);
+			if (!sent.success) {
+				return sent;
+			}
+			const { receipt } = sent;
 
 			return {
 				success: true,
 				txHash: receipt.hash,
 				from: custodialAddress,
-				to: cdpWalletAddress,
+				to: destination,
 				amount: ethers.formatUnits(transferAmount, 6),
 			};
 		} catch (error) {
@@ -435,21 +571,43 @@ class PayoutService {
 
 			const custodialWallet = await this.custodialSigner.getUserWallet(userId);
 			const balance = await this.eurcToken.balanceOf(custodialWallet.address);
+			const { destination, reason } = this.resolvePayoutDestination(host);
 
 			return {
 				success: true,
 				userId,
 				custodialWallet: custodialWallet.address,
 				cdpWallet: host.cdpWalletAddress || null,
+				externalWallet: this.getExternalWallet(host),
 				payoutPreference: host.payoutPreference || 'custodial',
+				payoutDestination: destination,
+				payoutHeldReason: destination ? null : reason,
+				payoutSchedule: host.payoutSchedule || 'instant',
+				payoutThreshold: host.payoutThreshold ?? null,
+				lastPayoutAt: host.lastPayoutAt || null,
 				pendingBalance: ethers.formatUnits(balance, 6),
-				canAutoPayout: host.payoutPreference === 'cdp_wallet' && !!host.cdpWalletAddress,
+				canAutoPayout: !!destination,
 			};
 		} catch (error) {
 			return { success: false, error: error.message };
 		}
 	}
 
+	/**
+	 * Linked external wallet of a host and when it starts receiving payouts
+	 * @returns {Object|null} { address, linkedAt, activeFrom, coolingOff }
+	 */
+	getExternalWallet(host, now = Date.now()) {
+		if (!host.externalWalletAddress) return null;
+		const activeFrom = this.getExternalWalletActiveFrom(host);
+		return {
+			address: host.externalWalletAddress,
+			linkedAt: host.externalWalletLinkedAt || null,
+			activeFrom: activeFrom ? activeFrom.toISOString() : null,
+			coolingOff: !!activeFrom && activeFrom.getTime() > now,
+		};
+	}
+
 	/**
 	 * Get service status
 	 */
@@ -459,6 +617,7 @@ class PayoutService {
 			pendingPayouts: this.pendingPayouts.size,
 			hasEURC: !!this.eurcToken,
 			chainId: this.chainId,
+			coolingOffHours: this.coolingOffHours,
 		};
 	}
 }
@@ -402,7 +402,7 @@ class PropertySyncService {
 	async executeMetaTransaction(signedTx) {
 		const { from, to, value, data, nonce, deadline, signature } = signedTx.metaTx;
 
-		const tx = await this.forwarder.executeMetaTransaction(
+		const request = await this.forwarder.executeMetaTransaction.populateTransaction(
 			from,
 			to,
 			BigInt(value),
@@ -410,6 +410,7 @@ class PropertySyncService {
 			deadline,
 			signature
 		);
+		const tx = await this.relayer.sendTransaction(request);
 		const receipt = await tx.wait();
 
 		return {
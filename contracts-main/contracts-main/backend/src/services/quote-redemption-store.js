@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * QuoteRedemptionStore - Durable record of redeemed quotes
+ *
+ * Quote IDs are stateless, so the store is what stops one quote (or one payment reference)
+ * from booking twice. A redemption is claimed before the booking is sent, then either
+ * confirmed with the booking result or released if the booking failed.
+ *
+ * Like PaymentSessionStore, every change is appended to a JSON-lines journal that is
+ * replayed and compacted on load. Compaction drops redemptions of quotes that can no longer
+ * be redeemed anyway (expired more than retentionSeconds ago). Claims that were in flight
+ * when the process stopped are kept, since the booking may have been sent.
+ */
+class QuoteRedemptionStore {
+	constructor(config = {}) {
+		this.filePath = config.filePath || process.env.QUOTE_REDEMPTIONS_STATE_PATH || path.join(process.cwd(), 'quote-redemptions.state');
+		this.retentionSeconds = Number(config.retentionSeconds || 0);
+
+		// quoteId -> { quoteId, paymentReference, expiresAt, status: 'pending' | 'redeemed', result, redeemedAt }
+		this.redemptions = new Map();
+		// paymentReference -> quoteId
+		this.references = new Map();
+	}
+
+	/**
+	 * Replay the journal from disk and compact it
+	 * @returns {QuoteRedemptionStore} this
+	 */
+	load() {
+		this.redemptions.clear();
+		this.references.clear();
+
+		try {
+			if (fs.existsSync(this.filePath)) {
+				const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+				for (const line of lines) {
+					if (!line.trim()) continue;
+					try {
+						const record = JSON.parse(line);
+						if (record.op === 'put' && record.redemption?.quoteId) {
+							this.set(record.redemption);
+						} else if (record.op === 'del' && record.quoteId) {
+							this.remove(record.quoteId);
+						}
+					} catch (_) {
+						// Torn write from a crash - skip the partial line
+					}
+				}
+			}
+		} catch (err) {
+			console.warn('⚠️  Failed to load quote redemptions:', err.message);
+		}
+
+		const cutoff = Math.floor(Date.now() / 1000) - this.retentionSeconds;
+		for (const redemption of [...this.redemptions.values()]) {
+			if (redemption.expiresAt < cutoff) {
+				this.remove(redemption.quoteId);
+			}
+		}
+
+		this.compact();
+		return this;
+	}
+
+	/**
+	 * Claim a quote (and its payment reference, if any) for one booking
+	 * @param {Object} params - { quoteId, paymentReference?, expiresAt }
+	 * @returns {Object} { success } or { success: false, error, redemption? } - redemption is the
+	 *   earlier claim when the same quote and payment reference were already redeemed
+	 */
+	claim({ quoteId, paymentReference = null, expiresAt }) {
+		const existing = this.redemptions.get(quoteId);
+		if (existing) {
+			if (paymentReference && existing.paymentReference === paymentReference) {
+				return {
+					success: false,
+					error: existing.status === 'pending' ? 'Quote is already being redeemed' : 'Quote already redeemed',
+					redemption: existing,
+				};
+			}
+			return { success: false, error: 'Quote already redeemed' };
+		}
+		if (paymentReference && this.references.has(paymentReference)) {
+			return { success: false, error: 'Payment reference already used for another quote' };
+		}
+
+		this.put({
+			quoteId,
+			paymentReference,
+			expiresAt,
+			status: 'pending',
+			result: null,
+			redeemedAt: Math.floor(Date.now() / 1000),
+		});
+		return { success: true };
+	}
+
+	/**
+	 * Record the booking a claimed quote produced
+	 * @param {string} quoteId
+	 * @param {Object} result - { bookingId, transactionHash }
+	 */
+	confirm(quoteId, result) {
+		const redemption = this.redemptions.get(quoteId);
+		if (!redemption) return;
+		this.put({ ...redemption, status: 'redeemed', result });
+	}
+
+	/**
+	 * Give a claimed quote back after its booking failed
+	 * @param {string} quoteId
+	 */
+	release(quoteId) {
+		if (!this.remove(quoteId)) return;
+		this.append({ op: 'del', quoteId });
+	}
+
+	get(quoteId) {
+		return this.redemptions.get(quoteId) || null;
+	}
+
+	put(redemption) {
+		this.set(redemption);
+		this.append({ op: 'put', redemption });
+	}
+
+	set(redemption) {
+		this.redemptions.set(redemption.quoteId, redemption);
+		if (redemption.paymentReference) {
+			this.references.set(redemption.paymentReference, redemption.quoteId);
+		}
+	}
+
+	remove(quoteId) {
+		const redemption = this.redemptions.get(quoteId);
+		if (!redemption) return false;
+		this.redemptions.delete(quoteId);
+		if (redemption.paymentReference) {
+			this.references.delete(redemption.paymentReference);
+		}
+		return true;
+	}
+
+	/** Append a record to the journal */
+	append(record) {
+		try {
+			this.ensureDir();
+			fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+		} catch (err) {
+			console.warn('⚠️  Failed to persist quote redemption:', err.message);
+		}
+	}
+
+	/** Rewrite the journal with only the current redemptions */
+	compact() {
+		try {
+			this.ensureDir();
+			const tmpPath = `${this.filePath}.tmp`;
+			const lines = Array.from(this.redemptions.values()).map(redemption => JSON.stringify({ op: 'put', redemption }));
+			fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+			fs.renameSync(tmpPath, this.filePath);
+		} catch (err) {
+			console.warn('⚠️  Failed to compact quote redemptions:', err.message);
+		}
+	}
+
+	ensureDir() {
+		const dir = path.dirname(this.filePath);
+		if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+	}
+}
+
+module.exports = QuoteRedemptionStore;
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const QuoteRedemptionStore = require('./quote-redemption-store');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const DEFAULT_CURRENCY = 'EUR';
+
+/**
+ * QuoteService - Server-side price quotes for bookings
+ *
+ * Every payment path (EURC, hosted card checkout, fiat booking creation) takes a quote ID
+ * instead of client-computed totals. A quote is priced from the CMS property
+ * (PricePerNight, CleaningFee, AtlasFees %) and shows the on-chain platform fee
+ * (PropertyMarketplace.platformFeePercentage, per mille) that BookingManager will deduct.
+ * A quote is priced for one chain (its `chainId`) and only books on that chain.
+ *
+ * The quote ID is the quote itself, signed: `base64url(JSON).base64url(HMAC-SHA256)`.
+ * Quotes survive restarts and any service holding QUOTE_SIGNING_SECRET can verify them.
+ * Bookings redeem a quote through QuoteRedemptionStore, so each quote books once.
+ *
+ * Amounts are integers in minor units (cents). `totalEURC` is in EURC base units (6 decimals).
+ */
+class QuoteService {
+	constructor(config = {}) {
+		this.strapiBaseUrl = config.strapiBaseUrl || process.env.STRAPI_BASE_URL || 'http://localhost:1337';
+		this.strapiToken = config.strapiToken || process.env.STRAPI_API_TOKEN;
+		this.ttlSeconds = Number(config.ttlSeconds || process.env.QUOTE_TTL_SECONDS || 15 * 60);
+		// How long after expiry a payment started in time may still redeem its quote
+		this.expiredGraceSeconds = Number(config.expiredGraceSeconds ?? process.env.QUOTE_EXPIRED_GRACE_SECONDS ?? 60 * 60);
+
+		this.signingSecret = config.signingSecret || process.env.QUOTE_SIGNING_SECRET;
+		if (!this.signingSecret) {
+			// Still usable, but quotes issued before a restart become invalid
+			this.signingSecret = crypto.randomBytes(32).toString('hex');
+			console.warn('⚠️ QUOTE_SIGNING_SECRET not set - using a random per-process secret');
+		}
+
+		this.redemptions = config.redemptionStore || new QuoteRedemptionStore({
+			retentionSeconds: this.expiredGraceSeconds,
+			...config.redemptionStoreConfig,
+		});
+		this.redemptions.load();
+
+		// Set by initialize()
+		this.propertyMarketplace = null;
+		this.availabilityService = null;
+		this.defaultChainId = null;
+		this.marketplaces = new Map(); // chainId -> PropertyMarketplace
+	}
+
+	/**
+	 * Initialize with blockchain configuration
+	 * @param {Object} blockchainConfig - { chainId, propertyMarketplace (default chain),
+	 *   marketplaces? (Map chainId -> PropertyMarketplace for every chain), availabilityService? }
+	 */
+	initialize(blockchainConfig) {
+		this.propertyMarketplace = blockchainConfig.propertyMarketplace;
+		this.availabilityService = blockchainConfig.availabilityService || null;
+		this.defaultChainId = Number(blockchainConfig.chainId);
+		this.marketplaces = new Map(blockchainConfig.marketplaces || [[this.defaultChainId, this.propertyMarketplace]]);
+		console.log('✅ QuoteService initialized');
+	}
+
+	isReady() {
+		return !!this.propertyMarketplace;
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			chainIds: Array.from(this.marketplaces.keys()),
+			ttlSeconds: this.ttlSeconds,
+			expiredGraceSeconds: this.expiredGraceSeconds,
+			redemptions: this.redemptions.redemptions.size,
+			checksAvailability: !!this.availabilityService?.isReady(),
+		};
+	}
+
+	/**
+	 * Platform fee in per mille (30 = 3%), as BookingManager applies it
+	 * @param {number} chainId - Chain whose marketplace sets the fee (default chain if omitted)
+	 */
+	async getPlatformFeePercentage(chainId = this.defaultChainId) {
+		const marketplace = this.marketplaces.get(Number(chainId));
+		if (!marketplace) {
+			throw new Error(`No marketplace for chain ${chainId}`);
+		}
+		return Number(await marketplace.platformFeePercentage());
+	}
+
+	/**
+	 * Price a stay and return a signed quote
+	 * @param {Object} params - { userId, propertyId (blockchain ID or CMS documentId), checkInDate, checkOutDate (unix seconds), guests, rooms,
+	 *   chainId? (chain the booking will be made on, default chain if omitted) }
+	 * @returns {Object} { success, quoteId, quote } or { success: false, error, conflict? }
+	 */
+	async createQuote({ userId, propertyId, checkInDate, checkOutDate, guests, rooms, chainId = this.defaultChainId }) {
+		try {
+			if (!this.marketplaces.has(Number(chainId))) {
+				return { success: false, error: `Unsupported chainId ${chainId}` };
+			}
+			const checkIn = Number(checkInDate);
+			const checkOut = Number(checkOutDate);
+			if (!Number.isInteger(checkIn) || !Number.isInteger(checkOut)) {
+				return { success: false, error: 'checkInDate and checkOutDate must be unix timestamps' };
+			}
+			if (checkIn <= Math.floor(Date.now() / 1000)) {
+				return { success: false, error: 'Check-in must be in the future' };
+			}
+			const nights = Math.floor((checkOut - checkIn) / SECONDS_PER_DAY);
+			if (nights < 1) {
+				return { success: false, error: 'Booking must be at least 1 night' };
+			}
+
+			const property = await this.findProperty(propertyId);
+			if (!property) {
+				return { success: false, error: 'Property not found' };
+			}
+			if (!property.BlockchainPropertyId) {
+				return { success: false, error: 'Property is not listed on-chain yet' };
+			}
+			if (property.MaxGuests && Number(guests) > property.MaxGuests) {
+				return { success: false, error: `Property allows at most ${property.MaxGuests} guests` };
+			}
+
+			if (this.availabilityService?.isReady()) {
+				const available = await this.isAvailable(property, checkIn, checkOut);
+				if (!available) {
+					return { success: false, conflict: true, error: 'Booking dates conflict with existing booking' };
+				}
+			}
+
+			const platformFeePercentage = await this.getPlatformFeePercentage(chainId);
+			const pricePerNight = toMinor(property.PricePerNight);
+			const subtotal = pricePerNight * nights;
+			// AtlasFees is a percentage of the nightly subtotal (3 means 3%)
+			const atlasFeePercent = Number(property.AtlasFees || 0);
+			const atlasFee = Math.round((subtotal * atlasFeePercent) / 100);
+			const cleaningFee = toMinor(property.CleaningFee);
+			const total = subtotal + atlasFee + cleaningFee;
+			// Same integer math as BookingManager: platformFee = total * pct / 1000
+			const platformFee = Math.floor((total * platformFeePercentage) / 1000);
+
+			const issuedAt = Math.floor(Date.now() / 1000);
+			const quote = {
+				id: crypto.randomUUID(),
+				chainId: Number(chainId),
+				userId: String(userId),
+				propertyId: property.BlockchainPropertyId,
+				cmsPropertyId: property.documentId,
+				propertyTitle: property.Title || null,
+				checkInDate: checkIn,
+				checkOutDate: checkOut,
+				nights,
+				guests: Number(guests) || 1,
+				rooms: Number(rooms) || 1,
+				currency: property.currency?.code || DEFAULT_CURRENCY,
+				amounts: {
+					pricePerNight,
+					subtotal,
+					atlasFeePercent,
+					atlasFee,
+					cleaningFee,
+					total,
+					platformFeePercentage,
+					platformFee,
+					hostAmount: total - platformFee,
+				},
+				// EUR prices match EURC 1:1; cents -> 6 decimals
+				totalEURC: (BigInt(total) * 10000n).toString(),
+				issuedAt,
+				expiresAt: issuedAt + this.ttlSeconds,
+			};
+
+			return { success: true, quoteId: this.sign(quote), quote };
+		} catch (error) {
+			console.error('❌ Quote creation failed:', error.message);
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * Verify a quote ID and return the quote
+	 * @param {string} quoteId
+	 * @param {Object} options - { userId?: must match, allowExpired?: for payments that were started in time,
+	 *   accepted up to expiredGraceSeconds after expiry }
+	 * @returns {Object} { valid, quote?, error? }
+	 */
+	verifyQuote(quoteId, { userId, allowExpired = false } = {}) {
+		const [payload, signature] = String(quoteId || '').split('.');
+		if (!payload || !signature) {
+			return { valid: false, error: 'Malformed quote ID' };
+		}
+
+		const expected = this.computeSignature(payload);
+		const given = Buffer.from(signature);
+		const wanted = Buffer.from(expected);
+		if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+			return { valid: false, error: 'Invalid quote signature' };
+		}
+
+		let quote;
+		try {
+			quote = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+		} catch (_) {
+			return { valid: false, error: 'Malformed quote ID' };
+		}
+
+		const graceSeconds = allowExpired ? this.expiredGraceSeconds : 0;
+		if (quote.expiresAt + graceSeconds < Math.floor(Date.now() / 1000)) {
+			return { valid: false, expired: true, error: 'Quote expired - request a new quote' };
+		}
+		if (userId !== undefined && userId !== null && String(userId) !== quote.userId) {
+			return { valid: false, error: 'Quote belongs to a different user' };
+		}
+
+		return { valid: true, quote };
+	}
+
+	/**
+	 * Claim a verified quote for one booking; call finishRedemption() with the booking result
+	 * @param {Object} quote - Verified quote, or { id } when only its ID is known (it expires within ttlSeconds)
+	 * @param {Object} options - { paymentReference?: the payment may only redeem one quote }
+	 * @returns {Object} { success } or { success: false, error, redemption? } - redemption is set
+	 *   when the same quote and payment reference were already redeemed (a retried payment)
+	 */
+	redeemQuote(quote, { paymentReference } = {}) {
+		const expiresAt = quote.expiresAt ?? Math.floor(Date.now() / 1000) + this.ttlSeconds;
+		return this.redemptions.claim({ quoteId: quote.id, paymentReference, expiresAt });
+	}
+
+	/**
+	 * Whether a quote was already redeemed (or is being redeemed)
+	 */
+	isRedeemed(quote) {
+		return !!this.redemptions.get(quote.id);
+	}
+
+	/**
+	 * Confirm a redemption with the booking it produced, or release it if the booking failed
+	 * @param {Object} quote - Redeemed quote
+	 * @param {Object} result - Booking result (undefined if the booking threw)
+	 */
+	finishRedemption(quote, result) {
+		if (result?.success) {
+			this.redemptions.confirm(quote.id, {
+				success: true,
+				chainId: result.chainId,
+				bookingId: result.bookingId,
+				transactionHash: result.transactionHash,
+			});
+		} else {
+			this.redemptions.release(quote.id);
+		}
+	}
+
+	sign(quote) {
+		const payload = Buffer.from(JSON.stringify(quote)).toString('base64url');
+		return `${payload}.${this.computeSignature(payload)}`;
+	}
+
+	computeSignature(payload) {
+		return crypto.createHmac('sha256', this.signingSecret).update(payload).digest('base64url');
+	}
+
+	async isAvailable(property, checkIn, checkOut) {
+		const checkInDay = Math.round(checkIn / SECONDS_PER_DAY);
+		const checkOutDay = Math.round(checkOut / SECONDS_PER_DAY);
+		const { chainRanges, cmsRanges } = await this.availabilityService.getBookedRanges({
+			blockchainPropertyId: property.BlockchainPropertyId,
+			cmsDocumentId: property.documentId,
+			fromDay: checkInDay,
+			toDay: checkOutDay,
+		});
+		return ![...chainRanges, ...cmsRanges].some((r) => checkInDay < r.end && checkOutDay > r.start);
+	}
+
+	/**
+	 * Look up the CMS property (with currency) by documentId or BlockchainPropertyId
+	 */
+	async findProperty(propertyId) {
+		const params = new URLSearchParams({
+			'filters[$or][0][documentId][$eq]': propertyId,
+			'filters[$or][1][BlockchainPropertyId][$eq]': propertyId,
+			'populate[currency]': 'true',
+			'pagination[pageSize]': '1',
+		});
+		const headers = {};
+		if (this.strapiToken) {
+			headers['Authorization'] = `Bearer ${this.strapiToken}`;
+		}
+		const response = await fetch(`${this.strapiBaseUrl}/api/properties?${params}`, { headers });
+		if (!response.ok) {
+			throw new Error(`CMS property lookup failed (${response.status})`);
+		}
+		const result = await response.json();
+		return result.data?.[0] || null;
+	}
+}
+
+/**
+ * Decimal amount (CMS) -> integer minor units
+ */
+function toMinor(value) {
+	return Math.round(Number(value || 0) * 100);
+}
+
+module.exports = QuoteService;
@@ -0,0 +1,105 @@
+/**
+ * RefundService - Refunds fiat (off-chain paid) bookings through the payment server
+ *
+ * EURC bookings are refunded on-chain by BookingManager itself. Bookings created with
+ * createBookingPaid (paidOffChain=true) only change status on-chain, so when the event
+ * listener sees BookingCancelled / BookingRefunded for them we ask the payment server to
+ * refund the original provider order (the booking's paymentReference - a Revolut order ID
+ * or a Stripe checkout session ID; the payment server knows which).
+ *
+ * The refund mirrors the on-chain policy: the guest gets `amount` (BookingRefunded) or the
+ * hostAmount (cancellation) - the platform fee is non-refundable.
+ */
+class RefundService {
+	constructor(config = {}) {
+		this.paymentsServerUrl = config.paymentsServerUrl || process.env.PAYMENTS_SERVER_URL || 'http://localhost:3001';
+		this.serviceToken = config.serviceToken || process.env.BACKEND_SERVICE_TOKEN;
+
+		// Set by initialize()
+		this.bookingManager = null;
+	}
+
+	/**
+	 * Initialize with blockchain configuration
+	 * @param {Object} blockchainConfig - { bookingManager }
+	 */
+	initialize(blockchainConfig) {
+		this.bookingManager = blockchainConfig.bookingManager;
+		console.log('✅ RefundService initialized');
+	}
+
+	isReady() {
+		return !!this.bookingManager;
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			paymentsServerUrl: this.paymentsServerUrl,
+			hasServiceToken: !!this.serviceToken,
+		};
+	}
+
+	/**
+	 * Refund an off-chain paid booking after a cancellation/refund event
+	 * @param {string|number} bookingId - On-chain booking ID
+	 * @param {Object} options
+	 * @param {string} options.event - 'BookingCancelled' | 'BookingRefunded' | 'BookingCompleted' (admin full refund of a dispute)
+	 * @param {string|bigint} [options.amount] - Refund amount from BookingRefunded (hostAmount if omitted)
+	 * @returns {Object} { success, skipped?, reason?, refund?, error? }
+	 */
+	async refundBooking(bookingId, { event, amount } = {}) {
+		if (!this.isReady()) {
+			return { success: false, error: 'RefundService not initialized' };
+		}
+
+		try {
+			const booking = await this.bookingManager.bookings(bookingId);
+
+			if (!booking.paidOffChain) {
+				return { success: true, skipped: true, reason: 'EURC booking refunded on-chain' };
+			}
+			if (!booking.paymentReference) {
+				return { success: true, skipped: true, reason: 'No payment reference on booking' };
+			}
+
+			const totalAmount = BigInt(booking.totalAmount);
+			const refundAmount = amount !== undefined && amount !== null ? BigInt(amount) : BigInt(booking.hostAmount);
+			if (totalAmount === 0n || refundAmount === 0n) {
+				return { success: true, skipped: true, reason: 'Nothing to refund' };
+			}
+
+			// Percentage with two decimals so the payment server can apply it to the order amount
+			const percentage = Number((refundAmount * 10000n) / totalAmount) / 100;
+
+			console.log(`💷 Requesting ${percentage}% refund for booking ${bookingId} (${event}, order ${booking.paymentReference})`);
+
+			const response = await fetch(`${this.paymentsServerUrl}/payments/refund`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					...(this.serviceToken ? { 'x-service-token': this.serviceToken } : {}),
+				},
+				body: JSON.stringify({
+					paymentReference: booking.paymentReference,
+					percentage,
+					reason: `${event} for booking ${bookingId}`,
+					// One refund per booking, whichever event triggers it first
+					idempotencyKey: `booking-${bookingId}`,
+				}),
+			});
+
+			const data = await response.json().catch(() => ({}));
+			if (!response.ok) {
+				return { success: false, error: data.error || `Payment server responded ${response.status}` };
+			}
+
+			return { success: true, refund: data };
+		} catch (error) {
+			console.error(`❌ Refund for booking ${bookingId} failed:`, error.message);
+			return { success: false, error: error.message };
+		}
+	}
+}
+
+module.exports = RefundService;
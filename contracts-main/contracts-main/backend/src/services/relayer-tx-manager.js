@@ -0,0 +1,372 @@
+const { ethers } = require('ethers');
+
+const PRIVATE_KEY_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+// Nodes only accept a replacement that raises the fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+const GAS_LIMIT_BUFFER_PERCENT = 20n;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * RelayerTxManager - Sends every transaction paid for by the relayer
+ *
+ * Drop-in for the relayer wallet: services call `relayer.sendTransaction(request)` and
+ * `await tx.wait()` as before, and contract calls go through
+ * `relayer.sendTransaction(await contract.method.populateTransaction(...))`.
+ *
+ * - Keys: RELAYER_PRIVATE_KEYS (comma-separated) or RELAYER_PRIVATE_KEY. Each transaction
+ *   goes to the key with the fewest transactions in flight; keys whose last transaction
+ *   could not be mined are used last.
+ * - Nonces: assigned locally per key, one broadcast at a time, so concurrent sends get
+ *   consecutive nonces instead of racing on the `pending` count. A failed broadcast
+ *   resyncs the key's nonce from the node.
+ * - Fees: EIP-1559 from getFeeData (legacy gasPrice on chains without it). A transaction
+ *   not mined after RELAYER_BUMP_AFTER_MS is re-sent with the same nonce and fees raised
+ *   by RELAYER_FEE_BUMP_PERCENT, up to RELAYER_MAX_FEE_BUMPS times and RELAYER_MAX_FEE_GWEI.
+ *   `wait()` resolves with the receipt of whichever version was mined.
+ * - Balances: keys below RELAYER_MIN_BALANCE_ETH are reported as warnings (see /health).
+ */
+class RelayerTxManager {
+	constructor(config = {}) {
+		const keys = config.privateKeys
+			?? RelayerTxManager.parseKeys(process.env.RELAYER_PRIVATE_KEYS || process.env.RELAYER_PRIVATE_KEY);
+		this.privateKeys = keys.filter((key) => PRIVATE_KEY_PATTERN.test(key));
+		this.invalidKeys = keys.length - this.privateKeys.length;
+
+		this.bumpAfterMs = Number(config.bumpAfterMs || process.env.RELAYER_BUMP_AFTER_MS || 60 * 1000);
+		this.bumpPercent = Math.max(MIN_BUMP_PERCENT, Number(config.bumpPercent || process.env.RELAYER_FEE_BUMP_PERCENT || 20));
+		this.maxBumps = Number(config.maxBumps ?? process.env.RELAYER_MAX_FEE_BUMPS ?? 5);
+		const maxFeeGwei = config.maxFeeGwei ?? process.env.RELAYER_MAX_FEE_GWEI;
+		this.maxFeePerGas = maxFeeGwei ? ethers.parseUnits(String(maxFeeGwei), 'gwei') : null;
+		this.minBalance = ethers.parseEther(String(config.minBalanceEth || process.env.RELAYER_MIN_BALANCE_ETH || '0.01'));
+		this.pollIntervalMs = Number(config.pollIntervalMs || process.env.RELAYER_POLL_INTERVAL_MS || 4000);
+
+		// Set by initialize()
+		this.provider = null;
+		this.chainId = null;
+		this.keys = [];
+
+		this.stats = {
+			sent: 0,
+			confirmed: 0,
+			bumped: 0,
+			reverted: 0,
+			failed: 0,
+			abandoned: 0,
+		};
+	}
+
+	static parseKeys(value) {
+		if (!value) return [];
+		return String(value).split(',').map((key) => key.trim()).filter(Boolean);
+	}
+
+	/**
+	 * Initialize with blockchain configuration
+	 * @param {Object} blockchainConfig - { provider, chainId }
+	 */
+	initialize(blockchainConfig) {
+		this.provider = blockchainConfig.provider;
+		this.chainId = blockchainConfig.chainId;
+		this.keys = this.privateKeys.map((privateKey) => {
+			const wallet = new ethers.Wallet(privateKey, this.provider);
+			return {
+				wallet,
+				address: wallet.address,
+				nextNonce: null,
+				lock: Promise.resolve(),
+				inFlight: 0,
+				sent: 0,
+				stuck: false,
+				balance: null,
+				lowBalance: false,
+				lastError: null,
+			};
+		});
+
+		if (this.invalidKeys) {
+			console.warn(`⚠️  Ignoring ${this.invalidKeys} relayer key(s) with an invalid format`);
+		}
+		if (this.keys.length) {
+			console.log(`✅ RelayerTxManager initialized (chain ${this.chainId}, ${this.keys.length} key(s): ${this.keys.map((key) => key.address).join(', ')})`);
+		}
+	}
+
+	isReady() {
+		return !!(this.provider && this.keys.length);
+	}
+
+	/**
+	 * Primary relayer address (first key), for logs and status
+	 */
+	get address() {
+		return this.keys[0]?.address || null;
+	}
+
+	async getAddress() {
+		return this.address;
+	}
+
+	/**
+	 * Send a transaction from one of the relayer keys
+	 * @param {Object} request - { to, data?, value?, gasLimit? }; fee fields are ignored
+	 * @returns {Promise<Object>} { hash, from, nonce, wait() } - hash is the latest version sent
+	 */
+	async sendTransaction(request) {
+		if (!this.isReady()) {
+			throw new Error('RelayerTxManager not initialized');
+		}
+
+		const key = this.pickKey();
+		key.inFlight++;
+		let pending;
+		try {
+			pending = await this.withLock(key, () => this.broadcast(key, request));
+		} catch (error) {
+			key.inFlight--;
+			throw error;
+		}
+
+		const mined = this.track(pending).finally(() => {
+			key.inFlight--;
+		});
+		mined.catch(() => {}); // surfaced through wait()
+
+		return {
+			get hash() {
+				return pending.hashes[pending.hashes.length - 1];
+			},
+			from: key.address,
+			nonce: pending.nonce,
+			wait: () => mined,
+		};
+	}
+
+	/**
+	 * Key with the fewest transactions in flight; stuck keys only when all are stuck
+	 */
+	pickKey() {
+		const candidates = this.keys.some((key) => !key.stuck) ? this.keys.filter((key) => !key.stuck) : this.keys;
+		return candidates.reduce((best, key) => (
+			key.inFlight < best.inFlight || (key.inFlight === best.inFlight && key.sent < best.sent) ? key : best
+		));
+	}
+
+	/**
+	 * Run fn after every earlier broadcast of this key has finished
+	 */
+	withLock(key, fn) {
+		const result = key.lock.then(() => fn());
+		key.lock = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * Assign the next nonce, fill in gas and fees, sign and broadcast (called under the key's lock)
+	 */
+	async broadcast(key, request, { retried = false } = {}) {
+		try {
+			if (key.nextNonce === null) {
+				key.nextNonce = await this.provider.getTransactionCount(key.address, 'pending');
+			}
+
+			const tx = {
+				to: request.to,
+				data: request.data || '0x',
+				value: BigInt(request.value || 0),
+				nonce: key.nextNonce,
+				chainId: this.chainId,
+				gasLimit: request.gasLimit ? BigInt(request.gasLimit) : await this.estimateGas(key, request),
+			};
+			const fees = await this.getFees();
+			const hash = await this.sign(key, tx, fees);
+
+			key.nextNonce++;
+			key.sent++;
+			key.lastError = null;
+			this.stats.sent++;
+			return { key, tx, fees, nonce: tx.nonce, hashes: [hash], sentAt: Date.now(), bumps: 0 };
+		} catch (error) {
+			// The nonce may or may not have been used - read it from the node next time
+			key.nextNonce = null;
+			key.lastError = error.shortMessage || error.message;
+			if (!retried && error.code === 'NONCE_EXPIRED') {
+				return this.broadcast(key, request, { retried: true });
+			}
+			this.stats.failed++;
+			throw error;
+		}
+	}
+
+	async estimateGas(key, request) {
+		const estimate = await this.provider.estimateGas({
+			from: key.address,
+			to: request.to,
+			data: request.data,
+			value: request.value,
+		});
+		return estimate + (estimate * GAS_LIMIT_BUFFER_PERCENT) / 100n;
+	}
+
+	/**
+	 * Current network fees; for a replacement at least bumpPercent above the previous ones
+	 * @param {Object} [previous] - Fees of the version being replaced
+	 * @returns {Object} { type, maxFeePerGas, maxPriorityFeePerGas } or { type, gasPrice }
+	 */
+	async getFees(previous = null) {
+		const feeData = await this.provider.getFeeData();
+		const fees = feeData.maxFeePerGas != null
+			? { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? 0n }
+			: { type: 0, gasPrice: feeData.gasPrice };
+
+		if (previous) {
+			const bump = (value) => (value * BigInt(100 + this.bumpPercent) + 99n) / 100n;
+			for (const field of ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice']) {
+				if (previous[field] != null && fees[field] != null && fees[field] < bump(previous[field])) {
+					fees[field] = bump(previous[field]);
+				}
+			}
+		}
+
+		if (this.maxFeePerGas) {
+			const feeField = fees.type === 2 ? 'maxFeePerGas' : 'gasPrice';
+			if (fees[feeField] > this.maxFeePerGas) fees[feeField] = this.maxFeePerGas;
+			if (fees.type === 2 && fees.maxPriorityFeePerGas > fees.maxFeePerGas) fees.maxPriorityFeePerGas = fees.maxFeePerGas;
+		}
+		return fees;
+	}
+
+	async sign(key, tx, fees) {
+		const signed = await key.wallet.signTransaction({ ...tx, ...fees });
+		await this.provider.broadcastTransaction(signed);
+		return ethers.Transaction.from(signed).hash;
+	}
+
+	/**
+	 * Poll for a receipt of any version of the transaction and re-send with higher fees when it is slow
+	 * @returns {Promise<Object>} Receipt of the mined version
+	 */
+	async track(pending) {
+		const { key } = pending;
+		for (;;) {
+			await sleep(this.pollIntervalMs);
+
+			for (const hash of pending.hashes) {
+				let receipt;
+				try {
+					receipt = await this.provider.getTransactionReceipt(hash);
+				} catch (error) {
+					// A flaky RPC must not give up on a transaction that may still be mined
+					console.warn(`⚠️ Receipt lookup for ${hash} failed:`, error.shortMessage || error.message);
+					continue;
+				}
+				if (!receipt) continue;
+
+				key.stuck = false;
+				this.checkBalance(key).catch(() => {});
+				if (receipt.status === 0) {
+					this.stats.reverted++;
+					const error = new Error(`Relayer transaction ${hash} reverted`);
+					error.receipt = receipt;
+					throw error;
+				}
+				this.stats.confirmed++;
+				return receipt;
+			}
+
+			if (Date.now() - pending.sentAt < this.bumpAfterMs) continue;
+
+			if (pending.bumps >= this.maxBumps) {
+				// Left in the mempool - later nonces of this key queue behind it, so prefer other keys
+				key.stuck = true;
+				this.stats.abandoned++;
+				throw new Error(`Relayer transaction (nonce ${pending.nonce}) not mined after ${pending.bumps} fee bump(s)`);
+			}
+			await this.bump(pending);
+		}
+	}
+
+	/**
+	 * Re-send the same transaction (same nonce) with higher fees
+	 */
+	async bump(pending) {
+		const { key } = pending;
+		let fees;
+		try {
+			fees = await this.getFees(pending.fees);
+		} catch (error) {
+			console.warn(`⚠️ Fee lookup for nonce ${pending.nonce} failed - retrying the bump next poll:`, error.shortMessage || error.message);
+			return;
+		}
+		const raised = ['maxFeePerGas', 'gasPrice'].some((field) => fees[field] != null && fees[field] > pending.fees[field]);
+		pending.sentAt = Date.now();
+		pending.bumps++;
+		if (!raised) {
+			console.warn(`⚠️ Relayer ${key.address} nonce ${pending.nonce} pending at the fee cap - not bumped`);
+			return;
+		}
+
+		try {
+			const hash = await this.sign(key, pending.tx, fees);
+			pending.hashes.push(hash);
+			pending.fees = fees;
+			this.stats.bumped++;
+			console.log(`⛽ Relayer ${key.address} nonce ${pending.nonce} re-sent with higher fees (${pending.bumps}/${this.maxBumps}): ${hash}`);
+		} catch (error) {
+			// Usually an earlier version was mined meanwhile - the next poll finds its receipt
+			console.warn(`⚠️ Fee bump for nonce ${pending.nonce} failed:`, error.shortMessage || error.message);
+		}
+	}
+
+	async checkBalance(key) {
+		key.balance = await this.provider.getBalance(key.address);
+		const low = key.balance < this.minBalance;
+		if (low && !key.lowBalance) {
+			console.warn(`⚠️ Relayer ${key.address} balance low: ${ethers.formatEther(key.balance)} (minimum ${ethers.formatEther(this.minBalance)})`);
+		}
+		key.lowBalance = low;
+	}
+
+	/**
+	 * Read every key's balance
+	 * @returns {string[]} Low-balance warnings
+	 */
+	async checkBalances() {
+		await Promise.all(this.keys.map((key) => this.checkBalance(key).catch((error) => {
+			key.lastError = error.shortMessage || error.message;
+		})));
+		return this.getWarnings();
+	}
+
+	getWarnings() {
+		return this.keys
+			.filter((key) => key.lowBalance)
+			.map((key) => `Relayer ${key.address} balance ${ethers.formatEther(key.balance)} is below ${ethers.formatEther(this.minBalance)}`);
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			chainId: this.chainId,
+			bumpAfterMs: this.bumpAfterMs,
+			bumpPercent: this.bumpPercent,
+			maxBumps: this.maxBumps,
+			maxFeeGwei: this.maxFeePerGas ? ethers.formatUnits(this.maxFeePerGas, 'gwei') : null,
+			minBalance: ethers.formatEther(this.minBalance),
+			keys: this.keys.map((key) => ({
+				address: key.address,
+				balance: key.balance === null ? null : ethers.formatEther(key.balance),
+				lowBalance: key.lowBalance,
+				nextNonce: key.nextNonce,
+				inFlight: key.inFlight,
+				sent: key.sent,
+				stuck: key.stuck,
+				lastError: key.lastError,
+			})),
+			warnings: this.getWarnings(),
+			stats: { ...this.stats },
+		};
+	}
+}
+
+module.exports = RelayerTxManager;
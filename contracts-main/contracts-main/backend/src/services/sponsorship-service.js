@@ -0,0 +1,233 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * SponsorshipService - Limits the meta-transactions the relayer pays gas for
+ *
+ * Checked for user-signed meta-transactions (POST /api/properties/list, /api/bookings/create)
+ * before they are simulated or sent:
+ * - Allowlist: the call's target contract and function selector (first 4 bytes of `data`)
+ *   must be sponsored - by default PropertyMarketplace.listProperty and
+ *   BookingManager.createBooking. META_TX_ALLOWED_CALLS adds `<address>:<selector>` or
+ *   `<address>:*` entries.
+ * - Rate limits: meta-transactions per rolling hour and gas used per rolling 24 hours,
+ *   separately per signer address and per authenticated user. A limit of 0 disables it.
+ *
+ * A transaction counts against the hourly limit when it is accepted (so concurrent requests
+ * cannot overrun it); its gas is added once the receipt is known. Callers verify the EIP-712
+ * signature first, so nobody can use up another address's quota with junk signatures. Usage is kept in memory
+ * and starts over when the server restarts.
+ */
+class SponsorshipService {
+	constructor(config = {}) {
+		this.limits = {
+			address: {
+				maxPerHour: Number(config.addressMaxPerHour ?? process.env.META_TX_ADDRESS_MAX_PER_HOUR ?? 10),
+				dailyGasBudget: Number(config.addressDailyGas ?? process.env.META_TX_ADDRESS_DAILY_GAS ?? 5000000),
+			},
+			user: {
+				maxPerHour: Number(config.userMaxPerHour ?? process.env.META_TX_USER_MAX_PER_HOUR ?? 20),
+				dailyGasBudget: Number(config.userDailyGas ?? process.env.META_TX_USER_DAILY_GAS ?? 10000000),
+			},
+		};
+		this.extraAllowedCalls = SponsorshipService.parseAllowedCalls(config.allowedCalls ?? process.env.META_TX_ALLOWED_CALLS);
+
+		// Set by initialize()
+		this.chainId = null;
+		this.allowedCalls = [];
+
+		this.usage = new Map(); // 'address:0x..' | 'user:12' -> { txs: [timestamp], gas: [{ at, gasUsed }] }
+		this.stats = {
+			accepted: 0,
+			rateLimited: 0,
+			notAllowed: 0,
+			gasSponsored: 0,
+		};
+	}
+
+	/**
+	 * Parse `<address>:<selector|*>` entries (comma-separated)
+	 */
+	static parseAllowedCalls(value) {
+		if (!value) return [];
+		return String(value).split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+			const [target, selector = '*'] = entry.split(':');
+			return { target: target.toLowerCase(), selector: selector.toLowerCase(), name: selector === '*' ? '*' : selector };
+		});
+	}
+
+	/**
+	 * Initialize with the sponsored contracts of the chain
+	 * @param {Object} config - { chainId, contracts: [{ contract, functions: ['listProperty'] }] }
+	 */
+	initialize({ chainId, contracts = [] }) {
+		this.chainId = chainId;
+		this.allowedCalls = [
+			...contracts.flatMap(({ contract, functions }) => functions.map((name) => ({
+				target: String(contract.target).toLowerCase(),
+				selector: contract.interface.getFunction(name).selector.toLowerCase(),
+				name,
+			}))),
+			...this.extraAllowedCalls,
+		];
+		console.log(`✅ SponsorshipService initialized (chain ${chainId}, ${this.allowedCalls.length} sponsored call(s))`);
+	}
+
+	isReady() {
+		return this.allowedCalls.length > 0;
+	}
+
+	/**
+	 * Accept a meta-transaction for sponsorship, counting it against the caller's limits
+	 * @param {Object} metaTx - { from, to, data }
+	 * @param {Object} options - { userId } of the authenticated caller, if any
+	 * @returns {Object} { success, function? } or { success: false, notAllowed?|rateLimited?, error, retryAfterSeconds?, usage? }
+	 */
+	authorize(metaTx, { userId = null } = {}) {
+		const call = this.findAllowedCall(metaTx);
+		if (!call) {
+			this.stats.notAllowed++;
+			return {
+				success: false,
+				notAllowed: true,
+				error: `Call ${String(metaTx.data || '0x').slice(0, 10)} on ${metaTx.to} is not sponsored`,
+			};
+		}
+
+		const now = Date.now();
+		const subjects = this.subjects(metaTx.from, userId);
+		for (const subject of subjects) {
+			const blocked = this.checkLimits(subject, now);
+			if (blocked) {
+				this.stats.rateLimited++;
+				return {
+					success: false,
+					rateLimited: true,
+					error: blocked.error,
+					retryAfterSeconds: Math.max(1, Math.ceil(blocked.retryAfterMs / 1000)),
+					usage: this.getUsage({ address: metaTx.from, userId }),
+				};
+			}
+		}
+
+		for (const subject of subjects) {
+			this.getEntry(subject.key).txs.push(now);
+		}
+		this.stats.accepted++;
+		return { success: true, function: call.name };
+	}
+
+	/**
+	 * Add the gas of a mined meta-transaction to the caller's daily budget
+	 */
+	recordGas(metaTx, { userId = null } = {}, gasUsed) {
+		const gas = Number(gasUsed || 0);
+		if (!gas) return;
+		const at = Date.now();
+		for (const subject of this.subjects(metaTx.from, userId)) {
+			this.getEntry(subject.key).gas.push({ at, gasUsed: gas });
+		}
+		this.stats.gasSponsored += gas;
+	}
+
+	findAllowedCall(metaTx) {
+		const target = String(metaTx.to || '').toLowerCase();
+		const selector = String(metaTx.data || '').slice(0, 10).toLowerCase();
+		return this.allowedCalls.find((call) => call.target === target && (call.selector === '*' || call.selector === selector)) || null;
+	}
+
+	subjects(address, userId) {
+		const subjects = [];
+		if (address) {
+			subjects.push({ type: 'address', key: `address:${String(address).toLowerCase()}`, limits: this.limits.address });
+		}
+		if (userId !== null && userId !== undefined) {
+			subjects.push({ type: 'user', key: `user:${userId}`, limits: this.limits.user });
+		}
+		return subjects;
+	}
+
+	/**
+	 * @returns {Object|null} { error, retryAfterMs } when a limit is reached
+	 */
+	checkLimits(subject, now) {
+		const entry = this.prune(subject.key, now);
+		const { maxPerHour, dailyGasBudget } = subject.limits;
+
+		if (maxPerHour > 0 && entry.txs.length >= maxPerHour) {
+			return {
+				error: `Meta-transaction limit reached for this ${subject.type} (${maxPerHour} per hour)`,
+				retryAfterMs: entry.txs[0] + HOUR_MS - now,
+			};
+		}
+		const gasUsed = entry.gas.reduce((sum, item) => sum + item.gasUsed, 0);
+		if (dailyGasBudget > 0 && gasUsed >= dailyGasBudget) {
+			return {
+				error: `Daily gas budget used up for this ${subject.type} (${dailyGasBudget} gas per 24 hours)`,
+				retryAfterMs: entry.gas[0].at + DAY_MS - now,
+			};
+		}
+		return null;
+	}
+
+	getEntry(key) {
+		if (!this.usage.has(key)) {
+			this.usage.set(key, { txs: [], gas: [] });
+		}
+		return this.usage.get(key);
+	}
+
+	/**
+	 * Drop entries outside the rolling windows
+	 */
+	prune(key, now = Date.now()) {
+		const entry = this.getEntry(key);
+		entry.txs = entry.txs.filter((at) => at > now - HOUR_MS);
+		entry.gas = entry.gas.filter((item) => item.at > now - DAY_MS);
+		if (!entry.txs.length && !entry.gas.length) {
+			this.usage.delete(key);
+			return { txs: [], gas: [] };
+		}
+		return entry;
+	}
+
+	/**
+	 * Usage of an address and/or user against their limits
+	 * @returns {Object} { address?, user? } each { txsLastHour, maxPerHour, gasLast24h, dailyGasBudget, remainingTxs, remainingGas }
+	 */
+	getUsage({ address = null, userId = null } = {}) {
+		const now = Date.now();
+		const usage = {};
+		for (const subject of this.subjects(address, userId)) {
+			const entry = this.prune(subject.key, now);
+			const { maxPerHour, dailyGasBudget } = subject.limits;
+			const gasLast24h = entry.gas.reduce((sum, item) => sum + item.gasUsed, 0);
+			usage[subject.type] = {
+				txsLastHour: entry.txs.length,
+				maxPerHour,
+				remainingTxs: maxPerHour > 0 ? Math.max(0, maxPerHour - entry.txs.length) : null,
+				gasLast24h,
+				dailyGasBudget,
+				remainingGas: dailyGasBudget > 0 ? Math.max(0, dailyGasBudget - gasLast24h) : null,
+			};
+		}
+		return usage;
+	}
+
+	getStatus() {
+		const now = Date.now();
+		for (const key of Array.from(this.usage.keys())) {
+			this.prune(key, now);
+		}
+		return {
+			ready: this.isReady(),
+			chainId: this.chainId,
+			limits: this.limits,
+			allowedCalls: this.allowedCalls,
+			trackedSubjects: this.usage.size,
+			stats: { ...this.stats },
+		};
+	}
+}
+
+module.exports = SponsorshipService;
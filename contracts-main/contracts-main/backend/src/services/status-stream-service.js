@@ -0,0 +1,105 @@
+/**
+ * StatusStreamService - Server-sent events for live payment and booking status
+ *
+ * Clients open GET /api/stream (authenticated like any other route) and keep the
+ * response open. CryptoPaymentService pushes `payment` events whenever a payment session
+ * changes state and EventListener pushes `booking` events once a booking transition has
+ * been written to the CMS. Each event names the users (and wallet addresses) it concerns;
+ * a client only receives events for its own user, admins and services receive all.
+ *
+ * Frames: `id: <n>`, `event: payment|booking`, `data: <json>`, plus a `: ping` comment
+ * every heartbeat so proxies do not close idle streams.
+ */
+class StatusStreamService {
+	constructor(config = {}) {
+		this.heartbeatMs = Number(config.heartbeatMs || process.env.STATUS_STREAM_HEARTBEAT_MS || 25000);
+		this.maxClientsPerUser = Number(config.maxClientsPerUser || process.env.STATUS_STREAM_MAX_CLIENTS_PER_USER || 5);
+		this.clients = new Set();
+		this.nextEventId = 1;
+		this.eventsPublished = 0;
+	}
+
+	isReady() {
+		return true;
+	}
+
+	getStatus() {
+		return {
+			ready: this.isReady(),
+			clients: this.clients.size,
+			users: new Set(Array.from(this.clients, (client) => client.userId).filter((id) => id !== null)).size,
+			eventsPublished: this.eventsPublished,
+		};
+	}
+
+	/**
+	 * Open an event stream on the response; it stays registered until the client disconnects
+	 * @param {Object} req - Express request (its 'close' event unregisters the stream)
+	 * @param {Object} res - Express response the events are written to
+	 * @param {Object} auth - req.auth of the caller
+	 * @param {Object} options - { topics?: ['payment', 'booking'] }
+	 * @returns {Object} { success, error? }
+	 */
+	subscribe(req, res, auth, { topics = null } = {}) {
+		const userId = auth.userId !== null && auth.userId !== undefined ? String(auth.userId) : null;
+		const open = Array.from(this.clients).filter((client) => client.userId === userId).length;
+		if (userId !== null && open >= this.maxClientsPerUser) {
+			return { success: false, error: `At most ${this.maxClientsPerUser} open streams per user` };
+		}
+
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache, no-transform',
+			Connection: 'keep-alive',
+			// Disable response buffering in nginx
+			'X-Accel-Buffering': 'no',
+		});
+		res.write('retry: 5000\n\n');
+
+		const client = {
+			res,
+			userId,
+			isAdmin: !!auth.isAdmin,
+			walletAddress: auth.walletAddress ? auth.walletAddress.toLowerCase() : null,
+			topics: topics && topics.length ? new Set(topics) : null,
+		};
+		client.heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs);
+		this.clients.add(client);
+
+		req.on('close', () => {
+			clearInterval(client.heartbeat);
+			this.clients.delete(client);
+		});
+
+		return { success: true };
+	}
+
+	/**
+	 * Push an event to every client allowed to see it
+	 * @param {string} type - 'payment' | 'booking'
+	 * @param {Object} data - Event payload (JSON)
+	 * @param {Object} audience - { userIds?: [], addresses?: [] } the event concerns
+	 * @returns {number} Clients the event was written to
+	 */
+	publish(type, data, { userIds = [], addresses = [] } = {}) {
+		const users = new Set(userIds.filter((id) => id !== null && id !== undefined).map(String));
+		const wallets = new Set(addresses.filter(Boolean).map((address) => address.toLowerCase()));
+		const frame = `id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+		let delivered = 0;
+		for (const client of this.clients) {
+			if (client.topics && !client.topics.has(type)) continue;
+			const concerned = client.isAdmin
+				|| (client.userId !== null && users.has(client.userId))
+				|| (client.walletAddress !== null && wallets.has(client.walletAddress));
+			if (!concerned) continue;
+
+			client.res.write(frame);
+			delivered++;
+		}
+		this.eventsPublished++;
+		return delivered;
+	}
+}
+
+module.exports = StatusStreamService;
@@ -139,37 +139,28 @@ async function buildListPropertyMetaTx(
  * Execute a meta-transaction using the forwarder
  * @param {Object} metaTx - { from, to, value, data, nonce, deadline, signature }
  * @param {ethers.Contract} forwarder - MetaTransactionForwarder contract instance (connected)
- * @param {ethers.Signer} relayerSigner - Signer paying gas
+ * @param {RelayerTxManager|ethers.Signer} relayerSigner - Relayer paying gas (sets nonce and fees)
  * @returns {Promise<Object>} result { transactionHash, receipt, gasUsed, effectiveGasPrice }
  */
 async function executeMetaTransaction(metaTx, forwarder, relayerSigner) {
     // Use manual gas settings to avoid estimation issues
 	const gasLimit = 3_000_000; // 3M
 
-	// Try to set a sane gas price if provider supports it; otherwise rely on provider defaults
-	let overrides = { gasLimit, value: metaTx.value };
-	try {
-		const feeData = await forwarder.runner.provider.getFeeData();
-		if (feeData.gasPrice) {
-			overrides.gasPrice = feeData.gasPrice;
-		}
-	} catch (_) {
-		// ignore fee estimation failures
-	}
-    
-    const tx = await forwarder.connect(relayerSigner).executeMetaTransaction(
+    const request = await forwarder.executeMetaTransaction.populateTransaction(
         metaTx.from,
         metaTx.to,
         metaTx.value,
         metaTx.data,
         metaTx.deadline,
         metaTx.signature,
-		overrides
+		{ gasLimit, value: metaTx.value }
     );
+    const tx = await relayerSigner.sendTransaction(request);
     
+    // Receipt of the version that was mined (the relayer may re-send with higher fees)
     const receipt = await tx.wait();
     return {
-        transactionHash: tx.hash,
+        transactionHash: receipt.hash,
         receipt: receipt,
         gasUsed: receipt.gasUsed,
 		effectiveGasPrice: receipt.effectiveGasPrice,
@@ -201,10 +192,72 @@ async function simulateMetaTransaction(metaTx, forwarder, provider) {
 	}
 }
 
+/**
+ * Sum of the ETH forwarded by the calls of a batch (must equal msg.value)
+ * @param {Array} calls - [{ to, value, data }]
+ * @returns {BigInt}
+ */
+function getBatchValue(calls) {
+	return calls.reduce((sum, call) => sum + BigInt(call.value || 0), 0n);
+}
+
+/**
+ * Execute a signed meta-transaction batch using the forwarder (all calls or none)
+ * @param {Object} metaTx - { from, calls: [{ to, value, data }], nonce, deadline, signature }
+ * @param {ethers.Contract} forwarder - MetaTransactionForwarder contract instance (connected)
+ * @param {RelayerTxManager|ethers.Signer} relayerSigner - Relayer paying gas (sets nonce and fees)
+ * @returns {Promise<Object>} result { transactionHash, receipt, gasUsed, effectiveGasPrice }
+ */
+async function executeMetaTransactionBatch(metaTx, forwarder, relayerSigner) {
+	const gasLimit = 3_000_000; // 3M, as for single meta-transactions
+
+	const request = await forwarder.executeMetaTransactionBatch.populateTransaction(
+		metaTx.from,
+		metaTx.calls,
+		metaTx.deadline,
+		metaTx.signature,
+		{ gasLimit, value: getBatchValue(metaTx.calls) }
+	);
+	const tx = await relayerSigner.sendTransaction(request);
+
+	// Receipt of the version that was mined (the relayer may re-send with higher fees)
+	const receipt = await tx.wait();
+	return {
+		transactionHash: receipt.hash,
+		receipt: receipt,
+		gasUsed: receipt.gasUsed,
+		effectiveGasPrice: receipt.effectiveGasPrice,
+	};
+}
+
+/**
+ * Simulate a meta-transaction batch to capture precise revert reasons before sending
+ * @param {Object} metaTx - { from, calls: [{ to, value, data }], nonce, deadline, signature }
+ * @param {ethers.Contract} forwarder - MetaTransactionForwarder contract instance
+ * @param {ethers.JsonRpcProvider} provider - Provider to use for the call
+ */
+async function simulateMetaTransactionBatch(metaTx, forwarder, provider) {
+	try {
+		const forwarderAddress = await forwarder.getAddress();
+		const callData = forwarder.interface.encodeFunctionData('executeMetaTransactionBatch', [
+			metaTx.from,
+			metaTx.calls,
+			metaTx.deadline,
+			metaTx.signature || '0x',
+		]);
+		await provider.call({ to: forwarderAddress, data: callData, value: getBatchValue(metaTx.calls) });
+		return { ok: true };
+	} catch (err) {
+		return { ok: false, error: err?.shortMessage || err?.message || String(err) };
+	}
+}
+
 module.exports = {
 	getForwarderNonceSafe,
 	buildBookingMetaTx,
 	buildListPropertyMetaTx,
 	executeMetaTransaction,
 	simulateMetaTransaction,
+	executeMetaTransactionBatch,
+	simulateMetaTransactionBatch,
 }; 
\ No newline at end of file
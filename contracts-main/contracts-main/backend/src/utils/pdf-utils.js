@@ -0,0 +1,87 @@
+/**
+ * Minimal PDF writer for plain-text documents (statements, exports)
+ *
+ * Renders lines of text in Courier (monospaced, so columns line up with padEnd) on A4
+ * landscape pages, starting a new page when one is full. Only Latin-1 text is supported
+ * (WinAnsiEncoding); other characters are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+
+/**
+ * Escape a line for a PDF string literal
+ * @param {string} text
+ * @returns {string}
+ */
+function escapePdfText(text) {
+	return String(text)
+		.replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+		.replace(/\\/g, '\\\\')
+		.replace(/\(/g, '\\(')
+		.replace(/\)/g, '\\)');
+}
+
+/**
+ * Render lines of text as a PDF document
+ * @param {string[]} lines - Text lines (use '' for blank lines)
+ * @param {Object} options - { fontSize = 8, title }
+ * @returns {Buffer} The PDF file
+ */
+function renderTextPdf(lines, { fontSize = 8, title = null } = {}) {
+	const leading = Math.ceil(fontSize * 1.35);
+	const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / leading);
+
+	const pages = [];
+	for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+		pages.push(lines.slice(i, i + linesPerPage));
+	}
+
+	// Objects: 1 catalog, 2 page tree, 3 font, 4 info, then a page and a content stream per page
+	const objects = [];
+	const pageIds = pages.map((_, i) => 5 + i * 2);
+	objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+	objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+	objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+	objects[4] = `<< /Producer (AtlasOra backend)${title ? ` /Title (${escapePdfText(title)})` : ''} >>`;
+
+	pages.forEach((pageLines, i) => {
+		const pageId = pageIds[i];
+		const footer = pages.length > 1 ? `Page ${i + 1} of ${pages.length}` : null;
+		const content = [
+			'BT',
+			`/F1 ${fontSize} Tf`,
+			`${leading} TL`,
+			`${MARGIN} ${PAGE_HEIGHT - MARGIN - fontSize} Td`,
+			...pageLines.map((line) => `(${escapePdfText(line)}) '`),
+			'ET',
+			...(footer ? ['BT', `/F1 ${fontSize} Tf`, `${PAGE_WIDTH - MARGIN - footer.length * fontSize * 0.6} ${MARGIN / 2} Td`, `(${footer}) Tj`, 'ET'] : []),
+		].join('\n');
+
+		objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+			`/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+		objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+	});
+
+	let pdf = '%PDF-1.4\n';
+	const offsets = [];
+	for (let id = 1; id < objects.length; id++) {
+		offsets[id] = Buffer.byteLength(pdf, 'latin1');
+		pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+	}
+
+	const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+	pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+	for (let id = 1; id < objects.length; id++) {
+		pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+	}
+	pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+	return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+	renderTextPdf,
+	escapePdfText,
+};
@@ -0,0 +1,198 @@
+const { ethers } = require('ethers');
+const AuthService = require('./src/services/auth-service');
+const TestSuite = require('./test-suite');
+
+const DOMAIN = 'app.atlasora.test';
+const SERVICE_TOKEN = 'service-secret';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Auth service tests
+ * Runs offline - Strapi is a fake fetch answering /api/users/me and the wallet lookup.
+ */
+class AuthServiceTest extends TestSuite {
+	constructor() {
+		super('Auth service');
+		this.wallet = ethers.Wallet.createRandom();
+		this.otherWallet = ethers.Wallet.createRandom();
+	}
+
+	createService(config = {}) {
+		const users = {
+			'user-jwt': { id: 5, role: { type: 'authenticated', name: 'Authenticated' } },
+			'admin-jwt': { id: 1, role: { type: 'admin', name: 'Admin' } },
+		};
+		const walletUser = { id: 7, walletAddress: this.wallet.address.toLowerCase(), role: { type: 'authenticated' } };
+
+		globalThis.fetch = async (url, { headers = {} } = {}) => {
+			if (url.includes('/api/users/me')) {
+				const user = users[headers.Authorization.replace('Bearer ', '')];
+				return { ok: !!user, status: user ? 200 : 401, json: async () => user };
+			}
+			const matches = url.includes(`$eqi]=${walletUser.walletAddress}`) ? [walletUser] : [];
+			return { ok: true, status: 200, json: async () => matches };
+		};
+
+		return new AuthService({
+			strapiBaseUrl: 'http://strapi.test',
+			serviceToken: SERVICE_TOKEN,
+			siweDomain: DOMAIN,
+			siweChainIds: [84532],
+			siweMaxAgeSeconds: 24 * 60 * 60,
+			...config,
+		});
+	}
+
+	/**
+	 * Run a middleware with a fake request; resolves with the status and body, or { next: true }
+	 */
+	run(middleware, headers = {}, extra = {}) {
+		return new Promise((resolve) => {
+			const req = { headers, body: {}, params: {}, ...extra };
+			const res = {
+				status: (status) => ({ json: (body) => resolve({ status, body, req }) }),
+			};
+			middleware(req, res, () => resolve({ next: true, req }));
+		});
+	}
+
+	siweMessage({ nonce, domain = DOMAIN, chainId = 84532, issuedAt = new Date(), expirationTime, address = this.wallet.address }) {
+		return [
+			`${domain} wants you to sign in with your Ethereum account:`,
+			address,
+			'',
+			'Sign in to AtlasOra',
+			'',
+			`URI: https://${domain}`,
+			'Version: 1',
+			...(chainId === null ? [] : [`Chain ID: ${chainId}`]),
+			`Nonce: ${nonce}`,
+			`Issued At: ${issuedAt.toISOString()}`,
+			...(expirationTime ? [`Expiration Time: ${expirationTime.toISOString()}`] : []),
+		].join('\n');
+	}
+
+	async siweHeader(fields, wallet = this.wallet) {
+		const message = this.siweMessage(fields);
+		const signature = await wallet.signMessage(message);
+		return { authorization: `SIWE ${Buffer.from(JSON.stringify({ message, signature })).toString('base64')}` };
+	}
+
+	async testServiceToken() {
+		console.log('\n🧪 Testing service tokens...');
+		const auth = this.createService();
+
+		const ok = await this.run(auth.requireAdmin, { 'x-service-token': SERVICE_TOKEN });
+		this.assert('Service token accepted as admin', ok.next && ok.req.auth.isService && ok.req.auth.isAdmin, ok.req.auth);
+
+		const wrong = await this.run(auth.authenticate, { 'x-service-token': 'guess' });
+		this.assert('Wrong service token rejected', wrong.status === 401 && wrong.body.error === 'Invalid service token', wrong.body);
+
+		const service = await this.run(auth.requireService, { 'x-service-token': SERVICE_TOKEN });
+		this.assert('Service-only route accepts the service token', service.next && service.req.auth.isService, service.req.auth);
+
+		const user = await this.run(auth.requireService, { authorization: 'Bearer user-jwt' });
+		this.assert('Service-only route refuses a user JWT', user.status === 403 && user.body.error === 'Service token required', user.body);
+
+		const admin = await this.run(auth.requireService, { authorization: 'Bearer admin-jwt' });
+		this.assert('Service-only route refuses an admin JWT', admin.status === 403, admin.body);
+
+		const siwe = await this.run(auth.requireService, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce }));
+		this.assert('Service-only route refuses a SIWE token', siwe.status === 403 && siwe.body.error === 'Service token required', siwe.body);
+
+		const unset = await this.run(this.createService({ serviceToken: '' }).authenticate, { 'x-service-token': SERVICE_TOKEN });
+		this.assert('Service token rejected when none is configured', unset.status === 401, unset.body);
+	}
+
+	async testJwt() {
+		console.log('\n🧪 Testing Strapi JWTs...');
+		const auth = this.createService();
+
+		const user = await this.run(auth.requireUser((req) => req.params.userId), { authorization: 'Bearer user-jwt' }, { params: { userId: '5' } });
+		this.assert('Valid JWT resolves the user', user.next && user.req.auth.userId === 5 && user.req.auth.method === 'jwt' && !user.req.auth.isAdmin, user.req.auth);
+
+		const other = await this.run(auth.requireUser((req) => req.params.userId), { authorization: 'Bearer user-jwt' }, { params: { userId: '6' } });
+		this.assert('Acting on another user refused', other.status === 403, other.body);
+
+		const admin = await this.run(auth.requireAdmin, { authorization: 'Bearer admin-jwt' });
+		this.assert('Admin role recognised', admin.next && admin.req.auth.isAdmin, admin.req.auth);
+
+		const notAdmin = await this.run(auth.requireAdmin, { authorization: 'Bearer user-jwt' });
+		this.assert('Admin route refused for a regular user', notAdmin.status === 403, notAdmin.body);
+
+		const invalid = await this.run(auth.authenticate, { authorization: 'Bearer expired-jwt' });
+		this.assert('Invalid JWT rejected', invalid.status === 401 && invalid.body.error === 'Invalid or expired token', invalid.body);
+
+		const missing = await this.run(auth.requireAuth, {});
+		this.assert('Missing credentials rejected', missing.status === 401 && missing.body.error === 'Authentication required', missing.body);
+
+		const scheme = await this.run(auth.authenticate, { authorization: 'Basic abc' });
+		this.assert('Unsupported scheme rejected', scheme.status === 401 && scheme.body.error.includes('Unsupported'), scheme.body);
+	}
+
+	async testSiwe() {
+		console.log('\n🧪 Testing Sign-In with Ethereum...');
+		const auth = this.createService();
+
+		const { nonce, domain, chainIds } = auth.issueSiweNonce();
+		this.assert('Nonce issued with the domain and chain IDs', nonce && domain === DOMAIN && chainIds.includes('84532'), { nonce, domain, chainIds });
+
+		const header = await this.siweHeader({ nonce });
+		const ok = await this.run(auth.authenticate, header);
+		this.assert('Signed message with an issued nonce accepted', ok.next && ok.req.auth.userId === 7 && ok.req.auth.method === 'siwe', ok.req.auth);
+
+		auth.sessionCache.clear();
+		const again = await this.run(auth.authenticate, header);
+		this.assert('Same message keeps working', again.next && again.req.auth.userId === 7, again.body);
+
+		const reused = await this.run(auth.authenticate, await this.siweHeader({ nonce, issuedAt: new Date(Date.now() - 1000) }));
+		this.assert('Nonce cannot sign a second message', reused.status === 401 && reused.body.error === 'SIWE nonce already used', reused.body);
+
+		const unknown = await this.run(auth.authenticate, await this.siweHeader({ nonce: 'abcdef0123456789' }));
+		this.assert('Nonce not issued by the server rejected', unknown.status === 401 && unknown.body.error === 'Unknown or expired SIWE nonce', unknown.body);
+
+		const wrongDomain = await this.run(auth.authenticate, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce, domain: 'evil.test' }));
+		this.assert('Other domain rejected', wrongDomain.status === 401 && wrongDomain.body.error === 'SIWE domain mismatch', wrongDomain.body);
+
+		const wrongChain = await this.run(auth.authenticate, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce, chainId: 1 }));
+		this.assert('Other chain rejected', wrongChain.status === 401 && wrongChain.body.error === 'SIWE chain ID not supported', wrongChain.body);
+
+		const noChain = await this.run(auth.authenticate, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce, chainId: null }));
+		this.assert('Message without a chain ID rejected', noChain.status === 401 && noChain.body.error === 'Malformed SIWE message', noChain.body);
+
+		const longLived = await this.run(auth.authenticate, await this.siweHeader({
+			nonce: auth.issueSiweNonce().nonce,
+			issuedAt: new Date(Date.now() - 25 * HOUR_MS),
+			expirationTime: new Date(Date.now() + 365 * 24 * HOUR_MS),
+		}));
+		this.assert('Expiration Time cannot extend past the max age', longLived.status === 401 && longLived.body.error === 'SIWE message expired', longLived.body);
+
+		const future = await this.run(auth.authenticate, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce, issuedAt: new Date(Date.now() + 365 * 24 * HOUR_MS) }));
+		this.assert('Issued At in the future rejected', future.status === 401 && future.body.error.includes('Issued At'), future.body);
+
+		const forged = await this.run(auth.authenticate, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce }, this.otherWallet));
+		this.assert('Signature from another wallet rejected', forged.status === 401 && forged.body.error === 'SIWE signature does not match address', forged.body);
+
+		const stranger = await this.run(auth.authenticate, await this.siweHeader({ nonce: auth.issueSiweNonce().nonce, address: this.otherWallet.address }, this.otherWallet));
+		this.assert('Wallet without an account rejected', stranger.status === 401 && stranger.body.error === 'No account linked to this wallet', stranger.body);
+
+		const unconfigured = this.createService();
+		unconfigured.siweDomain = null;
+		this.assert('No nonces without SIWE_DOMAIN', unconfigured.issueSiweNonce().error === 'SIWE is not configured');
+		const refused = await this.run(unconfigured.authenticate, header);
+		this.assert('SIWE refused without SIWE_DOMAIN', refused.status === 401 && refused.body.error === 'SIWE is not configured', refused.body);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting auth service tests...');
+		await this.testServiceToken();
+		await this.testJwt();
+		await this.testSiwe();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new AuthServiceTest();
+test.runAllTests();
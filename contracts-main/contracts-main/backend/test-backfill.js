@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventListener = require('./src/services/event-listener');
+const TestSuite = require('./test-suite');
+
+/**
+ * Chunked log query and backfill tests
+ * Runs offline - the RPC is a fake that rejects large block ranges the way public
+ * Base Sepolia endpoints do, and Strapi is an in-memory list.
+ */
+class BackfillTest extends TestSuite {
+	constructor() {
+		super('Backfill');
+		this.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-'));
+	}
+
+	/**
+	 * Listener over a fake chain with one BookingCreated event every 50 blocks (0..999)
+	 * rpc.maxRange: largest range getLogs accepts; rpc.failFrom: blocks from here on always error;
+	 * rpc.flaky: number of calls that fail with a rate limit before succeeding
+	 */
+	createListener(name, config = {}) {
+		const listener = new EventListener({
+			stateFilePath: path.join(this.stateDir, `${name}.json`),
+			ledgerConfig: { filePath: path.join(this.stateDir, `${name}-ledger.state`) },
+			chunkSize: 200,
+			rpcConcurrency: 2,
+			rpcMaxRetries: 3,
+			rpcRetryBaseMs: 1,
+			...config,
+		});
+		listener.isRunning = true;
+		listener.lastProcessedBlock = 1000;
+
+		const rpc = { maxRange: 60, failFrom: null, flaky: 0, calls: [], inFlight: 0, maxInFlight: 0 };
+		const chain = [];
+		for (let block = 0; block < 1000; block += 50) {
+			chain.push({
+				eventName: 'BookingCreated',
+				args: [BigInt(block / 50 + 1), 'PROP1', '0x1111111111111111111111111111111111111111', 1767225600n, 0n],
+				blockNumber: block,
+				transactionIndex: 0,
+				index: 0,
+				transactionHash: '0x' + block.toString(16).padStart(64, '0'),
+			});
+		}
+
+		const queryFilter = (events) => async (_filter, fromBlock, toBlock) => {
+			rpc.calls.push([fromBlock, toBlock]);
+			rpc.inFlight++;
+			rpc.maxInFlight = Math.max(rpc.maxInFlight, rpc.inFlight);
+			try {
+				await new Promise((resolve) => setTimeout(resolve, 2));
+				if (rpc.flaky > 0) {
+					rpc.flaky--;
+					throw Object.assign(new Error('could not coalesce error'), { error: { code: 429, message: 'rate limited' } });
+				}
+				if (toBlock - fromBlock + 1 > rpc.maxRange) {
+					throw Object.assign(new Error('could not coalesce error'), { error: { code: -32600, message: `eth_getLogs is limited to a ${rpc.maxRange} block range` } });
+				}
+				if (rpc.failFrom !== null && toBlock >= rpc.failFrom) {
+					throw new Error('connection reset');
+				}
+				return events.filter((e) => e.blockNumber >= fromBlock && e.blockNumber <= toBlock);
+			} finally {
+				rpc.inFlight--;
+			}
+		};
+		listener.contracts.propertyMarketplace = { queryFilter: queryFilter([]) };
+		listener.contracts.bookingManager = {
+			queryFilter: queryFilter(chain),
+			bookings: async (bookingId) => ({ bookingId: BigInt(bookingId), status: 0n, checkOutDate: 1767484800n, totalAmount: 0n, platformFee: 0n, hostAmount: 0n }),
+		};
+
+		const cms = [];
+		listener.createBookingInStrapi = async (data) => { cms.push(data.bookingId); };
+		return { listener, rpc, cms, chain };
+	}
+
+	async waitForBackfill(listener) {
+		for (let i = 0; i < 500 && listener.backfillJob?.status === 'running'; i++) {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+		}
+		return listener.backfillJob;
+	}
+
+	async testAdaptiveChunking() {
+		console.log('\n🧪 Testing adaptive chunking and concurrency...');
+		const { listener, rpc, chain } = this.createListener('chunking');
+
+		const events = await listener.getAllEvents(0, 999);
+		this.assert('All events returned', events.length === chain.length, events.length);
+		this.assert('Events in block order', events.every((e, i) => i === 0 || e.blockNumber > events[i - 1].blockNumber));
+		this.assert('Chunk size shrunk below the RPC limit', listener.logQuery.chunkSize <= rpc.maxRange, listener.logQuery);
+		this.assert('Range shrinks recorded', listener.getBackfillStatus().logQuery.rangeShrinks > 0);
+		this.assert('Concurrency limit respected', rpc.maxInFlight <= 2, rpc.maxInFlight);
+
+		rpc.calls = [];
+		await listener.getAllEvents(0, 999);
+		this.assert('Later queries use the shrunk chunk size', rpc.calls.every(([from, to]) => to - from + 1 <= rpc.maxRange), rpc.calls.slice(0, 3));
+	}
+
+	async testRetries() {
+		console.log('\n🧪 Testing retry with backoff...');
+		const { listener, rpc, chain } = this.createListener('retry', { chunkSize: 50 });
+
+		rpc.flaky = 2;
+		const events = await listener.getAllEvents(0, 999);
+		this.assert('Transient errors are retried', events.length === chain.length && listener.logQueryStats.retries === 2, listener.logQueryStats);
+
+		rpc.failFrom = 500;
+		let error = null;
+		try {
+			await listener.getAllEvents(0, 999);
+		} catch (err) {
+			error = err;
+		}
+		this.assert('Persistent errors are thrown instead of skipping blocks', error?.message === 'connection reset', error?.message);
+	}
+
+	async testResumableBackfill() {
+		console.log('\n🧪 Testing resumable backfill...');
+		const { listener, rpc, cms, chain } = this.createListener('backfill', { chunkSize: 50 });
+
+		this.assert('Range above the processed block is rejected', !listener.startBackfill({ fromBlock: 0, toBlock: 5000 }).success);
+
+		rpc.failFrom = 500;
+		const started = listener.startBackfill({ fromBlock: 0, toBlock: 999 });
+		this.assert('Backfill started', started.success && started.job.status === 'running', started);
+		this.assert('Second backfill is rejected while running', listener.startBackfill({ fromBlock: 0 }).conflict === true);
+
+		const failed = await this.waitForBackfill(listener);
+		this.assert('Backfill fails at the broken range', failed.status === 'failed' && failed.nextBlock <= 500, failed);
+		this.assert('Progress is persisted', listener.loadState().backfill?.nextBlock === failed.nextBlock);
+		const syncedBeforeFailure = cms.length;
+
+		rpc.failFrom = null;
+		const resumed = listener.startBackfill({});
+		this.assert('Backfill resumes without fromBlock', resumed.success && resumed.job.nextBlock === failed.nextBlock, resumed);
+		const done = await this.waitForBackfill(listener);
+		this.assert('Backfill completes', done.status === 'completed' && listener.getBackfillStatus().job.percent === 100, done);
+		this.assert('Every booking synced exactly once', cms.length === chain.length && new Set(cms).size === chain.length, { syncedBeforeFailure, synced: cms.length });
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting backfill tests...');
+		try {
+			await this.testAdaptiveChunking();
+			await this.testRetries();
+			await this.testResumableBackfill();
+		} finally {
+			fs.rmSync(this.stateDir, { recursive: true, force: true });
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new BackfillTest();
+test.runAllTests();
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeploymentRegistry = require('./src/services/deployment-registry');
+const TestSuite = require('./test-suite');
+
+const CONTRACTS = {
+	PropertyMarketplace: '0x1111111111111111111111111111111111111111',
+	BookingManager: '0x2222222222222222222222222222222222222222',
+	MetaTransactionForwarder: '0x3333333333333333333333333333333333333333',
+};
+
+/**
+ * Deployment registry tests
+ * Runs offline - deployment files are written to a temporary directory.
+ */
+class DeploymentRegistryTest extends TestSuite {
+	constructor() {
+		super('Deployment registry');
+		this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+	}
+
+	writeDeployment(file, info) {
+		fs.writeFileSync(path.join(this.dir, file), JSON.stringify(info));
+	}
+
+	createRegistry(env = {}) {
+		const registry = new DeploymentRegistry({ configDir: this.dir, env });
+		registry.load();
+		return registry;
+	}
+
+	testLoading() {
+		console.log('\n🧪 Testing deployment loading and the default chain...');
+		this.writeDeployment('deployment-all-viction-testnet.json', { network: 'victionTestnet', chainId: 89, contracts: CONTRACTS });
+		this.writeDeployment('deployment-base-sepolia.json', { network: 'baseSepolia', chainId: 84532, contracts: { ...CONTRACTS, EURCToken: '0x4444444444444444444444444444444444444444' } });
+		this.writeDeployment('deployment-booking-base-sepolia.json', { network: 'baseSepolia', chainId: 84532, contracts: { BookingManager: CONTRACTS.BookingManager } });
+		this.writeDeployment('deployment-arbitrum-sepolia.json', { network: 'arbitrumSepolia', chainId: 421614, contracts: CONTRACTS });
+		fs.writeFileSync(path.join(this.dir, 'deployment-broken.json'), '{');
+
+		let registry = this.createRegistry();
+		this.assert('All complete deployments loaded', registry.list({ all: true }).length === 3, registry.list({ all: true }).map((d) => d.file));
+		this.assert('Base Sepolia is the default chain', registry.defaultChainId === 84532 && registry.getDefault().contracts.EURCToken, registry.getDefault());
+		this.assert('Only the default chain is enabled without CHAINS', registry.list().length === 1, registry.list().map((d) => d.chainId));
+		this.assert('Base Sepolia falls back to the public RPC', registry.getDefault().rpcUrl === 'https://sepolia.base.org', registry.getDefault().rpcUrl);
+
+		registry = this.createRegistry({ CHAINS: '84532, 89, 421614', DEFAULT_CHAIN_ID: '89', VICTION_TESTNET_RPC: 'https://viction.example', RPC_URL_89: 'https://rpc-89.example' });
+		this.assert('DEFAULT_CHAIN_ID picks the default', registry.defaultChainId === 89 && registry.get(89).isDefault && !registry.get(84532).isDefault, registry.list());
+		this.assert('RPC_URL_<chainId> wins over the network variable', registry.get(89).rpcUrl === 'https://rpc-89.example', registry.get(89).rpcUrl);
+		this.assert('Chain without an RPC URL is disabled', registry.get(421614) === null && registry.list().length === 2, registry.list().map((d) => d.chainId));
+	}
+
+	testResolve() {
+		console.log('\n🧪 Testing chainId resolution...');
+		const registry = this.createRegistry({ CHAINS: '84532,89', RPC_URL_89: 'https://rpc-89.example' });
+
+		this.assert('Missing chainId resolves to the default chain', registry.resolve(undefined).deployment?.chainId === 84532 && registry.resolve('').deployment?.chainId === 84532);
+		this.assert('String chainId resolves', registry.resolve('89').deployment?.chainId === 89);
+		this.assert('Deployed but disabled chain is rejected', registry.resolve(421614).error === 'Chain 421614 is not enabled', registry.resolve(421614));
+		this.assert('Unknown chain is rejected', registry.resolve(1).error === 'Unsupported chainId 1', registry.resolve(1));
+
+		const defaultFilter = DeploymentRegistry.cmsChainFilter(registry.get(84532));
+		this.assert('Default chain filter includes bookings without a chainId', defaultFilter['filters[$or][1][chainId][$null]'] === true, defaultFilter);
+		const victionFilter = DeploymentRegistry.cmsChainFilter(registry.get(89));
+		this.assert('Other chains filter on chainId only', victionFilter['filters[chainId][$eq]'] === 89 && Object.keys(victionFilter).length === 1, victionFilter);
+	}
+
+	testFallbackDefault() {
+		console.log('\n🧪 Testing default chain fallback...');
+		fs.rmSync(path.join(this.dir, 'deployment-base-sepolia.json'));
+
+		const registry = this.createRegistry({ VICTION_TESTNET_RPC: 'https://viction.example' });
+		this.assert('First deployment becomes the default without Base Sepolia', registry.defaultChainId === 89 && registry.list().length === 1, registry.list());
+
+		const empty = new DeploymentRegistry({ configDir: path.join(this.dir, 'missing'), env: {} });
+		this.assert('No deployments loads nothing', empty.load() === 0 && empty.resolve().error === 'No chain is configured', empty.resolve());
+	}
+
+	runAllTests() {
+		console.log('🚀 Starting deployment registry tests...');
+		try {
+			this.testLoading();
+			this.testResolve();
+			this.testFallbackDefault();
+		} finally {
+			fs.rmSync(this.dir, { recursive: true, force: true });
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new DeploymentRegistryTest();
+test.runAllTests();
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventListener = require('./src/services/event-listener');
+const TestSuite = require('./test-suite');
+
+/**
+ * Event ledger tests
+ * Runs offline - BookingManager and Strapi are replaced by in-memory fakes.
+ */
+class EventLedgerTest extends TestSuite {
+	constructor() {
+		super('Event ledger');
+		this.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-ledger-test-'));
+	}
+
+	/**
+	 * Listener on a ledger file; `cms.failing = true` makes every CMS write throw
+	 */
+	createListener(ledgerFile, ledgerConfig = {}) {
+		const listener = new EventListener({
+			stateFilePath: path.join(this.stateDir, 'listener.state'),
+			ledgerConfig: { filePath: path.join(this.stateDir, ledgerFile), maxAttempts: 3, retryBaseMs: 0, ...ledgerConfig },
+		});
+		listener.ledger.load();
+
+		const cms = { bookings: [], failing: false };
+		listener.contracts.bookingManager = {
+			bookings: async (bookingId) => ({ bookingId: BigInt(bookingId), status: 0n, checkOutDate: 1767484800n, totalAmount: 0n, platformFee: 0n, hostAmount: 0n }),
+		};
+		listener.createBookingInStrapi = async (data) => {
+			if (cms.failing) throw new Error('Strapi unavailable');
+			cms.bookings.push(data);
+		};
+		return { listener, cms };
+	}
+
+	bookingCreated(bookingId, logIndex = 0) {
+		return {
+			eventName: 'BookingCreated',
+			args: [BigInt(bookingId), 'PROP1', '0x1111111111111111111111111111111111111111', 1767225600n, 0n],
+			transactionHash: '0x' + String(bookingId).padStart(64, '0'),
+			index: logIndex,
+			blockNumber: 100 + Number(bookingId),
+			blockHash: '0x' + 'cd'.repeat(32),
+		};
+	}
+
+	async testProcessedSurvivesRestart() {
+		console.log('\n🧪 Testing processed events survive a restart...');
+		const first = this.createListener('restart.state');
+		const entry = await first.listener.processEvent(this.bookingCreated(1, 4));
+		this.assert('Event keyed by txHash:logIndex', entry.key === `${'0x' + '1'.padStart(64, '0')}:4`, entry);
+		this.assert('Event recorded as processed', entry.status === 'processed' && entry.attempts === 1, entry);
+
+		const second = this.createListener('restart.state');
+		await second.listener.processEvent(this.bookingCreated(1, 4));
+		this.assert('Replayed event is skipped after restart', second.cms.bookings.length === 0);
+
+		second.listener.resetIdempotencyTracking();
+		await second.listener.processEvent(this.bookingCreated(1, 4));
+		this.assert('Resetting idempotency keeps the ledger', second.cms.bookings.length === 0);
+	}
+
+	async testRetryAndDeadLetter() {
+		console.log('\n🧪 Testing retries and the dead-letter queue...');
+		const { listener, cms } = this.createListener('dead-letter.state');
+		cms.failing = true;
+
+		const failed = await listener.processEvent(this.bookingCreated(2));
+		this.assert('Failed event records the error', failed.status === 'failed' && failed.lastError === 'Strapi unavailable', failed);
+
+		await listener.retryFailedEvents();
+		await listener.retryFailedEvents();
+		const dead = listener.ledger.get(failed.key);
+		this.assert('Moved to the dead-letter queue after 3 attempts', dead.status === 'dead' && dead.attempts === 3, dead);
+
+		await listener.retryFailedEvents();
+		await listener.processEvent(this.bookingCreated(2));
+		this.assert('Dead-lettered event is not retried automatically', listener.ledger.get(failed.key).attempts === 3);
+
+		cms.failing = false;
+		const retried = await listener.retryEvent(failed.key);
+		this.assert('Admin retry processes the event', retried.success && retried.entry.status === 'processed', retried);
+		this.assert('Booking created once', cms.bookings.length === 1 && cms.bookings[0].bookingId === '2', cms.bookings);
+
+		const again = await listener.retryEvent(failed.key);
+		this.assert('Processed event cannot be retried', !again.success, again);
+	}
+
+	async testFailedRefundRetried() {
+		console.log('\n🧪 Testing failed fiat refunds...');
+		const { listener } = this.createListener('refund.state');
+		listener.updateBookingInStrapi = async () => {};
+		const refunds = [];
+		let refundResult = { success: false, error: 'Payment server unavailable' };
+		// Same contract as the server's callback: a failed refund throws
+		listener.onBookingRefundable = async (bookingId, details) => {
+			refunds.push({ bookingId: bookingId.toString(), ...details });
+			if (!refundResult.success) throw new Error(refundResult.error);
+		};
+
+		const event = { ...this.bookingCreated(6), eventName: 'BookingCancelled', args: [6n, '0x1111111111111111111111111111111111111111'] };
+		const failed = await listener.processEvent(event);
+		this.assert('Failed refund fails the event', failed.status === 'failed' && failed.lastError === 'Payment server unavailable', failed);
+
+		refundResult = { success: true };
+		await listener.retryFailedEvents();
+		this.assert('Refund retried with the event', listener.ledger.get(failed.key).status === 'processed' && refunds.length === 2 && refunds[1].event === 'BookingCancelled', refunds);
+	}
+
+	async testRefundAmountDecimals() {
+		console.log('\n🧪 Testing refund amounts...');
+		const { listener } = this.createListener('refund-amount.state');
+		const updates = [];
+		listener.updateBookingInStrapi = async (bookingId, data) => updates.push(data);
+		const booking = (paidOffChain) => async (bookingId) => ({ bookingId: BigInt(bookingId), status: 6n, paidOffChain });
+
+		listener.contracts.bookingManager.bookings = booking(false);
+		await listener.handleBookingRefunded([7n, 125_500000n]);
+		listener.contracts.bookingManager.bookings = booking(true);
+		await listener.handleBookingRefunded([8n, 12550n]);
+		this.assert('EURC refund formatted with 6 decimals', updates[0].refundAmount === '125.5', updates[0]);
+		this.assert('Fiat refund formatted from cents', updates[1].refundAmount === '125.5', updates[1]);
+	}
+
+	async testBackoff() {
+		console.log('\n🧪 Testing retry backoff...');
+		const { listener, cms } = this.createListener('backoff.state', { retryBaseMs: 60000 });
+		cms.failing = true;
+
+		const failed = await listener.processEvent(this.bookingCreated(3));
+		this.assert('Failed event waits for its backoff', listener.ledger.dueForRetry().length === 0, failed);
+		this.assert('Due once the backoff elapsed', listener.ledger.dueForRetry(Date.now() + 60000).length === 1);
+	}
+
+	async testInterruptedAndReorged() {
+		console.log('\n🧪 Testing interrupted and reorged entries...');
+		const { listener } = this.createListener('interrupted.state');
+		listener.ledger.begin('0xdead:0', { eventName: 'BookingCreated', args: ['5'], transactionHash: '0xdead', logIndex: 0, blockNumber: 200 });
+
+		const reloaded = this.createListener('interrupted.state').listener;
+		const entry = reloaded.ledger.get('0xdead:0');
+		this.assert('Entry left processing by a crash is retried', entry.status === 'failed' && entry.attempts === 1, entry);
+
+		await reloaded.processEvent(this.bookingCreated(4));
+		const removed = reloaded.ledger.removeAfterBlock(150);
+		this.assert('Entries above a reorged block are forgotten', removed === 1 && !reloaded.ledger.get('0xdead:0'), removed);
+		this.assert('Entries below it are kept', reloaded.ledger.getStats().processed === 1, reloaded.ledger.getStats());
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting event ledger tests...');
+		try {
+			await this.testProcessedSurvivesRestart();
+			await this.testRetryAndDeadLetter();
+			await this.testFailedRefundRetried();
+			await this.testRefundAmountDecimals();
+			await this.testBackoff();
+			await this.testInterruptedAndReorged();
+		} finally {
+			fs.rmSync(this.stateDir, { recursive: true, force: true });
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new EventLedgerTest();
+test.runAllTests();
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const GasStationService = require('./src/services/gas-station-service');
+const PayoutService = require('./src/services/payout-service');
+const TestSuite = require('./test-suite');
+
+const WALLET_A = '0x1111111111111111111111111111111111111111';
+const WALLET_B = '0x2222222222222222222222222222222222222222';
+const TREASURY = '0x9999999999999999999999999999999999999999';
+const DESTINATION = '0x3333333333333333333333333333333333333333';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+
+/**
+ * Gas station tests
+ * Runs offline - the provider, treasury wallet and EURC token are in-memory fakes;
+ * the audit log is written to a temporary directory.
+ */
+class GasStationTest extends TestSuite {
+	constructor() {
+		super('Gas station');
+		this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gas-station-'));
+	}
+
+	createStation(config = {}, { logName = 'audit.log' } = {}) {
+		const chain = { balances: new Map(), sent: [], failNext: false, allowance: 0n, tokenCalls: [] };
+		const receipt = (request) => ({ hash: `0xtx${chain.sent.length}`, blockNumber: 1, fee: 1000n, request });
+		const send = async (request) => {
+			if (chain.failNext) {
+				chain.failNext = false;
+				throw new Error('insufficient funds for gas');
+			}
+			chain.sent.push(request);
+			const mined = receipt(request);
+			return { hash: mined.hash, wait: async () => mined };
+		};
+
+		const station = new GasStationService({
+			privateKey: ethers.Wallet.createRandom().privateKey,
+			minBalanceEth: '0.000005',
+			topUpEth: '0.00001',
+			walletDailyCapEth: '0.00002',
+			dailyCapEth: '0.00003',
+			auditLogPath: path.join(this.dir, logName),
+			...config,
+		});
+		station.initialize({ provider: { getBalance: async (address) => chain.balances.get(address) ?? 0n }, relayer: { sendTransaction: send }, chainId: 84532 });
+		if (station.treasury) {
+			station.treasury = { address: TREASURY, sendTransaction: send };
+		}
+
+		const token = {
+			nonces: async () => 0n,
+			allowance: async () => chain.allowance,
+			connect: () => ({
+				transferFrom: { populateTransaction: async (from, to, amount) => ({ to: TOKEN, data: 'transferFrom', from, recipient: to, amount }) },
+			}),
+		};
+		return { station, chain, token };
+	}
+
+	readLog(logName = 'audit.log') {
+		return fs.readFileSync(path.join(this.dir, logName), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+	}
+
+	async testTopUps() {
+		console.log('\n🧪 Testing gas top-ups...');
+		const { station, chain } = this.createStation();
+		chain.balances.set(WALLET_A, ethers.parseEther('0.001'));
+
+		const funded = await station.ensureGas(WALLET_A);
+		this.assert('Wallet with enough ETH is left alone', funded.success && !funded.funded && chain.sent.length === 0, funded);
+
+		const [first, second] = await Promise.all([
+			station.ensureGas(WALLET_B, { userId: 7, reason: 'payout' }),
+			station.ensureGas(WALLET_B, { userId: 7, reason: 'payout' }),
+		]);
+		this.assert('Low wallet topped up once for concurrent callers', first.funded && first.txHash === second.txHash && chain.sent.length === 1, chain.sent);
+		this.assert('Top-up sent from the treasury', chain.sent[0].to === WALLET_B && chain.sent[0].value === ethers.parseEther('0.00001'), chain.sent[0]);
+
+		const entry = this.readLog()[0];
+		this.assert('Top-up written to the audit log', entry.action === 'top_up' && entry.wallet === WALLET_B.toLowerCase() && entry.userId === 7 && entry.reason === 'payout' && entry.wei === '10000000000000', entry);
+	}
+
+	async testCaps() {
+		console.log('\n🧪 Testing daily caps...');
+		const { station, chain } = this.createStation({}, { logName: 'caps.log' });
+
+		await station.ensureGas(WALLET_A);
+		await station.ensureGas(WALLET_A);
+		const capped = await station.ensureGas(WALLET_A, { userId: 3 });
+		this.assert('Per-wallet cap enforced', capped.capped && capped.error.includes(WALLET_A) && chain.sent.length === 2, capped);
+
+		await station.ensureGas(WALLET_B);
+		const total = await station.ensureGas(WALLET_B);
+		this.assert('Total daily cap enforced', total.capped && total.error.includes('Gas station daily cap'), total);
+		this.assert('Rejections audited', this.readLog('caps.log').filter((entry) => entry.action === 'rejected').length === 2 && station.getStatus().stats.rejected === 2, station.getStatus().stats);
+
+		// Caps are rebuilt from the audit log after a restart
+		const restarted = this.createStation({}, { logName: 'caps.log' });
+		this.assert('Caps survive a restart', (await restarted.station.ensureGas(WALLET_A)).capped && restarted.station.getStatus().spentLast24h === '0.00003', restarted.station.getStatus());
+
+		// Entries older than a day no longer count
+		station.spends.forEach((spend) => { spend.at -= 25 * 60 * 60 * 1000; });
+		this.assert('Cap resets after 24 hours', (await station.ensureGas(WALLET_A)).funded === true);
+	}
+
+	async testFailures() {
+		console.log('\n🧪 Testing failed top-ups...');
+		const { station, chain } = this.createStation({ privateKey: null }, { logName: 'failures.log' });
+		this.assert('Relayer used without a treasury key', station.isReady() && station.getStatus().treasury === null);
+
+		chain.failNext = true;
+		const failed = await station.ensureGas(WALLET_A);
+		this.assert('Failure reported and audited', !failed.success && failed.error === 'insufficient funds for gas' && this.readLog('failures.log')[0].action === 'failed', failed);
+		this.assert('Failed top-up does not count against the caps', station.getStatus().spentLast24h === '0.0', station.getStatus());
+	}
+
+	async testSponsoredTransfers() {
+		console.log('\n🧪 Testing sponsored transfers...');
+		const { station, chain, token } = this.createStation({}, { logName: 'sponsored.log' });
+		const permits = [];
+		const signPermit = async (spender, deadline) => {
+			permits.push({ spender, deadline });
+			return { to: TOKEN, data: 'permit' };
+		};
+
+		this.assert('Transfers sponsored with a treasury and a permit token', await station.canSponsorTransfer(token, WALLET_A));
+		const result = await station.sponsorTransfer({ token, owner: WALLET_A, to: DESTINATION, amount: 5_000000n, signPermit, userId: 5, reason: 'payout' });
+		this.assert('Permit for the treasury submitted first', permits[0].spender === TREASURY && chain.sent[0].data === 'permit', chain.sent);
+		this.assert('Treasury pulls the tokens to the destination', result.success && chain.sent[1].data === 'transferFrom' && chain.sent[1].from === WALLET_A && chain.sent[1].recipient === DESTINATION, chain.sent[1]);
+		this.assert('Gas of both transactions counted', result.gasCost === ethers.formatEther(2000n) && this.readLog('sponsored.log')[0].action === 'sponsored_transfer', result);
+
+		chain.allowance = 5_000000n;
+		await station.sponsorTransfer({ token, owner: WALLET_A, to: DESTINATION, amount: 5_000000n, signPermit });
+		this.assert('Existing allowance skips the permit', permits.length === 1 && chain.sent.length === 3, chain.sent);
+
+		const plain = this.createStation({ privateKey: null });
+		this.assert('No sponsorship without a treasury key', !(await plain.station.canSponsorTransfer(token, WALLET_A)));
+		this.assert('No sponsorship for tokens without permits', !(await station.canSponsorTransfer({ nonces: async () => { throw new Error('no method'); } }, WALLET_A)));
+	}
+
+	async testPayouts() {
+		console.log('\n🧪 Testing payouts through the gas station...');
+		const calls = [];
+		const payouts = new PayoutService();
+		payouts.provider = {};
+		payouts.chainId = 84532;
+		payouts.eurcToken = {
+			connect: () => ({
+				transfer: async (to, amount) => {
+					calls.push({ type: 'direct', to, amount });
+					return { hash: '0xdirect', wait: async () => ({ hash: '0xdirect', blockNumber: 2 }) };
+				},
+			}),
+		};
+		payouts.custodialSigner = { signPermitCall: async () => ({ to: TOKEN, data: 'permit' }) };
+		const wallet = { address: WALLET_A, connect: () => ({}) };
+
+		let sponsor = true;
+		payouts.gasStation = {
+			canSponsorTransfer: async () => sponsor,
+			sponsorTransfer: async ({ owner, to, amount }) => {
+				calls.push({ type: 'sponsored', owner, to, amount });
+				return { success: true, receipt: { hash: '0xsponsored', blockNumber: 1 } };
+			},
+			ensureGas: async (address) => {
+				calls.push({ type: 'topUp', address });
+				return sponsor === null ? { success: false, capped: true, error: 'Daily gas cap reached' } : { success: true, funded: true };
+			},
+		};
+
+		const sponsored = await payouts.sendFromCustodialWallet(5, wallet, DESTINATION, 10n);
+		this.assert('Payout sponsored when possible', sponsored.receipt.hash === '0xsponsored' && calls.length === 1 && calls[0].type === 'sponsored', calls);
+
+		sponsor = false;
+		calls.length = 0;
+		const direct = await payouts.sendFromCustodialWallet(5, wallet, DESTINATION, 10n);
+		this.assert('Otherwise topped up, then transferred by the wallet', direct.receipt.hash === '0xdirect' && calls.map((call) => call.type).join() === 'topUp,direct', calls);
+
+		sponsor = null;
+		calls.length = 0;
+		const capped = await payouts.sendFromCustodialWallet(5, wallet, DESTINATION, 10n);
+		this.assert('Capped top-up fails the payout', !capped.success && capped.error.includes('Daily gas cap') && !calls.some((call) => call.type === 'direct'), capped);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting gas station tests...');
+		try {
+			await this.testTopUps();
+			await this.testCaps();
+			await this.testFailures();
+			await this.testSponsoredTransfers();
+			await this.testPayouts();
+		} finally {
+			fs.rmSync(this.dir, { recursive: true, force: true });
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new GasStationTest();
+test.runAllTests();
@@ -0,0 +1,122 @@
+const HostStatementService = require('./src/services/host-statement-service');
+const { renderTextPdf } = require('./src/utils/pdf-utils');
+const TestSuite = require('./test-suite');
+
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+/**
+ * Host statement tests
+ * Runs offline - CMS responses are in-memory fakes.
+ */
+class HostStatementTest extends TestSuite {
+	constructor() {
+		super('Host statement');
+	}
+
+	booking(overrides = {}) {
+		return {
+			documentId: 'doc-1',
+			blockchainBookingId: '12',
+			StartDate: '2026-03-01',
+			EndDate: '2026-03-04',
+			TotalPaid: 330,
+			CleaningFee: 30,
+			payoutAmount: 320.1,
+			payoutStatus: 'completed',
+			payoutDate: '2026-03-04T11:00:00.000Z',
+			payoutTxHash: TX_HASH,
+			property: { id: 3, Title: 'Sea View Loft' },
+			...overrides,
+		};
+	}
+
+	createService(bookings, { platformFee = 30 } = {}) {
+		const service = new HostStatementService();
+		const requests = [];
+		service.initialize({ quoteService: { isReady: () => true, getPlatformFeePercentage: async () => platformFee } });
+		service.fetchJson = async (url) => {
+			requests.push(url);
+			if (url.startsWith('/api/users/')) {
+				return url.startsWith('/api/users/5?') ? { id: 5, username: 'host5', properties: [{ id: 3 }, { id: 4 }] } : null;
+			}
+			return { data: bookings, meta: { pagination: { page: 1, pageCount: 1 } } };
+		};
+		return { service, requests };
+	}
+
+	testPeriod() {
+		console.log('\n🧪 Testing statement periods...');
+		const now = new Date('2026-10-18T10:00:00Z');
+
+		const defaults = HostStatementService.parsePeriod({}, now);
+		this.assert('Defaults to the current year so far', defaults.from === '2026-01-01' && defaults.to === '2026-10-18', defaults);
+		this.assert('Explicit period accepted', HostStatementService.parsePeriod({ from: '2025-01-01', to: '2025-12-31' }, now).to === '2025-12-31');
+		this.assert('Invalid dates rejected', HostStatementService.parsePeriod({ from: '2025-02-30' }, now).error?.includes('from'));
+		this.assert('Reversed period rejected', !!HostStatementService.parsePeriod({ from: '2026-05-01', to: '2026-04-01' }, now).error);
+	}
+
+	testRows() {
+		console.log('\n🧪 Testing statement rows...');
+		const paid = HostStatementService.toRow(this.booking(), 30);
+		this.assert('Net from the payout amount', paid.gross === 33000 && paid.net === 32010 && paid.platformFee === 990 && paid.eurValue === 32010, paid);
+		this.assert('Cleaning fee and payout details', paid.cleaningFee === 3000 && paid.payoutTxHash === TX_HASH && paid.payoutDate === '2026-03-04', paid);
+
+		const unpaid = HostStatementService.toRow(this.booking({ payoutAmount: null, payoutStatus: 'failed', payoutTxHash: null }), 30);
+		this.assert('Net from the platform fee without a payout amount', unpaid.net === 32010 && unpaid.platformFee === 990 && unpaid.payoutTxHash === null, unpaid);
+
+		const unknown = HostStatementService.toRow(this.booking({ payoutAmount: null }), null);
+		this.assert('Unknown amounts left empty', unknown.net === null && unknown.platformFee === null && unknown.gross === 33000, unknown);
+	}
+
+	async testStatement() {
+		console.log('\n🧪 Testing statements...');
+		const { service, requests } = this.createService([
+			this.booking(),
+			this.booking({ blockchainBookingId: '13', TotalPaid: 110, CleaningFee: 10, payoutAmount: 106.7, property: { Title: '=HYPERLINK("http://evil")' } }),
+		]);
+
+		const result = await service.getStatement(5, { from: '2026-01-01', to: '2026-06-30' });
+		this.assert('Statement built', result.success && result.statement.rows.length === 2 && result.statement.hostName === 'host5', result);
+		this.assert('Totals in cents', result.statement.totals.gross === 44000 && result.statement.totals.net === 42680 && result.statement.totals.platformFee === 1320, result.statement.totals);
+		this.assert('Bookings filtered by property and check-out date', requests[1].includes('filters[property][id][$in]=3&filters[property][id][$in]=4') && requests[1].includes('filters[EndDate][$gte]=2026-01-01&filters[EndDate][$lte]=2026-06-30'), requests[1]);
+
+		const csv = HostStatementService.toCSV(result.statement);
+		const lines = csv.trim().split('\r\n');
+		this.assert('CSV header', lines[0].startsWith('Booking ID,Property,Check-in,Check-out,Payout status,Gross (EURC),Platform fee (EURC),Cleaning fee (EURC),Net (EURC),EUR value,'), lines[0]);
+		this.assert('CSV booking row', lines[1] === `12,Sea View Loft,2026-03-01,2026-03-04,completed,330.00,9.90,30.00,320.10,320.10,2026-03-04,${TX_HASH}`, lines[1]);
+		this.assert('Formulas in titles neutralized', lines[2].startsWith('13,"\'=HYPERLINK(""http://evil"")"'), lines[2]);
+		this.assert('CSV totals row', lines[3].startsWith('Total,,,,,440.00,13.20,40.00,426.80,426.80'), lines[3]);
+
+		const pdf = HostStatementService.toPDF(result.statement).toString('latin1');
+		this.assert('PDF document', pdf.startsWith('%PDF-1.4') && pdf.trimEnd().endsWith('%%EOF') && pdf.includes('Sea View Loft'), pdf.slice(0, 40));
+
+		const missing = await service.getStatement(6, { from: '2026-01-01', to: '2026-06-30' });
+		this.assert('Unknown host reported', !missing.success && missing.notFound, missing);
+	}
+
+	testPdf() {
+		console.log('\n🧪 Testing the PDF writer...');
+		const pdf = renderTextPdf(Array.from({ length: 120 }, (_, i) => `Line ${i} (x) \\ ${i === 0 ? '€' : ''}`)).toString('latin1');
+
+		this.assert('Long documents split into pages', /\/Count 3 /.test(pdf) && pdf.includes('(Page 3 of 3) Tj'), pdf.match(/\/Count \d+/));
+		this.assert('Special characters escaped', pdf.includes('(Line 1 \\(x\\) \\\\ ) \'') && pdf.includes('(Line 0 \\(x\\) \\\\ ?) \''));
+
+		const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+		const offsets = pdf.slice(xrefAt).match(/(\d{10}) 00000 n/g).map((entry) => Number(entry.slice(0, 10)));
+		this.assert('Cross-reference table points at the objects', pdf.startsWith('xref', xrefAt) && offsets.every((offset, i) => pdf.startsWith(`${i + 1} 0 obj`, offset)), offsets);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting host statement tests...');
+		this.testPeriod();
+		this.testRows();
+		await this.testStatement();
+		this.testPdf();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new HostStatementTest();
+test.runAllTests();
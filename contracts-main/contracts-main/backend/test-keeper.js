@@ -0,0 +1,158 @@
+const KeeperService = require('./src/services/keeper-service');
+const TestSuite = require('./test-suite');
+
+const ONE_DAY = 24 * 60 * 60;
+const CHECK_IN_WINDOW = ONE_DAY;
+
+/**
+ * Booking keeper tests
+ * Runs offline - BookingManager is an in-memory fake that enforces the same
+ * status and time checks as the contract, with a chain clock the test moves.
+ */
+class KeeperTest extends TestSuite {
+	constructor() {
+		super('Keeper');
+	}
+
+	/**
+	 * Keeper over a fake BookingManager; `chain.now` is the latest block timestamp
+	 */
+	createKeeper(config = {}) {
+		const chain = { now: 1767225600, bookings: new Map(), sent: [], failing: new Set() };
+
+		const send = (method, check) => async (bookingId) => {
+			const booking = chain.bookings.get(Number(bookingId));
+			if (chain.failing.has(Number(bookingId))) {
+				throw new Error('execution reverted');
+			}
+			check(booking);
+			chain.sent.push([method, Number(bookingId)]);
+			return { hash: `0x${chain.sent.length}`, wait: async () => ({ hash: `0x${chain.sent.length}` }) };
+		};
+
+		const bookingManager = {
+			bookings: async (bookingId) => chain.bookings.get(Number(bookingId)) || { bookingId: 0n, status: 0n },
+			triggerCheckInWindow: send('triggerCheckInWindow', (booking) => {
+				if (Number(booking.status) !== 0 || chain.now < booking.checkInDate) throw new Error('Check-in date not reached');
+				booking.status = 1n;
+				booking.checkInDeadline = chain.now + CHECK_IN_WINDOW;
+			}),
+			processMissedCheckIn: send('processMissedCheckIn', (booking) => {
+				if (Number(booking.status) !== 1 || chain.now <= booking.checkInDeadline) throw new Error('Check-in window not expired');
+				booking.status = 4n;
+			}),
+			completeBooking: send('completeBooking', (booking) => {
+				if (Number(booking.status) !== 2 || chain.now < booking.checkOutDate) throw new Error('Check-out date not reached');
+				booking.status = 3n;
+			}),
+		};
+		for (const method of ['triggerCheckInWindow', 'processMissedCheckIn', 'completeBooking']) {
+			bookingManager[method].populateTransaction = async (bookingId) => ({ method, bookingId });
+		}
+		// Relayer sends the populated call to the fake contract
+		const relayer = {
+			address: '0x2222222222222222222222222222222222222222',
+			sendTransaction: async ({ method, bookingId }) => bookingManager[method](bookingId),
+		};
+
+		const keeper = new KeeperService({ enabled: true, dryRun: false, ...config });
+		keeper.initialize({
+			provider: { getBlock: async () => ({ timestamp: chain.now }) },
+			relayer,
+			bookingManager,
+		});
+		return { keeper, chain };
+	}
+
+	addBooking(chain, bookingId, { checkInIn = ONE_DAY, nights = 3, status = 0n } = {}) {
+		const checkInDate = chain.now + checkInIn;
+		chain.bookings.set(bookingId, {
+			bookingId: BigInt(bookingId),
+			status,
+			checkInDate,
+			checkOutDate: checkInDate + nights * ONE_DAY,
+			checkInDeadline: 0,
+		});
+	}
+
+	async testLifecycle() {
+		console.log('\n🧪 Testing check-in window, missed check-in and completion...');
+		const { keeper, chain } = this.createKeeper();
+		this.addBooking(chain, 1);
+		this.addBooking(chain, 2);
+
+		let result = await keeper.runOnce();
+		this.assert('Nothing sent before the check-in date', result.success && chain.sent.length === 0, chain.sent);
+		this.assert('Open bookings discovered', keeper.getStatus().openBookings === 2 && keeper.nextBookingId === 3, keeper.getStatus());
+
+		chain.now += ONE_DAY;
+		await keeper.runOnce();
+		this.assert('Check-in windows opened at the check-in date', chain.sent.filter(([m]) => m === 'triggerCheckInWindow').length === 2, chain.sent);
+
+		// Guest of booking 1 checks in, booking 2 never does
+		chain.bookings.get(1).status = 2n;
+		chain.now += CHECK_IN_WINDOW;
+		await keeper.runOnce();
+		this.assert('Not processed at the deadline itself', chain.sent.length === 2, chain.sent);
+
+		chain.now += 1;
+		await keeper.runOnce();
+		this.assert('Missed check-in processed after the window', chain.sent[2]?.[0] === 'processMissedCheckIn' && chain.sent[2][1] === 2, chain.sent);
+
+		chain.now = chain.bookings.get(1).checkOutDate;
+		await keeper.runOnce();
+		this.assert('Booking completed at check-out', chain.sent[3]?.[0] === 'completeBooking' && chain.sent[3][1] === 1, chain.sent);
+		result = await keeper.runOnce();
+		this.assert('Completed booking dropped from the scan', result.run.scanned === 1 && keeper.getStatus().openBookings === 1, result.run);
+
+		const stats = keeper.getStatus().stats;
+		this.assert('Counters updated', stats.checkInWindowsOpened === 2 && stats.missedCheckInsProcessed === 1 && stats.bookingsCompleted === 1, stats);
+	}
+
+	async testDryRun() {
+		console.log('\n🧪 Testing dry run...');
+		const { keeper, chain } = this.createKeeper({ dryRun: true });
+		this.addBooking(chain, 1, { checkInIn: 0 });
+
+		const result = await keeper.runOnce();
+		this.assert('Dry run reports the due action', result.run.actions.length === 1 && result.run.actions[0].method === 'triggerCheckInWindow' && result.run.actions[0].dryRun, result.run);
+		this.assert('Dry run sends nothing', chain.sent.length === 0, chain.sent);
+
+		const live = await keeper.runOnce({ dryRun: false });
+		this.assert('A single run can override dry run', live.success && chain.sent.length === 1, chain.sent);
+	}
+
+	async testFailuresAndLimits() {
+		console.log('\n🧪 Testing failures and the per-run action limit...');
+		const { keeper, chain } = this.createKeeper({ maxActionsPerRun: 2 });
+		for (let id = 1; id <= 3; id++) {
+			this.addBooking(chain, id, { checkInIn: 0 });
+		}
+
+		chain.failing.add(1);
+		let result = await keeper.runOnce();
+		this.assert('Failed call is recorded', result.run.actions[0].success === false && keeper.getStatus().stats.failures === 1, result.run.actions);
+		this.assert('Action limit respected', result.run.actions.length === 2 && chain.sent.length === 1, result.run.actions);
+
+		chain.failing.clear();
+		result = await keeper.runOnce();
+		this.assert('Failed and deferred bookings are retried next run', chain.sent.length === 3 && chain.bookings.get(1).status === 1n, chain.sent);
+
+		keeper.running = true;
+		result = await keeper.runOnce();
+		this.assert('Overlapping runs are rejected', result.conflict === true, result);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting keeper tests...');
+		await this.testLifecycle();
+		await this.testDryRun();
+		await this.testFailuresAndLimits();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new KeeperTest();
+test.runAllTests();
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PaymentSessionStore = require('./src/services/payment-session-store');
+const CryptoPaymentService = require('./src/services/crypto-payment-service');
+const TestSuite = require('./test-suite');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const EURC = '0x5555555555555555555555555555555555555555';
+const CUSTODIAL = '0x6666666666666666666666666666666666666666';
+
+/**
+ * Crypto payment session persistence tests
+ * Runs offline - sessions are journaled to a temporary directory and the provider is a fake.
+ */
+class PaymentSessionTest extends TestSuite {
+	constructor() {
+		super('Payment session');
+		this.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-sessions-test-'));
+	}
+
+	journal(file) {
+		return fs.readFileSync(path.join(this.stateDir, file), 'utf8').split('\n').filter(Boolean);
+	}
+
+	createService(file) {
+		const service = new CryptoPaymentService({
+			provider: { getNetwork: async () => ({ chainId: 84532n }) },
+			eurcTokenAddress: EURC,
+			sessionStoreConfig: { filePath: path.join(this.stateDir, file) },
+		});
+		service.startMonitoring = () => {};
+		return service;
+	}
+
+	testStore() {
+		console.log('\n🧪 Testing the session journal...');
+		const filePath = path.join(this.stateDir, 'store.state');
+		const store = new PaymentSessionStore({ filePath });
+		store.load();
+
+		store.save({ paymentId: 'a', status: 'pending' });
+		store.save({ paymentId: 'b', status: 'pending' });
+		store.save({ paymentId: 'a', status: 'confirming', expectedAmountBase: 250000000n });
+		store.delete('b');
+		store.delete('missing');
+		this.assert('Every change appended to the journal', this.journal('store.state').length === 4, this.journal('store.state'));
+
+		const reloaded = new PaymentSessionStore({ filePath }).load();
+		this.assert('Reload replays the last write', reloaded.size === 1 && reloaded.get('a').status === 'confirming', [...reloaded.values()]);
+		this.assert('BigInts stored as strings', reloaded.get('a').expectedAmountBase === '250000000', reloaded.get('a'));
+		this.assert('Journal compacted on load', this.journal('store.state').length === 1, this.journal('store.state'));
+
+		// Crash in the middle of an append
+		fs.appendFileSync(filePath, JSON.stringify({ op: 'put', session: { paymentId: 'c', status: 'pending' } }) + '\n{"op":"put","sess');
+		const torn = new PaymentSessionStore({ filePath }).load();
+		this.assert('Torn last line skipped', torn.size === 2 && torn.has('c'), [...torn.keys()]);
+		this.assert('Torn line dropped by compaction', this.journal('store.state').every((line) => JSON.parse(line)), this.journal('store.state'));
+
+		const empty = new PaymentSessionStore({ filePath: path.join(this.stateDir, 'nested', 'new.state') }).load();
+		this.assert('Missing journal starts empty', empty.size === 0 && fs.existsSync(path.join(this.stateDir, 'nested', 'new.state')));
+	}
+
+	async testPaymentIds() {
+		console.log('\n🧪 Testing payment IDs...');
+		const service = this.createService('ids.state');
+		const params = { userId: 5, propertyId: '1', checkInDate: 1, checkOutDate: 2, totalAmountEURC: '250000000', custodialWalletAddress: CUSTODIAL };
+
+		const first = await service.initializeEURCPayment(params);
+		const second = await service.initializeEURCPayment({ ...params, propertyId: '2' });
+		this.assert('Payment IDs are random UUIDs', UUID.test(first.paymentId) && UUID.test(second.paymentId) && first.paymentId !== second.paymentId, [first.paymentId, second.paymentId]);
+
+		// A restart must not hand out an ID that is already taken
+		const restarted = this.createService('ids.state');
+		const third = await restarted.initializeEURCPayment({ ...params, propertyId: '3' });
+		this.assert('No ID reused after a restart', ![first.paymentId, second.paymentId].includes(third.paymentId), third.paymentId);
+	}
+
+	async testRestart() {
+		console.log('\n🧪 Testing sessions across a restart...');
+		const service = this.createService('restart.state');
+		const params = { userId: 5, propertyId: '1', checkInDate: 1, checkOutDate: 2, totalAmountEURC: '250000000', custodialWalletAddress: CUSTODIAL };
+
+		const replaced = await service.initializeEURCPayment(params);
+		const current = await service.initializeEURCPayment({ ...params, checkOutDate: 3 });
+		const interrupted = service.pendingPayments.get(current.paymentId);
+		interrupted.status = 'processing';
+		service.persistPayment(interrupted);
+
+		const restarted = this.createService('restart.state');
+		const restored = restarted.pendingPayments;
+		this.assert('Sessions restored', restored.size === 2 && restored.get(current.paymentId).expectedAmountBase === '250000000', [...restored.keys()]);
+		this.assert('Replaced session stays cancelled', restored.get(replaced.paymentId).status === 'cancelled', restored.get(replaced.paymentId));
+		this.assert('Interrupted session retried as confirming', restored.get(current.paymentId).status === 'confirming', restored.get(current.paymentId));
+		this.assert('Status reported for a restored session', restarted.getPaymentStatus(current.paymentId)?.status === 'confirming', restarted.getPaymentStatus(current.paymentId));
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting payment session tests...');
+		try {
+			this.testStore();
+			await this.testPaymentIds();
+			await this.testRestart();
+		} finally {
+			fs.rmSync(this.stateDir, { recursive: true, force: true });
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new PaymentSessionTest();
+test.runAllTests();
@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+const PayoutService = require('./src/services/payout-service');
+const PayoutBatchService = require('./src/services/payout-batch-service');
+const TestSuite = require('./test-suite');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+const CDP_A = '0x2222222222222222222222222222222222222222';
+const CDP_B = '0x3333333333333333333333333333333333333333';
+const EXTERNAL = '0x4444444444444444444444444444444444444444';
+
+/**
+ * Scheduled payout batch tests
+ * Runs offline - CMS bookings, hosts and the EURC transfer are in-memory fakes.
+ */
+class PayoutBatchTest extends TestSuite {
+	constructor() {
+		super('Payout batch');
+	}
+
+	booking(documentId, hostId, amount) {
+		return {
+			documentId,
+			blockchainBookingId: documentId.replace('doc-', ''),
+			payoutAmount: amount,
+			payoutStatus: 'scheduled',
+			property: { users_permissions_user: { id: hostId } },
+		};
+	}
+
+	createBatch(hosts, bookings) {
+		const state = { transfers: [], bookings: new Map(bookings.map((b) => [b.documentId, b])), hostUpdates: [], failTransfer: false };
+
+		const payoutService = new PayoutService();
+		payoutService.isReady = () => true;
+		payoutService.getUserFromCMS = async (id) => hosts[id] || null;
+		payoutService.updateBookingByDocumentId = async (documentId, data) => {
+			Object.assign(state.bookings.get(documentId), data);
+			return true;
+		};
+		payoutService.transferToDestination = async (hostUserId, destination, amount) => {
+			if (state.failTransfer) return { success: false, error: 'Insufficient EURC balance' };
+			state.transfers.push({ hostUserId, destination, amount });
+			return { success: true, txHash: `0xtx${state.transfers.length}` };
+		};
+
+		const batch = new PayoutBatchService({ defaultThreshold: '100' });
+		batch.initialize({ payoutService });
+		batch.fetchScheduledBookings = async () => Array.from(state.bookings.values()).filter((b) => b.payoutStatus === 'scheduled');
+		batch.updateHost = async (userId, data) => state.hostUpdates.push({ userId, ...data });
+		return { batch, state };
+	}
+
+	testSchedules() {
+		console.log('\n🧪 Testing schedule rules...');
+		const amount = ethers.parseUnits('80', 6);
+
+		this.assert('Instant is always due', PayoutBatchService.isDue({}, amount, NOW).due);
+		this.assert('Daily host never paid is due', PayoutBatchService.isDue({ payoutSchedule: 'daily' }, amount, NOW).due);
+
+		const recent = PayoutBatchService.isDue({ payoutSchedule: 'weekly', lastPayoutAt: new Date(NOW - 3 * DAY_MS).toISOString() }, amount, NOW);
+		this.assert('Weekly host paid 3 days ago waits', !recent.due && recent.nextPayoutAt === new Date(NOW + 4 * DAY_MS).toISOString(), recent);
+		this.assert('Daily host paid a day ago is due', PayoutBatchService.isDue({ payoutSchedule: 'daily', lastPayoutAt: new Date(NOW - DAY_MS).toISOString() }, amount, NOW).due);
+
+		const below = PayoutBatchService.isDue({ payoutSchedule: 'threshold', payoutThreshold: 100 }, amount, NOW);
+		this.assert('Threshold not reached', !below.due && below.reason.includes('80.0 of 100.0'), below);
+		this.assert('Threshold reached', PayoutBatchService.isDue({ payoutSchedule: 'threshold', payoutThreshold: '75.5' }, amount, NOW).due);
+		this.assert('Default threshold used', !PayoutBatchService.isDue({ payoutSchedule: 'threshold' }, amount, NOW, '100').due);
+	}
+
+	async testBatchRun() {
+		console.log('\n🧪 Testing batch runs...');
+		const hosts = {
+			5: { id: 5, payoutSchedule: 'daily', payoutPreference: 'cdp_wallet', cdpWalletAddress: CDP_A },
+			6: { id: 6, payoutSchedule: 'threshold', payoutThreshold: 100, payoutPreference: 'cdp_wallet', cdpWalletAddress: CDP_B },
+		};
+		const { batch, state } = this.createBatch(hosts, [
+			this.booking('doc-1', 5, 120.5),
+			this.booking('doc-2', 5, 79.5),
+			this.booking('doc-3', 6, 40),
+		]);
+
+		const result = await batch.runOnce({ now: NOW });
+		this.assert('Run succeeds', result.success && result.run.scheduledBookings === 3, result);
+		this.assert('One transfer for the due host', state.transfers.length === 1 && state.transfers[0].hostUserId === 5 && state.transfers[0].destination === CDP_A, state.transfers);
+		this.assert('Transfer covers the sum of its bookings', state.transfers[0].amount === 200_000000n, state.transfers[0]);
+
+		const [first, second, third] = ['doc-1', 'doc-2', 'doc-3'].map((id) => state.bookings.get(id));
+		this.assert('Covered bookings linked to the transfer', [first, second].every((b) => b.payoutStatus === 'completed' && b.payoutTxHash === '0xtx1' && b.payoutBatchId === 'payout-5-' + NOW), [first, second]);
+		this.assert('Host below threshold stays scheduled', third.payoutStatus === 'scheduled' && !third.payoutTxHash, third);
+		this.assert('lastPayoutAt updated', state.hostUpdates.length === 1 && state.hostUpdates[0].lastPayoutAt === new Date(NOW).toISOString(), state.hostUpdates);
+
+		// Threshold reached with a new booking; the daily host has nothing left
+		state.bookings.set('doc-4', this.booking('doc-4', 6, 60));
+		await batch.runOnce({ now: NOW + 1000 });
+		this.assert('Threshold host paid once reached', state.transfers.length === 2 && state.transfers[1].amount === 100_000000n, state.transfers);
+		this.assert('Stats counted', batch.getStatus().stats.transfers === 2 && batch.getStatus().stats.bookingsPaid === 4, batch.getStatus().stats);
+	}
+
+	async testFailures() {
+		console.log('\n🧪 Testing failed and held batches...');
+		const hosts = {
+			5: { id: 5, payoutSchedule: 'weekly', payoutPreference: 'cdp_wallet', cdpWalletAddress: CDP_A },
+			7: { id: 7, payoutSchedule: 'daily', payoutPreference: 'custodial' },
+		};
+		const { batch, state } = this.createBatch(hosts, [this.booking('doc-1', 5, 50), this.booking('doc-2', 7, 50)]);
+		state.failTransfer = true;
+
+		const result = await batch.runOnce({ now: NOW });
+		const failed = result.run.hosts.find((host) => host.hostUserId === 5);
+		this.assert('Failed transfer reported', failed.error === 'Insufficient EURC balance' && batch.getStatus().stats.failures === 1, failed);
+		this.assert('Bookings re-queued after a failure', state.bookings.get('doc-1').payoutStatus === 'scheduled' && state.bookings.get('doc-1').payoutBatchId === null, state.bookings.get('doc-1'));
+		this.assert('Host without a destination held', result.run.hosts.find((host) => host.hostUserId === 7).reason.startsWith('Held') && state.bookings.get('doc-2').payoutStatus === 'scheduled');
+		this.assert('No lastPayoutAt on failure', state.hostUpdates.length === 0);
+
+		state.failTransfer = false;
+		const onlyHost = await batch.runOnce({ hostUserId: '5', now: NOW });
+		this.assert('Run limited to one host', onlyHost.run.hosts.length === 1 && state.transfers.length === 1, onlyHost.run.hosts);
+
+		batch.running = true;
+		this.assert('Concurrent run rejected', (await batch.runOnce()).conflict === true);
+	}
+
+	async testCoolingOff() {
+		console.log('\n🧪 Testing payouts held for the cooling-off period...');
+		const linkedAt = new Date(NOW - 60 * 60 * 1000).toISOString();
+		const hosts = { 8: { id: 8, payoutPreference: 'external_wallet', externalWalletAddress: EXTERNAL, externalWalletLinkedAt: linkedAt } };
+		const { batch, state } = this.createBatch(hosts, [this.booking('doc-5', 8, 30)]);
+		batch.payoutService.coolingOffHours = 48;
+
+		const held = await batch.runOnce({ now: NOW });
+		this.assert('Held while the wallet is cooling off', held.run.hosts[0].reason.includes('cooling-off') && state.transfers.length === 0 && state.bookings.get('doc-5').payoutStatus === 'scheduled', held.run.hosts);
+
+		await batch.runOnce({ now: NOW + 2 * DAY_MS });
+		this.assert('Paid once the wallet is active', state.transfers.length === 1 && state.transfers[0].destination === EXTERNAL && state.bookings.get('doc-5').payoutStatus === 'completed', state.transfers);
+	}
+
+	async testScheduledPayout() {
+		console.log('\n🧪 Testing BookingCompleted for scheduled hosts...');
+		const service = new PayoutService();
+		const updates = [];
+		let transferred = false;
+		service.provider = {};
+		service.relayer = {};
+		service.eurcToken = {};
+		service.chainId = 84532;
+		service.custodialSigner = {};
+		service.getUserFromCMS = async () => ({ id: 5, payoutSchedule: 'weekly', payoutPreference: 'cdp_wallet', cdpWalletAddress: CDP_A });
+		service.updateBookingPayoutStatus = async (bookingId, data) => updates.push({ bookingId, ...data });
+		service.transferToDestination = async () => { transferred = true; return { success: true }; };
+
+		const result = await service.processHostPayout({ hostUserId: 5, bookingId: '9', amount: '250000000' });
+		this.assert('Payout queued instead of transferred', result.scheduled && result.schedule === 'weekly' && !transferred, result);
+		this.assert('Booking marked scheduled with its amount', updates[0].payoutStatus === 'scheduled' && updates[0].payoutAmount === 250, updates);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting payout batch tests...');
+		this.testSchedules();
+		await this.testBatchRun();
+		await this.testFailures();
+		await this.testCoolingOff();
+		await this.testScheduledPayout();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new PayoutBatchTest();
+test.runAllTests();
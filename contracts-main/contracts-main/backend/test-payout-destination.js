@@ -0,0 +1,90 @@
+const PayoutService = require('./src/services/payout-service');
+const TestSuite = require('./test-suite');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CUSTODIAL = '0x1111111111111111111111111111111111111111';
+const CDP = '0x2222222222222222222222222222222222222222';
+const EXTERNAL = '0x3333333333333333333333333333333333333333';
+
+/**
+ * Payout destination tests
+ * Runs offline - CMS lookups, the custodial wallet and the EURC token are in-memory fakes.
+ */
+class PayoutDestinationTest extends TestSuite {
+	constructor() {
+		super('Payout destination');
+	}
+
+	createService(host) {
+		const service = new PayoutService({ coolingOffHours: 24 });
+		const state = { transfers: [], updates: [] };
+
+		service.provider = { getBalance: async () => 10n ** 18n };
+		service.relayer = {};
+		service.chainId = 84532;
+		service.eurcToken = {
+			balanceOf: async () => 1000_000000n,
+			connect: () => ({
+				transfer: async (to, amount) => {
+					state.transfers.push({ to, amount });
+					return { hash: '0xabc', wait: async () => ({ hash: '0xabc', blockNumber: 1 }) };
+				},
+			}),
+		};
+		service.custodialSigner = { getUserWallet: async () => ({ address: CUSTODIAL, connect: () => ({}) }) };
+		service.getUserFromCMS = async () => host;
+		service.updateBookingPayoutStatus = async (bookingId, data) => state.updates.push({ bookingId, ...data });
+		return { service, state };
+	}
+
+	testResolve() {
+		console.log('\n🧪 Testing payout destination rules...');
+		const { service } = this.createService();
+		const now = Date.now();
+
+		this.assert('Custodial preference keeps funds', service.resolvePayoutDestination({}).destination === null);
+		this.assert('CDP wallet destination', service.resolvePayoutDestination({ payoutPreference: 'cdp_wallet', cdpWalletAddress: CDP }).destination === CDP);
+
+		const unlinked = service.resolvePayoutDestination({ payoutPreference: 'external_wallet', cdpWalletAddress: CDP });
+		this.assert('External preference without a linked wallet is held', unlinked.destination === null && unlinked.reason === 'No external wallet linked', unlinked);
+
+		const fresh = { payoutPreference: 'external_wallet', externalWalletAddress: EXTERNAL, externalWalletLinkedAt: new Date(now - HOUR_MS).toISOString() };
+		const cooling = service.resolvePayoutDestination(fresh, now);
+		this.assert('Newly linked wallet is in its cooling-off period', cooling.destination === null && cooling.activeFrom === new Date(now + 23 * HOUR_MS).toISOString(), cooling);
+		this.assert('Wallet receives payouts after the cooling-off period', service.resolvePayoutDestination(fresh, now + 24 * HOUR_MS).destination === EXTERNAL);
+
+		const info = service.getExternalWallet(fresh, now);
+		this.assert('External wallet status reported', info.address === EXTERNAL && info.coolingOff === true, info);
+	}
+
+	async testPayouts() {
+		console.log('\n🧪 Testing payouts to external wallets...');
+		const linkedAt = new Date(Date.now() - 48 * HOUR_MS).toISOString();
+		let { service, state } = this.createService({ id: 5, payoutPreference: 'external_wallet', externalWalletAddress: EXTERNAL, externalWalletLinkedAt: linkedAt });
+
+		const result = await service.processHostPayout({ hostUserId: 5, bookingId: '9', amount: '250000000' });
+		this.assert('EURC transferred to the external wallet', result.success && state.transfers.length === 1 && state.transfers[0].to === EXTERNAL && state.transfers[0].amount === 250000000n, result);
+		this.assert('Destination recorded on the booking', state.updates[0].payoutStatus === 'completed' && state.updates[0].payoutDestination === EXTERNAL, state.updates);
+
+		// Address changed an hour ago
+		({ service, state } = this.createService({ id: 5, payoutPreference: 'external_wallet', externalWalletAddress: EXTERNAL, externalWalletLinkedAt: new Date(Date.now() - HOUR_MS).toISOString() }));
+		const held = await service.processHostPayout({ hostUserId: 5, bookingId: '10', amount: '250000000' });
+		this.assert('Payout held during the cooling-off period', held.scheduled && held.reason.includes('cooling-off') && held.activeFrom && state.transfers.length === 0, held);
+		this.assert('Held payout queued for the batch runner', state.updates[0].payoutStatus === 'scheduled' && state.updates[0].payoutAmount === 250 && !state.updates[0].payoutDestination, state.updates);
+
+		const manual = await service.manualPayout(5);
+		this.assert('Manual payout follows the same rule', !manual.success && manual.error.includes('cooling-off') && state.transfers.length === 0, manual);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting payout destination tests...');
+		this.testResolve();
+		await this.testPayouts();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new PayoutDestinationTest();
+test.runAllTests();
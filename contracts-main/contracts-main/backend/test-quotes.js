@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuoteService = require('./src/services/quote-service');
+const TestSuite = require('./test-suite');
+
+const HOUR = 60 * 60;
+
+/**
+ * Quote tests - chain binding, expiry grace window and redemption
+ * Runs offline - the CMS and marketplaces are fakes and redemptions are journaled to a temporary directory.
+ */
+class QuoteTest extends TestSuite {
+	constructor() {
+		super('Quote');
+		this.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-redemptions-test-'));
+	}
+
+	createService(file) {
+		return new QuoteService({
+			signingSecret: 'quote-secret',
+			expiredGraceSeconds: HOUR,
+			redemptionStoreConfig: { filePath: path.join(this.stateDir, file) },
+		});
+	}
+
+	quote(id, expiresIn) {
+		const now = Math.floor(Date.now() / 1000);
+		return { id, userId: '5', currency: 'EUR', amounts: { total: 45170 }, issuedAt: now - 60, expiresAt: now + expiresIn };
+	}
+
+	async testChains() {
+		console.log('\n🧪 Testing quotes per chain...');
+		const service = this.createService('chains.state');
+		const marketplace = (fee) => ({ platformFeePercentage: async () => BigInt(fee) });
+		service.initialize({
+			chainId: 84532,
+			propertyMarketplace: marketplace(30),
+			marketplaces: [[84532, marketplace(30)], [89, marketplace(50)]],
+		});
+		globalThis.fetch = async () => ({
+			ok: true,
+			json: async () => ({ data: [{ documentId: 'doc1', BlockchainPropertyId: 'PROP1', PricePerNight: 100, CleaningFee: 0, AtlasFees: 0 }] }),
+		});
+		const checkInDate = Math.floor(Date.now() / 1000) + 24 * HOUR;
+		const params = { userId: 5, propertyId: 'PROP1', checkInDate, checkOutDate: checkInDate + 24 * HOUR };
+
+		const fallback = await service.createQuote(params);
+		this.assert('Quote defaults to the default chain', fallback.success && fallback.quote.chainId === 84532 && fallback.quote.amounts.platformFee === 300, fallback.quote);
+
+		const other = await service.createQuote({ ...params, chainId: 89 });
+		this.assert('Quote priced with its chain\'s platform fee', other.success && other.quote.chainId === 89 && other.quote.amounts.platformFeePercentage === 50 && other.quote.amounts.platformFee === 500, other.quote);
+		this.assert('Chain ID is part of the signed quote', service.verifyQuote(other.quoteId).quote?.chainId === 89);
+
+		const [payload, signature] = other.quoteId.split('.');
+		const moved = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), chainId: 84532 })).toString('base64url');
+		this.assert('Chain ID cannot be changed', service.verifyQuote(`${moved}.${signature}`).error === 'Invalid quote signature');
+
+		const unknown = await service.createQuote({ ...params, chainId: 1 });
+		this.assert('Chain without a marketplace refused', !unknown.success && unknown.error === 'Unsupported chainId 1', unknown);
+	}
+
+	testExpiry() {
+		console.log('\n🧪 Testing the expiry grace window...');
+		const service = this.createService('expiry.state');
+		const fresh = service.sign(this.quote('fresh', 600));
+		const late = service.sign(this.quote('late', -600));
+		const stale = service.sign(this.quote('stale', -2 * HOUR));
+
+		this.assert('Unexpired quote accepted', service.verifyQuote(fresh, { userId: 5 }).valid);
+		const expired = service.verifyQuote(late);
+		this.assert('Expired quote refused for a new payment', !expired.valid && expired.expired, expired);
+		this.assert('Expired quote accepted within the grace window', service.verifyQuote(late, { allowExpired: true }).valid);
+		const tooLate = service.verifyQuote(stale, { allowExpired: true });
+		this.assert('Expired quote refused after the grace window', !tooLate.valid && tooLate.expired, tooLate);
+	}
+
+	testRedemption() {
+		console.log('\n🧪 Testing quote redemption...');
+		const service = this.createService('redeem.state');
+		const quote = this.quote('q-1', 600);
+		const other = this.quote('q-2', 600);
+
+		this.assert('First redemption accepted', service.redeemQuote(quote, { paymentReference: 'order-1' }).success);
+		const inFlight = service.redeemQuote(quote, { paymentReference: 'order-1' });
+		this.assert('Retry while booking reports it in progress', !inFlight.success && inFlight.error === 'Quote is already being redeemed', inFlight);
+
+		service.finishRedemption(quote, { success: true, chainId: 84532, bookingId: '7', transactionHash: '0xabc' });
+		const retried = service.redeemQuote(quote, { paymentReference: 'order-1' });
+		this.assert('Retried payment gets the earlier booking', !retried.success && retried.redemption?.result?.bookingId === '7', retried);
+
+		const replayed = service.redeemQuote(quote, { paymentReference: 'order-2' });
+		this.assert('Quote cannot be paid twice', !replayed.success && replayed.error === 'Quote already redeemed' && !replayed.redemption, replayed);
+		const noReference = service.redeemQuote(quote);
+		this.assert('Quote cannot be booked again without a payment', !noReference.success && noReference.error === 'Quote already redeemed', noReference);
+		const reused = service.redeemQuote(other, { paymentReference: 'order-1' });
+		this.assert('Payment reference cannot pay a second quote', !reused.success && reused.error === 'Payment reference already used for another quote', reused);
+		this.assert('Redeemed quote reported', service.isRedeemed(quote) && !service.isRedeemed(other));
+
+		this.assert('Another quote can be redeemed', service.redeemQuote(other, { paymentReference: 'order-3' }).success);
+		service.finishRedemption(other, { success: false, error: 'relayer down' });
+		this.assert('Failed booking releases the quote', !service.isRedeemed(other) && service.redeemQuote(other, { paymentReference: 'order-3' }).success);
+		service.finishRedemption(other, undefined);
+		this.assert('Booking that threw releases the quote', !service.isRedeemed(other));
+
+		const known = service.redeemQuote({ id: 'q-3' }, { paymentReference: 'eurc:abc' });
+		this.assert('Quote redeemed by ID alone', known.success && service.redemptions.get('q-3').expiresAt > Math.floor(Date.now() / 1000), service.redemptions.get('q-3'));
+	}
+
+	testRestart() {
+		console.log('\n🧪 Testing redemptions across a restart...');
+		const filePath = path.join(this.stateDir, 'restart.state');
+		const service = this.createService('restart.state');
+		const booked = this.quote('booked', 600);
+		const interrupted = this.quote('interrupted', 600);
+
+		service.redeemQuote(booked, { paymentReference: 'order-1' });
+		service.finishRedemption(booked, { success: true, bookingId: '9', transactionHash: '0xdef' });
+		service.redeemQuote(interrupted, { paymentReference: 'order-2' });
+		// An old redemption whose quote is past the grace window
+		fs.appendFileSync(filePath, JSON.stringify({ op: 'put', redemption: { quoteId: 'old', paymentReference: 'order-0', expiresAt: Math.floor(Date.now() / 1000) - 2 * HOUR, status: 'redeemed' } }) + '\n{"op":"put","rede');
+
+		const restarted = this.createService('restart.state');
+		this.assert('Redeemed quote still refused after a restart', restarted.redeemQuote(booked, { paymentReference: 'order-5' }).error === 'Quote already redeemed');
+		this.assert('Booking result kept', restarted.redeemQuote(booked, { paymentReference: 'order-1' }).redemption?.result?.bookingId === '9');
+		this.assert('Interrupted redemption kept', restarted.isRedeemed(interrupted));
+		this.assert('Redemptions past the grace window dropped', !restarted.isRedeemed({ id: 'old' }) && restarted.redeemQuote(this.quote('new', 600), { paymentReference: 'order-0' }).success);
+
+		const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+		this.assert('Journal compacted on load', lines.length === 3 && lines.every((line) => JSON.parse(line)), lines);
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting quote tests...');
+		try {
+			await this.testChains();
+			this.testExpiry();
+			this.testRedemption();
+			this.testRestart();
+		} finally {
+			fs.rmSync(this.stateDir, { recursive: true, force: true });
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new QuoteTest();
+test.runAllTests();
@@ -0,0 +1,206 @@
+const { ethers } = require('ethers');
+const RelayerTxManager = require('./src/services/relayer-tx-manager');
+const TestSuite = require('./test-suite');
+
+const GWEI = 1_000_000_000n;
+const TARGET = '0x4444444444444444444444444444444444444444';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Relayer transaction manager tests
+ * Runs offline - the provider is an in-memory fake that records broadcast transactions
+ * and only returns receipts for the ones the test mines.
+ */
+class RelayerTxManagerTest extends TestSuite {
+	constructor() {
+		super('Relayer transaction manager');
+	}
+
+	createManager(config = {}, { keys = 1 } = {}) {
+		const chain = {
+			fees: { maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: 1n * GWEI, gasPrice: null },
+			nonces: new Map(), // address -> pending count reported by the node
+			balances: new Map(),
+			broadcast: [],
+			mined: new Set(),
+			rejectNext: null,
+			receiptErrors: 0, // receipt lookups that fail before the node answers again
+		};
+
+		const provider = {
+			getTransactionCount: async (address) => chain.nonces.get(address) || 0,
+			estimateGas: async () => 100000n,
+			getFeeData: async () => ({ ...chain.fees }),
+			getBalance: async (address) => chain.balances.get(address) ?? ethers.parseEther('1'),
+			broadcastTransaction: async (signed) => {
+				if (chain.rejectNext) {
+					const error = chain.rejectNext;
+					chain.rejectNext = null;
+					throw error;
+				}
+				chain.broadcast.push(ethers.Transaction.from(signed));
+			},
+			getTransactionReceipt: async (hash) => {
+				if (chain.receiptErrors > 0) {
+					chain.receiptErrors--;
+					throw new Error('socket hang up');
+				}
+				return chain.mined.has(hash) ? { hash, status: 1, blockNumber: 1 } : null;
+			},
+		};
+
+		const manager = new RelayerTxManager({
+			privateKeys: Array.from({ length: keys }, () => ethers.Wallet.createRandom().privateKey),
+			bumpAfterMs: 1000000,
+			pollIntervalMs: 5,
+			...config,
+		});
+		manager.initialize({ provider, chainId: 84532 });
+		return { manager, chain };
+	}
+
+	async waitFor(condition, timeoutMs = 2000) {
+		const started = Date.now();
+		while (!condition()) {
+			if (Date.now() - started > timeoutMs) return false;
+			await sleep(5);
+		}
+		return true;
+	}
+
+	async testNonceQueue() {
+		console.log('\n🧪 Testing nonce serialization...');
+		const { manager, chain } = this.createManager();
+		chain.nonces.set(manager.address, 7);
+
+		const sent = await Promise.all([1, 2, 3].map((i) => manager.sendTransaction({ to: TARGET, data: `0x0${i}` })));
+		const nonces = chain.broadcast.map((tx) => tx.nonce);
+		this.assert('Concurrent sends get consecutive nonces', nonces.join() === '7,8,9', nonces);
+		this.assert('EIP-1559 fees and gas limit with buffer', chain.broadcast[0].type === 2 && chain.broadcast[0].maxFeePerGas === 10n * GWEI && chain.broadcast[0].gasLimit === 120000n, chain.broadcast[0]);
+
+		sent.forEach((tx) => chain.mined.add(tx.hash));
+		const receipts = await Promise.all(sent.map((tx) => tx.wait()));
+		this.assert('wait() resolves with the receipts', receipts.every((receipt, i) => receipt.hash === sent[i].hash), receipts);
+		this.assert('Nothing left in flight', manager.getStatus().keys[0].inFlight === 0 && manager.getStatus().stats.confirmed === 3, manager.getStatus());
+
+		// Node rejects the nonce (sent elsewhere) - resync and retry once
+		chain.nonces.set(manager.address, 12);
+		const error = new Error('nonce too low');
+		error.code = 'NONCE_EXPIRED';
+		chain.rejectNext = error;
+		const retried = await manager.sendTransaction({ to: TARGET });
+		this.assert('Expired nonce is resynced from the node', retried.nonce === 12 && chain.broadcast.at(-1).nonce === 12, { nonce: retried.nonce });
+		chain.mined.add(retried.hash);
+		await retried.wait();
+	}
+
+	async testKeyPool() {
+		console.log('\n🧪 Testing the relayer key pool...');
+		const { manager, chain } = this.createManager({}, { keys: 2 });
+
+		const sent = await Promise.all([1, 2, 3, 4].map(() => manager.sendTransaction({ to: TARGET })));
+		const senders = new Set(sent.map((tx) => tx.from));
+		this.assert('Sends spread over both keys', senders.size === 2 && manager.getStatus().keys.every((key) => key.inFlight === 2), manager.getStatus().keys);
+		this.assert('Each key has its own nonces', manager.getStatus().keys.every((key) => key.nextNonce === 2), manager.getStatus().keys);
+		sent.forEach((tx) => chain.mined.add(tx.hash));
+		await Promise.all(sent.map((tx) => tx.wait()));
+	}
+
+	async testFeeBumping() {
+		console.log('\n🧪 Testing fee bumping...');
+		const { manager, chain } = this.createManager({ bumpAfterMs: 20, bumpPercent: 25, maxBumps: 2, maxFeeGwei: 14 });
+
+		const tx = await manager.sendTransaction({ to: TARGET, data: '0x01' });
+		const firstHash = tx.hash;
+		const bumped = await this.waitFor(() => chain.broadcast.length === 2);
+		const replacement = chain.broadcast[1];
+		this.assert('Slow transaction is re-sent with the same nonce', bumped && replacement.nonce === chain.broadcast[0].nonce && replacement.data === '0x01', chain.broadcast.length);
+		this.assert('Fees raised by the bump percentage', replacement.maxFeePerGas === 12500000000n && replacement.maxPriorityFeePerGas === 1250000000n, replacement);
+		this.assert('hash points at the latest version', tx.hash === replacement.hash && tx.hash !== firstHash);
+
+		await this.waitFor(() => chain.broadcast.length === 3);
+		this.assert('Fee cap respected', chain.broadcast[2]?.maxFeePerGas === 14n * GWEI, chain.broadcast[2]);
+
+		// The first version gets mined after all
+		chain.mined.add(firstHash);
+		const receipt = await tx.wait();
+		this.assert('Receipt of any version resolves wait()', receipt.hash === firstHash && manager.getStatus().stats.bumped === 2, manager.getStatus().stats);
+	}
+
+	async testFlakyRpc() {
+		console.log('\n🧪 Testing receipt lookups on a flaky RPC...');
+		const { manager, chain } = this.createManager();
+
+		const tx = await manager.sendTransaction({ to: TARGET });
+		chain.receiptErrors = 3;
+		chain.mined.add(tx.hash);
+		const receipt = await tx.wait();
+		this.assert('Polling continues after RPC errors', receipt.hash === tx.hash && chain.receiptErrors === 0, { receiptErrors: chain.receiptErrors });
+		this.assert('Transaction counted as confirmed', manager.getStatus().stats.confirmed === 1, manager.getStatus().stats);
+	}
+
+	async testStuckKey() {
+		console.log('\n🧪 Testing transactions that are never mined...');
+		const { manager, chain } = this.createManager({ bumpAfterMs: 10, maxBumps: 1 }, { keys: 2 });
+
+		const stuck = await manager.sendTransaction({ to: TARGET });
+		let error = null;
+		try {
+			await stuck.wait();
+		} catch (err) {
+			error = err;
+		}
+		this.assert('wait() rejects after the last bump', error?.message.includes('not mined after 1 fee bump'), error?.message);
+		this.assert('Key marked stuck', manager.getStatus().keys.find((key) => key.address === stuck.from).stuck === true, manager.getStatus().keys);
+
+		const next = await manager.sendTransaction({ to: TARGET });
+		this.assert('Next transaction uses another key', next.from !== stuck.from, { stuck: stuck.from, next: next.from });
+		chain.mined.add(next.hash);
+		await next.wait();
+	}
+
+	async testBalances() {
+		console.log('\n🧪 Testing low-balance warnings...');
+		const { manager, chain } = this.createManager({ minBalanceEth: '0.05' }, { keys: 2 });
+		const [low, funded] = manager.keys;
+		chain.balances.set(low.address, ethers.parseEther('0.01'));
+		chain.balances.set(funded.address, ethers.parseEther('0.5'));
+
+		const warnings = await manager.checkBalances();
+		this.assert('Low key reported', warnings.length === 1 && warnings[0].includes(low.address), warnings);
+		this.assert('Balances in status', manager.getStatus().keys[1].balance === '0.5', manager.getStatus().keys);
+
+		chain.balances.set(low.address, ethers.parseEther('1'));
+		this.assert('Warning cleared after top-up', (await manager.checkBalances()).length === 0);
+	}
+
+	async testLegacyFees() {
+		console.log('\n🧪 Testing chains without EIP-1559...');
+		const { manager, chain } = this.createManager();
+		chain.fees = { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: 3n * GWEI };
+
+		const tx = await manager.sendTransaction({ to: TARGET, gasLimit: 50000 });
+		this.assert('Legacy gas price used', chain.broadcast[0].type === 0 && chain.broadcast[0].gasPrice === 3n * GWEI, chain.broadcast[0]);
+		this.assert('Given gas limit kept', chain.broadcast[0].gasLimit === 50000n, chain.broadcast[0]);
+		chain.mined.add(tx.hash);
+		await tx.wait();
+	}
+
+	async runAllTests() {
+		console.log('🚀 Starting relayer transaction manager tests...');
+		await this.testNonceQueue();
+		await this.testKeyPool();
+		await this.testFeeBumping();
+		await this.testFlakyRpc();
+		await this.testStuckKey();
+		await this.testBalances();
+		await this.testLegacyFees();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new RelayerTxManagerTest();
+test.runAllTests();
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const EventListener = require('./src/services/event-listener');
+const TestSuite = require('./test-suite');
+
+/**
+ * Event listener reorg tests against a local Hardhat node
+ *
+ *   npx hardhat node            (in contracts-main, automine on)
+ *   npm run test:reorg
+ *
+ * Bookings are simulated with plain ETH transfers: each transfer is one BookingCreated
+ * event and "exists on-chain" while its receipt does. evm_snapshot / evm_revert replace
+ * the blocks, so block hashes and receipts behave exactly as in a real reorg.
+ * Strapi is replaced by an in-memory map.
+ */
+class ReorgTest extends TestSuite {
+	constructor() {
+		super('Reorg');
+		this.rpcUrl = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+		// No request cache: the test moves the chain faster than ethers' 250ms block number cache
+		this.provider = new ethers.JsonRpcProvider(this.rpcUrl, undefined, { cacheTimeout: -1 });
+		this.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reorg-test-'));
+	}
+
+	/**
+	 * Listener wired to the Hardhat node with simulated BookingManager and Strapi
+	 */
+	async createListener(confirmations) {
+		const listener = new EventListener({
+			confirmations,
+			reorgWindow: 16,
+			stateFilePath: path.join(this.stateDir, `state-${Date.now()}-${confirmations}.json`),
+			ledgerConfig: { filePath: path.join(this.stateDir, `ledger-${Date.now()}-${confirmations}.state`) },
+		});
+		listener.provider = this.provider;
+		listener.lastProcessedBlock = await this.provider.getBlockNumber();
+		await listener.markBlockProcessed(listener.lastProcessedBlock);
+
+		const bookingTxs = new Map(); // bookingId -> txHash
+		const cms = new Map(); // bookingId -> record
+
+		const onChain = async (bookingId) => {
+			const txHash = bookingTxs.get(String(bookingId));
+			return !!txHash && !!(await this.provider.getTransactionReceipt(txHash));
+		};
+
+		listener.contracts.bookingManager = {
+			bookings: async (bookingId) => ((await onChain(bookingId))
+				? { bookingId: BigInt(bookingId), status: 0n, checkOutDate: 1767484800n, totalAmount: 0n, platformFee: 0n, hostAmount: 0n }
+				: { bookingId: 0n, status: 0n }),
+		};
+		listener.getAllEvents = async (fromBlock, toBlock) => {
+			const events = [];
+			for (const [bookingId, txHash] of bookingTxs) {
+				const receipt = await this.provider.getTransactionReceipt(txHash);
+				if (receipt && receipt.blockNumber >= fromBlock && receipt.blockNumber <= toBlock) {
+					events.push({
+						eventName: 'BookingCreated',
+						args: [BigInt(bookingId), 'PROP1', receipt.from, 1767225600n, 0n],
+						blockNumber: receipt.blockNumber,
+						blockHash: receipt.blockHash,
+						transactionHash: txHash,
+						transactionIndex: receipt.index,
+						index: 0,
+					});
+				}
+			}
+			return events.sort((a, b) => a.blockNumber - b.blockNumber);
+		};
+		listener.createBookingInStrapi = async (data) => { cms.set(data.bookingId, data); };
+		listener.updateBookingInStrapi = async (bookingId, data) => {
+			if (cms.has(String(bookingId))) Object.assign(cms.get(String(bookingId)), data);
+		};
+		listener.deleteBookingInStrapi = async (bookingId) => { cms.delete(String(bookingId)); };
+
+		const book = async (bookingId) => {
+			const [from, to] = await this.provider.send('eth_accounts', []);
+			const txHash = await this.provider.send('eth_sendTransaction', [{ from, to, value: ethers.toQuantity(bookingId) }]);
+			bookingTxs.set(String(bookingId), txHash);
+			return txHash;
+		};
+
+		return { listener, cms, book };
+	}
+
+	async mine(blocks = 1) {
+		for (let i = 0; i < blocks; i++) {
+			await this.provider.send('evm_mine', []);
+		}
+	}
+
+	async testConfirmationDepth() {
+		console.log('\n🧪 Testing confirmation depth...');
+		const { listener, cms, book } = await this.createListener(2);
+
+		await book(1);
+		await listener.processNewBlocks();
+		this.assert('Unconfirmed booking is not synced', !cms.has('1'));
+
+		await this.mine(2);
+		await listener.processNewBlocks();
+		this.assert('Booking is synced after 2 confirmations', cms.has('1'));
+	}
+
+	async testReorgRollback() {
+		console.log('\n🧪 Testing reorg rollback and replay...');
+		const { listener, cms, book } = await this.createListener(0);
+
+		const snapshot = await this.provider.send('evm_snapshot', []);
+		await book(2);
+		await listener.processNewBlocks();
+		this.assert('Booking 2 synced before the reorg', cms.has('2'));
+		const processedBefore = listener.lastProcessedBlock;
+
+		// Replace the block holding booking 2 with a longer chain of other blocks
+		await this.provider.send('evm_revert', [snapshot]);
+		await this.mine(3);
+		await book(3);
+
+		await listener.processNewBlocks();
+		const stats = listener.getReorgStats();
+		this.assert('Reorg detected', stats.detected === 1, stats);
+		this.assert('Common ancestor is below the orphaned block', stats.lastCommonAncestor < processedBefore, stats);
+		this.assert('Phantom booking 2 removed from the CMS', !cms.has('2'));
+
+		// The same poll replays the canonical blocks after the rollback
+		this.assert('Booking 3 synced from the new canonical chain', cms.has('3'));
+		await listener.processNewBlocks();
+		this.assert('No second reorg reported', listener.getReorgStats().detected === 1);
+	}
+
+	async testReplaySameTransaction() {
+		console.log('\n🧪 Testing replay of a re-included transaction...');
+		const { listener, cms, book } = await this.createListener(0);
+
+		const snapshot = await this.provider.send('evm_snapshot', []);
+		await this.mine(1);
+		await book(4);
+		await listener.processNewBlocks();
+
+		// Same booking lands in a different block after the reorg
+		await this.provider.send('evm_revert', [snapshot]);
+		await this.mine(2);
+		await book(4);
+
+		await listener.processNewBlocks();
+		this.assert('Reorg detected', listener.getReorgStats().detected === 1);
+		this.assert('Re-included booking is synced again', cms.has('4'));
+	}
+
+	async runAllTests() {
+		console.log(`🚀 Starting reorg tests against ${this.rpcUrl}...`);
+		try {
+			await this.provider.getBlockNumber();
+		} catch (error) {
+			console.error(`❌ No Hardhat node at ${this.rpcUrl} - start one with \`npx hardhat node\``);
+			process.exit(1);
+		}
+
+		try {
+			await this.testConfirmationDepth();
+			await this.testReorgRollback();
+			await this.testReplaySameTransaction();
+		} finally {
+			fs.rmSync(this.stateDir, { recursive: true, force: true });
+			this.provider.destroy();
+		}
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new ReorgTest();
+test.runAllTests();
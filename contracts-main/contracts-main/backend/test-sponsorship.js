@@ -0,0 +1,120 @@
+const { ethers } = require('ethers');
+const SponsorshipService = require('./src/services/sponsorship-service');
+const TestSuite = require('./test-suite');
+
+const MARKETPLACE = '0x1111111111111111111111111111111111111111';
+const BOOKING_MANAGER = '0x2222222222222222222222222222222222222222';
+const GUEST = '0x3333333333333333333333333333333333333333';
+const OTHER_GUEST = '0x4444444444444444444444444444444444444444';
+
+const marketplaceInterface = new ethers.Interface([
+	'function listProperty(string uri, uint256 pricePerNight, string tokenName, string tokenSymbol)',
+	'function setPlatformFee(uint256 fee)',
+]);
+const bookingManagerInterface = new ethers.Interface([
+	'function createBooking(string propertyId, uint256 checkInDate, uint256 checkOutDate)',
+]);
+
+/**
+ * Sponsorship policy tests
+ * Runs offline - contracts are plain { target, interface } objects.
+ */
+class SponsorshipTest extends TestSuite {
+	constructor() {
+		super('Sponsorship');
+	}
+
+	createService(config = {}) {
+		const service = new SponsorshipService({
+			addressMaxPerHour: 3,
+			addressDailyGas: 1000000,
+			userMaxPerHour: 4,
+			userDailyGas: 2000000,
+			allowedCalls: '',
+			...config,
+		});
+		service.initialize({
+			chainId: 84532,
+			contracts: [
+				{ contract: { target: MARKETPLACE, interface: marketplaceInterface }, functions: ['listProperty'] },
+				{ contract: { target: BOOKING_MANAGER, interface: bookingManagerInterface }, functions: ['createBooking'] },
+			],
+		});
+		return service;
+	}
+
+	booking(from = GUEST) {
+		return { from, to: BOOKING_MANAGER, data: bookingManagerInterface.encodeFunctionData('createBooking', ['1', 100, 200]) };
+	}
+
+	testAllowlist() {
+		console.log('\n🧪 Testing sponsored calls...');
+		const service = this.createService();
+
+		this.assert('Booking is sponsored', service.authorize(this.booking()).function === 'createBooking');
+		const listing = { from: GUEST, to: MARKETPLACE.toUpperCase().replace('0X', '0x'), data: marketplaceInterface.encodeFunctionData('listProperty', ['ipfs://x', 1n, 'T', 'T']) };
+		this.assert('Target address matched case-insensitively', service.authorize(listing).success);
+
+		const adminCall = { from: GUEST, to: MARKETPLACE, data: marketplaceInterface.encodeFunctionData('setPlatformFee', [0]) };
+		const rejected = service.authorize(adminCall);
+		this.assert('Other functions of a sponsored contract rejected', rejected.notAllowed && !rejected.rateLimited, rejected);
+		this.assert('Unknown target rejected', service.authorize({ ...this.booking(), to: OTHER_GUEST }).notAllowed);
+		this.assert('Rejected calls do not count', service.getUsage({ address: GUEST }).address.txsLastHour === 2, service.getUsage({ address: GUEST }));
+
+		const extra = this.createService({ allowedCalls: `${OTHER_GUEST}:*` });
+		this.assert('META_TX_ALLOWED_CALLS wildcard entry', extra.authorize({ from: GUEST, to: OTHER_GUEST, data: '0xdeadbeef' }).success);
+	}
+
+	testRateLimits() {
+		console.log('\n🧪 Testing hourly limits...');
+		const service = this.createService();
+
+		for (let i = 0; i < 3; i++) {
+			service.authorize(this.booking(), { userId: 7 });
+		}
+		const limited = service.authorize(this.booking(), { userId: 7 });
+		this.assert('Address limit enforced', limited.rateLimited && limited.error.includes('address') && limited.retryAfterSeconds > 3500, limited);
+		this.assert('Usage returned with the rejection', limited.usage.address.remainingTxs === 0 && limited.usage.user.txsLastHour === 3, limited.usage);
+
+		// Same user, new address - the per-user limit (4) still applies
+		this.assert('Fourth transaction from another address allowed', service.authorize(this.booking(OTHER_GUEST), { userId: 7 }).success);
+		const userLimited = service.authorize(this.booking('0x5555555555555555555555555555555555555555'), { userId: 7 });
+		this.assert('User limit enforced across addresses', userLimited.rateLimited && userLimited.error.includes('user'), userLimited);
+
+		// An hour later the window has moved on
+		for (const entry of service.usage.values()) {
+			entry.txs = entry.txs.map((at) => at - 61 * 60 * 1000);
+		}
+		this.assert('Limit resets after an hour', service.authorize(this.booking(), { userId: 7 }).success);
+		this.assert('Counters updated', service.getStatus().stats.rateLimited === 2 && service.getStatus().stats.accepted === 5, service.getStatus().stats);
+	}
+
+	testGasBudget() {
+		console.log('\n🧪 Testing daily gas budgets...');
+		const service = this.createService({ addressMaxPerHour: 0 });
+
+		service.authorize(this.booking());
+		service.recordGas(this.booking(), {}, 600000n);
+		this.assert('Under budget still sponsored', service.authorize(this.booking()).success);
+		service.recordGas(this.booking(), {}, 400000n);
+
+		const limited = service.authorize(this.booking());
+		this.assert('Budget used up', limited.rateLimited && limited.error.includes('gas') && limited.usage.address.remainingGas === 0, limited);
+		this.assert('Hourly limit 0 means unlimited', service.getUsage({ address: GUEST }).address.remainingTxs === null);
+		this.assert('Other addresses unaffected', service.authorize(this.booking(OTHER_GUEST)).success);
+		this.assert('Sponsored gas counted', service.getStatus().stats.gasSponsored === 1000000, service.getStatus().stats);
+	}
+
+	runAllTests() {
+		console.log('🚀 Starting sponsorship tests...');
+		this.testAllowlist();
+		this.testRateLimits();
+		this.testGasBudget();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new SponsorshipTest();
+test.runAllTests();
@@ -0,0 +1,42 @@
+/**
+ * TestSuite - Shared fixture for the standalone test scripts
+ *
+ * A suite extends TestSuite, records each check with assert() and calls finish() at the end,
+ * which prints the results and exits with code 1 if a check failed.
+ */
+class TestSuite {
+	/**
+	 * @param {string} name - Suite name for the closing message ("Keeper" -> "Keeper tests completed!")
+	 */
+	constructor(name) {
+		this.name = name;
+		this.passed = 0;
+		this.failed = 0;
+	}
+
+	/**
+	 * Record a check; detail is printed (as JSON, BigInts as strings) when it fails
+	 */
+	assert(name, condition, detail) {
+		if (condition) {
+			this.passed++;
+			console.log(`✅ ${name}`);
+		} else {
+			this.failed++;
+			console.log(`❌ ${name}${detail ? ` - ${JSON.stringify(detail, (_, value) => (typeof value === 'bigint' ? value.toString() : value))}` : ''}`);
+		}
+	}
+
+	/**
+	 * Print the results; exits with code 1 if any check failed
+	 */
+	finish() {
+		console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+		if (this.failed > 0) {
+			process.exit(1);
+		}
+		console.log(`🎉 ${this.name} tests completed!`);
+	}
+}
+
+module.exports = TestSuite;
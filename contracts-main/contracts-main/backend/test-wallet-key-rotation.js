@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const CustodialSigner = require('./src/services/custodial-signer');
+const TestSuite = require('./test-suite');
+
+const OLD_KEY = '11'.repeat(32);
+const NEW_KEY = '22'.repeat(32);
+const PRIVATE_KEY = `0x${'ab'.repeat(32)}`;
+
+/**
+ * Wallet encryption key rotation tests
+ * Runs offline - encrypted keys are produced here the same way the CMS stores them.
+ */
+class WalletKeyRotationTest extends TestSuite {
+	constructor() {
+		super('Wallet key rotation');
+	}
+
+	encrypt(hexKey, keyId) {
+		const iv = crypto.randomBytes(16);
+		const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(hexKey, 'hex'), iv);
+		const encryptedData = cipher.update(PRIVATE_KEY, 'utf8', 'hex') + cipher.final('hex');
+		return {
+			...(keyId ? { keyId } : {}),
+			iv: iv.toString('hex'),
+			encryptedData,
+			authTag: cipher.getAuthTag().toString('hex'),
+		};
+	}
+
+	throws(fn) {
+		try {
+			fn();
+			return null;
+		} catch (error) {
+			return error;
+		}
+	}
+
+	decrypt(signer, encryptedObj) {
+		try {
+			return signer.decryptPrivateKey(encryptedObj);
+		} catch (error) {
+			return error;
+		}
+	}
+
+	testKeyring() {
+		console.log('\n🧪 Testing the keyring...');
+		const keys = CustodialSigner.parseEncryptionKeys(` v2:${NEW_KEY} , v3:${'33'.repeat(32)}`, OLD_KEY);
+		this.assert('Listed keys parsed by ID', keys.get('v2') === NEW_KEY && keys.size === 3);
+		this.assert('WALLET_ENCRYPTION_KEY used as v1', keys.get('v1') === OLD_KEY);
+		this.assert('Same v1 in both variables accepted', CustodialSigner.parseEncryptionKeys(`v1:${OLD_KEY}`, OLD_KEY).get('v1') === OLD_KEY);
+
+		const conflict = this.throws(() => CustodialSigner.parseEncryptionKeys(`v1:${NEW_KEY}`, OLD_KEY));
+		this.assert('Conflicting v1 rejected', conflict?.message === 'Wallet encryption key v1 is configured twice with different values', conflict?.message);
+		const malformed = this.throws(() => CustodialSigner.parseEncryptionKeys(`${NEW_KEY},v2:${NEW_KEY}`));
+		this.assert('Malformed entries rejected', malformed?.message === 'WALLET_ENCRYPTION_KEYS entries must be keyId:hex', malformed?.message);
+		const short = this.throws(() => CustodialSigner.parseEncryptionKeys('v2:abcd'));
+		this.assert('Short keys rejected', short?.message === 'WALLET_ENCRYPTION_KEYS key v2 must be 32 bytes (64 hex characters)', short?.message);
+		const notHex = this.throws(() => CustodialSigner.parseEncryptionKeys('', 'zz'.repeat(32)));
+		this.assert('Non-hex WALLET_ENCRYPTION_KEY rejected', notHex?.message === 'WALLET_ENCRYPTION_KEY must be 32 bytes (64 hex characters)', notHex?.message);
+		this.assert('Signer available with a listed key', new CustodialSigner({ encryptionKey: '', encryptionKeys: `v2:${NEW_KEY}`, strapiToken: 'token' }).isAvailable());
+		this.assert('Misconfigured keyring fails at startup', this.throws(() => new CustodialSigner({ encryptionKey: '', encryptionKeys: 'v2:abcd' })) instanceof Error);
+	}
+
+	testDecryption() {
+		console.log('\n🧪 Testing decryption during a rotation...');
+		const legacy = this.encrypt(OLD_KEY);
+		const rotated = this.encrypt(NEW_KEY, 'v2');
+
+		const before = new CustodialSigner({ encryptionKey: OLD_KEY, encryptionKeys: '' });
+		this.assert('Keys without keyId decrypt with WALLET_ENCRYPTION_KEY', this.decrypt(before, legacy) === PRIVATE_KEY);
+		this.assert('Unknown key ID reported', this.decrypt(before, rotated).message === 'Wallet encryption key v2 not configured');
+
+		const during = new CustodialSigner({ encryptionKey: OLD_KEY, encryptionKeys: `v2:${NEW_KEY}` });
+		this.assert('Old key still decrypts during the rotation', this.decrypt(during, legacy) === PRIVATE_KEY);
+		this.assert('New key decrypts during the rotation', this.decrypt(during, rotated) === PRIVATE_KEY);
+		this.assert('Explicit v1 decrypts with the old key', this.decrypt(during, this.encrypt(OLD_KEY, 'v1')) === PRIVATE_KEY);
+
+		const after = new CustodialSigner({ encryptionKey: '', encryptionKeys: `v2:${NEW_KEY}` });
+		this.assert('New key decrypts after the old one is removed', this.decrypt(after, rotated) === PRIVATE_KEY);
+		this.assert('Old keys fail once removed', this.decrypt(after, legacy).message === 'Wallet encryption key v1 not configured');
+
+		const wrong = new CustodialSigner({ encryptionKey: '', encryptionKeys: `v2:${OLD_KEY}` });
+		this.assert('Wrong key fails authentication', this.decrypt(wrong, rotated) instanceof Error);
+
+		const none = new CustodialSigner({ encryptionKey: '', encryptionKeys: '' });
+		this.assert('Missing configuration reported', this.decrypt(none, legacy).message === 'WALLET_ENCRYPTION_KEY not configured');
+	}
+
+	runAllTests() {
+		console.log('🚀 Starting wallet key rotation tests...');
+		this.testKeyring();
+		this.testDecryption();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new WalletKeyRotationTest();
+test.runAllTests();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const CDPWalletService = require('./src/services/cdp-wallet-service');
+const TestSuite = require('./test-suite');
+
+/**
+ * CDP webhook signature tests
+ * Runs offline - signatures are generated locally with a test secret.
+ */
+class WebhookSignatureTest extends TestSuite {
+	constructor() {
+		super('Webhook signature');
+		this.secret = 'test-webhook-secret';
+	}
+
+	createService(config = {}) {
+		return new CDPWalletService({ webhookSecret: this.secret, webhookToleranceSeconds: 300, ...config });
+	}
+
+	sign(body, timestamp, secret = this.secret) {
+		const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+		return `t=${timestamp},v1=${hmac}`;
+	}
+
+	buildBody(eventId = 'evt_' + Date.now()) {
+		return JSON.stringify({
+			eventId,
+			eventType: 'erc20_transfer',
+			data: {
+				from: '0x1111111111111111111111111111111111111111',
+				to: '0x2222222222222222222222222222222222222222',
+				value: '1000000',
+				transactionHash: '0x' + 'ab'.repeat(32),
+			},
+		});
+	}
+
+	testValidSignature() {
+		console.log('\n🧪 Testing valid signature...');
+		const service = this.createService();
+		const body = this.buildBody('evt_valid');
+		const now = Date.now();
+		const result = service.verifyWebhookSignature(Buffer.from(body), this.sign(body, Math.floor(now / 1000)), { now });
+		this.assert('Accepts correctly signed body', result.valid, result);
+		this.assert('Uses payload eventId for replay cache', result.eventId === 'evt_valid', result);
+	}
+
+	testTamperedBody() {
+		console.log('\n🧪 Testing tampered body...');
+		const service = this.createService();
+		const body = this.buildBody('evt_tampered');
+		const now = Date.now();
+		const header = this.sign(body, Math.floor(now / 1000));
+		const tampered = body.replace('1000000', '9000000');
+		const result = service.verifyWebhookSignature(Buffer.from(tampered), header, { now });
+		this.assert('Rejects modified body', !result.valid && result.error === 'Invalid signature', result);
+	}
+
+	testWrongSecret() {
+		console.log('\n🧪 Testing wrong secret...');
+		const service = this.createService();
+		const body = this.buildBody('evt_wrong_secret');
+		const now = Date.now();
+		const result = service.verifyWebhookSignature(body, this.sign(body, Math.floor(now / 1000), 'other-secret'), { now });
+		this.assert('Rejects signature from another secret', !result.valid, result);
+	}
+
+	testMalformedHeader() {
+		console.log('\n🧪 Testing missing/malformed headers...');
+		const service = this.createService();
+		const body = this.buildBody('evt_malformed');
+		this.assert('Rejects missing header', !service.verifyWebhookSignature(body, undefined).valid);
+		this.assert('Rejects header without timestamp', !service.verifyWebhookSignature(body, 'v1=abcd').valid);
+		this.assert('Rejects header without v1', !service.verifyWebhookSignature(body, `t=${Math.floor(Date.now() / 1000)}`).valid);
+		this.assert('Rejects non-hex signature', !service.verifyWebhookSignature(body, `t=${Math.floor(Date.now() / 1000)},v1=zz`).valid);
+	}
+
+	testTimestampTolerance() {
+		console.log('\n🧪 Testing timestamp tolerance...');
+		const service = this.createService();
+		const now = Date.now();
+		const nowSeconds = Math.floor(now / 1000);
+
+		const oldBody = this.buildBody('evt_old');
+		const old = service.verifyWebhookSignature(oldBody, this.sign(oldBody, nowSeconds - 301), { now });
+		this.assert('Rejects timestamp older than tolerance', !old.valid && /tolerance/.test(old.error), old);
+
+		const futureBody = this.buildBody('evt_future');
+		const future = service.verifyWebhookSignature(futureBody, this.sign(futureBody, nowSeconds + 301), { now });
+		this.assert('Rejects timestamp too far in the future', !future.valid, future);
+
+		const edgeBody = this.buildBody('evt_edge');
+		const edge = service.verifyWebhookSignature(edgeBody, this.sign(edgeBody, nowSeconds - 299), { now });
+		this.assert('Accepts timestamp inside tolerance', edge.valid, edge);
+	}
+
+	testReplay() {
+		console.log('\n🧪 Testing replay protection...');
+		const service = this.createService();
+		const body = this.buildBody('evt_replay');
+		const now = Date.now();
+		const header = this.sign(body, Math.floor(now / 1000));
+
+		const first = service.verifyWebhookSignature(body, header, { now });
+		const second = service.verifyWebhookSignature(body, header, { now: now + 1000 });
+		this.assert('First delivery accepted', first.valid, first);
+		this.assert('Replay rejected', !second.valid && second.replay === true, second);
+
+		// Same event ID re-signed with a fresh timestamp is still a replay
+		const resigned = service.verifyWebhookSignature(body, this.sign(body, Math.floor(now / 1000) + 5), { now: now + 5000 });
+		this.assert('Re-signed replay rejected', !resigned.valid && resigned.replay === true, resigned);
+
+		// Forgetting the event (processing failed) lets the provider retry
+		service.forgetWebhookEvent(first.eventId);
+		const retry = service.verifyWebhookSignature(body, header, { now: now + 2000 });
+		this.assert('Retry accepted after forgetWebhookEvent', retry.valid, retry);
+
+		// Events without an ID fall back to the signature
+		const noIdBody = JSON.stringify({ eventType: 'erc20_transfer', data: {} });
+		const noIdHeader = this.sign(noIdBody, Math.floor(now / 1000));
+		const noIdFirst = service.verifyWebhookSignature(noIdBody, noIdHeader, { now });
+		const noIdSecond = service.verifyWebhookSignature(noIdBody, noIdHeader, { now });
+		this.assert('Replay without eventId rejected', noIdFirst.valid && !noIdSecond.valid, noIdSecond);
+	}
+
+	testCacheExpiry() {
+		console.log('\n🧪 Testing seen-event cache expiry...');
+		const service = this.createService();
+		const body = this.buildBody('evt_expiry');
+		const now = Date.now();
+		service.verifyWebhookSignature(body, this.sign(body, Math.floor(now / 1000)), { now });
+
+		const later = now + 601 * 1000;
+		service.pruneSeenWebhookEvents(later);
+		this.assert('Expired event IDs are pruned', !service.seenWebhookEvents.has('evt_expiry'));
+	}
+
+	testNoSecret() {
+		console.log('\n🧪 Testing missing secret...');
+		const service = new CDPWalletService({ webhookSecret: undefined });
+		service.webhookSecret = undefined;
+		const body = this.buildBody('evt_no_secret');
+		const result = service.verifyWebhookSignature(body, this.sign(body, Math.floor(Date.now() / 1000)));
+		this.assert('Rejects when no secret is configured', !result.valid, result);
+	}
+
+	runAllTests() {
+		console.log('🚀 Starting CDP Webhook Signature Tests...');
+
+		this.testValidSignature();
+		this.testTamperedBody();
+		this.testWrongSecret();
+		this.testMalformedHeader();
+		this.testTimestampTolerance();
+		this.testReplay();
+		this.testCacheExpiry();
+		this.testNoSecret();
+
+		this.finish();
+	}
+}
+
+// Run tests
+const test = new WebhookSignatureTest();
+test.runAllTests();
@@ -383,7 +383,20 @@ contract BookingManager is Ownable, ERC2771Context {
 		emit CheckInMissed(_bookingId);
 		emit DisputeRaised(_bookingId, "Missed check-in");
 	}
-	
+
+	/**
+	 * @dev Complete a checked-in booking and release the payout (can be called by anyone after check-out date)
+	 * @param _bookingId ID of the booking
+	 */
+	function completeBooking(uint256 _bookingId) external {
+		Booking storage booking = bookings[_bookingId];
+		require(booking.bookingId == _bookingId, "Booking does not exist");
+		require(booking.status == BookingStatus.CheckedIn, "Not checked in");
+		require(block.timestamp >= booking.checkOutDate, "Check-out date not reached");
+
+		_completeBooking(_bookingId);
+	}
+
 	/**
 	 * @dev Host resolves dispute
 	 * @param _bookingId ID of the booking
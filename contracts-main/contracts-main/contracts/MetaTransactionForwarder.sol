@@ -21,6 +21,13 @@ contract MetaTransactionForwarder is EIP712Domain {
 		uint256 deadline;
 	}
 
+	// Single call of a meta-transaction batch
+	struct Call {
+		address to;
+		uint256 value;
+		bytes data;
+	}
+
 	// Nonce mapping to prevent replay attacks
 	mapping(address => uint256) public nonces;
 
@@ -32,11 +39,25 @@ contract MetaTransactionForwarder is EIP712Domain {
 		uint256 nonce
 	);
 
+	event MetaTransactionBatchExecuted(
+		address indexed from,
+		uint256 callCount,
+		uint256 nonce
+	);
+
 	// EIP-712 type hash for MetaTransaction
 	bytes32 public constant META_TRANSACTION_TYPEHASH = keccak256(
 		"MetaTransaction(address from,address to,uint256 value,bytes data,uint256 nonce,uint256 deadline)"
 	);
 
+	// EIP-712 type hashes for MetaTransactionBatch
+	bytes32 public constant CALL_TYPEHASH = keccak256(
+		"Call(address to,uint256 value,bytes data)"
+	);
+	bytes32 public constant META_TRANSACTION_BATCH_TYPEHASH = keccak256(
+		"MetaTransactionBatch(address from,Call[] calls,uint256 nonce,uint256 deadline)Call(address to,uint256 value,bytes data)"
+	);
+
 	/**
 	 * @dev Execute a meta-transaction
 	 * @param _from The address that signed the transaction
@@ -80,7 +101,92 @@ contract MetaTransactionForwarder is EIP712Domain {
 
 		nonces[_from]++; // Increment nonce only after successful verification
 
-		// Execute the transaction with ERC-2771 style appended sender context
+		bytes memory returnData = _call(_from, _to, _value, _data);
+
+		emit MetaTransactionExecuted(_from, _to, _data, nonce);
+
+		return returnData;
+	}
+
+	/**
+	 * @dev Execute several calls signed as one meta-transaction
+	 * All calls run in order with the same appended sender; if any of them reverts the
+	 * whole batch reverts (e.g. an ERC-2612 permit followed by the call that spends it).
+	 * @param _from The address that signed the batch
+	 * @param _calls The calls to execute
+	 * @param _deadline The deadline for the batch
+	 * @param _signature The signature from the user
+	 */
+	function executeMetaTransactionBatch(
+		address _from,
+		Call[] calldata _calls,
+		uint256 _deadline,
+		bytes calldata _signature
+	) external payable returns (bytes[] memory) {
+		require(block.timestamp <= _deadline, "MetaTransaction: Transaction expired");
+		require(_from != address(0), "MetaTransaction: Invalid from address");
+		require(_calls.length > 0, "MetaTransaction: Empty batch");
+
+		uint256 nonce = nonces[_from]; // Shared with single meta-transactions
+		(bytes32 hash, uint256 totalValue) = _hashBatch(_from, _calls, nonce, _deadline);
+		require(msg.value == totalValue, "MetaTransaction: Value mismatch");
+
+		address signer = hash.recover(_signature);
+		require(signer == _from, "MetaTransaction: Invalid signature");
+
+		nonces[_from]++; // Increment nonce only after successful verification
+
+		bytes[] memory results = new bytes[](_calls.length);
+		for (uint256 i = 0; i < _calls.length; i++) {
+			results[i] = _call(_from, _calls[i].to, _calls[i].value, _calls[i].data);
+		}
+
+		emit MetaTransactionBatchExecuted(_from, _calls.length, nonce);
+
+		return results;
+	}
+
+	/**
+	 * @dev EIP-712 digest of a MetaTransactionBatch and the ETH its calls forward
+	 */
+	function _hashBatch(
+		address _from,
+		Call[] calldata _calls,
+		uint256 _nonce,
+		uint256 _deadline
+	) private view returns (bytes32 hash, uint256 totalValue) {
+		bytes32[] memory callHashes = new bytes32[](_calls.length);
+		for (uint256 i = 0; i < _calls.length; i++) {
+			callHashes[i] = keccak256(
+				abi.encode(
+					CALL_TYPEHASH,
+					_calls[i].to,
+					_calls[i].value,
+					keccak256(_calls[i].data)
+				)
+			);
+			totalValue += _calls[i].value;
+		}
+
+		bytes32 structHash = keccak256(
+			abi.encode(
+				META_TRANSACTION_BATCH_TYPEHASH,
+				_from,
+				keccak256(abi.encodePacked(callHashes)),
+				_nonce,
+				_deadline
+			)
+		);
+
+		hash = keccak256(
+			abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)
+		);
+	}
+
+	/**
+	 * @dev Call a target with ERC-2771 style appended sender context, bubbling up reverts
+	 */
+	function _call(address _from, address _to, uint256 _value, bytes calldata _data) private returns (bytes memory) {
 		bytes memory callData = abi.encodePacked(_data, _from);
 		(bool success, bytes memory returnData) = _to.call{value: _value}(callData);
 		if (!success) {
@@ -94,9 +200,6 @@ contract MetaTransactionForwarder is EIP712Domain {
 				revert("MetaTransaction: Transaction execution failed");
 			}
 		}
-
-		emit MetaTransactionExecuted(_from, _to, _data, nonce);
-
 		return returnData;
 	}
 
@@ -121,4 +224,11 @@ contract MetaTransactionForwarder is EIP712Domain {
 	function getMetaTransactionTypeHash() external pure returns (bytes32) {
 		return META_TRANSACTION_TYPEHASH;
 	}
+
+	/**
+	 * @dev Get the type hash for MetaTransactionBatch
+	 */
+	function getMetaTransactionBatchTypeHash() external pure returns (bytes32) {
+		return META_TRANSACTION_BATCH_TYPEHASH;
+	}
 } 
\ No newline at end of file
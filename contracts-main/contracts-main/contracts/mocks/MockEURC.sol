@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockEURC
+ * @dev Test stand-in for EURC: 6 decimals, ERC-2612 permit and open minting
+ */
+contract MockEURC is ERC20, ERC20Permit {
+	constructor() ERC20("EURC", "EURC") ERC20Permit("EURC") {}
+
+	function decimals() public pure override returns (uint8) {
+		return 6;
+	}
+
+	/**
+	 * @dev Mint tokens to an address
+	 * @param _to The recipient
+	 * @param _amount The amount (6 decimals)
+	 */
+	function mint(address _to, uint256 _amount) external {
+		_mint(_to, _amount);
+	}
+}
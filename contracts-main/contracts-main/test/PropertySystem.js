@@ -322,4 +322,317 @@ describe("Property Rental System", function () {
 			expect(escalatedBooking.status).to.equal(7); // EscalatedToAdmin status
 		});
 	});
-}); 
\ No newline at end of file
+}); 
+
+describe("MetaTransactionForwarder batches", function () {
+	const ONE_DAY = 24 * 60 * 60;
+	const TOTAL_AMOUNT = 300_000000n; // 300 EURC
+	const BOOKING_URI = "ipfs://booking";
+
+	const BATCH_TYPES = {
+		MetaTransactionBatch: [
+			{ name: "from", type: "address" },
+			{ name: "calls", type: "Call[]" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "deadline", type: "uint256" },
+		],
+		Call: [
+			{ name: "to", type: "address" },
+			{ name: "value", type: "uint256" },
+			{ name: "data", type: "bytes" },
+		],
+	};
+
+	let forwarder;
+	let eurc;
+	let propertyMarketplace;
+	let bookingManager;
+	let deployer;
+	let host;
+	let guest;
+	let relayer;
+	let treasury;
+	let propertyId;
+	let checkInDate;
+	let checkOutDate;
+	let deadline;
+
+	before(async function () {
+		[deployer, host, guest, relayer, treasury] = await ethers.getSigners();
+	});
+
+	beforeEach(async function () {
+		const MetaTransactionForwarder = await ethers.getContractFactory("MetaTransactionForwarder");
+		forwarder = await MetaTransactionForwarder.deploy();
+
+		const MockEURC = await ethers.getContractFactory("MockEURC");
+		eurc = await MockEURC.deploy();
+
+		const PropertyMarketplace = await ethers.getContractFactory("PropertyMarketplace");
+		propertyMarketplace = await PropertyMarketplace.deploy(deployer.address, await forwarder.getAddress());
+
+		const BookingManager = await ethers.getContractFactory("BookingManager");
+		bookingManager = await BookingManager.deploy(
+			await propertyMarketplace.getAddress(),
+			await forwarder.getAddress(),
+			await eurc.getAddress(),
+			treasury.address
+		);
+
+		const listTx = await propertyMarketplace.connect(host).listProperty("ipfs://property", 100_000000n, "Beach House", "BEACH");
+		const receipt = await listTx.wait();
+		const listed = receipt.logs
+			.map(log => { try { return propertyMarketplace.interface.parseLog(log); } catch (e) { return null; } })
+			.find(parsed => parsed && parsed.name === "PropertyListed");
+		propertyId = listed.args.propertyId;
+
+		await eurc.mint(guest.address, TOTAL_AMOUNT);
+
+		const latestBlock = await ethers.provider.getBlock("latest");
+		checkInDate = latestBlock.timestamp + 2 * ONE_DAY;
+		checkOutDate = checkInDate + 3 * ONE_DAY;
+		deadline = latestBlock.timestamp + 3600;
+	});
+
+	async function forwarderDomain() {
+		return {
+			name: "PropertyRental",
+			version: "1",
+			chainId: (await ethers.provider.getNetwork()).chainId,
+			verifyingContract: await forwarder.getAddress(),
+		};
+	}
+
+	// EIP-2612 permit for the BookingManager, as a forwarder call
+	async function permitCall(owner, amount) {
+		const { chainId } = await ethers.provider.getNetwork();
+		const spender = await bookingManager.getAddress();
+		const signature = await owner.signTypedData(
+			{ name: "EURC", version: "1", chainId, verifyingContract: await eurc.getAddress() },
+			{
+				Permit: [
+					{ name: "owner", type: "address" },
+					{ name: "spender", type: "address" },
+					{ name: "value", type: "uint256" },
+					{ name: "nonce", type: "uint256" },
+					{ name: "deadline", type: "uint256" },
+				],
+			},
+			{ owner: owner.address, spender, value: amount, nonce: await eurc.nonces(owner.address), deadline }
+		);
+		const { v, r, s } = ethers.Signature.from(signature);
+		return {
+			to: await eurc.getAddress(),
+			value: 0n,
+			data: eurc.interface.encodeFunctionData("permit", [owner.address, spender, amount, deadline, v, r, s]),
+		};
+	}
+
+	async function bookingCall(amount = TOTAL_AMOUNT) {
+		return {
+			to: await bookingManager.getAddress(),
+			value: 0n,
+			data: bookingManager.interface.encodeFunctionData("createBooking", [propertyId, checkInDate, checkOutDate, amount, BOOKING_URI]),
+		};
+	}
+
+	async function signBatch(signer, calls, nonce) {
+		const message = {
+			from: signer.address,
+			calls,
+			nonce: nonce ?? await forwarder.getNonce(signer.address),
+			deadline,
+		};
+		return signer.signTypedData(await forwarderDomain(), BATCH_TYPES, message);
+	}
+
+	it("Should execute a permit and a booking atomically in one transaction", async function () {
+		const calls = [await permitCall(guest, TOTAL_AMOUNT), await bookingCall()];
+		const signature = await signBatch(guest, calls);
+
+		await expect(forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, calls, deadline, signature))
+			.to.emit(forwarder, "MetaTransactionBatchExecuted")
+			.withArgs(guest.address, 2, 0)
+			.and.to.emit(bookingManager, "BookingCreated");
+
+		const booking = await bookingManager.bookings(1);
+		expect(booking.guest).to.equal(guest.address);
+		expect(booking.totalAmount).to.equal(TOTAL_AMOUNT);
+		expect(await eurc.balanceOf(await bookingManager.getAddress())).to.equal(TOTAL_AMOUNT);
+		// The permit was spent in full - no allowance left behind
+		expect(await eurc.allowance(guest.address, await bookingManager.getAddress())).to.equal(0);
+		expect(await forwarder.getNonce(guest.address)).to.equal(1);
+	});
+
+	it("Should revert the whole batch when one call fails", async function () {
+		// Booking asks for more than the permit allows
+		const calls = [await permitCall(guest, TOTAL_AMOUNT - 1n), await bookingCall()];
+		const signature = await signBatch(guest, calls);
+
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, calls, deadline, signature)
+		).to.be.reverted;
+
+		// The permit in the first call was rolled back too
+		expect(await eurc.allowance(guest.address, await bookingManager.getAddress())).to.equal(0);
+		expect(await eurc.nonces(guest.address)).to.equal(0);
+		expect(await forwarder.getNonce(guest.address)).to.equal(0);
+	});
+
+	it("Should bubble up the revert reason of a failing call", async function () {
+		await propertyMarketplace.connect(host).updateProperty(propertyId, 100_000000n, false);
+		const calls = [await permitCall(guest, TOTAL_AMOUNT), await bookingCall()];
+		const signature = await signBatch(guest, calls);
+
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, calls, deadline, signature)
+		).to.be.revertedWith("Property not active");
+	});
+
+	it("Should reject tampered calls and replayed batches", async function () {
+		const calls = [await permitCall(guest, TOTAL_AMOUNT), await bookingCall()];
+		const signature = await signBatch(guest, calls);
+
+		// Relayer swaps the booking amount
+		const tampered = [calls[0], await bookingCall(TOTAL_AMOUNT - 1n)];
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, tampered, deadline, signature)
+		).to.be.revertedWith("MetaTransaction: Invalid signature");
+
+		await forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, calls, deadline, signature);
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, calls, deadline, signature)
+		).to.be.revertedWith("MetaTransaction: Invalid signature");
+	});
+
+	it("Should share the nonce with single meta-transactions", async function () {
+		const calls = [await bookingCall()];
+		const staleSignature = await signBatch(guest, calls, 0);
+
+		// A single meta-transaction uses nonce 0 first
+		await eurc.connect(guest).approve(await bookingManager.getAddress(), TOTAL_AMOUNT);
+		const singleSignature = await guest.signTypedData(
+			await forwarderDomain(),
+			{
+				MetaTransaction: [
+					{ name: "from", type: "address" },
+					{ name: "to", type: "address" },
+					{ name: "value", type: "uint256" },
+					{ name: "data", type: "bytes" },
+					{ name: "nonce", type: "uint256" },
+					{ name: "deadline", type: "uint256" },
+				],
+			},
+			{ from: guest.address, ...calls[0], nonce: 0, deadline }
+		);
+		await forwarder.connect(relayer).executeMetaTransaction(guest.address, calls[0].to, 0, calls[0].data, deadline, singleSignature);
+
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, calls, deadline, staleSignature)
+		).to.be.revertedWith("MetaTransaction: Invalid signature");
+	});
+
+	it("Should reject empty, expired and underfunded batches", async function () {
+		const signature = await signBatch(guest, []);
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, [], deadline, signature)
+		).to.be.revertedWith("MetaTransaction: Empty batch");
+
+		const payable = [{ to: treasury.address, value: 1000n, data: "0x" }];
+		const payableSignature = await signBatch(guest, payable);
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, payable, deadline, payableSignature)
+		).to.be.revertedWith("MetaTransaction: Value mismatch");
+
+		await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+		await ethers.provider.send("evm_mine");
+		await expect(
+			forwarder.connect(relayer).executeMetaTransactionBatch(guest.address, payable, deadline, payableSignature, { value: 1000n })
+		).to.be.revertedWith("MetaTransaction: Transaction expired");
+	});
+});
+
+describe("BookingManager completion", function () {
+	const ONE_DAY = 24 * 60 * 60;
+	const TOTAL_AMOUNT = 300_000000n; // 300 EURC
+
+	let eurc;
+	let bookingManager;
+	let host;
+	let guest;
+	let keeper;
+	let treasury;
+	let bookingId;
+	let checkInDate;
+	let checkOutDate;
+
+	beforeEach(async function () {
+		let deployer;
+		[deployer, host, guest, keeper, treasury] = await ethers.getSigners();
+
+		const MetaTransactionForwarder = await ethers.getContractFactory("MetaTransactionForwarder");
+		const forwarder = await MetaTransactionForwarder.deploy();
+
+		const MockEURC = await ethers.getContractFactory("MockEURC");
+		eurc = await MockEURC.deploy();
+
+		const PropertyMarketplace = await ethers.getContractFactory("PropertyMarketplace");
+		const propertyMarketplace = await PropertyMarketplace.deploy(deployer.address, await forwarder.getAddress());
+
+		const BookingManager = await ethers.getContractFactory("BookingManager");
+		bookingManager = await BookingManager.deploy(
+			await propertyMarketplace.getAddress(),
+			await forwarder.getAddress(),
+			await eurc.getAddress(),
+			treasury.address
+		);
+
+		const listTx = await propertyMarketplace.connect(host).listProperty("ipfs://property", 100_000000n, "Beach House", "BEACH");
+		const listed = (await listTx.wait()).logs
+			.map(log => { try { return propertyMarketplace.interface.parseLog(log); } catch (e) { return null; } })
+			.find(parsed => parsed && parsed.name === "PropertyListed");
+
+		const latestBlock = await ethers.provider.getBlock("latest");
+		checkInDate = latestBlock.timestamp + 2 * ONE_DAY;
+		checkOutDate = checkInDate + 3 * ONE_DAY;
+
+		await eurc.mint(guest.address, TOTAL_AMOUNT);
+		await eurc.connect(guest).approve(await bookingManager.getAddress(), TOTAL_AMOUNT);
+		const bookTx = await bookingManager.connect(guest).createBooking(listed.args.propertyId, checkInDate, checkOutDate, TOTAL_AMOUNT, "ipfs://booking");
+		const created = (await bookTx.wait()).logs
+			.map(log => { try { return bookingManager.interface.parseLog(log); } catch (e) { return null; } })
+			.find(parsed => parsed && parsed.name === "BookingCreated");
+		bookingId = created.args.bookingId;
+	});
+
+	it("Should complete a checked-in booking after check-out date", async function () {
+		// Fast forward to check-in date
+		await ethers.provider.send("evm_setNextBlockTimestamp", [checkInDate]);
+		await ethers.provider.send("evm_mine");
+
+		await bookingManager.triggerCheckInWindow(bookingId);
+		await bookingManager.connect(guest).checkIn(bookingId);
+
+		// Not before check-out
+		await expect(bookingManager.connect(keeper).completeBooking(bookingId)).to.be.revertedWith("Check-out date not reached");
+
+		// Fast forward to check-out date
+		await ethers.provider.send("evm_setNextBlockTimestamp", [checkOutDate]);
+		await ethers.provider.send("evm_mine");
+
+		// Anyone (e.g. the backend keeper) can complete it
+		await bookingManager.connect(keeper).completeBooking(bookingId);
+
+		const booking = await bookingManager.bookings(bookingId);
+		expect(booking.status).to.equal(3); // Completed status
+		expect(await eurc.balanceOf(host.address)).to.equal(booking.hostAmount);
+		expect(await eurc.balanceOf(treasury.address)).to.equal(booking.platformFee);
+	});
+
+	it("Should not complete a booking that was never checked in", async function () {
+		await ethers.provider.send("evm_setNextBlockTimestamp", [checkOutDate]);
+		await ethers.provider.send("evm_mine");
+
+		await expect(bookingManager.connect(keeper).completeBooking(bookingId)).to.be.revertedWith("Not checked in");
+	});
+});
@@ -88,6 +88,7 @@ class DateRangePickerBox extends Component {
       numberOfMonths,
       regular,
       noBorder,
+      isDayBlocked,
     } = this.props;
 
     const addAllClasses = ['date_picker'];
@@ -118,6 +119,12 @@ class DateRangePickerBox extends Component {
       regular,
       noBorder,
     };
+    if (isDayBlocked) {
+      // Pass the in-progress selection (the parent only hears about full ranges). A new
+      // function per render makes react-dates recompute blocked days when availability loads.
+      defaultCalenderProps.isDayBlocked = (day) =>
+        isDayBlocked(day, { focusedInput, startDate });
+    }
 
     return (
       <ReactDatesStyleWrapper className={addAllClasses.join(' ')}>
@@ -148,6 +155,7 @@ DateRangePickerBox.propTypes = {
   regular: PropTypes.bool,
   noBorder: PropTypes.bool,
   updateSearchData: PropTypes.func,
+  isDayBlocked: PropTypes.func,
 };
 
 export default DateRangePickerBox;
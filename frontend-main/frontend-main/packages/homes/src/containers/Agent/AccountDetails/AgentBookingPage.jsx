@@ -1,6 +1,7 @@
 import React, { useContext, useEffect, useState } from 'react';
 import { AuthContext } from 'context/AuthProvider';
 import useDataApi from 'library/hooks/useDataApi';
+import useStatusStream from 'library/hooks/useStatusStream';
 import Container from 'components/UI/Container/Container';
 import Heading from 'components/UI/Heading/Heading';
 import Loader from 'components/Loader/Loader';
@@ -151,7 +152,7 @@ const ErrorMessage = styled.div`
 `;
 
 const AgentBookingPage = () => {
-  const { loggedIn, user: userInfo } = useContext(AuthContext);
+  const { loggedIn, user: userInfo, token } = useContext(AuthContext);
   const navigate = useNavigate();
   const [actionLoading, setActionLoading] = useState(null);
   const [successMsg, setSuccessMsg] = useState('');
@@ -172,6 +173,22 @@ const AgentBookingPage = () => {
     [],
   );
 
+  // Refresh when one of these bookings changes (on-chain transition synced to the CMS, or a cancellation)
+  useStatusStream({
+    token,
+    baseUrl: backendBaseUrl,
+    topics: ['booking'],
+    enabled: loggedIn,
+    onEvent: (type, update) => {
+      const affected = Array.isArray(bookingsData) && bookingsData.some((booking) =>
+        (update.bookingId && String(booking.blockchainBookingId) === String(update.bookingId))
+        || (update.documentId && booking.documentId === update.documentId));
+      if (affected) {
+        refetch();
+      }
+    },
+  });
+
   // Check if booking is ready for check-in (check-in date has passed)
   const canCheckIn = (booking) => {
     if (!booking.StartDate) return false;
@@ -202,9 +219,13 @@ const AgentBookingPage = () => {
     try {
       const response = await fetch(`${backendBaseUrl}/api/bookings/check-in`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
         body: JSON.stringify({
           bookingId: booking.blockchainBookingId,
+          chainId: booking.chainId,
           userId: userInfo?.id,
         }),
       });
@@ -213,7 +234,7 @@ const AgentBookingPage = () => {
 
       if (response.ok && result.success) {
         setSuccessMsg(`Check-in successful! You're all set for your stay.`);
-        // Refresh bookings
+        // Refresh bookings (the status stream also refreshes them once the check-in is confirmed on-chain)
         setTimeout(() => refetch(), 2000);
       } else {
         setErrorMsg(result.error || 'Check-in failed. Please try again.');
@@ -234,38 +255,30 @@ const AgentBookingPage = () => {
     setSuccessMsg('');
 
     try {
-      // If has blockchain record, cancel on-chain
-      if (booking.blockchainBookingId) {
-        const response = await fetch(`${backendBaseUrl}/api/bookings/cancel`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            bookingId: booking.blockchainBookingId,
-            userId: userInfo?.id,
-          }),
-        });
-
-        const result = await response.json();
-
-        if (!response.ok || !result.success) {
-          setErrorMsg(result.error || 'Cancellation failed.');
-          return;
-        }
-      }
-
-      // Update CMS status
-      await fetch(`${import.meta.env.VITE_APP_API_URL}proeprty-bookings/${booking.documentId}`, {
-        method: 'PUT',
+      // Backend cancels on-chain (if there is a blockchain record) and updates the CMS booking
+      const response = await fetch(`${backendBaseUrl}/api/bookings/cancel`, {
+        method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${import.meta.env.VITE_APP_API_TOKEN}`,
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
         },
         body: JSON.stringify({
-          data: { BookingStatus: 'Cancelled' },
+          bookingId: booking.blockchainBookingId || null,
+          documentId: booking.documentId,
+          chainId: booking.chainId,
+          userId: userInfo?.id,
         }),
       });
 
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        setErrorMsg(result.error || 'Cancellation failed.');
+        return;
+      }
+
       setSuccessMsg('Booking cancelled successfully.');
+      // Refresh bookings in case the status stream is not connected
       setTimeout(() => refetch(), 1000);
     } catch (error) {
       console.error('Cancel error:', error);
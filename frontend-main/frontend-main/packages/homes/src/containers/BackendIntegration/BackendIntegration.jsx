@@ -475,7 +475,10 @@ const BackendIntegration = () => {
 				setError('');
 				await fetch(`${backendBaseUrl}/api/reconcile`, {
 					method: 'POST',
-					headers: { 'Content-Type': 'application/json' },
+					headers: {
+						'Content-Type': 'application/json',
+						...(loggedIn && token ? { Authorization: `Bearer ${token}` } : {}),
+					},
 					body: JSON.stringify({ userAddress: address }),
 				});
 				await load();
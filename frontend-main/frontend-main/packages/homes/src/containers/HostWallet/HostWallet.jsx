@@ -1,6 +1,7 @@
 import React, { useEffect, useState, useContext, useCallback } from 'react';
 import styled from 'styled-components';
-import { Card, Button, Table, Tag, Spin, message, Tooltip, Progress } from 'antd';
+import { Card, Button, Table, Tag, Spin, message, Tooltip, Progress, DatePicker } from 'antd';
+import dayjs from 'dayjs';
 import {
   WalletOutlined,
   DollarOutlined,
@@ -11,6 +12,8 @@ import {
   ClockCircleOutlined,
   SafetyOutlined,
   BankOutlined,
+  DownloadOutlined,
+  FilePdfOutlined,
 } from '@ant-design/icons';
 import { AuthContext } from 'context/AuthProvider';
 
@@ -149,6 +152,18 @@ const SectionTitle = styled.h2`
   gap: 8px;
 `;
 
+const StatementBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 16px;
+
+  .statement-label {
+    color: #666;
+  }
+`;
+
 const EscrowCard = styled(Card)`
   margin-bottom: 24px;
   background: linear-gradient(135deg, #F18881 0%, #FBC82F 100%);
@@ -236,8 +251,11 @@ const WithdrawSection = styled.div`
 
 const backendBaseUrl = import.meta.env.VITE_BACKEND_BASE_URL || 'http://localhost:3000';
 
+// Backend routes are scoped to the signed-in user via the Strapi JWT
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
+
 const HostWalletPage = () => {
-  const { user, loggedIn } = useContext(AuthContext);
+  const { user, loggedIn, token } = useContext(AuthContext);
 
   const [loading, setLoading] = useState(true);
   const [walletData, setWalletData] = useState(null);
@@ -246,6 +264,8 @@ const HostWalletPage = () => {
   const [payoutHistory, setPayoutHistory] = useState([]);
   const [creatingWallet, setCreatingWallet] = useState(false);
   const [processingPayout, setProcessingPayout] = useState(false);
+  const [statementRange, setStatementRange] = useState([dayjs().startOf('year'), dayjs()]);
+  const [downloadingStatement, setDownloadingStatement] = useState(null);
 
   const userId = user?.id;
 
@@ -254,7 +274,9 @@ const HostWalletPage = () => {
     if (!userId) return;
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/host/wallet/${userId}`);
+      const response = await fetch(`${backendBaseUrl}/api/host/wallet/${userId}`, {
+        headers: authHeaders(token),
+      });
       if (response.ok) {
         const data = await response.json();
         setWalletData(data);
@@ -262,14 +284,16 @@ const HostWalletPage = () => {
     } catch (error) {
       console.error('Error fetching wallet:', error);
     }
-  }, [userId]);
+  }, [userId, token]);
 
   // Fetch payout status
   const fetchPayoutStatus = useCallback(async () => {
     if (!userId) return;
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/payouts/status/${userId}`);
+      const response = await fetch(`${backendBaseUrl}/api/payouts/status/${userId}`, {
+        headers: authHeaders(token),
+      });
       if (response.ok) {
         const data = await response.json();
         setPayoutStatus(data);
@@ -277,14 +301,16 @@ const HostWalletPage = () => {
     } catch (error) {
       console.error('Error fetching payout status:', error);
     }
-  }, [userId]);
+  }, [userId, token]);
 
   // Fetch escrow data
   const fetchEscrowData = useCallback(async () => {
     if (!userId) return;
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/payouts/escrow/${userId}`);
+      const response = await fetch(`${backendBaseUrl}/api/payouts/escrow/${userId}`, {
+        headers: authHeaders(token),
+      });
       if (response.ok) {
         const data = await response.json();
         setEscrowData(data);
@@ -292,14 +318,16 @@ const HostWalletPage = () => {
     } catch (error) {
       console.error('Error fetching escrow data:', error);
     }
-  }, [userId]);
+  }, [userId, token]);
 
   // Fetch payout history
   const fetchPayoutHistory = useCallback(async () => {
     if (!userId) return;
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/payouts/history/${userId}`);
+      const response = await fetch(`${backendBaseUrl}/api/payouts/history/${userId}`, {
+        headers: authHeaders(token),
+      });
       if (response.ok) {
         const data = await response.json();
         setPayoutHistory(data.payouts || []);
@@ -307,7 +335,7 @@ const HostWalletPage = () => {
     } catch (error) {
       console.error('Error fetching payout history:', error);
     }
-  }, [userId]);
+  }, [userId, token]);
 
   // Load all data
   useEffect(() => {
@@ -334,7 +362,7 @@ const HostWalletPage = () => {
       // Create wallet
       const createResponse = await fetch(`${backendBaseUrl}/api/host/wallet/create`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
         body: JSON.stringify({ userId }),
       });
 
@@ -348,7 +376,7 @@ const HostWalletPage = () => {
       // Auto-set preference to CDP wallet
       await fetch(`${backendBaseUrl}/api/payouts/preference/${userId}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
         body: JSON.stringify({ payoutPreference: 'cdp_wallet' }),
       });
 
@@ -373,7 +401,7 @@ const HostWalletPage = () => {
     try {
       const response = await fetch(`${backendBaseUrl}/api/payouts/manual`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
         body: JSON.stringify({ userId }),
       });
 
@@ -393,6 +421,43 @@ const HostWalletPage = () => {
     }
   };
 
+  // Download the earnings statement (CSV or PDF) for the selected period
+  const handleDownloadStatement = async (format) => {
+    const [from, to] = statementRange || [];
+    if (!from || !to) {
+      message.warning('Please select a period');
+      return;
+    }
+
+    setDownloadingStatement(format);
+    try {
+      const params = new URLSearchParams({
+        from: from.format('YYYY-MM-DD'),
+        to: to.format('YYYY-MM-DD'),
+        format,
+      });
+      const response = await fetch(`${backendBaseUrl}/api/payouts/statement/${userId}?${params}`, {
+        headers: authHeaders(token),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to download statement');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `atlasora-statement-${params.get('from')}-${params.get('to')}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      message.error(error.message || 'Error downloading statement');
+    } finally {
+      setDownloadingStatement(null);
+    }
+  };
+
   // Copy address to clipboard
   const copyAddress = (address) => {
     navigator.clipboard.writeText(address);
@@ -704,6 +769,30 @@ const HostWalletPage = () => {
           Payout History
         </SectionTitle>
 
+        <StatementBar>
+          <span className="statement-label">Earnings statement</span>
+          <DatePicker.RangePicker
+            value={statementRange}
+            onChange={setStatementRange}
+            allowClear={false}
+            disabledDate={(date) => date.isAfter(dayjs(), 'day')}
+          />
+          <Button
+            icon={<DownloadOutlined />}
+            loading={downloadingStatement === 'csv'}
+            onClick={() => handleDownloadStatement('csv')}
+          >
+            CSV
+          </Button>
+          <Button
+            icon={<FilePdfOutlined />}
+            loading={downloadingStatement === 'pdf'}
+            onClick={() => handleDownloadStatement('pdf')}
+          >
+            PDF
+          </Button>
+        </StatementBar>
+
         {payoutHistory.length > 0 ? (
           <Table
             dataSource={payoutHistory}
@@ -5,6 +5,7 @@ import { Button, Divider, Modal, Spin, message } from 'antd';
 import { CopyOutlined, CheckCircleOutlined, LoadingOutlined } from '@ant-design/icons';
 import moment from 'moment';
 import useDataApi from 'library/hooks/useDataApi';
+import useStatusStream from 'library/hooks/useStatusStream';
 import resolveURL from 'library/helpers/resolveURL';
 import { AuthContext } from 'context/AuthProvider';
 import formatPrice from 'library/helpers/formatPrice';
@@ -93,14 +94,13 @@ const StatusBadge = styled.div`
 const PaymentPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { loggedIn, user } = useContext(AuthContext);
+  const { loggedIn, user, token } = useContext(AuthContext);
 
   // EURC payment state
   const [eurcModalOpen, setEurcModalOpen] = useState(false);
   const [eurcPayment, setEurcPayment] = useState(null);
   const [eurcLoading, setEurcLoading] = useState(false);
   const [eurcStatus, setEurcStatus] = useState(null);
-  const [eurcPollingInterval, setEurcPollingInterval] = useState(null);
 
   const searchParams = new URLSearchParams(location.search);
   const startDate = searchParams.get('startDate');
@@ -137,16 +137,95 @@ const PaymentPage = () => {
     }
   }, [loggedIn, navigate]);
 
+  // Server-side price quote - both payment methods charge exactly this
+  const [quote, setQuote] = useState(null);
+  const [quoteId, setQuoteId] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  const quotePropertyId = Array.isArray(data) && data[0]
+    ? data[0].BlockchainPropertyId || data[0].documentId
+    : null;
+
+  const requestQuote = useCallback(async () => {
+    const res = await fetch(`${backendBaseUrl}/api/quotes`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({
+        userId: user.id,
+        propertyId: quotePropertyId,
+        checkInDate: Math.floor(moment(startDate, 'MM-DD-YYYY').valueOf() / 1000),
+        checkOutDate: Math.floor(moment(endDate, 'MM-DD-YYYY').valueOf() / 1000),
+        guests: parseInt(guest),
+        rooms: parseInt(room),
+      }),
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok || !payload.quoteId) {
+      throw new Error(payload.error || 'Failed to price this stay');
+    }
+    setQuote(payload.quote);
+    setQuoteId(payload.quoteId);
+    setQuoteError(null);
+    return payload.quoteId;
+  }, [backendBaseUrl, token, user?.id, quotePropertyId, startDate, endDate, guest, room]);
 
-
-  // Clean up EURC polling on unmount
   useEffect(() => {
-    return () => {
-      if (eurcPollingInterval) {
-        clearInterval(eurcPollingInterval);
+    if (!loggedIn || !user?.id || !quotePropertyId || !startDate || !endDate) return;
+    requestQuote().catch((error) => {
+      console.error('Quote error:', error);
+      setQuoteError(error.message);
+    });
+  }, [loggedIn, user?.id, quotePropertyId, startDate, endDate, requestQuote]);
+
+
+  // Apply an EURC payment status (from the status stream or a direct lookup)
+  const handleEURCStatus = useCallback((status) => {
+    if (status.status === 'completed') {
+      // Payment confirmed! Backend has already created the on-chain booking and CMS record
+      setEurcStatus('completed');
+      message.success('Booking confirmed!');
+
+      setTimeout(() => {
+        setEurcModalOpen(false);
+        navigate('/thank-you');
+      }, 1500);
+    } else if (status.status === 'expired') {
+      setEurcStatus('expired');
+      message.warning('Payment session expired. Please try again.');
+    } else if (status.status === 'failed') {
+      setEurcStatus('error');
+      message.error(status.error || 'Booking could not be created. Please contact support.');
+    } else if (['confirming', 'processing'].includes(status.status)) {
+      setEurcStatus('confirming');
+    }
+  }, [navigate]);
+
+  // Live EURC payment updates while a payment is open
+  const eurcPaymentId = eurcPayment?.paymentId;
+  const { connected: eurcStreamConnected } = useStatusStream({
+    token,
+    baseUrl: backendBaseUrl,
+    topics: ['payment'],
+    enabled: !!eurcPaymentId && ['pending', 'confirming'].includes(eurcStatus),
+    onEvent: (type, status) => {
+      if (status.paymentId === eurcPaymentId) {
+        handleEURCStatus(status);
       }
-    };
-  }, [eurcPollingInterval]);
+    },
+  });
+
+  // Catch up on changes made while the stream was (re)connecting
+  useEffect(() => {
+    if (!eurcStreamConnected || !eurcPaymentId) return;
+    fetch(`${backendBaseUrl}/api/payments/crypto/status/${eurcPaymentId}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((status) => status && handleEURCStatus(status))
+      .catch((error) => console.error('Error fetching EURC payment status:', error));
+  }, [eurcStreamConnected, eurcPaymentId, backendBaseUrl, token, handleEURCStatus]);
 
   if (!loggedIn) {
     return null;
@@ -181,10 +260,22 @@ const PaymentPage = () => {
       )
       : 0;
 
-  const total = nights * price;
+  // Prefer the server quote (minor units); the local estimate only shows while it loads
+  const amounts = quote?.amounts;
+  const displayCurrency = quote?.currency || currency;
+  const total = amounts ? amounts.subtotal / 100 : nights * price;
   // AtlasFees is a percentage (e.g., 3 means 3%), not a flat fee
-  const feesTotal = total * (atlasfees / 100);
-  const totalWithCleaningFee = total + feesTotal + cleaningfee;
+  const feesTotal = amounts ? amounts.atlasFee / 100 : total * (atlasfees / 100);
+  const cleaningTotal = amounts ? amounts.cleaningFee / 100 : cleaningfee;
+  const totalWithCleaningFee = amounts ? amounts.total / 100 : total + feesTotal + cleaningfee;
+
+  // Quotes expire; fetch a fresh one right before paying if needed
+  const getValidQuoteId = async () => {
+    if (quoteId && quote?.expiresAt * 1000 > Date.now() + 30000) {
+      return quoteId;
+    }
+    return requestQuote();
+  };
 
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
@@ -208,36 +299,18 @@ const PaymentPage = () => {
     setEurcStatus('initializing');
 
     try {
-      const prop = data[0];
-      const blockchainPropertyId = prop.BlockchainPropertyId;
-
-      // Total in EURC (6 decimals) - prices are in EUR which matches EURC 1:1
-      const totalEURC = totalWithCleaningFee;
-      const totalEURCBase = BigInt(Math.floor(totalEURC * 1e6)).toString();
+      const currentQuoteId = await getValidQuoteId();
 
-      const checkInTs = Math.floor(moment(startDate, 'MM-DD-YYYY').valueOf() / 1000);
-      const checkOutTs = Math.floor(moment(endDate, 'MM-DD-YYYY').valueOf() / 1000);
-
-      // Initialize EURC payment session - get unique payment address
+      // Initialize EURC payment session - get unique payment address (amount comes from the quote)
       const res = await fetch(`${backendBaseUrl}/api/payments/eurc/init`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
         body: JSON.stringify({
           userId: user.id,
-          propertyId: blockchainPropertyId,
-          checkInDate: checkInTs,
-          checkOutDate: checkOutTs,
-          totalAmountEURC: totalEURCBase,
-          metadata: {
-            propertyTitle: prop.Title,
-            cmsPropertyId: prop.documentId,
-            guests: parseInt(guest),
-            rooms: parseInt(room),
-            pricePerNight: price,
-            atlasFee: atlasfees,
-            cleaningFee: cleaningfee,
-            nights: nights,
-          },
+          quoteId: currentQuoteId,
         }),
       });
 
@@ -247,15 +320,10 @@ const PaymentPage = () => {
       }
 
       const payment = await res.json();
+      // Status updates arrive over the status stream (see useStatusStream above)
       setEurcPayment(payment);
       setEurcStatus('pending');
 
-      // Start polling for payment status
-      const interval = setInterval(() => {
-        pollEURCPaymentStatus(payment.paymentId);
-      }, 5000);
-      setEurcPollingInterval(interval);
-
     } catch (error) {
       console.error('EURC payment init error:', error);
       message.error(error.message || 'Failed to initialize EURC payment');
@@ -265,48 +333,7 @@ const PaymentPage = () => {
     }
   };
 
-  // Poll for EURC payment status
-  const pollEURCPaymentStatus = async (paymentId) => {
-    try {
-      const res = await fetch(`${backendBaseUrl}/api/payments/crypto/status/${paymentId}`);
-      if (!res.ok) return;
-
-      const status = await res.json();
-
-      if (status.status === 'completed') {
-        // Payment confirmed! Backend has already created the on-chain booking and CMS record
-        if (eurcPollingInterval) {
-          clearInterval(eurcPollingInterval);
-          setEurcPollingInterval(null);
-        }
-
-        setEurcStatus('completed');
-        message.success('Booking confirmed!');
-
-        setTimeout(() => {
-          setEurcModalOpen(false);
-          navigate('/thank-you');
-        }, 1500);
-      } else if (status.status === 'expired') {
-        if (eurcPollingInterval) {
-          clearInterval(eurcPollingInterval);
-          setEurcPollingInterval(null);
-        }
-        setEurcStatus('expired');
-        message.warning('Payment session expired. Please try again.');
-      } else if (status.status === 'confirming') {
-        setEurcStatus('confirming');
-      }
-    } catch (error) {
-      console.error('Error polling EURC payment status:', error);
-    }
-  };
-
   const closeEurcModal = () => {
-    if (eurcPollingInterval) {
-      clearInterval(eurcPollingInterval);
-      setEurcPollingInterval(null);
-    }
     setEurcModalOpen(false);
     setEurcPayment(null);
     setEurcStatus(null);
@@ -354,7 +381,7 @@ const PaymentPage = () => {
     }
   };
 
-  const startRevolutHostedCheckout = async () => {
+  const startHostedCheckout = async () => {
     try {
       if (!backendBaseUrl) {
         alert('Backend URL not configured. Please set VITE_BACKEND_BASE_URL');
@@ -374,44 +401,26 @@ const PaymentPage = () => {
         room,
         propertyId: propIdForCheckout,
         slug,
-        revolut_status: 'success',
+        status: 'success',
       }).toString()}`;
       console.log('[Payment] Generated successUrl:', successUrl);
       const cancelUrl = `${window.location.href}`;
-      console.debug('[payments] starting Revolut checkout', { endpoint: `${paymentsServerUrl}/payments/revolut/checkout`, successUrl, cancelUrl });
+      console.debug('[payments] starting hosted checkout', { endpoint: `${paymentsServerUrl}/payments/checkout`, successUrl, cancelUrl });
 
-      const prop = data[0];
-      const blockchainPropertyId = prop.BlockchainPropertyId;
-      const checkInTs = Math.floor(moment(startDate, 'MM-DD-YYYY').valueOf() / 1000);
-      const checkOutTs = Math.floor(moment(endDate, 'MM-DD-YYYY').valueOf() / 1000);
+      const currentQuoteId = await getValidQuoteId();
 
       const controller = new AbortController();
       const timer = setTimeout(() => controller.abort(), 15000);
-      const res = await fetch(`${paymentsServerUrl}/payments/revolut/checkout`, {
+      // The payments server picks Revolut or Stripe for the currency
+      const res = await fetch(`${paymentsServerUrl}/payments/checkout`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
+        // Amount, currency and stay are taken from the quote by the payments server
         body: JSON.stringify({
-          amount: totalWithCleaningFee,
-          currency,
+          quoteId: currentQuoteId,
           description: `Booking for ${title}`,
           successUrl,
           cancelUrl,
-          metadata: {
-            userId: user?.id,
-            propertyId: blockchainPropertyId, // Blockchain property ID for on-chain booking
-            cmsPropertyId: propIdForCheckout, // CMS document ID
-            checkInDate: checkInTs,
-            checkOutDate: checkOutTs,
-            startDate,
-            endDate,
-            guest,
-            room,
-            slug,
-            pricePerNight: price,
-            atlasFee: atlasfees,
-            cleaningFee: cleaningfee,
-            propertyTitle: title,
-          },
         }),
         signal: controller.signal,
       });
@@ -419,7 +428,7 @@ const PaymentPage = () => {
 
       if (!res.ok) {
         const err = await res.json().catch(() => ({}));
-        console.error('Failed to create Revolut checkout', err);
+        console.error('Failed to create checkout', err);
         alert('Failed to start payment.');
         return;
       }
@@ -433,9 +442,9 @@ const PaymentPage = () => {
       }
       window.location.assign(redirectUrl);
     } catch (e) {
-      console.error('Revolut checkout error', e);
+      console.error('Checkout error', e);
       const aborted = e?.name === 'AbortError';
-      alert(aborted ? 'Payment server did not respond in time. Please try again.' : 'Failed to start Revolut payment.');
+      alert(aborted ? 'Payment server did not respond in time. Please try again.' : 'Failed to start card payment.');
     }
   };
 
@@ -469,17 +478,20 @@ const PaymentPage = () => {
             <strong>Rooms:</strong> {room}
           </p>
           <p>
-            <strong>Price:</strong> {formatPrice(price, currency)} × {nights} nights = {formatPrice(total, currency)}
+            <strong>Price:</strong> {formatPrice(amounts ? amounts.pricePerNight / 100 : price, displayCurrency)} × {quote?.nights ?? nights} nights = {formatPrice(total, displayCurrency)}
           </p>
           <p>
-            <strong>Atlas Fees:</strong> {formatPrice(feesTotal, currency)}
+            <strong>Atlas Fees:</strong> {formatPrice(feesTotal, displayCurrency)}
           </p>
           <p>
-            <strong>Cleaning Fee:</strong> {formatPrice(cleaningfee, currency)}
+            <strong>Cleaning Fee:</strong> {formatPrice(cleaningTotal, displayCurrency)}
           </p>
           <p>
-            <strong>Total:</strong> {formatPrice(totalWithCleaningFee, currency)}
+            <strong>Total:</strong> {formatPrice(totalWithCleaningFee, displayCurrency)}
           </p>
+          {quoteError && (
+            <p style={{ color: '#f5222d' }}>{quoteError}</p>
+          )}
         </SummaryBox>
       </Section>
 
@@ -490,6 +502,7 @@ const PaymentPage = () => {
           type="primary"
           size="large"
           onClick={startEURCPayment}
+          disabled={!!quoteError}
           style={{ marginRight: 12, background: '#0052FF' }}
         >
           Pay with EURC
@@ -497,7 +510,8 @@ const PaymentPage = () => {
         <Button
           type="primary"
           size="large"
-          onClick={startRevolutHostedCheckout}
+          onClick={startHostedCheckout}
+          disabled={!!quoteError}
         >
           Pay with Credit Card
         </Button>
@@ -19,6 +19,7 @@ import ReservationFormWrapper, {
 } from './Reservation.style';
 
 const PARAMS_KEY = 'listing_search_params';
+const DAY_FORMAT = 'YYYY-MM-DD';
 
 // ✅ Accept props
 const RenderReservationForm = ({ propertyId, slug, pricePerNightEth }) => {
@@ -37,6 +38,42 @@ const RenderReservationForm = ({ propertyId, slug, pricePerNightEth }) => {
     room: 0,
     guest: 0,
   });
+  // Booked night ranges [{ start, end }] (end = checkout day, free again)
+  const [blockedRanges, setBlockedRanges] = useState([]);
+
+  useEffect(() => {
+    if (!propertyId) return;
+    let cancelled = false;
+    fetch(`${backendBaseUrl}/api/properties/${encodeURIComponent(propertyId)}/availability`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled && Array.isArray(data?.blocked)) setBlockedRanges(data.blocked);
+      })
+      .catch((e) => console.warn('[booking] availability lookup failed', e));
+    return () => {
+      cancelled = true;
+    };
+  }, [propertyId, backendBaseUrl]);
+
+  const isNightBooked = (day) => {
+    const date = day.format(DAY_FORMAT);
+    return blockedRanges.some((range) => date >= range.start && date < range.end);
+  };
+
+  // Range overlaps a booking (same rule as BookingManager.hasBookingConflict)
+  const hasBookedNight = (startDate, endDate) => {
+    const start = startDate.format(DAY_FORMAT);
+    const end = endDate.format(DAY_FORMAT);
+    return blockedRanges.some((range) => start < range.end && end > range.start);
+  };
+
+  const isDayBlocked = (day, { focusedInput, startDate }) => {
+    // A booked day can still be the checkout day, as long as no night in between is booked
+    if (focusedInput === 'endDate' && startDate && day.isAfter(startDate, 'day')) {
+      return hasBookedNight(startDate, day);
+    }
+    return isNightBooked(day);
+  };
 
   useEffect(() => {
     const stored = localStorage.getItem(PARAMS_KEY);
@@ -124,6 +161,10 @@ const RenderReservationForm = ({ propertyId, slug, pricePerNightEth }) => {
       alert('Please select start and end dates.');
       return;
     }
+    if (hasBookedNight(startDate, endDate)) {
+      alert('Some of the selected nights are already booked. Please choose other dates.');
+      return;
+    }
 
     // ✅ Add id and slug to query
     const queryParams = new URLSearchParams({
@@ -210,6 +251,7 @@ const RenderReservationForm = ({ propertyId, slug, pricePerNightEth }) => {
           updateSearchData={updateSearchDataFunc}
           startDate={formState.startDate}
           endDate={formState.endDate}
+          isDayBlocked={isDayBlocked}
         />
       </FieldWrapper>
 
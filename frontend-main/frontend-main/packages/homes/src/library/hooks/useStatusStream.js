@@ -0,0 +1,103 @@
+// src/library/hooks/useStatusStream.js
+import { useEffect, useRef, useState } from 'react';
+
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Subscribe to the backend status stream (GET /api/stream, server-sent events).
+ *
+ * Read with fetch instead of EventSource so the Authorization header can be sent.
+ * Reconnects with backoff until the component unmounts or `enabled` turns false.
+ *
+ * @param {Object} options
+ * @param {string} options.token - Strapi JWT of the signed-in user
+ * @param {string} [options.baseUrl] - Backend URL (defaults to VITE_BACKEND_BASE_URL)
+ * @param {string[]} [options.topics] - 'payment' and/or 'booking'
+ * @param {boolean} [options.enabled]
+ * @param {(type: string, data: Object) => void} options.onEvent
+ * @returns {{ connected: boolean }}
+ */
+export default function useStatusStream({
+  token,
+  baseUrl = import.meta.env.VITE_BACKEND_BASE_URL || '',
+  topics = [],
+  enabled = true,
+  onEvent,
+}) {
+  const [connected, setConnected] = useState(false);
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  const topicsParam = topics.join(',');
+
+  useEffect(() => {
+    if (!enabled || !token) return undefined;
+
+    const controller = new AbortController();
+    let retryDelay = 1000;
+    let retryTimer = null;
+
+    const dispatch = (frame) => {
+      let type = 'message';
+      const data = [];
+      frame.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (!data.length) return; // comment / heartbeat
+      try {
+        onEventRef.current?.(type, JSON.parse(data.join('\n')));
+      } catch (e) {
+        console.error('[useStatusStream] bad event:', e.message);
+      }
+    };
+
+    const connect = async () => {
+      try {
+        const query = topicsParam ? `?topics=${encodeURIComponent(topicsParam)}` : '';
+        const res = await fetch(`${baseUrl}/api/stream${query}`, {
+          headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` },
+          signal: controller.signal,
+        });
+        if (!res.ok || !res.body) {
+          throw new Error(`HTTP error ${res.status}`);
+        }
+
+        setConnected(true);
+        retryDelay = 1000;
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+          }
+        }
+      } catch (e) {
+        if (controller.signal.aborted) return;
+        console.warn('[useStatusStream] stream error:', e.message);
+      }
+
+      setConnected(false);
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+      setConnected(false);
+    };
+  }, [baseUrl, token, topicsParam, enabled]);
+
+  return { connected };
+}
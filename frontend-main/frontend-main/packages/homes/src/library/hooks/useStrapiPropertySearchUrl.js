@@ -5,6 +5,7 @@
 */
 
 import { useMemo } from 'react';
+import moment from 'moment';
 
 const slugToName = (slug) =>
   slug
@@ -12,6 +13,16 @@ const slugToName = (slug) =>
     .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
     .join(' ');
 
+// date_range is `start|end` from the home search and `start,end` from the listing filters
+const parseDateRange = (value) => {
+  if (!value) return null;
+  const [start, end] = value
+    .split(/[|,]/)
+    .map((d) => moment(d, ['MM-DD-YYYY', 'YYYY-MM-DD'], true));
+  if (!start?.isValid() || !end?.isValid() || !end.isAfter(start, 'day')) return null;
+  return { checkIn: start.format('YYYY-MM-DD'), checkOut: end.format('YYYY-MM-DD') };
+};
+
 export default function useStrapiPropertySearchUrl(search) {
   const url = useMemo(() => {
     if (!search) return null;
@@ -20,8 +31,7 @@ export default function useStrapiPropertySearchUrl(search) {
     const filterParams = [];
 
     const address = queryParams.get('address');
-    //todo: add the date range later when the booking engine is in place
-    const dateRange = queryParams.get('date_range');
+    const dateRange = parseDateRange(queryParams.get('date_range'));
     const room = queryParams.get('room');
     const guest = queryParams.get('guest');
     const price = queryParams.get('price');
@@ -77,6 +87,17 @@ export default function useStrapiPropertySearchUrl(search) {
       'populate[property_type]=true',
     ];
 
+    // Strapi filters cannot express "no overlapping booking", so dated searches go through
+    // the backend, which builds the same Strapi query from these filters and drops booked properties
+    if (dateRange) {
+      const backendBaseUrl = import.meta.env.VITE_BACKEND_BASE_URL || 'http://localhost:3000';
+      const searchParams = new URLSearchParams(dateRange);
+      Object.entries({ address, room, guest, price, property, amenities }).forEach(([key, value]) => {
+        if (value) searchParams.set(key, value);
+      });
+      return `${backendBaseUrl}/api/properties/search?${searchParams}`;
+    }
+
     const baseUrl = import.meta.env.VITE_APP_API_URL;
     return `${baseUrl}properties?` + [...filterParams, ...populate].join('&');
   }, [search]);
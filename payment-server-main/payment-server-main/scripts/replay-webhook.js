@@ -0,0 +1,89 @@
+// Replay a recorded provider webhook payload against a local payments server.
+//
+// Usage:
+//   node scripts/replay-webhook.js fixtures/revolut/webhooks/order-completed.json [--order-id <id>] [--url <webhook url>]
+//   node scripts/replay-webhook.js fixtures/stripe/webhooks/checkout-session-completed.json --provider stripe
+//
+// The payload is signed the same way the provider does, using REVOLUT_WEBHOOK_SECRET /
+// STRIPE_WEBHOOK_SECRET (or the mock secret when MOCK_PAYMENTS=true). Use --order-id to
+// target an order created by the mock checkout. The provider defaults to the fixture's
+// parent directory name.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { signRevolutPayload } from '../src/providers/revolut.js';
+import { signStripePayload } from '../src/providers/stripe.js';
+
+const PROVIDERS = {
+  revolut: {
+    secretEnv: 'REVOLUT_WEBHOOK_SECRET',
+    setOrderId: (payload, orderId) => { payload.order_id = orderId; },
+    describe: (payload) => `${payload.event} ${payload.order_id}`,
+    headers: (body, secret) => {
+      const timestamp = String(Date.now());
+      return {
+        'Revolut-Request-Timestamp': timestamp,
+        'Revolut-Signature': signRevolutPayload(body, timestamp, secret),
+      };
+    },
+  },
+  stripe: {
+    secretEnv: 'STRIPE_WEBHOOK_SECRET',
+    setOrderId: (payload, orderId) => { payload.data.object.id = orderId; },
+    describe: (payload) => `${payload.type} ${payload.data?.object?.id}`,
+    headers: (body, secret) => ({
+      'Stripe-Signature': signStripePayload(body, Math.floor(Date.now() / 1000), secret),
+    }),
+  },
+};
+
+const options = {};
+let file;
+for (let i = 2; i < process.argv.length; i++) {
+  const arg = process.argv[i];
+  if (arg.startsWith('--')) {
+    options[arg.slice(2)] = process.argv[++i];
+  } else {
+    file = arg;
+  }
+}
+
+if (!file) {
+  console.error('Usage: node scripts/replay-webhook.js <payload.json> [--provider revolut|stripe] [--order-id <id>] [--url <webhook url>]');
+  process.exit(1);
+}
+
+const providerName = options.provider || path.basename(path.dirname(path.dirname(path.resolve(file))));
+const provider = PROVIDERS[providerName];
+if (!provider) {
+  console.error(`Unknown provider "${providerName}", pass --provider revolut|stripe`);
+  process.exit(1);
+}
+
+const secret = process.env[provider.secretEnv] || (process.env.MOCK_PAYMENTS === 'true' ? 'mock_webhook_secret' : undefined);
+if (!secret) {
+  console.error(`Set ${provider.secretEnv} (or MOCK_PAYMENTS=true) to sign the payload`);
+  process.exit(1);
+}
+
+const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+const orderId = options['order-id'];
+if (orderId) {
+  provider.setOrderId(payload, orderId);
+}
+
+const url = options.url || `http://localhost:${process.env.PORT || 3001}/payments/${providerName}/webhook`;
+const body = JSON.stringify(payload);
+
+const res = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...provider.headers(body, secret),
+  },
+  body,
+});
+
+console.log(`[replay] ${provider.describe(payload)} -> ${res.status}`);
+console.log(await res.text());
+process.exit(res.ok ? 0 : 1);
@@ -9,95 +9,494 @@ const __dirname = path.dirname(__filename);
 // Load from local .env
 dotenv.config();
 
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
+import { createProviders, selectProvider, parseCurrencyRouting, DEFAULT_PROVIDER } from './providers/index.js';
+import { OrderLedger } from './order-ledger.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const REVOLUT_API_KEY = process.env.REVOLUT_API_KEY;
+const MOCK_PAYMENTS = process.env.MOCK_PAYMENTS === 'true';
+// Mock mode uses a fixed secret so recorded payloads can be replayed with scripts/replay-webhook.js
+const MOCK_WEBHOOK_SECRET = 'mock_webhook_secret';
+const MOCK_FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, '../fixtures');
+const BACKEND_BASE_URL = process.env.BACKEND_BASE_URL || 'http://localhost:3000';
+const BACKEND_SERVICE_TOKEN = process.env.BACKEND_SERVICE_TOKEN;
+// e.g. "USD:stripe,GBP:revolut" - currencies not listed use DEFAULT_PAYMENT_PROVIDER
+const CURRENCY_ROUTING = parseCurrencyRouting(process.env.PAYMENT_PROVIDER_BY_CURRENCY);
+const DEFAULT_PAYMENT_PROVIDER = process.env.DEFAULT_PAYMENT_PROVIDER || DEFAULT_PROVIDER;
+
+const providers = createProviders({
+  mock: MOCK_PAYMENTS,
+  mockFixturesDir: MOCK_FIXTURES_DIR,
+  webhookSecrets: {
+    revolut: process.env.REVOLUT_WEBHOOK_SECRET || (MOCK_PAYMENTS ? MOCK_WEBHOOK_SECRET : undefined),
+    stripe: process.env.STRIPE_WEBHOOK_SECRET || (MOCK_PAYMENTS ? MOCK_WEBHOOK_SECRET : undefined),
+  },
+});
+
+const orderLedger = new OrderLedger();
+// Orders currently being turned into bookings (guards concurrent webhook deliveries)
+const ordersInFlight = new Set();
+// Orders with a refund request currently talking to the provider
+const refundsInFlight = new Set();
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // Health check
 app.get('/health', (_req, res) => {
-  res.json({ ok: true });
+  res.json({
+    ok: true,
+    mock: MOCK_PAYMENTS,
+    providers: Object.fromEntries(Object.values(providers).map((p) => [p.name, p.isConfigured()])),
+  });
 });
 
-// Explicitly handle preflight for this route (some environments require it)
-app.options('/payments/revolut/checkout', cors());
+// Explicitly handle preflight for these routes (some environments require it)
+app.options(['/payments/checkout', '/payments/revolut/checkout'], cors());
 
-// Revolut hosted checkout
-app.post('/payments/revolut/checkout', async (req, res) => {
+/**
+ * Look up a backend price quote (signature and expiry are checked by the backend)
+ * @returns {Promise<{ quote?: object, status?: number, error?: string }>}
+ */
+async function fetchQuote(quoteId) {
+  const res = await fetch(`${BACKEND_BASE_URL}/api/quotes/${encodeURIComponent(quoteId)}`, {
+    headers: BACKEND_SERVICE_TOKEN ? { 'x-service-token': BACKEND_SERVICE_TOKEN } : {},
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.quote) {
+    return { status: res.status, error: data.error || `Quote lookup failed (${res.status})` };
+  }
+  return { quote: data.quote };
+}
+
+// Stripe metadata values are limited to 500 characters, so the signed quote ID is split
+const QUOTE_ID_CHUNK_LENGTH = 450;
+
+/**
+ * Order metadata carried through the provider. Includes the signed quote ID (as `quoteId_0`,
+ * `quoteId_1`, ...) so a paid order can still be booked if its ledger entry is lost.
+ */
+function quoteOrderMetadata(quote, quoteId) {
+  const quoteIdChunks = {};
+  for (let i = 0; i * QUOTE_ID_CHUNK_LENGTH < quoteId.length; i++) {
+    quoteIdChunks[`quoteId_${i}`] = quoteId.slice(i * QUOTE_ID_CHUNK_LENGTH, (i + 1) * QUOTE_ID_CHUNK_LENGTH);
+  }
+  return {
+    ...quoteIdChunks,
+    quoteRef: quote.id,
+    userId: quote.userId,
+    propertyId: quote.propertyId,
+    cmsPropertyId: quote.cmsPropertyId,
+    checkInDate: quote.checkInDate,
+    checkOutDate: quote.checkOutDate,
+    guest: quote.guests,
+    room: quote.rooms,
+    propertyTitle: quote.propertyTitle,
+  };
+}
+
+/**
+ * Reassemble the signed quote ID from order metadata (undefined for orders created without it)
+ */
+function quoteIdFromMetadata(metadata = {}) {
+  let quoteId = '';
+  for (let i = 0; metadata[`quoteId_${i}`]; i++) {
+    quoteId += metadata[`quoteId_${i}`];
+  }
+  return quoteId || undefined;
+}
+
+/**
+ * Hosted checkout for a backend quote, with the requested provider or the one routed for the currency
+ */
+async function handleCheckout(req, res, forcedProvider) {
   try {
-    const { amount, currency, description, successUrl, cancelUrl, metadata } = req.body || {};
-    console.log('[payments-server] POST /payments/revolut/checkout', {
-      amount,
-      currency,
+    const { quoteId, description, successUrl, cancelUrl, provider: requestedProvider } = req.body || {};
+    console.log(`[payments-server] POST ${req.path}`, {
+      provider: forcedProvider || requestedProvider,
+      hasQuote: !!quoteId,
       hasSuccessUrl: !!successUrl,
       hasCancelUrl: !!cancelUrl,
-      metadata,
     });
 
+    if (!quoteId || !successUrl || !cancelUrl) {
+      return res.status(400).json({ error: 'Missing required fields: quoteId, successUrl, cancelUrl' });
+    }
+
+    // Amounts always come from the quote, never from the browser
+    const { quote, status, error: quoteError } = await fetchQuote(quoteId);
+    if (!quote) {
+      console.warn('[payments-server] Quote rejected:', quoteError);
+      return res.status(status === 410 ? 410 : 400).json({ error: quoteError });
+    }
+    const amount = quote.amounts.total / 100;
+    const { currency } = quote;
+    const metadata = quoteOrderMetadata(quote, quoteId);
+
+    const { provider, error } = selectProvider(providers, {
+      provider: forcedProvider || requestedProvider,
+      currency,
+      currencyRouting: CURRENCY_ROUTING,
+      defaultProvider: DEFAULT_PAYMENT_PROVIDER,
+    });
+    if (error) {
+      console.error('[payments-server]', error);
+      return res.status(400).json({ error });
+    }
+
     // Mock mode for testing without valid API keys
-    if (process.env.MOCK_PAYMENTS === 'true') {
-      console.log('[payments-server] MOCK_PAYMENTS is enabled. Skipping Revolut API call.');
+    if (MOCK_PAYMENTS) {
+      console.log(`[payments-server] MOCK_PAYMENTS is enabled. Skipping ${provider.name} API call.`);
+      const mockOrderId = `mock_${crypto.randomUUID()}`;
+      orderLedger.upsert(mockOrderId, {
+        provider: provider.name,
+        status: 'created',
+        amount: quote.amounts.total,
+        currency,
+        metadata,
+        quoteId,
+      });
+      console.log('[payments-server] Mock order recorded:', mockOrderId, '(replay a webhook with scripts/replay-webhook.js)');
       console.log('[payments-server] Mocking success redirect to:', successUrl);
       // Simulate a short delay to feel like a real request
       await new Promise(resolve => setTimeout(resolve, 1000));
-      return res.json({ redirectUrl: successUrl });
+      return res.json({ provider: provider.name, redirectUrl: successUrl, orderId: mockOrderId });
+    }
+
+    let checkout;
+    try {
+      checkout = await provider.createCheckout({
+        amount,
+        currency,
+        description: description || (quote.propertyTitle ? `Booking for ${quote.propertyTitle}` : undefined),
+        successUrl,
+        cancelUrl,
+        metadata,
+      });
+    } catch (e) {
+      console.error(`[payments-server] ${provider.name} API error:`, e.status, e.details || e.message);
+      return res.status(e.status || 502).json({ error: `Failed to create ${provider.name} checkout`, details: e.details });
     }
+    console.log(`[payments-server] ${provider.name} order created:`, checkout.orderId);
+
+    // Remember what was ordered so the webhook can create the booking without trusting the browser
+    orderLedger.upsert(checkout.orderId, {
+      provider: provider.name,
+      status: 'created',
+      amount: checkout.amount,
+      currency: checkout.currency,
+      metadata,
+      quoteId,
+    });
 
-    if (!REVOLUT_API_KEY) {
-      console.error('[payments-server] REVOLUT_API_KEY is missing');
-      return res.status(500).json({ error: 'Server misconfiguration: missing API key' });
+    // Return the hosted checkout URL
+    if (!checkout.redirectUrl) {
+      console.error(`[payments-server] No checkout URL in ${provider.name} response`, checkout);
+      return res.status(500).json({ error: 'Invalid response from payment provider' });
     }
 
-    if (!amount || !currency || !successUrl || !cancelUrl) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    res.json({ provider: provider.name, orderId: checkout.orderId, redirectUrl: checkout.redirectUrl });
+  } catch (e) {
+    console.error('checkout error', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Provider-agnostic hosted checkout
+app.post('/payments/checkout', (req, res) => handleCheckout(req, res));
+
+// Legacy Revolut-only route (kept for older frontends)
+app.post('/payments/revolut/checkout', (req, res) => handleCheckout(req, res, 'revolut'));
+
+// Provider webhooks: create the on-chain booking server-side once the order is paid
+app.post('/payments/:provider/webhook', async (req, res) => {
+  try {
+    const provider = providers[req.params.provider];
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
     }
 
-    // Call Revolut Sandbox API
-    // Docs: https://developer.revolut.com/docs/merchant/create-order
-    console.log('[payments-server] Using API Key:', REVOLUT_API_KEY ? `${REVOLUT_API_KEY.substring(0, 10)}...` : 'MISSING');
+    const verification = provider.verifyWebhook({ rawBody: req.rawBody, headers: req.headers });
+    if (!verification.valid) {
+      console.warn(`[payments-server] Rejected ${provider.name} webhook:`, verification.error);
+      return res.status(401).json({ error: verification.error });
+    }
 
-    const revolutRes = await fetch(process.env.REVOLUT_API_URL || 'https://sandbox-merchant.revolut.com/api/1.0/orders', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${REVOLUT_API_KEY}`,
-        'Revolut-Api-Version': '2024-09-01' // Try adding API version if needed, or just standard headers
-      },
-      body: JSON.stringify({
-        amount: Math.round(Number(amount) * 100), // Revolut expects amount in cents/lowest unit
-        currency,
-        description,
-        capture_mode: 'AUTOMATIC',
-        redirect_url: successUrl, // Revolut uses redirect_url for success
-        cancel_url: cancelUrl,
-        metadata,
-      }),
+    const { event, orderId, type } = provider.parseWebhook(req.body);
+    if (!event || !orderId) {
+      return res.status(400).json({ error: 'Missing event or order ID' });
+    }
+
+    console.log(`[payments-server] ${provider.name} webhook`, { event, orderId, type });
+    orderLedger.recordEvent(orderId, event);
+
+    switch (type) {
+      case 'completed': {
+        const result = await completeOrder(provider, orderId);
+        // Non-2xx makes the provider redeliver, which we only want for transient failures
+        return res.status(result.retry ? 500 : 200).json(result);
+      }
+      case 'cancelled':
+      case 'payment_failed': {
+        const order = orderLedger.get(orderId);
+        if (order?.status === 'booked') {
+          console.warn(`[payments-server] ${event} for already booked order ${orderId}, leaving booking in place`);
+          return res.json({ received: true, status: order.status });
+        }
+        orderLedger.upsert(orderId, { provider: provider.name, status: type });
+        return res.json({ received: true, status: type });
+      }
+      default:
+        return res.json({ received: true, ignored: true });
+    }
+  } catch (e) {
+    console.error('webhook error', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Turn a paid order into a booking exactly once
+ * @returns {{ received: boolean, status: string, retry?: boolean, duplicate?: boolean, bookingId?: string }}
+ */
+async function completeOrder(provider, orderId) {
+  const existing = orderLedger.get(orderId);
+  if (existing?.status === 'booked') {
+    console.log('[payments-server] Order already booked, skipping:', orderId);
+    return { received: true, status: 'booked', duplicate: true, bookingId: existing.bookingId };
+  }
+  if (ordersInFlight.has(orderId)) {
+    return { received: true, status: 'processing', duplicate: true };
+  }
+
+  ordersInFlight.add(orderId);
+  try {
+    let order = existing;
+    if (!order?.quoteId) {
+      // Not in the ledger: rebuild the order from the provider, which carries the quote ID
+      const remote = await provider.getOrder(orderId);
+      const metadata = remote.metadata || {};
+      order = { amount: remote.amount, currency: remote.currency, metadata, quoteId: quoteIdFromMetadata(metadata) };
+    }
+    if (!order.quoteId) {
+      const error = 'No quote ID for order - book it manually';
+      orderLedger.upsert(orderId, { ...order, provider: provider.name, status: 'booking_failed', lastError: error });
+      console.error('[payments-server] Booking failed for order', orderId, error);
+      return { received: true, status: 'booking_failed', retry: false };
+    }
+
+    orderLedger.upsert(orderId, {
+      ...order,
+      provider: provider.name,
+      status: 'processing',
+      attempts: (existing?.attempts || 0) + 1,
     });
 
-    if (!revolutRes.ok) {
-      const errorData = await revolutRes.json().catch(() => ({}));
-      console.error('[payments-server] Revolut API error:', revolutRes.status, errorData);
-      return res.status(revolutRes.status).json({ error: 'Failed to create Revolut order', details: errorData });
+    const booking = await createFiatBooking(orderId, { ...order, provider: provider.name });
+    if (booking.ok) {
+      orderLedger.upsert(orderId, {
+        status: 'booked',
+        bookingId: booking.data.bookingId,
+        transactionHash: booking.data.transactionHash,
+        lastError: null,
+      });
+      console.log('[payments-server] Booking created for order', orderId, booking.data.bookingId);
+      return { received: true, status: 'booked', bookingId: booking.data.bookingId };
     }
 
-    const order = await revolutRes.json();
-    console.log('[payments-server] Revolut order created:', order.id);
+    orderLedger.upsert(orderId, { status: 'booking_failed', lastError: booking.error });
+    console.error('[payments-server] Booking failed for order', orderId, booking.error);
+    return { received: true, status: 'booking_failed', retry: booking.retryable };
+  } catch (e) {
+    orderLedger.upsert(orderId, { status: 'booking_failed', lastError: e.message });
+    console.error('[payments-server] Error completing order', orderId, e);
+    return { received: true, status: 'booking_failed', retry: true };
+  } finally {
+    ordersInFlight.delete(orderId);
+  }
+}
 
-    // Return the hosted checkout URL
-    const redirectUrl = order.checkout_url;
-    if (!redirectUrl) {
-      console.error('[payments-server] No checkout_url in Revolut response', order);
-      return res.status(500).json({ error: 'Invalid response from payment provider' });
+/**
+ * Call the backend to record the paid booking on-chain (order ID is the payment reference,
+ * the quote ID the price)
+ */
+async function createFiatBooking(orderId, order) {
+  const metadata = order.metadata || {};
+  const res = await fetch(`${BACKEND_BASE_URL}/api/bookings/create-fiat`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(BACKEND_SERVICE_TOKEN ? { 'x-service-token': BACKEND_SERVICE_TOKEN } : {}),
+    },
+    // Dates and amounts come from the quote; the backend checks the paid amount covers it
+    body: JSON.stringify({
+      userId: metadata.userId,
+      quoteId: order.quoteId,
+      paidAmount: order.amount,
+      paidCurrency: order.currency,
+      paymentReference: orderId,
+      metadata: {
+        paymentProvider: order.provider,
+      },
+    }),
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (res.ok && data.success) {
+    return { ok: true, data };
+  }
+  // Other 4xx mean the request itself is bad - redelivering the webhook will not help
+  const retryable = res.status >= 500 || [401, 403, 409, 429].includes(res.status);
+  return { ok: false, error: data.error || `Backend responded ${res.status}`, retryable };
+}
+
+/**
+ * Only trusted services (backend event listener, admin tooling) may move money back
+ */
+function requireServiceToken(req, res, next) {
+  const token = Buffer.from(String(req.headers['x-service-token'] || ''));
+  const expected = Buffer.from(BACKEND_SERVICE_TOKEN || '');
+  const valid = expected.length > 0 && token.length === expected.length && crypto.timingSafeEqual(token, expected);
+  if (!valid) {
+    return res.status(401).json({ error: 'Invalid service token' });
+  }
+  next();
+}
+
+// Full or percentage refund of an order, looked up by paymentReference (the order ID).
+// The provider comes from the order ledger (legacy /payments/revolut/refund kept as an alias).
+app.post(['/payments/refund', '/payments/revolut/refund'], requireServiceToken, async (req, res) => {
+  try {
+    const { paymentReference, percentage, amount, reason, idempotencyKey, provider } = req.body || {};
+    console.log(`[payments-server] POST ${req.path}`, { paymentReference, percentage, amount, idempotencyKey });
+
+    if (!paymentReference) {
+      return res.status(400).json({ error: 'Missing paymentReference' });
+    }
+    if (percentage !== undefined && (!(Number(percentage) > 0) || Number(percentage) > 100)) {
+      return res.status(400).json({ error: 'percentage must be between 0 and 100' });
+    }
+    if (amount !== undefined && !(Number.isInteger(Number(amount)) && Number(amount) > 0)) {
+      return res.status(400).json({ error: 'amount must be a positive integer (minor units)' });
+    }
+
+    if (refundsInFlight.has(paymentReference)) {
+      return res.status(409).json({ error: 'A refund for this order is already in progress' });
     }
+    refundsInFlight.add(paymentReference);
+    try {
+      const result = await issueRefund({ paymentReference, percentage, amount, reason, idempotencyKey, provider });
+      return res.status(result.code).json(result.body);
+    } finally {
+      refundsInFlight.delete(paymentReference);
+    }
+  } catch (e) {
+    console.error('refund error', e);
+    res.status(500).json({ error: 'Refund failed', details: e.message });
+  }
+});
 
-    res.json({ redirectUrl });
+/**
+ * Refund an order from the ledger (fetched from the provider if unknown)
+ * @returns {Promise<{ code: number, body: object }>}
+ */
+async function issueRefund({ paymentReference, percentage, amount, reason, idempotencyKey, provider: requestedProvider }) {
+  let order = orderLedger.get(paymentReference);
+  // Orders recorded before multi-provider support are Revolut orders
+  const provider = providers[order?.provider || requestedProvider || 'revolut'];
+  if (!provider) {
+    return { code: 400, body: { error: 'Unknown payment provider' } };
+  }
+
+  if (!order?.amount) {
+    const remote = await provider.getOrder(paymentReference);
+    order = orderLedger.upsert(paymentReference, {
+      provider: provider.name,
+      status: order?.status || 'booked',
+      amount: remote.amount,
+      currency: remote.currency,
+      metadata: remote.metadata || {},
+    });
+  }
+
+  const refunds = order.refunds || [];
+  const previous = idempotencyKey && refunds.find((r) => r.idempotencyKey === idempotencyKey);
+  if (previous) {
+    return { code: 200, body: { ...previous, duplicate: true, status: order.status } };
+  }
+
+  const refundedAmount = refunds.reduce((sum, r) => sum + r.amount, 0);
+  const remaining = order.amount - refundedAmount;
+  let requested = remaining;
+  if (amount !== undefined) {
+    requested = Number(amount);
+  } else if (percentage !== undefined) {
+    requested = Math.floor((order.amount * Number(percentage)) / 100);
+  }
+  const refundAmount = Math.min(requested, remaining);
+  if (refundAmount <= 0) {
+    return { code: 409, body: { error: 'Nothing left to refund', refundedAmount } };
+  }
+
+  const refund = await provider.refund(paymentReference, { amount: refundAmount, currency: order.currency, reason });
+
+  const record = {
+    refundId: refund.refundId,
+    amount: refundAmount,
+    currency: order.currency,
+    reason,
+    idempotencyKey: idempotencyKey || null,
+    createdAt: new Date().toISOString(),
+  };
+  const totalRefunded = refundedAmount + refundAmount;
+  const updated = orderLedger.upsert(paymentReference, {
+    refunds: [...refunds, record],
+    refundedAmount: totalRefunded,
+    status: totalRefunded >= order.amount ? 'refunded' : 'partially_refunded',
+  });
+
+  console.log('[payments-server] Refund issued', paymentReference, record.refundId, refundAmount);
+  return { code: 200, body: { ...record, status: updated.status, refundedAmount: totalRefunded } };
+}
+
+// Order status from the ledger plus the provider's current state
+app.get('/payments/orders/:orderId', requireServiceToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = orderLedger.get(orderId);
+    const provider = providers[order?.provider || req.query.provider || 'revolut'];
+    if (!provider) {
+      return res.status(400).json({ error: 'Unknown payment provider' });
+    }
+
+    let remote = null;
+    if (!orderId.startsWith('mock_')) {
+      remote = await provider.getOrder(orderId).catch((e) => ({ error: e.message }));
+    }
+    if (!order && (!remote || remote.error)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      orderId,
+      provider: provider.name,
+      status: order?.status || null,
+      providerState: remote?.state || null,
+      amount: order?.amount ?? remote?.amount,
+      currency: order?.currency || remote?.currency,
+      bookingId: order?.bookingId || null,
+      refundedAmount: order?.refundedAmount || 0,
+    });
   } catch (e) {
-    console.error('checkout error', e);
+    console.error('order status error', e);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
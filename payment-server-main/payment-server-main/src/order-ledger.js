@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * File-backed ledger of provider orders.
+ *
+ * Keeps one record per order ID so webhook deliveries (which providers retry and may
+ * send more than once) are processed exactly once:
+ *   created -> processing -> booked
+ *                         -> booking_failed (retried on the next delivery)
+ *   created -> cancelled | payment_failed
+ */
+export class OrderLedger {
+  constructor(filePath = process.env.ORDER_LEDGER_PATH || path.join(process.cwd(), 'payment-orders.json')) {
+    this.filePath = filePath;
+    this.orders = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (e) {
+      console.warn('[payments-server] Failed to read order ledger, starting empty:', e.message);
+    }
+    return {};
+  }
+
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.orders, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(orderId) {
+    return this.orders[orderId] || null;
+  }
+
+  /**
+   * Merge fields into an order record and persist
+   */
+  upsert(orderId, fields) {
+    const now = new Date().toISOString();
+    const existing = this.orders[orderId] || { orderId, createdAt: now, attempts: 0, events: [] };
+    this.orders[orderId] = { ...existing, ...fields, updatedAt: now };
+    this.save();
+    return this.orders[orderId];
+  }
+
+  /**
+   * Record a webhook delivery on the order (kept for auditing)
+   */
+  recordEvent(orderId, event) {
+    const order = this.orders[orderId] || this.upsert(orderId, { status: 'created' });
+    order.events = [...(order.events || []), { event, receivedAt: new Date().toISOString() }];
+    this.save();
+    return order;
+  }
+}
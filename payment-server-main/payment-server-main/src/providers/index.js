@@ -0,0 +1,58 @@
+import { createRevolutProvider } from './revolut.js';
+import { createStripeProvider } from './stripe.js';
+
+/**
+ * Payment provider interface
+ *
+ * Every provider exposes:
+ *   name                                   'revolut' | 'stripe'
+ *   isConfigured()                         API credentials present (or mock mode)
+ *   createCheckout({ amount, currency, description, successUrl, cancelUrl, metadata })
+ *                                          -> { orderId, redirectUrl, amount (minor units), currency }
+ *   verifyWebhook({ rawBody, headers })    -> { valid, error? }
+ *   parseWebhook(body)                     -> { event, orderId, type: 'completed' | 'cancelled' | 'payment_failed' | 'ignored' }
+ *   getOrder(orderId)                      -> { orderId, state, amount, currency, metadata }
+ *   refund(orderId, { amount, currency, reason }) -> { refundId, state }
+ *
+ * `orderId` is what we store on-chain as the booking's paymentReference.
+ */
+
+export const DEFAULT_PROVIDER = 'revolut';
+
+/**
+ * Build all providers from config/env
+ */
+export function createProviders({ mock = false, mockFixturesDir, webhookSecrets = {}, revolut = {}, stripe = {} } = {}) {
+  return {
+    revolut: createRevolutProvider({ mock, mockFixturesDir, webhookSecret: webhookSecrets.revolut, ...revolut }),
+    stripe: createStripeProvider({ mock, mockFixturesDir, webhookSecret: webhookSecrets.stripe, ...stripe }),
+  };
+}
+
+/**
+ * Parse `USD:stripe,GBP:revolut` into { USD: 'stripe', GBP: 'revolut' }
+ */
+export function parseCurrencyRouting(value = '') {
+  return Object.fromEntries(
+    value.split(',')
+      .map((pair) => pair.split(':').map((s) => s.trim()))
+      .filter(([currency, provider]) => currency && provider)
+      .map(([currency, provider]) => [currency.toUpperCase(), provider.toLowerCase()]),
+  );
+}
+
+/**
+ * Pick the provider for a checkout: explicit request > currency routing > default
+ * @returns {{ provider?: object, error?: string }}
+ */
+export function selectProvider(providers, { provider, currency, currencyRouting = {}, defaultProvider = DEFAULT_PROVIDER }) {
+  const name = (provider || currencyRouting[String(currency || '').toUpperCase()] || defaultProvider).toLowerCase();
+  const selected = providers[name];
+  if (!selected) {
+    return { error: `Unknown payment provider: ${name}` };
+  }
+  if (!selected.isConfigured()) {
+    return { error: `Payment provider not configured: ${name}` };
+  }
+  return { provider: selected };
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { readMockOrder, safeEqual } from './shared.js';
+
+// Revolut rejects webhooks older than 5 minutes; we apply the same window
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+const API_VERSION = '2024-09-01';
+
+const WEBHOOK_EVENTS = {
+  ORDER_COMPLETED: 'completed',
+  ORDER_CANCELLED: 'cancelled',
+  ORDER_PAYMENT_FAILED: 'payment_failed',
+};
+
+/**
+ * Build the `v1=<hex>` signature Revolut would send for a body (also used by the replay script)
+ */
+export function signRevolutPayload(rawBody, timestamp, secret) {
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const hmac = crypto.createHmac('sha256', secret).update(`v1.${timestamp}.${body}`).digest('hex');
+  return `v1=${hmac}`;
+}
+
+/**
+ * Verify a Revolut webhook signature.
+ *
+ * Revolut signs `v1.{Revolut-Request-Timestamp}.{raw body}` with HMAC-SHA256 using the
+ * webhook signing secret and sends `Revolut-Signature: v1=<hex>` (several comma separated
+ * signatures while a secret is being rotated).
+ *
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function verifyRevolutSignature({ rawBody, signatureHeader, timestampHeader, secret, now = Date.now(), toleranceMs = DEFAULT_TOLERANCE_MS }) {
+  if (!secret) {
+    return { valid: false, error: 'Webhook signing secret not configured' };
+  }
+  if (!rawBody || !signatureHeader || !timestampHeader) {
+    return { valid: false, error: 'Missing signature headers' };
+  }
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp)) {
+    return { valid: false, error: 'Invalid timestamp header' };
+  }
+  if (Math.abs(now - timestamp) > toleranceMs) {
+    return { valid: false, error: 'Timestamp outside tolerance window' };
+  }
+
+  const expected = signRevolutPayload(rawBody, timestampHeader, secret);
+  const signatures = String(signatureHeader).split(',').map((s) => s.trim());
+  const matches = signatures.some((candidate) => safeEqual(candidate, expected));
+
+  return matches ? { valid: true } : { valid: false, error: 'Invalid signature' };
+}
+
+function toOrder(raw) {
+  return {
+    orderId: raw.id,
+    state: raw.state,
+    amount: raw.amount,
+    currency: raw.currency,
+    metadata: raw.metadata || {},
+  };
+}
+
+/**
+ * Revolut Merchant API (hosted checkout orders)
+ */
+export function createRevolutProvider({
+  apiKey = process.env.REVOLUT_API_KEY,
+  ordersUrl = process.env.REVOLUT_API_URL || 'https://sandbox-merchant.revolut.com/api/1.0/orders',
+  webhookSecret,
+  mock = false,
+  mockFixturesDir,
+} = {}) {
+  const headers = () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${apiKey}`,
+    'Revolut-Api-Version': API_VERSION,
+  });
+
+  async function request(url, options, label) {
+    const res = await fetch(url, { ...options, headers: headers() });
+    if (!res.ok) {
+      const details = await res.json().catch(() => ({}));
+      const error = new Error(`Revolut ${label} failed (${res.status}): ${JSON.stringify(details)}`);
+      error.status = res.status;
+      error.details = details;
+      throw error;
+    }
+    return res.json();
+  }
+
+  return {
+    name: 'revolut',
+
+    isConfigured() {
+      return mock || !!apiKey;
+    },
+
+    async createCheckout({ amount, currency, description, successUrl, cancelUrl, metadata }) {
+      // Docs: https://developer.revolut.com/docs/merchant/create-order
+      const order = await request(ordersUrl, {
+        method: 'POST',
+        body: JSON.stringify({
+          amount: Math.round(Number(amount) * 100), // Revolut expects amount in cents/lowest unit
+          currency,
+          description,
+          capture_mode: 'AUTOMATIC',
+          redirect_url: successUrl, // Revolut uses redirect_url for success
+          cancel_url: cancelUrl,
+          metadata,
+        }),
+      }, 'create order');
+
+      return {
+        orderId: order.id,
+        redirectUrl: order.checkout_url,
+        amount: order.amount ?? Math.round(Number(amount) * 100),
+        currency: order.currency || currency,
+      };
+    },
+
+    verifyWebhook({ rawBody, headers: requestHeaders, now }) {
+      return verifyRevolutSignature({
+        rawBody,
+        signatureHeader: requestHeaders['revolut-signature'],
+        timestampHeader: requestHeaders['revolut-request-timestamp'],
+        secret: webhookSecret,
+        now,
+      });
+    },
+
+    parseWebhook(body) {
+      const { event, order_id: orderId } = body || {};
+      return { event, orderId, type: WEBHOOK_EVENTS[event] || 'ignored' };
+    },
+
+    async getOrder(orderId) {
+      if (mock) {
+        return toOrder(readMockOrder(mockFixturesDir, 'revolut', orderId));
+      }
+      return toOrder(await request(`${ordersUrl}/${encodeURIComponent(orderId)}`, { method: 'GET' }, 'order lookup'));
+    },
+
+    async refund(orderId, { amount, currency, reason }) {
+      if (mock) {
+        return { refundId: `mock_refund_${crypto.randomUUID()}`, state: 'completed' };
+      }
+      const refund = await request(`${ordersUrl}/${encodeURIComponent(orderId)}/refund`, {
+        method: 'POST',
+        body: JSON.stringify({ amount, currency, description: reason }),
+      }, 'refund');
+      return { refundId: refund.id, state: refund.state };
+    },
+  };
+}
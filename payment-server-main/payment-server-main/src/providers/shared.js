@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Constant-time string comparison
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Read a recorded provider order (raw API response) from `<fixturesDir>/<provider>/orders/<id>.json`
+ */
+export function readMockOrder(fixturesDir, provider, orderId) {
+  const file = path.join(fixturesDir, provider, 'orders', `${orderId}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No recorded mock order for ${orderId} (${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
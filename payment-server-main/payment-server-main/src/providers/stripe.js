@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { readMockOrder, safeEqual } from './shared.js';
+
+// Stripe's own libraries default to a 5 minute tolerance
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Build a `Stripe-Signature` header value for a body (also used by the replay script and tests)
+ */
+export function signStripePayload(rawBody, timestamp, secret) {
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Verify a Stripe webhook signature.
+ *
+ * Stripe signs `{t}.{raw body}` with HMAC-SHA256 using the endpoint secret and sends
+ * `Stripe-Signature: t=<unix seconds>,v1=<hex>[,v1=<hex>...]`.
+ *
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function verifyStripeSignature({ rawBody, signatureHeader, secret, now = Date.now(), toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+  if (!secret) {
+    return { valid: false, error: 'Webhook signing secret not configured' };
+  }
+  if (!rawBody || !signatureHeader) {
+    return { valid: false, error: 'Missing signature header' };
+  }
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of String(signatureHeader).split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return { valid: false, error: 'Malformed signature header' };
+  }
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, error: 'Timestamp outside tolerance window' };
+  }
+
+  const expected = signStripePayload(rawBody, timestamp, secret).split('v1=')[1];
+  const matches = signatures.some((candidate) => safeEqual(candidate, expected));
+
+  return matches ? { valid: true } : { valid: false, error: 'Invalid signature' };
+}
+
+/**
+ * Encode nested params the way the Stripe API expects (`a[b][0][c]=v`)
+ */
+function formEncode(params, prefix, out = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      formEncode(value, name, out);
+    } else {
+      out.append(name, String(value));
+    }
+  }
+  return out;
+}
+
+function toOrder(session) {
+  return {
+    orderId: session.id,
+    state: session.payment_status === 'paid' ? 'completed' : session.status,
+    amount: session.amount_total,
+    currency: String(session.currency || '').toUpperCase(),
+    metadata: session.metadata || {},
+    paymentIntent: session.payment_intent,
+  };
+}
+
+/**
+ * Stripe Checkout (checkout sessions are our order IDs)
+ */
+export function createStripeProvider({
+  apiKey = process.env.STRIPE_SECRET_KEY,
+  apiUrl = process.env.STRIPE_API_URL || 'https://api.stripe.com',
+  webhookSecret,
+  mock = false,
+  mockFixturesDir,
+} = {}) {
+  async function request(pathname, { method = 'GET', params } = {}, label) {
+    const res = await fetch(`${apiUrl}${pathname}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params ? formEncode(params).toString() : undefined,
+    });
+    if (!res.ok) {
+      const details = await res.json().catch(() => ({}));
+      const error = new Error(`Stripe ${label} failed (${res.status}): ${JSON.stringify(details)}`);
+      error.status = res.status;
+      error.details = details;
+      throw error;
+    }
+    return res.json();
+  }
+
+  return {
+    name: 'stripe',
+
+    isConfigured() {
+      return mock || !!apiKey;
+    },
+
+    async createCheckout({ amount, currency, description, successUrl, cancelUrl, metadata = {} }) {
+      const unitAmount = Math.round(Number(amount) * 100);
+      // Stripe metadata values must be strings
+      const stringMetadata = Object.fromEntries(
+        Object.entries(metadata).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => [k, String(v)]),
+      );
+
+      const session = await request('/v1/checkout/sessions', {
+        method: 'POST',
+        params: {
+          mode: 'payment',
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          line_items: [{
+            quantity: 1,
+            price_data: {
+              currency: String(currency).toLowerCase(),
+              unit_amount: unitAmount,
+              product_data: { name: description || 'Booking' },
+            },
+          }],
+          metadata: stringMetadata,
+          payment_intent_data: { metadata: stringMetadata },
+        },
+      }, 'create checkout session');
+
+      return {
+        orderId: session.id,
+        redirectUrl: session.url,
+        amount: session.amount_total ?? unitAmount,
+        currency: String(session.currency || currency).toUpperCase(),
+      };
+    },
+
+    verifyWebhook({ rawBody, headers, now }) {
+      return verifyStripeSignature({
+        rawBody,
+        signatureHeader: headers['stripe-signature'],
+        secret: webhookSecret,
+        now,
+      });
+    },
+
+    parseWebhook(body) {
+      const event = body?.type;
+      const session = body?.data?.object || {};
+      let type = 'ignored';
+      if (event === 'checkout.session.completed') {
+        // Delayed payment methods complete later via async_payment_succeeded
+        type = session.payment_status === 'paid' ? 'completed' : 'ignored';
+      } else if (event === 'checkout.session.async_payment_succeeded') {
+        type = 'completed';
+      } else if (event === 'checkout.session.async_payment_failed') {
+        type = 'payment_failed';
+      } else if (event === 'checkout.session.expired') {
+        type = 'cancelled';
+      }
+      return { event, orderId: session.id, type };
+    },
+
+    async getOrder(orderId) {
+      if (mock) {
+        return toOrder(readMockOrder(mockFixturesDir, 'stripe', orderId));
+      }
+      return toOrder(await request(`/v1/checkout/sessions/${encodeURIComponent(orderId)}`, {}, 'session lookup'));
+    },
+
+    async refund(orderId, { amount, reason }) {
+      if (mock) {
+        return { refundId: `mock_refund_${crypto.randomUUID()}`, state: 'succeeded' };
+      }
+      const order = await this.getOrder(orderId);
+      if (!order.paymentIntent) {
+        throw new Error(`Checkout session ${orderId} has no payment to refund`);
+      }
+      const refund = await request('/v1/refunds', {
+        method: 'POST',
+        params: {
+          payment_intent: order.paymentIntent,
+          amount,
+          reason: 'requested_by_customer',
+          metadata: reason ? { description: reason } : undefined,
+        },
+      }, 'refund');
+      return { refundId: refund.id, state: refund.status };
+    },
+  };
+}
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import http from 'http';
+
+/**
+ * Local stand-in for the Revolut Merchant API, the Stripe API and the backend
+ * quote / fiat booking endpoints, so the payments server can be exercised end to
+ * end without network access or sandbox keys.
+ *
+ *   POST /api/1.0/orders                 Revolut create order
+ *   GET  /api/1.0/orders/:id             Revolut order lookup
+ *   POST /api/1.0/orders/:id/refund      Revolut refund
+ *   POST /v1/checkout/sessions           Stripe create checkout session (form encoded)
+ *   GET  /v1/checkout/sessions/:id       Stripe session lookup
+ *   POST /v1/refunds                     Stripe refund (form encoded)
+ *   GET  /api/quotes/:quoteId            Backend quote lookup (quotes from `stub.addQuote`)
+ *   POST /api/bookings/create-fiat       Backend booking creation
+ *
+ * Every request is recorded in `stub.requests` and created orders are kept in
+ * `stub.revolutOrders` / `stub.stripeSessions` so tests can mark them paid.
+ */
+export async function startProviderStub() {
+  const stub = {
+    requests: [],
+    revolutOrders: new Map(),
+    stripeSessions: new Map(),
+    quotes: new Map(),
+    bookings: [],
+  };
+
+  // Register a backend quote; returns its ID
+  stub.addQuote = ({ total, currency, expired = false }) => {
+    const id = `quote_${crypto.randomUUID()}`;
+    stub.quotes.set(id, {
+      expired,
+      quote: {
+        id,
+        userId: '1',
+        propertyId: 'PROP1',
+        cmsPropertyId: 'r2k9x0m3q8h1b7c4d5e6f7g8',
+        propertyTitle: 'Beach House',
+        checkInDate: 1767225600,
+        checkOutDate: 1767484800,
+        nights: 3,
+        guests: 2,
+        rooms: 1,
+        currency,
+        amounts: { total },
+      },
+    });
+    return id;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const isForm = String(req.headers['content-type']).startsWith('application/x-www-form-urlencoded');
+    const body = raw ? (isForm ? Object.fromEntries(new URLSearchParams(raw)) : JSON.parse(raw)) : {};
+    const url = new URL(req.url, 'http://localhost');
+    stub.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    let match;
+    if (req.method === 'POST' && url.pathname === '/api/1.0/orders') {
+      const order = {
+        id: crypto.randomUUID(),
+        state: 'pending',
+        amount: body.amount,
+        currency: body.currency,
+        metadata: body.metadata,
+        checkout_url: `https://checkout.revolut.test/${crypto.randomUUID()}`,
+      };
+      stub.revolutOrders.set(order.id, order);
+      return send(201, order);
+    }
+    if ((match = url.pathname.match(/^\/api\/1\.0\/orders\/([^/]+)(\/refund)?$/))) {
+      const order = stub.revolutOrders.get(match[1]);
+      if (!order) return send(404, { code: 'order_not_found' });
+      if (req.method === 'POST' && match[2]) {
+        return send(201, { id: crypto.randomUUID(), state: 'completed', amount: body.amount });
+      }
+      return send(200, order);
+    }
+    if (req.method === 'POST' && url.pathname === '/v1/checkout/sessions') {
+      const metadata = {};
+      for (const [key, value] of Object.entries(body)) {
+        const meta = key.match(/^metadata\[(.+)\]$/);
+        if (meta) metadata[meta[1]] = value;
+      }
+      const session = {
+        id: `cs_test_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'checkout.session',
+        amount_total: Number(body['line_items[0][price_data][unit_amount]']),
+        currency: body['line_items[0][price_data][currency]'],
+        payment_status: 'unpaid',
+        status: 'open',
+        payment_intent: null,
+        metadata,
+        url: 'https://checkout.stripe.test/c/pay',
+      };
+      stub.stripeSessions.set(session.id, session);
+      return send(200, session);
+    }
+    if ((match = url.pathname.match(/^\/v1\/checkout\/sessions\/([^/]+)$/))) {
+      const session = stub.stripeSessions.get(match[1]);
+      return session ? send(200, session) : send(404, { error: { code: 'resource_missing' } });
+    }
+    if (req.method === 'POST' && url.pathname === '/v1/refunds') {
+      return send(200, { id: `re_${crypto.randomBytes(8).toString('hex')}`, status: 'succeeded', amount: Number(body.amount) });
+    }
+    if ((match = url.pathname.match(/^\/api\/quotes\/([^/]+)$/))) {
+      const entry = stub.quotes.get(decodeURIComponent(match[1]));
+      if (!entry) return send(400, { error: 'Invalid quote signature' });
+      if (entry.expired) return send(410, { error: 'Quote expired - request a new quote' });
+      return send(200, { success: true, quote: entry.quote });
+    }
+    if (req.method === 'POST' && url.pathname === '/api/bookings/create-fiat') {
+      stub.bookings.push(body);
+      return send(200, { success: true, bookingId: String(stub.bookings.length), transactionHash: `0x${'ab'.repeat(32)}` });
+    }
+    send(404, { error: 'Not found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+  return stub;
+}
@@ -0,0 +1,255 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { signRevolutPayload, verifyRevolutSignature } from '../src/providers/revolut.js';
+import { signStripePayload, verifyStripeSignature } from '../src/providers/stripe.js';
+import { createProviders, parseCurrencyRouting, selectProvider } from '../src/providers/index.js';
+import { startProviderStub } from './provider-stub.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVICE_TOKEN = 'test-service-token';
+const REVOLUT_SECRET = 'revolut-test-secret';
+const STRIPE_SECRET = 'stripe-test-secret';
+const PORT = 3900 + Math.floor(Math.random() * 100);
+const SERVER_URL = `http://127.0.0.1:${PORT}`;
+
+describe('provider selection', () => {
+  const providers = createProviders({ revolut: { apiKey: 'rk' }, stripe: { apiKey: 'sk' } });
+
+  test('parses currency routing', () => {
+    assert.deepEqual(parseCurrencyRouting('usd:Stripe, GBP:revolut,bad'), { USD: 'stripe', GBP: 'revolut' });
+    assert.deepEqual(parseCurrencyRouting(undefined), {});
+  });
+
+  test('explicit provider wins over currency routing', () => {
+    const { provider } = selectProvider(providers, { provider: 'revolut', currency: 'USD', currencyRouting: { USD: 'stripe' } });
+    assert.equal(provider.name, 'revolut');
+  });
+
+  test('routes by currency, then falls back to the default', () => {
+    assert.equal(selectProvider(providers, { currency: 'usd', currencyRouting: { USD: 'stripe' } }).provider.name, 'stripe');
+    assert.equal(selectProvider(providers, { currency: 'GBP', currencyRouting: { USD: 'stripe' } }).provider.name, 'revolut');
+  });
+
+  test('rejects unknown and unconfigured providers', () => {
+    assert.match(selectProvider(providers, { provider: 'paypal' }).error, /Unknown payment provider/);
+    const unconfigured = createProviders({ revolut: { apiKey: '' }, stripe: { apiKey: '' } });
+    assert.match(selectProvider(unconfigured, { provider: 'stripe' }).error, /not configured/);
+  });
+});
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'ORDER_COMPLETED', order_id: 'abc' });
+
+  test('accepts a valid Revolut signature and rejects tampering or stale timestamps', () => {
+    const now = Date.now();
+    const signatureHeader = signRevolutPayload(body, String(now), REVOLUT_SECRET);
+    const args = { rawBody: body, signatureHeader, timestampHeader: String(now), secret: REVOLUT_SECRET, now };
+    assert.equal(verifyRevolutSignature(args).valid, true);
+    assert.equal(verifyRevolutSignature({ ...args, rawBody: `${body} ` }).valid, false);
+    assert.equal(verifyRevolutSignature({ ...args, now: now + 10 * 60 * 1000 }).valid, false);
+  });
+
+  test('accepts a valid Stripe signature and rejects tampering or stale timestamps', () => {
+    const now = Date.now();
+    const signatureHeader = signStripePayload(body, Math.floor(now / 1000), STRIPE_SECRET);
+    const args = { rawBody: body, signatureHeader, secret: STRIPE_SECRET, now };
+    assert.equal(verifyStripeSignature(args).valid, true);
+    assert.equal(verifyStripeSignature({ ...args, secret: 'other' }).valid, false);
+    assert.equal(verifyStripeSignature({ ...args, now: now + 10 * 60 * 1000 }).valid, false);
+  });
+});
+
+describe('payments server against stubbed providers', () => {
+  let stub;
+  let server;
+  let tmpDir;
+
+  before(async () => {
+    stub = await startProviderStub();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-server-'));
+    server = spawn(process.execPath, [path.join(__dirname, '../src/index.js')], {
+      cwd: tmpDir,
+      env: {
+        ...process.env,
+        PORT: String(PORT),
+        MOCK_PAYMENTS: 'false',
+        ORDER_LEDGER_PATH: path.join(tmpDir, 'payment-orders.json'),
+        BACKEND_BASE_URL: stub.url,
+        BACKEND_SERVICE_TOKEN: SERVICE_TOKEN,
+        REVOLUT_API_KEY: 'revolut-test-key',
+        REVOLUT_API_URL: `${stub.url}/api/1.0/orders`,
+        REVOLUT_WEBHOOK_SECRET: REVOLUT_SECRET,
+        STRIPE_SECRET_KEY: 'sk_test_key',
+        STRIPE_API_URL: stub.url,
+        STRIPE_WEBHOOK_SECRET: STRIPE_SECRET,
+        PAYMENT_PROVIDER_BY_CURRENCY: 'USD:stripe',
+        DEFAULT_PAYMENT_PROVIDER: 'revolut',
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    await new Promise((resolve, reject) => {
+      server.stdout.on('data', (chunk) => {
+        if (String(chunk).includes('listening')) resolve();
+      });
+      server.once('exit', (code) => reject(new Error(`payments server exited with ${code}`)));
+    });
+  });
+
+  after(async () => {
+    server?.kill();
+    await stub?.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const checkout = (body) => fetch(`${SERVER_URL}/payments/checkout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      successUrl: 'http://localhost:5173/payment?status=success',
+      cancelUrl: 'http://localhost:5173/payment?status=cancelled',
+      ...body,
+    }),
+  });
+
+  const refund = (body) => fetch(`${SERVER_URL}/payments/refund`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-service-token': SERVICE_TOKEN },
+    body: JSON.stringify(body),
+  });
+
+  test('Revolut: checkout, webhook, booking and refund', async () => {
+    const quoteId = stub.addQuote({ total: 45000, currency: 'GBP' });
+    const res = await checkout({ quoteId });
+    assert.equal(res.status, 200);
+    const { provider, orderId, redirectUrl } = await res.json();
+    assert.equal(provider, 'revolut');
+    assert.match(redirectUrl, /checkout\.revolut\.test/);
+    assert.equal(stub.revolutOrders.get(orderId).amount, 45000);
+
+    const body = JSON.stringify({ event: 'ORDER_COMPLETED', order_id: orderId });
+    const timestamp = String(Date.now());
+    const webhook = await fetch(`${SERVER_URL}/payments/revolut/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Revolut-Request-Timestamp': timestamp,
+        'Revolut-Signature': signRevolutPayload(body, timestamp, REVOLUT_SECRET),
+      },
+      body,
+    });
+    assert.equal(webhook.status, 200);
+    assert.equal((await webhook.json()).status, 'booked');
+    const booking = stub.bookings.find((b) => b.paymentReference === orderId);
+    assert.equal(booking.quoteId, quoteId);
+    assert.equal(booking.paidAmount, 45000);
+    assert.equal(booking.paidCurrency, 'GBP');
+    assert.equal(booking.userId, '1');
+
+    const refunded = await refund({ paymentReference: orderId, percentage: 50, idempotencyKey: 'booking-1' });
+    assert.equal(refunded.status, 200);
+    assert.equal((await refunded.json()).amount, 22500);
+    const refundCall = stub.requests.find((r) => r.path === `/api/1.0/orders/${orderId}/refund`);
+    assert.equal(refundCall.body.amount, 22500);
+  });
+
+  test('Stripe: routed by currency, webhook creates the booking once, refund hits the payment intent', async () => {
+    const quoteId = stub.addQuote({ total: 45000, currency: 'USD' });
+    const res = await checkout({ quoteId });
+    assert.equal(res.status, 200);
+    const { provider, orderId } = await res.json();
+    assert.equal(provider, 'stripe');
+
+    const session = stub.stripeSessions.get(orderId);
+    assert.equal(session.amount_total, 45000);
+    assert.equal(session.metadata.propertyId, 'PROP1');
+    assert.equal(session.metadata.quoteRef, stub.quotes.get(quoteId).quote.id);
+    Object.assign(session, { payment_status: 'paid', status: 'complete', payment_intent: 'pi_test_123' });
+
+    const body = JSON.stringify({ id: 'evt_test_1', type: 'checkout.session.completed', data: { object: session } });
+    const send = () => fetch(`${SERVER_URL}/payments/stripe/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': signStripePayload(body, Math.floor(Date.now() / 1000), STRIPE_SECRET),
+      },
+      body,
+    });
+    assert.equal((await (await send()).json()).status, 'booked');
+    const redelivered = await (await send()).json();
+    assert.equal(redelivered.duplicate, true);
+    assert.equal(stub.bookings.filter((b) => b.paymentReference === orderId).length, 1);
+
+    const refunded = await refund({ paymentReference: orderId, idempotencyKey: 'booking-2' });
+    assert.equal(refunded.status, 200);
+    assert.equal((await refunded.json()).status, 'refunded');
+    const refundCall = stub.requests.find((r) => r.path === '/v1/refunds');
+    assert.equal(refundCall.body.payment_intent, 'pi_test_123');
+    assert.equal(refundCall.body.amount, '45000');
+
+    const status = await fetch(`${SERVER_URL}/payments/orders/${orderId}`, { headers: { 'x-service-token': SERVICE_TOKEN } });
+    const order = await status.json();
+    assert.equal(order.provider, 'stripe');
+    assert.equal(order.status, 'refunded');
+    assert.equal(order.providerState, 'completed');
+  });
+
+  test('books a paid order missing from the ledger with the quote ID from the provider metadata', async () => {
+    const quoteId = stub.addQuote({ total: 30000, currency: 'GBP' });
+    const longQuoteId = `${quoteId}.${'x'.repeat(800)}`;
+    stub.quotes.set(longQuoteId, stub.quotes.get(quoteId));
+    const res = await checkout({ quoteId: longQuoteId });
+    const { orderId } = await res.json();
+    const { metadata } = stub.revolutOrders.get(orderId);
+    assert.ok(Object.values(metadata).every((value) => String(value).length <= 500));
+
+    // Same order at the provider under an ID the ledger has never seen
+    const lostOrderId = crypto.randomUUID();
+    stub.revolutOrders.set(lostOrderId, { ...stub.revolutOrders.get(orderId), id: lostOrderId, state: 'completed' });
+    const body = JSON.stringify({ event: 'ORDER_COMPLETED', order_id: lostOrderId });
+    const timestamp = String(Date.now());
+    const webhook = await fetch(`${SERVER_URL}/payments/revolut/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Revolut-Request-Timestamp': timestamp,
+        'Revolut-Signature': signRevolutPayload(body, timestamp, REVOLUT_SECRET),
+      },
+      body,
+    });
+    assert.equal((await webhook.json()).status, 'booked');
+    const booking = stub.bookings.find((b) => b.paymentReference === lostOrderId);
+    assert.equal(booking.quoteId, longQuoteId);
+    assert.equal(booking.paidAmount, 30000);
+  });
+
+  test('rejects webhooks with a bad signature and unknown providers', async () => {
+    const bad = await fetch(`${SERVER_URL}/payments/stripe/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': 't=1,v1=deadbeef' },
+      body: JSON.stringify({ type: 'checkout.session.completed', data: { object: { id: 'cs_x' } } }),
+    });
+    assert.equal(bad.status, 401);
+
+    const unknown = await fetch(`${SERVER_URL}/payments/paypal/webhook`, { method: 'POST' });
+    assert.equal(unknown.status, 404);
+    const quoteId = stub.addQuote({ total: 45000, currency: 'GBP' });
+    assert.equal((await checkout({ quoteId, provider: 'paypal' })).status, 400);
+  });
+
+  test('checkout requires a valid, unexpired quote', async () => {
+    const missing = await checkout({ amount: 450, currency: 'GBP' });
+    assert.equal(missing.status, 400);
+
+    const forged = await checkout({ quoteId: 'quote_forged' });
+    assert.equal(forged.status, 400);
+
+    const expired = await checkout({ quoteId: stub.addQuote({ total: 45000, currency: 'GBP', expired: true }) });
+    assert.equal(expired.status, 410);
+  });
+});